@@ -0,0 +1,474 @@
+/**
+ * 进口关税计算器组件
+ * 输入原产国、商品类别、海关完税价格和日期，列出适用的各层美国关税（基础税率、对等关税、301条款、232条款、IEEPA）
+ * 及其法律依据、合计税率、应缴关税和完税成本；填写对比日期时并列显示两个日期的税率和变化。
+ * 计算由 LandedCost 完成，使用完整数据（不受页面数据日期影响）。
+ */
+class DutyCalculator {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.containerId 容器ID
+   * @param {TariffDataStore} config.store 共享数据存储
+   * @param {number} config.customsValue 默认海关完税价格（美元）
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重建表单和结果）
+   */
+  constructor(config) {
+    this.containerId = config.containerId || 'duty-calculator';
+    this.store = config.store || null;
+    this.i18n = config.i18n || new I18n();
+
+    // 表单取值，切换语言重建表单时保留
+    this.values = {
+      country: '',
+      sector: '',
+      customsValue: String(config.customsValue || 10000),
+      date: '',
+      compareDate: ''
+    };
+
+    // 数据
+    this.data = null;
+
+    // 初始化
+    this.init();
+  }
+
+  /**
+   * 初始化计算器
+   */
+  init() {
+    this.addStyles();
+    this.createLayout();
+    this.loadData();
+    this.i18n.subscribe(() => {
+      this.createLayout();
+      this.populateOptions();
+      this.update();
+    });
+  }
+
+  /**
+   * 加载数据；默认计算日期为数据更新日期
+   */
+  async loadData() {
+    if (!this.store) return;
+    try {
+      await this.store.load();
+      this.data = this.store.getBaseData();
+      if (!this.values.date) {
+        this.values.date = TariffSnapshot.getLatestDate(this.data) || TariffRateResolver.toDateKey(new Date());
+        const dateInput = document.getElementById(`${this.containerId}-date`);
+        if (dateInput) dateInput.value = this.values.date;
+      }
+      this.populateOptions();
+      this.update();
+      // 数据刷新后重新计算
+      this.store.subscribe(() => {
+        if (this.store.getBaseData() === this.data) return;
+        this.data = this.store.getBaseData();
+        this.populateOptions();
+        this.update();
+      });
+    } catch (error) {
+      console.error('关税计算器加载数据失败:', error);
+    }
+  }
+
+  /**
+   * 创建表单和结果区域
+   */
+  createLayout() {
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`未找到ID为${this.containerId}的容器元素`);
+      return;
+    }
+    const id = this.containerId;
+    container.innerHTML = `
+      <form class="duty-calculator-form" novalidate>
+        <label for="${id}-country">${this.i18n.t('calculator.country')}</label>
+        <select id="${id}-country" data-field="country"></select>
+        <label for="${id}-sector">${this.i18n.t('calculator.sector')}</label>
+        <select id="${id}-sector" data-field="sector"></select>
+        <label for="${id}-value">${this.i18n.t('calculator.customsValue')}</label>
+        <input id="${id}-value" data-field="customsValue" type="number" min="0" step="0.01" inputmode="decimal" />
+        <label for="${id}-date">${this.i18n.t('calculator.date')}</label>
+        <input id="${id}-date" data-field="date" type="date" />
+        <label for="${id}-compare-date">${this.i18n.t('calculator.compareDate')}</label>
+        <input id="${id}-compare-date" data-field="compareDate" type="date" />
+      </form>
+      <div id="${id}-result" class="duty-calculator-result" aria-live="polite"></div>
+      <p class="duty-calculator-disclaimer">${this.i18n.t('calculator.disclaimer')}</p>
+    `;
+
+    container.querySelector(`#${id}-value`).value = this.values.customsValue;
+    container.querySelector(`#${id}-date`).value = this.values.date;
+    container.querySelector(`#${id}-compare-date`).value = this.values.compareDate;
+    this.addEventListeners();
+  }
+
+  /**
+   * 生成原产国和商品类别选项（不含美国本身）
+   */
+  populateOptions() {
+    const container = document.getElementById(this.containerId);
+    if (!container || !this.data) return;
+    const id = this.containerId;
+
+    const countries = (this.data.countries || [])
+      .filter(country => country.code !== 'US')
+      .map(country => ({ code: country.code, name: this.i18n.field(country, 'name') }))
+      .sort((a, b) => a.name.localeCompare(b.name, this.i18n.getLocale()));
+    if (!this.values.country || !countries.some(country => country.code === this.values.country)) {
+      this.values.country = countries.length > 0 ? countries[0].code : '';
+    }
+    const countrySelect = container.querySelector(`#${id}-country`);
+    countrySelect.innerHTML = countries.map(country => `<option value="${country.code}">${country.name}</option>`).join('');
+    countrySelect.value = this.values.country;
+
+    const sectors = this.data.sectors || [];
+    if (this.values.sector && !sectors.some(sector => sector.id === this.values.sector)) {
+      this.values.sector = '';
+    }
+    const sectorSelect = container.querySelector(`#${id}-sector`);
+    sectorSelect.innerHTML = `<option value="">${this.i18n.t('calculator.sector.all')}</option>` +
+      sectors.map(sector => `<option value="${sector.id}">${this.i18n.field(sector, 'label')} (HS ${sector.hsCodes.join(', ')})</option>`).join('');
+    sectorSelect.value = this.values.sector;
+  }
+
+  /**
+   * 添加事件监听：任一输入变化时重新计算
+   */
+  addEventListeners() {
+    const container = document.getElementById(this.containerId);
+    const form = container.querySelector('.duty-calculator-form');
+    const handleChange = event => {
+      const field = event.target.dataset.field;
+      if (!field) return;
+      this.values[field] = event.target.value;
+      this.update();
+    };
+    form.addEventListener('input', handleChange);
+    form.addEventListener('change', handleChange);
+    form.addEventListener('submit', event => event.preventDefault());
+  }
+
+  /**
+   * 选择原产国（如从国家详情面板打开计算器时）
+   * @param {string} code 国家代码
+   */
+  setCountry(code) {
+    if (!code || code === 'US') return;
+    this.values.country = code;
+    const select = document.getElementById(`${this.containerId}-country`);
+    if (select) select.value = code;
+    this.update();
+  }
+
+  /**
+   * 检查输入；有错误时返回界面文字，否则返回 null
+   * @returns {string|null}
+   */
+  validate() {
+    const customsValue = Number(this.values.customsValue);
+    if (this.values.customsValue === '' || !Number.isFinite(customsValue) || customsValue < 0) {
+      return this.i18n.t('calculator.error.customsValue');
+    }
+    if (!TariffDate.isDateKey(this.values.date)) {
+      return this.i18n.t('calculator.error.date');
+    }
+    if (this.values.compareDate && !TariffDate.isDateKey(this.values.compareDate)) {
+      return this.i18n.t('calculator.error.compareDate');
+    }
+    return null;
+  }
+
+  /**
+   * 重新计算并渲染结果
+   */
+  update() {
+    const resultElement = document.getElementById(`${this.containerId}-result`);
+    if (!resultElement || !this.data) return;
+
+    const error = this.validate();
+    if (error) {
+      resultElement.innerHTML = `<p class="duty-calculator-error">${error}</p>`;
+      return;
+    }
+
+    const country = this.data.countries.find(c => c.code === this.values.country);
+    const sector = (this.data.sectors || []).find(s => s.id === this.values.sector) || null;
+    const params = { country, sector, customsValue: Number(this.values.customsValue) };
+    const current = LandedCost.calculate({ ...params, date: this.values.date });
+    if (current.status === 'unresolved') {
+      resultElement.innerHTML = `<p class="duty-calculator-error">${this.i18n.t('calculator.unresolved', { country: this.i18n.field(country, 'name') })}</p>`;
+      return;
+    }
+    const previous = this.values.compareDate ? LandedCost.calculate({ ...params, date: this.values.compareDate }) : null;
+    resultElement.innerHTML = this.renderResult(current, previous, sector);
+  }
+
+  /**
+   * 生成结果 HTML
+   * @param {Object} current 计算日期的结果
+   * @param {Object|null} previous 对比日期的结果
+   * @param {Object|null} sector 商品类别
+   * @returns {string}
+   */
+  renderResult(current, previous, sector) {
+    const formatRate = rate => (rate === null ? '—' : `${rate}%`);
+    const formatChange = change => (change > 0 ? `+${change}` : `${change}`);
+    const money = value => this.formatMoney(value);
+
+    const layerCell = layer => {
+      const label = layer.group === 'baseline' ? this.i18n.t('calculator.layer.baseline') : this.i18n.field(layer.entry, 'label');
+      const legalBasis = layer.group === 'baseline' ? this.i18n.t('calculator.layer.baselineBasis') : this.i18n.field(layer.entry, 'legalBasis');
+      const note = layer.entry && layer.entry.note ? `<span class="duty-calculator-note">${this.i18n.field(layer.entry, 'note')}</span>` : '';
+      return `
+        <td>
+          <span class="duty-calculator-group">${this.i18n.t(`calculator.group.${layer.group}`)}</span>
+          ${label}
+          <span class="duty-calculator-basis">${legalBasis}</span>
+          ${note}
+        </td>`;
+    };
+
+    let rows;
+    let header;
+    let totals;
+    if (previous && previous.status !== 'unresolved') {
+      const comparison = LandedCost.compare(previous, current);
+      header = `
+        <tr>
+          <th>${this.i18n.t('calculator.column.layer')}</th>
+          <th class="numeric">${previous.asOf}</th>
+          <th class="numeric">${current.asOf}</th>
+          <th class="numeric">${this.i18n.t('calculator.column.change')}</th>
+        </tr>`;
+      rows = comparison.layers.map(layer => `
+        <tr>
+          ${layerCell(layer)}
+          <td class="numeric">${formatRate(layer.before)}</td>
+          <td class="numeric">${formatRate(layer.after)}</td>
+          <td class="numeric ${layer.change > 0 ? 'increase' : layer.change < 0 ? 'decrease' : ''}">${layer.change === 0 ? '—' : formatChange(layer.change)}</td>
+        </tr>`).join('');
+      totals = `
+        <tr class="total">
+          <td>${this.i18n.t('calculator.totalRate')}</td>
+          <td class="numeric">${formatRate(previous.totalRate)}</td>
+          <td class="numeric">${formatRate(current.totalRate)}</td>
+          <td class="numeric">${formatChange(comparison.totalRateChange)}</td>
+        </tr>
+        <tr>
+          <td>${this.i18n.t('calculator.totalDuty')}</td>
+          <td class="numeric">${money(previous.totalDuty)}</td>
+          <td class="numeric">${money(current.totalDuty)}</td>
+          <td class="numeric">${comparison.totalDutyChange > 0 ? '+' : ''}${money(comparison.totalDutyChange)}</td>
+        </tr>
+        <tr>
+          <td>${this.i18n.t('calculator.landedCost')}</td>
+          <td class="numeric">${money(previous.landedCost)}</td>
+          <td class="numeric">${money(current.landedCost)}</td>
+          <td></td>
+        </tr>`;
+    } else {
+      header = `
+        <tr>
+          <th>${this.i18n.t('calculator.column.layer')}</th>
+          <th class="numeric">${this.i18n.t('calculator.column.rate')}</th>
+          <th class="numeric">${this.i18n.t('calculator.column.duty')}</th>
+        </tr>`;
+      rows = current.layers.map(layer => `
+        <tr>
+          ${layerCell(layer)}
+          <td class="numeric">${formatRate(layer.rate)}</td>
+          <td class="numeric">${money(layer.duty)}</td>
+        </tr>`).join('');
+      totals = `
+        <tr class="total">
+          <td>${this.i18n.t('calculator.totalRate')}</td>
+          <td class="numeric">${formatRate(current.totalRate)}</td>
+          <td class="numeric">${money(current.totalDuty)}</td>
+        </tr>
+        <tr>
+          <td>${this.i18n.t('calculator.landedCost')}</td>
+          <td></td>
+          <td class="numeric">${money(current.landedCost)}</td>
+        </tr>`;
+    }
+
+    const emptyRow = current.layers.length === 0 && (!previous || previous.layers.length === 0)
+      ? `<tr><td colspan="4">${this.i18n.t('calculator.noLayers')}</td></tr>`
+      : '';
+    const notes = [];
+    if (!sector) {
+      notes.push(this.i18n.t('calculator.note.noBaseRate'));
+    }
+    if (current.pendingLayers.length > 0) {
+      notes.push(this.i18n.t('calculator.note.partialLayers', {
+        layers: current.pendingLayers.map(layer => `${this.i18n.field(layer.entry, 'label')} ${layer.rate}%`).join(this.i18n.t('common.listSeparator'))
+      }));
+    }
+    if (previous && previous.status === 'unresolved') {
+      notes.push(this.i18n.t('calculator.note.compareUnresolved'));
+    }
+
+    return `
+      <div class="duty-calculator-summary">
+        <div><span>${this.i18n.t('calculator.totalRate')}</span><strong>${formatRate(current.totalRate)}</strong></div>
+        <div><span>${this.i18n.t('calculator.totalDuty')}</span><strong>${money(current.totalDuty)}</strong></div>
+        <div><span>${this.i18n.t('calculator.landedCost')}</span><strong>${money(current.landedCost)}</strong></div>
+      </div>
+      <table class="duty-calculator-table">
+        <thead>${header}</thead>
+        <tbody>${rows}${emptyRow}${totals}</tbody>
+      </table>
+      ${notes.map(note => `<p class="duty-calculator-note">${note}</p>`).join('')}
+    `;
+  }
+
+  /**
+   * 格式化美元金额
+   * @param {number|null} value 金额
+   * @returns {string}
+   */
+  formatMoney(value) {
+    if (value === null || value === undefined) return '—';
+    return new Intl.NumberFormat(this.i18n.getLocale(), { style: 'currency', currency: 'USD' }).format(value);
+  }
+
+  /**
+   * 添加样式
+   */
+  addStyles() {
+    if (document.getElementById('duty-calculator-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'duty-calculator-styles';
+    style.textContent = `
+      .duty-calculator-form {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        gap: 6px 8px;
+        align-items: center;
+        font-size: 13px;
+        margin-bottom: 12px;
+      }
+
+      .duty-calculator-form label {
+        color: #4b5563;
+      }
+
+      .duty-calculator-form select,
+      .duty-calculator-form input {
+        width: 100%;
+        padding: 4px 6px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        font-size: 13px;
+      }
+
+      .duty-calculator-summary {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 6px;
+        margin-bottom: 10px;
+      }
+
+      .duty-calculator-summary div {
+        background-color: #f9fafb;
+        border: 1px solid #e5e7eb;
+        border-radius: 4px;
+        padding: 6px;
+      }
+
+      .duty-calculator-summary span {
+        display: block;
+        font-size: 11px;
+        color: #6b7280;
+      }
+
+      .duty-calculator-summary strong {
+        font-size: 14px;
+        color: #b91c1c;
+      }
+
+      .duty-calculator-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+      }
+
+      .duty-calculator-table th,
+      .duty-calculator-table td {
+        padding: 5px 4px;
+        border-bottom: 1px solid #f3f4f6;
+        text-align: left;
+        vertical-align: top;
+      }
+
+      .duty-calculator-table th {
+        color: #6b7280;
+        font-weight: 600;
+        border-bottom-color: #e5e7eb;
+      }
+
+      .duty-calculator-table .numeric {
+        text-align: right;
+        white-space: nowrap;
+      }
+
+      .duty-calculator-table tr.total td {
+        font-weight: 600;
+        border-top: 1px solid #d1d5db;
+      }
+
+      .duty-calculator-table .increase {
+        color: #dc2626;
+      }
+
+      .duty-calculator-table .decrease {
+        color: #16a34a;
+      }
+
+      .duty-calculator-group {
+        display: block;
+        font-size: 10px;
+        text-transform: uppercase;
+        color: #9ca3af;
+      }
+
+      .duty-calculator-basis,
+      .duty-calculator-note {
+        display: block;
+        font-size: 11px;
+        color: #6b7280;
+      }
+
+      .duty-calculator-note {
+        margin-top: 6px;
+      }
+
+      .duty-calculator-error {
+        font-size: 13px;
+        color: #dc2626;
+      }
+
+      .duty-calculator-disclaimer {
+        margin-top: 12px;
+        font-size: 11px;
+        color: #9ca3af;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+// 导出组件
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DutyCalculator;
+}
@@ -0,0 +1,631 @@
+/**
+ * 波动率与关税强度面板组件
+ * 使用股市走势图已加载的各指数行情（见 StockMarketChart 的 onLoad），绘制各指数的滚动波动率（年化）和关税强度柱状图，
+ * 并列出各指数的最大回撤、收益率和波动率与关税强度的相关系数，以及各指数之间的日收益率相关系数矩阵。
+ * 关税强度由 tariff_data.json 中 usTariffSchedule 的美国税率变动构建（见 MarketMetrics），滚动窗口可在面板中切换。
+ */
+class MarketRiskPanel {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.containerId 容器ID
+   * @param {Array<{instrument: Object, data: (Array|null), error: (Object|null)}>} config.results 各指数的加载结果（StockMarketChart.loadData 的结果）
+   * @param {TariffDataStore} config.store 共享数据存储，提供各国关税历史和时间轴
+   * @param {number} config.window 默认滚动窗口（交易日）
+   * @param {number} config.height 图表高度
+   * @param {Object} config.margins 图表边距
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重新渲染）
+   */
+  constructor(config) {
+    this.containerId = config.containerId || 'market-risk-panel';
+    this.results = config.results || [];
+    this.store = config.store || null;
+    this.window = config.window || MarketMetrics.DEFAULT_WINDOW;
+    this.height = config.height || 260;
+    this.margins = config.margins || { top: 20, right: 150, bottom: 30, left: 50 };
+    this.i18n = config.i18n || new I18n();
+
+    // 数据
+    this.countries = [];
+    this.actions = []; // 美国对各国整体税率的变动（MarketMetrics.tariffActions）
+    this.analysis = null; // 按当前窗口计算的指标 { startKey, endKey, series, intensity, matrix }
+    this.exportInfo = null; // 最近一次绘制的图表，用于导出
+
+    // 与股市走势图使用相同的配色顺序
+    this.colorScale = d3.scaleOrdinal(d3.schemeCategory10);
+
+    // 创建提示框
+    this.tooltip = d3.select('body').append('div')
+      .attr('class', 'tariff-tooltip')
+      .style('opacity', 0)
+      .style('position', 'absolute')
+      .style('max-width', '300px')
+      .style('background-color', 'white')
+      .style('border', '1px solid #ddd')
+      .style('border-radius', '4px')
+      .style('padding', '10px')
+      .style('box-shadow', '0 1px 3px rgba(0,0,0,0.12)')
+      .style('pointer-events', 'none')
+      .style('font-family', 'Arial, sans-serif')
+      .style('font-size', '12px');
+
+    // 初始化
+    this.init();
+  }
+
+  /**
+   * 初始化面板
+   */
+  init() {
+    this.addStyles();
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`未找到ID为${this.containerId}的容器元素`);
+      return;
+    }
+    this.addEventListeners(container);
+    this.loadData();
+    this.i18n.subscribe(() => this.render());
+  }
+
+  /**
+   * 加载各国关税历史和时间轴（行情由调用方加载后传入）
+   */
+  async loadData() {
+    if (this.store) {
+      try {
+        await this.store.load();
+        const data = this.store.getBaselineData();
+        this.countries = data.countries || [];
+        this.actions = MarketMetrics.tariffActions(this.countries);
+      } catch (error) {
+        console.error('波动率面板加载关税数据失败:', error);
+      }
+    }
+    this.compute();
+    this.render();
+  }
+
+  /**
+   * 按当前窗口计算各项指标。区间为各指数的共同区间（与股市走势图的共同起始日一致），
+   * 收益率和滚动波动率使用完整序列计算，窗口可以早于共同起始日
+   */
+  compute() {
+    const valid = this.results.filter(result => result.data && result.data.length > 1);
+    if (valid.length === 0) {
+      this.analysis = null;
+      return;
+    }
+    const startKey = d3.max(valid, result => result.data[0].key);
+    const endKey = d3.max(valid, result => result.data[result.data.length - 1].key);
+    const inRange = entry => entry.key >= startKey;
+
+    const allKeys = Array.from(new Set(valid.reduce((keys, result) => keys.concat(result.data.map(point => point.key)), []))).sort();
+    const intensity = MarketMetrics.tariffIntensity(this.actions, allKeys, this.window).filter(inRange);
+    const dailyIntensity = intensity.map(day => ({ key: day.key, value: day.change }));
+    const rollingIntensity = intensity.map(day => ({ key: day.key, value: day.value }));
+
+    const series = valid.map(result => {
+      const returns = MarketMetrics.dailyReturns(result.data);
+      const volatility = MarketMetrics.rollingVolatility(returns, this.window).filter(inRange);
+      const rangeReturns = returns.filter(inRange);
+      return {
+        instrument: result.instrument,
+        returns: rangeReturns,
+        volatility,
+        byKey: new Map(volatility.map(entry => [entry.key, entry.value])),
+        peak: volatility.reduce((max, entry) => (!max || entry.value > max.value ? entry : max), null),
+        drawdown: MarketMetrics.maxDrawdown(result.data.filter(inRange)),
+        returnCorrelation: MarketMetrics.correlation(rangeReturns, dailyIntensity),
+        volatilityCorrelation: MarketMetrics.correlation(volatility, rollingIntensity)
+      };
+    });
+    const matrix = series.map(a => series.map(b => MarketMetrics.correlation(a.returns, b.returns)));
+    this.analysis = { startKey, endKey, series, intensity, matrix };
+  }
+
+  /**
+   * 渲染工具栏、图表和指标表
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    this.hideTooltip();
+    if (!this.analysis) {
+      container.innerHTML = `<p class="text-red-500 text-sm text-center">${this.i18n.t('risk.noData')}</p>`;
+      this.exportInfo = null;
+      return;
+    }
+
+    const id = this.containerId;
+    container.innerHTML = `
+      <div class="risk-toolbar">
+        <label for="${id}-window">${this.i18n.t('risk.window.label')}</label>
+        <select id="${id}-window" data-role="window">
+          ${MarketRiskPanel.WINDOWS.map(days => `<option value="${days}"${days === this.window ? ' selected' : ''}>${this.i18n.t('risk.window.option', { days })}</option>`).join('')}
+        </select>
+      </div>
+      <div id="${id}-chart"></div>
+      <p class="risk-hint">${this.i18n.t('risk.chartHint')}</p>
+      <div id="${id}-metrics" class="risk-section"></div>
+      <div id="${id}-matrix" class="risk-section"></div>
+    `;
+    this.drawChart();
+    this.renderMetrics();
+    this.renderMatrix();
+  }
+
+  /**
+   * 绘制各指数的滚动波动率折线（左轴）和关税强度柱状图（右轴）
+   */
+  drawChart() {
+    const chartContainer = document.getElementById(`${this.containerId}-chart`);
+    if (!chartContainer) return;
+    chartContainer.innerHTML = '';
+    const { series, intensity, startKey, endKey } = this.analysis;
+
+    const margin = this.margins;
+    const width = (chartContainer.clientWidth || 600) - margin.left - margin.right;
+    const height = this.height - margin.top - margin.bottom;
+
+    const xScale = d3.scaleTime().domain([new Date(startKey), new Date(endKey)]).range([0, width]);
+    const maxVolatility = d3.max(series, item => d3.max(item.volatility, entry => entry.value)) || 10;
+    const yScale = d3.scaleLinear().domain([0, maxVolatility * 1.1]).range([height, 0]).nice();
+    const maxIntensity = Math.max(d3.max(intensity, day => day.value) || 0, 1);
+    const intensityScale = d3.scaleLinear().domain([0, maxIntensity]).range([height, 0]).nice();
+
+    const svg = d3.select(chartContainer).append('svg')
+      .attr('width', width + margin.left + margin.right)
+      .attr('height', height + margin.top + margin.bottom)
+      .attr('class', 'mx-auto');
+    const chartGroup = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(width / 80).tickFormat(d3.timeFormat('%b %d')));
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .call(d3.axisLeft(yScale).ticks(5).tickFormat(d => `${d.toFixed(0)}%`));
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .attr('transform', `translate(${width},0)`)
+      .call(d3.axisRight(intensityScale).ticks(Math.min(5, maxIntensity)).tickFormat(d3.format('d')));
+    chartGroup.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -height / 2)
+      .attr('y', -margin.left + 12)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', 10)
+      .attr('fill', '#6b7280')
+      .text(this.i18n.t('risk.axis.volatility'));
+    chartGroup.append('text')
+      .attr('transform', 'rotate(90)')
+      .attr('x', height / 2)
+      .attr('y', -width - 34)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', 10)
+      .attr('fill', '#6b7280')
+      .text(this.i18n.t('risk.axis.intensity'));
+
+    // 关税强度：每个交易日一根柱，宽度按交易日数均分
+    const barWidth = Math.max(1, width / Math.max(intensity.length, 1) - 1);
+    chartGroup.append('g')
+      .attr('class', 'risk-intensity')
+      .selectAll('rect')
+      .data(intensity.filter(day => day.value > 0))
+      .join('rect')
+      .attr('class', 'risk-intensity-bar')
+      .attr('data-date', day => day.key)
+      .attr('x', day => xScale(new Date(day.key)) - barWidth / 2)
+      .attr('y', day => intensityScale(day.value))
+      .attr('width', barWidth)
+      .attr('height', day => height - intensityScale(day.value))
+      .attr('fill', '#f59e0b')
+      .attr('fill-opacity', day => (day.change > 0 ? 0.6 : 0.3));
+
+    const line = d3.line()
+      .x(entry => xScale(new Date(entry.key)))
+      .y(entry => yScale(entry.value));
+    const lines = chartGroup.append('g').attr('class', 'risk-lines');
+    series.forEach((item, i) => {
+      if (item.volatility.length < 2) return;
+      lines.append('path')
+        .datum(item.volatility)
+        .attr('data-symbol', item.instrument.symbol)
+        .attr('fill', 'none')
+        .attr('stroke', this.colorScale(i))
+        .attr('stroke-width', 1.5)
+        .attr('d', line);
+    });
+
+    // 十字准线：吸附到最近的交易日，显示当日各指数的波动率和关税强度
+    const crosshair = chartGroup.append('g')
+      .attr('class', 'risk-crosshair')
+      .style('display', 'none')
+      .style('pointer-events', 'none');
+    crosshair.append('line')
+      .attr('y1', 0)
+      .attr('y2', height)
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 1);
+    const dates = intensity.map(day => new Date(day.key));
+    const bisect = d3.bisector(date => date).center;
+    chartGroup.append('rect')
+      .attr('class', 'risk-overlay')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('fill', 'transparent')
+      .on('mousemove', event => {
+        if (dates.length === 0) return;
+        const index = bisect(dates, xScale.invert(d3.pointer(event)[0]));
+        const x = xScale(dates[index]);
+        crosshair.style('display', null)
+          .select('line')
+          .attr('x1', x)
+          .attr('x2', x);
+        this.showDayTooltip(event, intensity[index]);
+      })
+      .on('mouseleave', () => {
+        crosshair.style('display', 'none');
+        this.hideTooltip();
+      });
+
+    // 图例：各指数和关税强度
+    const legendItems = series.map((item, i) => ({ label: item.instrument.name, color: this.colorScale(i), type: 'line' }))
+      .concat([{ label: this.i18n.t('risk.legend.intensity', { days: this.window }), color: '#f59e0b', type: 'bar' }]);
+    const legend = chartGroup.append('g')
+      .attr('class', 'risk-legend')
+      .attr('font-family', 'sans-serif')
+      .attr('font-size', 10)
+      .selectAll('g')
+      .data(legendItems)
+      .join('g')
+      .attr('transform', (d, i) => `translate(${width + 44},${i * 18})`);
+    legend.append('rect')
+      .attr('y', item => (item.type === 'line' ? 5 : 0))
+      .attr('width', 12)
+      .attr('height', item => (item.type === 'line' ? 2 : 12))
+      .attr('fill', item => item.color)
+      .attr('fill-opacity', item => (item.type === 'line' ? 1 : 0.6));
+    legend.append('text')
+      .attr('x', 18)
+      .attr('y', 6)
+      .attr('dy', '0.35em')
+      .attr('fill', '#4a5568')
+      .text(item => item.label);
+
+    this.exportInfo = { svgNode: svg.node(), startDate: startKey, endDate: endKey };
+  }
+
+  /**
+   * 渲染各指数的指标表：最新和最高滚动波动率、最大回撤及其区间、与关税强度的相关系数
+   */
+  renderMetrics() {
+    const wrapper = document.getElementById(`${this.containerId}-metrics`);
+    if (!wrapper) return;
+    const { series } = this.analysis;
+    const percent = value => `<span class="${value < 0 ? 'negative' : ''}">${value.toFixed(1)}%</span>`;
+    const rows = series.map((item, i) => {
+      const latest = item.volatility[item.volatility.length - 1];
+      return `
+        <tr data-symbol="${item.instrument.symbol}">
+          <td class="name"><span class="risk-swatch" style="background-color: ${this.colorScale(i)};"></span>${item.instrument.name}</td>
+          <td class="numeric">${latest ? percent(latest.value) : '—'}</td>
+          <td class="numeric">${item.peak ? `${percent(item.peak.value)} <span class="date">${item.peak.key}</span>` : '—'}</td>
+          <td class="numeric">${item.drawdown ? percent(item.drawdown.value) : '—'}</td>
+          <td class="date">${item.drawdown && item.drawdown.value < 0 ? `${item.drawdown.peakKey} → ${item.drawdown.troughKey}` : '—'}</td>
+          ${this.correlationCell(item.returnCorrelation)}
+          ${this.correlationCell(item.volatilityCorrelation)}
+        </tr>
+      `;
+    }).join('');
+
+    wrapper.innerHTML = `
+      <h6>${this.i18n.t('risk.metrics.title', { start: this.analysis.startKey, end: this.analysis.endKey })}</h6>
+      <div class="risk-table-wrapper">
+        <table class="risk-table">
+          <thead>
+            <tr>
+              <th>${this.i18n.t('risk.column.index')}</th>
+              <th class="numeric">${this.i18n.t('risk.column.latest', { days: this.window })}</th>
+              <th class="numeric">${this.i18n.t('risk.column.peak')}</th>
+              <th class="numeric">${this.i18n.t('risk.column.drawdown')}</th>
+              <th>${this.i18n.t('risk.column.drawdownPeriod')}</th>
+              <th class="numeric">${this.i18n.t('risk.column.returnCorrelation')}</th>
+              <th class="numeric">${this.i18n.t('risk.column.volatilityCorrelation')}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <p class="risk-note">${this.i18n.t('risk.metrics.hint', { days: this.window, min: MarketMetrics.MIN_OBSERVATIONS })}</p>
+    `;
+  }
+
+  /**
+   * 渲染各指数之间的日收益率相关系数矩阵
+   */
+  renderMatrix() {
+    const wrapper = document.getElementById(`${this.containerId}-matrix`);
+    if (!wrapper) return;
+    const { series, matrix } = this.analysis;
+    const rows = series.map((item, i) => `
+      <tr>
+        <th title="${item.instrument.name}">${item.instrument.symbol}</th>
+        ${matrix[i].map(this.correlationCell, this).join('')}
+      </tr>
+    `).join('');
+
+    wrapper.innerHTML = `
+      <h6>${this.i18n.t('risk.matrix.title')}</h6>
+      <div class="risk-table-wrapper">
+        <table class="risk-table risk-matrix">
+          <thead>
+            <tr>
+              <th></th>
+              ${series.map(item => `<th class="numeric" title="${item.instrument.name}">${item.instrument.symbol}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * 相关系数单元格：按数值着色（正相关为蓝色，负相关为红色），悬停显示共同日期数
+   * @param {{value: (number|null), count: number}} correlation MarketMetrics.correlation 的结果
+   * @returns {string} HTML
+   */
+  correlationCell(correlation) {
+    const title = this.i18n.t('risk.correlation.count', { count: correlation.count });
+    if (correlation.value === null) {
+      return `<td class="numeric" title="${title}">—</td>`;
+    }
+    const value = correlation.value;
+    const background = d3.interpolateRdBu((value + 1) / 2);
+    const color = Math.abs(value) > 0.6 ? 'white' : '#1f2937';
+    return `<td class="numeric correlation" title="${title}" style="background-color: ${background}; color: ${color};">${value.toFixed(2)}</td>`;
+  }
+
+  /**
+   * 添加事件监听（委托到容器）：切换滚动窗口
+   * @param {HTMLElement} container 容器元素
+   */
+  addEventListeners(container) {
+    container.addEventListener('change', event => {
+      if (event.target.dataset.role === 'window') this.setWindow(event.target.value);
+    });
+  }
+
+  /**
+   * 设置滚动窗口并重新计算
+   * @param {number|string} days 窗口（交易日），应为 WINDOWS 之一
+   * @returns {boolean} 是否有效
+   */
+  setWindow(days) {
+    const value = Number(days);
+    if (!MarketRiskPanel.WINDOWS.includes(value)) return false;
+    this.window = value;
+    this.compute();
+    this.render();
+    return true;
+  }
+
+  /**
+   * 显示某一交易日各指数的波动率、关税强度和计入当日的关税动作
+   * @param {Event} event 鼠标事件
+   * @param {{key: string, change: number, value: number, actions: Array}} day 关税强度序列中的交易日
+   */
+  showDayTooltip(event, day) {
+    const rows = this.analysis.series.map((item, i) => {
+      const value = item.byKey.get(day.key);
+      return `
+        <tr>
+          <td style="padding-right: 8px; white-space: nowrap;"><span style="display: inline-block; width: 8px; height: 8px; margin-right: 4px; background-color: ${this.colorScale(i)};"></span>${item.instrument.symbol}</td>
+          <td style="text-align: right;">${value !== undefined ? `${value.toFixed(1)}%` : '—'}</td>
+        </tr>
+      `;
+    }).join('');
+    const countryName = code => {
+      const country = this.countries.find(entry => entry.code === code);
+      return country ? this.i18n.field(country, 'name') : code;
+    };
+    const actions = day.actions.length > 0
+      ? `<div style="margin-top: 6px; color: #b45309;">${day.actions.map(action =>
+        this.i18n.t('risk.tooltip.action', {
+          country: countryName(action.country),
+          from: action.from,
+          to: action.to,
+          measures: action.entries.map(entry => this.i18n.field(entry, 'label')).join(', ')
+        })).join('<br>')}</div>`
+      : '';
+    this.tooltip.html(`
+      <div style="font-weight: bold; margin-bottom: 4px;">${day.key}</div>
+      <table style="border-collapse: collapse;">
+        <thead>
+          <tr style="color: #6b7280;">
+            <th style="padding-right: 8px; text-align: left; font-weight: normal;">${this.i18n.t('stock.tooltip.index')}</th>
+            <th style="text-align: right; font-weight: normal;">${this.i18n.t('risk.tooltip.volatility', { days: this.window })}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div style="margin-top: 4px;">${this.i18n.t('risk.tooltip.intensity', { value: day.value, change: day.change })}</div>
+      ${actions}
+    `);
+    this.tooltip.interrupt().style('opacity', 0.95);
+    this.moveTooltip(event);
+  }
+
+  /**
+   * 提示框跟随鼠标；靠近窗口右侧时显示在鼠标左侧
+   * @param {Event} event 鼠标事件
+   */
+  moveTooltip(event) {
+    const node = this.tooltip.node();
+    const left = event.pageX + 10 + node.offsetWidth > window.scrollX + window.innerWidth
+      ? event.pageX - node.offsetWidth - 10
+      : event.pageX + 10;
+    this.tooltip
+      .style('left', left + 'px')
+      .style('top', (event.pageY - 20) + 'px');
+  }
+
+  /**
+   * 隐藏提示框
+   */
+  hideTooltip() {
+    this.tooltip.interrupt().style('opacity', 0);
+  }
+
+  /**
+   * 导出图表为 SVG 或 PNG
+   * @param {string} format 'svg' 或 'png'
+   * @param {Object} [options] 选项
+   * @param {number} [options.scale] PNG 分辨率倍率
+   * @returns {Promise<void>}
+   */
+  async exportImage(format, options = {}) {
+    if (!this.exportInfo || !this.exportInfo.svgNode.isConnected) return;
+    const { svgNode, startDate, endDate } = this.exportInfo;
+    const exportOptions = {
+      title: this.i18n.t('risk.title'),
+      subtitle: this.i18n.t('export.risk.subtitle', { start: startDate, end: endDate, days: this.window }),
+      source: this.i18n.t('export.source.risk'),
+      decorate: chart => {
+        chart.querySelectorAll('.risk-crosshair, .risk-overlay').forEach(element => element.remove());
+      }
+    };
+    const filename = `market-risk-${this.window}d-${endDate}.${format}`;
+
+    if (format === 'png') {
+      await ChartExport.downloadPng(svgNode, exportOptions, filename, options.scale);
+    } else {
+      ChartExport.downloadSvg(svgNode, exportOptions, filename);
+    }
+  }
+
+  /**
+   * 添加样式
+   */
+  addStyles() {
+    if (document.getElementById('market-risk-panel-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'market-risk-panel-styles';
+    style.textContent = `
+      .risk-toolbar {
+        display: flex;
+        align-items: center;
+        justify-content: flex-end;
+        gap: 6px;
+        margin-bottom: 4px;
+        font-size: 12px;
+        color: #4b5563;
+      }
+
+      .risk-toolbar select {
+        padding: 1px 4px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        font-size: 12px;
+      }
+
+      .risk-hint {
+        font-size: 11px;
+        color: #9ca3af;
+        text-align: center;
+      }
+
+      .risk-section {
+        margin-top: 12px;
+        padding-top: 10px;
+        border-top: 1px solid #e5e7eb;
+      }
+
+      .risk-section h6 {
+        margin-bottom: 8px;
+        font-size: 14px;
+        font-weight: 600;
+        color: #374151;
+      }
+
+      .risk-table-wrapper {
+        overflow-x: auto;
+      }
+
+      .risk-table {
+        min-width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+      }
+
+      .risk-table th {
+        padding: 4px 6px;
+        text-align: left;
+        font-size: 11px;
+        font-weight: 500;
+        color: #6b7280;
+        background-color: #f9fafb;
+        border-bottom: 1px solid #e5e7eb;
+        white-space: nowrap;
+      }
+
+      .risk-table td {
+        padding: 4px 6px;
+        color: #374151;
+        border-bottom: 1px solid #f3f4f6;
+        white-space: nowrap;
+      }
+
+      .risk-table .numeric {
+        text-align: right;
+      }
+
+      .risk-table .negative {
+        color: #dc2626;
+      }
+
+      .risk-table .date {
+        color: #6b7280;
+        font-size: 11px;
+      }
+
+      .risk-matrix {
+        min-width: 0;
+      }
+
+      .risk-matrix td.correlation {
+        min-width: 56px;
+      }
+
+      .risk-swatch {
+        display: inline-block;
+        width: 8px;
+        height: 8px;
+        margin-right: 6px;
+      }
+
+      .risk-note {
+        margin-top: 6px;
+        font-size: 11px;
+        color: #6b7280;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+// 可选的滚动窗口（交易日）
+MarketRiskPanel.WINDOWS = [10, 20, 60];
+
+// 导出组件
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarketRiskPanel;
+}
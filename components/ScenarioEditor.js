@@ -0,0 +1,674 @@
+/**
+ * 情景编辑器组件
+ * 编辑假设的美国税率和反制措施（如"美国对欧盟降至10%，中国反制至150%"），通过 TariffDataStore.setScenario
+ * 叠加到已加载的数据上；地图、柱状图、表格和统计卡片随存储的通知重新渲染。
+ * 情景可保存到 localStorage、导出或导入为 JSON，并与基准数据逐国对比。情景格式见 TariffScenario。
+ */
+class ScenarioEditor {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.containerId 容器ID
+   * @param {TariffDataStore} config.store 共享数据存储
+   * @param {string} config.storageKey 保存情景的 localStorage 键名
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重新渲染）
+   */
+  constructor(config) {
+    this.containerId = config.containerId || 'scenario-editor';
+    this.store = config.store || null;
+    this.storageKey = config.storageKey || 'tariffScenarios';
+    this.i18n = config.i18n || new I18n();
+
+    // 编辑中的情景，表单取值均为字符串
+    this.draft = {
+      name: '',
+      effectiveDate: TariffRateResolver.toDateKey(new Date()),
+      changes: []
+    };
+    this.message = null; // 提示信息 { type: 'info' | 'error', text }
+
+    // 数据
+    this.data = null; // 基准数据
+
+    // 初始化
+    this.init();
+  }
+
+  /**
+   * 初始化编辑器
+   */
+  init() {
+    this.addStyles();
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`未找到ID为${this.containerId}的容器元素`);
+      return;
+    }
+    this.addEventListeners(container);
+    this.loadData();
+    this.i18n.subscribe(() => this.render());
+  }
+
+  /**
+   * 加载数据
+   */
+  async loadData() {
+    if (!this.store) return;
+    try {
+      await this.store.load();
+      this.data = this.store.getBaselineData();
+      this.render();
+      // 情景或数据日期变化时更新状态和对比
+      this.store.subscribe(() => {
+        this.data = this.store.getBaselineData();
+        this.renderStatus();
+        this.renderDiff();
+      });
+    } catch (error) {
+      console.error('情景编辑器加载数据失败:', error);
+    }
+  }
+
+  /**
+   * 渲染整个编辑器
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container || !this.data) return;
+    const id = this.containerId;
+
+    container.innerHTML = `
+      <div id="${id}-status" class="scenario-status"></div>
+      <div class="scenario-toolbar">
+        <label for="${id}-saved">${this.i18n.t('scenario.saved')}</label>
+        <select id="${id}-saved"></select>
+        <button type="button" data-action="load-saved">${this.i18n.t('scenario.load')}</button>
+        <button type="button" data-action="delete-saved">${this.i18n.t('scenario.delete')}</button>
+        <span class="scenario-toolbar-separator"></span>
+        <button type="button" data-action="import">${this.i18n.t('scenario.import')}</button>
+        <button type="button" data-action="export">${this.i18n.t('scenario.export')}</button>
+        <input id="${id}-file" type="file" accept="application/json,.json" hidden />
+      </div>
+      <div class="scenario-fields">
+        <label for="${id}-name">${this.i18n.t('scenario.name')}</label>
+        <input id="${id}-name" data-field="name" type="text" placeholder="${this.i18n.t('scenario.name.placeholder')}" />
+        <label for="${id}-date">${this.i18n.t('scenario.effectiveDate')}</label>
+        <input id="${id}-date" data-field="effectiveDate" type="date" />
+      </div>
+      <table class="scenario-changes">
+        <thead>
+          <tr>
+            <th>${this.i18n.t('scenario.column.country')}</th>
+            <th>${this.i18n.t('scenario.column.usTariffRate')}</th>
+            <th>${this.i18n.t('scenario.column.responseRate')}</th>
+            <th>${this.i18n.t('scenario.column.responseType')}</th>
+            <th>${this.i18n.t('scenario.column.responseDetails')}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody id="${id}-changes"></tbody>
+      </table>
+      <p class="scenario-hint">${this.i18n.t('scenario.hint')}</p>
+      <div class="scenario-actions">
+        <button type="button" data-action="add-change">${this.i18n.t('scenario.addCountry')}</button>
+        <button type="button" data-action="apply" class="primary">${this.i18n.t('scenario.apply')}</button>
+        <button type="button" data-action="save">${this.i18n.t('scenario.save')}</button>
+      </div>
+      <div id="${id}-message" class="scenario-message" role="status"></div>
+      <div id="${id}-diff" class="scenario-diff"></div>
+    `;
+
+    container.querySelector(`#${id}-name`).value = this.draft.name;
+    container.querySelector(`#${id}-date`).value = this.draft.effectiveDate;
+    this.renderSavedOptions();
+    this.renderChanges();
+    this.renderMessage();
+    this.renderStatus();
+    this.renderDiff();
+  }
+
+  /**
+   * 渲染各国修改的输入行；用户输入的文字通过 value 属性写入，不拼接到 HTML 中
+   */
+  renderChanges() {
+    const tbody = document.getElementById(`${this.containerId}-changes`);
+    if (!tbody) return;
+
+    const countries = this.data.countries
+      .filter(country => country.code !== 'US')
+      .map(country => ({ code: country.code, name: this.i18n.field(country, 'name') }))
+      .sort((a, b) => a.name.localeCompare(b.name, this.i18n.getLocale()));
+
+    if (this.draft.changes.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="6" class="scenario-empty">${this.i18n.t('scenario.noChanges')}</td></tr>`;
+      return;
+    }
+
+    tbody.innerHTML = this.draft.changes.map((change, index) => `
+      <tr>
+        <td>
+          <select data-index="${index}" data-field="code" aria-label="${this.i18n.t('scenario.column.country')}">
+            <option value="">${this.i18n.t('scenario.selectCountry')}</option>
+            ${countries.map(country => `<option value="${country.code}">${country.name}</option>`).join('')}
+          </select>
+        </td>
+        <td><input data-index="${index}" data-field="usTariffRate" type="number" min="0" step="0.1" placeholder="${this.i18n.t('scenario.unchanged')}" aria-label="${this.i18n.t('scenario.column.usTariffRate')}" /></td>
+        <td><input data-index="${index}" data-field="responseRate" type="number" min="0" step="0.1" placeholder="${this.i18n.t('scenario.unchanged')}" aria-label="${this.i18n.t('scenario.column.responseRate')}" /></td>
+        <td><input data-index="${index}" data-field="responseType" type="text" aria-label="${this.i18n.t('scenario.column.responseType')}" /></td>
+        <td><input data-index="${index}" data-field="responseDetails" type="text" aria-label="${this.i18n.t('scenario.column.responseDetails')}" /></td>
+        <td><button type="button" data-action="remove-change" data-index="${index}" title="${this.i18n.t('scenario.remove')}" aria-label="${this.i18n.t('scenario.remove')}">&times;</button></td>
+      </tr>
+    `).join('');
+
+    tbody.querySelectorAll('[data-field]').forEach(input => {
+      input.value = this.draft.changes[Number(input.dataset.index)][input.dataset.field];
+    });
+  }
+
+  /**
+   * 渲染已保存情景的下拉选项
+   */
+  renderSavedOptions() {
+    const select = document.getElementById(`${this.containerId}-saved`);
+    if (!select) return;
+    const saved = this.readSaved();
+    select.innerHTML = '';
+    if (saved.length === 0) {
+      select.appendChild(new Option(this.i18n.t('scenario.saved.none'), ''));
+    }
+    saved.forEach(scenario => select.appendChild(new Option(`${scenario.name} (${scenario.effectiveDate})`, scenario.name)));
+    select.disabled = saved.length === 0;
+  }
+
+  /**
+   * 渲染当前状态：显示基准数据，或正在应用的情景
+   */
+  renderStatus() {
+    const status = document.getElementById(`${this.containerId}-status`);
+    if (!status || !this.store) return;
+    const scenario = this.store.getScenario();
+    status.classList.toggle('active', !!scenario);
+    if (!scenario) {
+      status.textContent = this.i18n.t('scenario.status.baseline');
+      return;
+    }
+    status.innerHTML = `
+      <span></span>
+      <button type="button" data-action="exit">${this.i18n.t('scenario.exit')}</button>
+    `;
+    status.querySelector('span').textContent = this.i18n.t('scenario.status.active', {
+      name: scenario.name || this.i18n.t('scenario.untitled'),
+      date: scenario.effectiveDate
+    });
+  }
+
+  /**
+   * 渲染提示信息
+   */
+  renderMessage() {
+    const element = document.getElementById(`${this.containerId}-message`);
+    if (!element) return;
+    element.className = `scenario-message ${this.message ? this.message.type : ''}`;
+    element.textContent = this.message ? this.message.text : '';
+  }
+
+  /**
+   * 渲染与基准数据的对比：当前数据日期下各国税率的变化
+   */
+  renderDiff() {
+    const element = document.getElementById(`${this.containerId}-diff`);
+    if (!element || !this.store) return;
+    const scenario = this.store.getScenario();
+    const snapshot = this.store.getSnapshot();
+    if (!scenario || !snapshot) {
+      element.innerHTML = '';
+      return;
+    }
+
+    const diff = TariffScenario.diff(this.data, this.store.getBaseData(), snapshot.asOfDate);
+    const formatRate = rate => TariffRateResolver.formatRate(rate, this.i18n);
+    const changedClass = pair => (pair.before !== pair.after ? 'changed' : '');
+    const rows = diff.rows.map(row => `
+      <tr>
+        <td>${this.i18n.field(row.country, 'name')}</td>
+        <td class="numeric">${formatRate(row.usRate.before)}</td>
+        <td class="numeric ${changedClass(row.usRate)}">${formatRate(row.usRate.after)}</td>
+        <td class="numeric">${row.counterRate.before === null ? '—' : `${row.counterRate.before}%`}</td>
+        <td class="numeric ${changedClass(row.counterRate)}">${row.counterRate.after === null ? '—' : `${row.counterRate.after}%`}</td>
+      </tr>
+    `).join('');
+    const emptyText = snapshot.asOfDate < scenario.effectiveDate
+      ? this.i18n.t('scenario.diff.beforeEffective', { date: scenario.effectiveDate })
+      : this.i18n.t('scenario.diff.none');
+
+    element.innerHTML = `
+      <h6>${this.i18n.t('scenario.diff.title', { date: snapshot.asOfDate })}</h6>
+      <table>
+        <thead>
+          <tr>
+            <th rowspan="2">${this.i18n.t('scenario.column.country')}</th>
+            <th colspan="2">${this.i18n.t('scenario.diff.usTariffRate')}</th>
+            <th colspan="2">${this.i18n.t('scenario.diff.counterRate')}</th>
+          </tr>
+          <tr>
+            <th class="numeric">${this.i18n.t('scenario.diff.baseline')}</th>
+            <th class="numeric">${this.i18n.t('scenario.diff.scenario')}</th>
+            <th class="numeric">${this.i18n.t('scenario.diff.baseline')}</th>
+            <th class="numeric">${this.i18n.t('scenario.diff.scenario')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows || `<tr><td colspan="5" class="scenario-empty">${emptyText}</td></tr>`}
+          <tr class="total">
+            <td>${this.i18n.t('scenario.diff.average')}</td>
+            <td class="numeric">${formatRate(diff.average.before)}</td>
+            <td class="numeric ${changedClass(diff.average)}">${formatRate(diff.average.after)}</td>
+            <td colspan="2"></td>
+          </tr>
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * 添加事件监听（委托到容器，重新渲染内容后无需重新绑定）
+   * @param {HTMLElement} container 容器元素
+   */
+  addEventListeners(container) {
+    const handleInput = event => {
+      if (event.target.id === `${this.containerId}-file`) {
+        const file = event.type === 'change' && event.target.files && event.target.files[0];
+        if (file) {
+          event.target.value = ''; // 允许再次选择同一文件
+          this.importFile(file);
+        }
+        return;
+      }
+      const field = event.target.dataset.field;
+      if (!field) return;
+      if (event.target.dataset.index !== undefined) {
+        this.draft.changes[Number(event.target.dataset.index)][field] = event.target.value;
+      } else {
+        this.draft[field] = event.target.value;
+      }
+    };
+    container.addEventListener('input', handleInput);
+    container.addEventListener('change', handleInput);
+
+    container.addEventListener('click', event => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      switch (button.dataset.action) {
+        case 'add-change':
+          this.draft.changes.push({ code: '', usTariffRate: '', responseRate: '', responseType: '', responseDetails: '' });
+          this.renderChanges();
+          break;
+        case 'remove-change':
+          this.draft.changes.splice(Number(button.dataset.index), 1);
+          this.renderChanges();
+          break;
+        case 'apply':
+          this.applyDraft();
+          break;
+        case 'exit':
+          this.store.setScenario(null);
+          this.showMessage('info', this.i18n.t('scenario.message.exited'));
+          break;
+        case 'save':
+          this.saveDraft();
+          break;
+        case 'load-saved':
+          this.loadSaved(document.getElementById(`${this.containerId}-saved`).value);
+          break;
+        case 'delete-saved':
+          this.deleteSaved(document.getElementById(`${this.containerId}-saved`).value);
+          break;
+        case 'export':
+          this.exportDraft();
+          break;
+        case 'import':
+          document.getElementById(`${this.containerId}-file`).click();
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * 将编辑中的情景转换为情景对象（格式见 TariffScenario）；留空的税率表示不修改
+   * @returns {Object}
+   */
+  toScenario() {
+    const toRate = value => (value === '' ? undefined : Number(value));
+    return {
+      name: this.draft.name.trim(),
+      effectiveDate: this.draft.effectiveDate,
+      changes: this.draft.changes.map(change => {
+        const result = { code: change.code };
+        const usTariffRate = toRate(change.usTariffRate);
+        if (usTariffRate !== undefined) result.usTariffRate = usTariffRate;
+        const response = {};
+        if (change.responseType.trim()) response.type = change.responseType.trim();
+        const responseRate = toRate(change.responseRate);
+        if (responseRate !== undefined) response.rate = responseRate;
+        if (change.responseDetails.trim()) response.details = change.responseDetails.trim();
+        if (Object.keys(response).length > 0) result.response = response;
+        return result;
+      })
+    };
+  }
+
+  /**
+   * 将情景对象转换为表单取值
+   * @param {Object} scenario 情景
+   */
+  setDraft(scenario) {
+    const toText = value => (value === undefined || value === null ? '' : String(value));
+    this.draft = {
+      name: scenario.name || '',
+      effectiveDate: scenario.effectiveDate,
+      changes: scenario.changes.map(change => ({
+        code: change.code,
+        usTariffRate: toText(change.usTariffRate),
+        responseRate: toText(change.response && change.response.rate),
+        responseType: toText(change.response && change.response.type),
+        responseDetails: toText(change.response && change.response.details)
+      }))
+    };
+  }
+
+  /**
+   * 校验情景，有问题时显示第一条并返回 false
+   * @param {*} scenario 情景
+   * @returns {boolean}
+   */
+  check(scenario) {
+    const errors = TariffScenario.validate(scenario, this.data);
+    if (errors.length === 0) return true;
+    const text = errors.map(error => this.i18n.t(error.key, error.params)).join(this.i18n.t('common.listSeparator'));
+    this.showMessage('error', text);
+    return false;
+  }
+
+  /**
+   * 应用编辑中的情景
+   */
+  applyDraft() {
+    const scenario = this.toScenario();
+    if (!this.check(scenario)) return;
+    this.store.setScenario(scenario);
+    this.showMessage('info', this.i18n.t('scenario.message.applied'));
+  }
+
+  /**
+   * 将编辑中的情景保存到 localStorage（同名情景会被替换）
+   */
+  saveDraft() {
+    const scenario = this.toScenario();
+    if (!scenario.name) {
+      this.showMessage('error', this.i18n.t('scenario.error.nameRequired'));
+      return;
+    }
+    if (!this.check(scenario)) return;
+    const saved = this.readSaved().filter(item => item.name !== scenario.name);
+    saved.push(scenario);
+    if (!this.writeSaved(saved)) {
+      this.showMessage('error', this.i18n.t('scenario.error.storage'));
+      return;
+    }
+    this.renderSavedOptions();
+    document.getElementById(`${this.containerId}-saved`).value = scenario.name;
+    this.showMessage('info', this.i18n.t('scenario.message.saved', { name: scenario.name }));
+  }
+
+  /**
+   * 载入并应用已保存的情景
+   * @param {string} name 情景名称
+   */
+  loadSaved(name) {
+    const scenario = this.readSaved().find(item => item.name === name);
+    if (!scenario || !this.check(scenario)) return;
+    this.setDraft(scenario);
+    this.store.setScenario(scenario);
+    this.message = { type: 'info', text: this.i18n.t('scenario.message.loaded', { name }) };
+    this.render();
+  }
+
+  /**
+   * 删除已保存的情景
+   * @param {string} name 情景名称
+   */
+  deleteSaved(name) {
+    if (!name) return;
+    if (!this.writeSaved(this.readSaved().filter(item => item.name !== name))) {
+      this.showMessage('error', this.i18n.t('scenario.error.storage'));
+      return;
+    }
+    this.renderSavedOptions();
+    this.showMessage('info', this.i18n.t('scenario.message.deleted', { name }));
+  }
+
+  /**
+   * 将编辑中的情景导出为 JSON 文件
+   */
+  exportDraft() {
+    const scenario = this.toScenario();
+    if (!this.check(scenario)) return;
+    const blob = new Blob([JSON.stringify(scenario, null, 2) + '\n'], { type: 'application/json' });
+    DataExport.download(blob, `tariff-scenario-${scenario.effectiveDate}.json`);
+  }
+
+  /**
+   * 导入 JSON 文件中的情景并应用
+   * @param {File} file 用户选择的文件
+   */
+  async importFile(file) {
+    let scenario;
+    try {
+      scenario = JSON.parse(await file.text());
+    } catch (error) {
+      this.showMessage('error', this.i18n.t('scenario.error.json'));
+      return;
+    }
+    if (!this.check(scenario)) return;
+    this.setDraft(scenario);
+    this.store.setScenario(scenario);
+    this.message = { type: 'info', text: this.i18n.t('scenario.message.imported', { name: scenario.name || this.i18n.t('scenario.untitled') }) };
+    this.render();
+  }
+
+  /**
+   * 显示提示信息
+   * @param {string} type 'info' 或 'error'
+   * @param {string} text 提示文字
+   */
+  showMessage(type, text) {
+    this.message = { type, text };
+    this.renderMessage();
+  }
+
+  /**
+   * 读取已保存的情景
+   * @returns {Array<Object>}
+   */
+  readSaved() {
+    try {
+      const saved = typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(this.storageKey) || '[]') : [];
+      return Array.isArray(saved) ? saved.filter(item => item && typeof item.name === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * 写入已保存的情景
+   * @param {Array<Object>} saved 情景数组
+   * @returns {boolean} 是否写入成功（浏览器禁用存储或空间不足时失败）
+   */
+  writeSaved(saved) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(saved));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 添加样式
+   */
+  addStyles() {
+    if (document.getElementById('scenario-editor-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'scenario-editor-styles';
+    style.textContent = `
+      .scenario-status {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 10px;
+        margin-bottom: 10px;
+        border-radius: 4px;
+        background-color: #f3f4f6;
+        color: #4b5563;
+        font-size: 13px;
+      }
+
+      .scenario-status.active {
+        background-color: #fef3c7;
+        color: #92400e;
+        font-weight: 600;
+      }
+
+      .scenario-toolbar,
+      .scenario-fields,
+      .scenario-actions {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        font-size: 13px;
+        margin-bottom: 10px;
+      }
+
+      .scenario-toolbar-separator {
+        flex: 1;
+      }
+
+      .scenario-fields label {
+        color: #4b5563;
+      }
+
+      #${this.containerId} select,
+      #${this.containerId} input {
+        padding: 3px 6px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        font-size: 13px;
+      }
+
+      #${this.containerId} button {
+        padding: 3px 10px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        background-color: white;
+        color: #374151;
+        font-size: 13px;
+      }
+
+      #${this.containerId} button:hover {
+        background-color: #f3f4f6;
+      }
+
+      #${this.containerId} button.primary {
+        border-color: #2563eb;
+        background-color: #2563eb;
+        color: white;
+      }
+
+      .scenario-changes,
+      .scenario-diff table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+      }
+
+      .scenario-changes th,
+      .scenario-diff th {
+        padding: 4px;
+        text-align: left;
+        font-size: 12px;
+        font-weight: 600;
+        color: #6b7280;
+        border-bottom: 1px solid #e5e7eb;
+      }
+
+      .scenario-changes td,
+      .scenario-diff td {
+        padding: 4px;
+        border-bottom: 1px solid #f3f4f6;
+      }
+
+      .scenario-changes input {
+        width: 100%;
+      }
+
+      .scenario-hint,
+      .scenario-empty {
+        font-size: 12px;
+        color: #6b7280;
+      }
+
+      .scenario-hint {
+        margin: 6px 0 10px;
+      }
+
+      .scenario-message {
+        font-size: 13px;
+        min-height: 1em;
+      }
+
+      .scenario-message.info {
+        color: #047857;
+      }
+
+      .scenario-message.error {
+        color: #dc2626;
+      }
+
+      .scenario-diff h6 {
+        margin: 12px 0 6px;
+        font-size: 14px;
+        font-weight: 600;
+        color: #1f2937;
+      }
+
+      .scenario-diff .numeric {
+        text-align: right;
+        white-space: nowrap;
+      }
+
+      .scenario-diff .changed {
+        color: #b45309;
+        font-weight: 600;
+      }
+
+      .scenario-diff tr.total td {
+        font-weight: 600;
+        border-top: 1px solid #d1d5db;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+// 导出组件
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioEditor;
+}
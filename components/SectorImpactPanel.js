@@ -0,0 +1,368 @@
+/**
+ * 行业影响分析面板组件
+ * 将 data/stock/impact.md（解析见 SectorImpact）渲染为标签页：每个二级标题一个标签页，列表项为卡片，
+ * 来源链接为编号脚注并列在所在标签页的末尾。标签页按钮和面板沿用 sector-tab-{id} / sector-panel-{id} 的 ID，
+ * 切换由 js/app.js 的 activateSectorTab 负责。
+ */
+class SectorImpactPanel {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.containerId 容器ID
+   * @param {string} config.dataPath 文档路径
+   * @param {Function} config.onRender 每次渲染标签页后的回调（如按地址恢复当前标签页）
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重新渲染）
+   */
+  constructor(config) {
+    this.containerId = config.containerId || 'sector-impact-panel';
+    this.dataPath = config.dataPath || 'data/stock/impact.md';
+    this.onRender = config.onRender || null;
+    this.i18n = config.i18n || new I18n();
+
+    // 各标签页的配色，未列出的标签页使用 neutral
+    this.tones = config.tones || { negative: 'negative', positive: 'positive' };
+
+    // 数据
+    this.doc = null; // SectorImpact.parse 的结果
+    this.error = false;
+
+    // 初始化
+    this.init();
+  }
+
+  /**
+   * 初始化面板
+   */
+  init() {
+    this.addStyles();
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`未找到ID为${this.containerId}的容器元素`);
+      return;
+    }
+    this.addEventListeners(container);
+    this.loadData();
+    this.i18n.subscribe(() => this.render());
+  }
+
+  /**
+   * 加载文档
+   */
+  async loadData() {
+    try {
+      this.doc = await SectorImpact.load(this.dataPath, { notePrefix: `${this.containerId}-note` });
+    } catch (error) {
+      console.error('加载行业影响分析失败:', error);
+      this.error = true;
+    }
+    this.render();
+  }
+
+  /**
+   * 渲染整个面板；第一个标签页默认显示
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    if (this.error || !this.doc || this.doc.sections.length === 0) {
+      container.innerHTML = `<p class="text-gray-400 text-sm text-center">${this.i18n.t(this.error || this.doc ? 'sector.error' : 'common.loading')}</p>`;
+      return;
+    }
+
+    const sections = this.doc.sections;
+    const intro = this.doc.intro.map(block => this.renderBlock(block, 'neutral')).join('');
+    const tabs = sections.map((section, index) => {
+      const tone = this.getTone(section.id);
+      return `
+        <button id="sector-tab-${section.id}" type="button" data-tone="${tone}"
+          class="sector-tab whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm ${index === 0 ? SectorImpactPanel.TAB_CLASSES[tone] : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}"
+          ${index === 0 ? 'aria-current="page"' : ''}>${this.getTabLabel(section)}</button>
+      `;
+    }).join('');
+    const panels = sections.map((section, index) => `
+      <div id="sector-panel-${section.id}" class="sector-panel ${index === 0 ? '' : 'hidden'}">
+        ${this.renderBlocks(section.blocks, this.getTone(section.id))}
+        ${this.renderFootnotes(section)}
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      ${intro ? `<div class="sector-intro">${intro}</div>` : ''}
+      <div class="border-b border-gray-200 mb-4 overflow-x-auto">
+        <nav class="-mb-px flex space-x-6" aria-label="${this.i18n.t('sector.tabs')}">${tabs}</nav>
+      </div>
+      ${panels}
+    `;
+    if (this.onRender) this.onRender(sections.map(section => section.id));
+  }
+
+  /**
+   * 渲染一个标签页的内容，相邻的卡片排成网格
+   * @param {Array<Object>} blocks 段落和卡片
+   * @param {string} tone 配色
+   * @returns {string} HTML
+   */
+  renderBlocks(blocks, tone) {
+    const groups = [];
+    blocks.forEach(block => {
+      const last = groups[groups.length - 1];
+      if (block.type === 'card' && last && last.type === 'cards') {
+        last.cards.push(block);
+      } else if (block.type === 'card') {
+        groups.push({ type: 'cards', cards: [block] });
+      } else {
+        groups.push(block);
+      }
+    });
+    return groups.map(group => (group.type === 'cards'
+      ? `<div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">${group.cards.map(card => this.renderBlock(card, tone)).join('')}</div>`
+      : this.renderBlock(group, tone))).join('');
+  }
+
+  /**
+   * 渲染段落或卡片；卡片正文较长时折叠，点击按钮展开
+   * @param {Object} block 段落或卡片
+   * @param {string} tone 配色
+   * @returns {string} HTML
+   */
+  renderBlock(block, tone) {
+    if (block.type !== 'card') {
+      return `<p class="sector-text">${block.html}</p>`;
+    }
+    const items = block.items.length > 0
+      ? `<ul class="sector-card-items">${block.items.map(item => `<li>${item}</li>`).join('')}</ul>`
+      : '';
+    return `
+      <div class="sector-card sector-card-${tone}">
+        ${block.title ? `<h6 class="sector-card-title"><span class="sector-card-dot"></span>${block.title}</h6>` : ''}
+        <div class="sector-card-body">
+          ${block.html ? `<p>${block.html}</p>` : ''}
+          ${items}
+        </div>
+        <button type="button" class="sector-card-toggle" data-action="toggle-card">${this.i18n.t('sector.expand')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染某一标签页引用的脚注
+   * @param {Object} section 标签页
+   * @returns {string} HTML
+   */
+  renderFootnotes(section) {
+    if (section.notes.length === 0) return '';
+    const items = section.notes
+      .slice()
+      .sort((a, b) => a - b)
+      .map(number => {
+        const footnote = this.doc.footnotes[number - 1];
+        return `
+          <li id="${this.containerId}-note-${section.id}-${number}" value="${number}">
+            <a href="${SectorImpact.escapeHtml(footnote.url)}" target="_blank" rel="noopener">${SectorImpact.escapeHtml(footnote.label)}</a>
+          </li>
+        `;
+      }).join('');
+    return `
+      <div class="sector-footnotes">
+        <h6>${this.i18n.t('sector.footnotes')}</h6>
+        <ol>${items}</ol>
+      </div>
+    `;
+  }
+
+  /**
+   * 添加事件监听（委托到容器，重新渲染内容后无需重新绑定）：展开/收起卡片
+   * @param {HTMLElement} container 容器元素
+   */
+  addEventListeners(container) {
+    container.addEventListener('click', event => {
+      const button = event.target.closest('button[data-action="toggle-card"]');
+      if (!button) return;
+      const card = button.closest('.sector-card');
+      const expanded = card.classList.toggle('expanded');
+      button.textContent = this.i18n.t(expanded ? 'sector.collapse' : 'sector.expand');
+    });
+  }
+
+  /**
+   * 获取标签页文字：默认语言（中文）使用文档中的标题，其他语言有对应的界面文字（sector.tab.{id}）时使用译文
+   * @param {Object} section 标签页
+   * @returns {string} HTML
+   */
+  getTabLabel(section) {
+    const key = `sector.tab.${section.id}`;
+    if (this.i18n.getLanguage() !== this.i18n.defaultLanguage && this.i18n.has(key)) {
+      return SectorImpact.escapeHtml(this.i18n.t(key));
+    }
+    return SectorImpact.renderInline(section.title, () => null);
+  }
+
+  /**
+   * 获取标签页配色
+   * @param {string} id 标签页 ID
+   * @returns {string} 'negative' | 'positive' | 'neutral'
+   */
+  getTone(id) {
+    return this.tones[id] || 'neutral';
+  }
+
+  /**
+   * 添加样式
+   */
+  addStyles() {
+    if (document.getElementById('sector-impact-panel-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'sector-impact-panel-styles';
+    style.textContent = `
+      .sector-intro {
+        margin-bottom: 12px;
+      }
+
+      .sector-text {
+        font-size: 12px;
+        line-height: 1.6;
+        color: #374151;
+        margin-bottom: 10px;
+      }
+
+      .sector-card {
+        display: flex;
+        flex-direction: column;
+        padding: 12px;
+        border: 1px solid #e5e7eb;
+        border-radius: 6px;
+        background-color: #f9fafb;
+      }
+
+      .sector-card-negative {
+        border-color: #fecaca;
+        background-color: #fef2f2;
+      }
+
+      .sector-card-positive {
+        border-color: #bbf7d0;
+        background-color: #f0fdf4;
+      }
+
+      .sector-card-title {
+        display: flex;
+        align-items: center;
+        margin-bottom: 6px;
+        font-size: 14px;
+        font-weight: 600;
+        color: #1f2937;
+      }
+
+      .sector-card-negative .sector-card-title {
+        color: #991b1b;
+      }
+
+      .sector-card-positive .sector-card-title {
+        color: #166534;
+      }
+
+      .sector-card-dot {
+        flex-shrink: 0;
+        width: 8px;
+        height: 8px;
+        margin-right: 8px;
+        border-radius: 9999px;
+        background-color: #3b82f6;
+      }
+
+      .sector-card-negative .sector-card-dot {
+        background-color: #ef4444;
+      }
+
+      .sector-card-positive .sector-card-dot {
+        background-color: #22c55e;
+      }
+
+      .sector-card-body {
+        max-height: 7.5em;
+        overflow: hidden;
+        font-size: 12px;
+        line-height: 1.5;
+        color: #4b5563;
+      }
+
+      .sector-card.expanded .sector-card-body {
+        max-height: none;
+      }
+
+      .sector-card-items {
+        margin-top: 4px;
+        padding-left: 16px;
+        list-style: disc;
+      }
+
+      .sector-card-items li + li {
+        margin-top: 4px;
+      }
+
+      .sector-card-toggle {
+        align-self: flex-start;
+        margin-top: 6px;
+        font-size: 12px;
+        color: #2563eb;
+      }
+
+      .sector-card-toggle:hover {
+        color: #1d4ed8;
+        text-decoration: underline;
+      }
+
+      .sector-footnote-ref a {
+        color: #2563eb;
+        text-decoration: none;
+      }
+
+      .sector-footnotes {
+        margin-top: 12px;
+        padding-top: 8px;
+        border-top: 1px solid #e5e7eb;
+        font-size: 11px;
+        color: #6b7280;
+      }
+
+      .sector-footnotes h6 {
+        margin-bottom: 4px;
+        font-weight: 600;
+      }
+
+      .sector-footnotes ol {
+        padding-left: 20px;
+        list-style: decimal;
+      }
+
+      .sector-footnotes a {
+        color: #60a5fa;
+      }
+
+      .sector-footnotes a:hover {
+        color: #2563eb;
+      }
+
+      .sector-footnotes li:target {
+        background-color: #fef3c7;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+// 标签页按钮激活时的样式，js/app.js 的 activateSectorTab 切换标签页时使用同一组样式
+SectorImpactPanel.TAB_CLASSES = {
+  negative: 'border-red-500 text-red-600',
+  positive: 'border-green-500 text-green-600',
+  neutral: 'border-blue-500 text-blue-600'
+};
+
+// 导出组件
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SectorImpactPanel;
+}
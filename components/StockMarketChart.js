@@ -0,0 +1,1494 @@
+/**
+ * 股市走势图组件
+ * 读取 data/stock/instruments.json 登记的指数及其每日行情（格式见 PriceLoader），以共同起始日（或用户选择的基准日）为基准绘制各指数的涨跌幅折线，
+ * 在图中用竖线标出区间内的关税事件（时间轴条目），并在图表下方列出事件研究表：各指数在事件前后窗口内的累计涨跌幅（见 EventStudy）。
+ * 悬停图表显示十字准线和当日各指数的收盘价与涨跌幅，点击图表换基准日；拖动图表下方的缩略图缩放时间范围；点击图例显示或隐藏指数。
+ * 选择单一指数时切换为详情视图：K线图和成交量，日内振幅（最高价 ÷ 最低价 - 1）超过阈值的交易日单独标出并列表。
+ */
+class StockMarketChart {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.containerId 容器ID
+   * @param {string} config.registryPath 指数登记表路径，未指定 instruments 时读取
+   * @param {Array<{symbol: string, name: string, path: string, format?: string, region?: string}>} config.instruments 指数及其数据文件，指定时不读取登记表
+   * @param {TariffDataStore} config.store 共享数据存储，提供时间轴事件
+   * @param {Array<{start: number, end: number}>} config.windows 事件研究的默认窗口（交易日）
+   * @param {number} config.rangeThreshold 详情视图中标出的日内振幅阈值（%）
+   * @param {number} config.height 图表高度
+   * @param {Object} config.margins 图表边距
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重新渲染）
+   * @param {Function} config.onLoad 行情加载完成后调用，参数为各指数的加载结果，供其他面板复用同一份数据
+   */
+  constructor(config) {
+    this.containerId = config.containerId || 'stock-market-card-content';
+    this.registryPath = config.registryPath || 'data/stock/instruments.json';
+    this.instruments = config.instruments || null;
+    this.store = config.store || null;
+    this.windows = config.windows || EventStudy.DEFAULT_WINDOWS;
+    this.rangeThreshold = config.rangeThreshold || StockMarketChart.DEFAULT_RANGE_THRESHOLD;
+    this.height = config.height || 250;
+    this.margins = config.margins || { top: 20, right: 100, bottom: 30, left: 50 };
+    this.i18n = config.i18n || new I18n();
+    this.onLoad = config.onLoad || null;
+    this.windowsError = false; // 最近一次输入的窗口格式无效
+
+    // 交互状态，重新渲染（如切换语言）后保留
+    this.zoomRange = null; // 缩放范围 [Date, Date]，为空时显示完整区间
+    this.rebaseKey = null; // 基准日 'YYYY-MM-DD'，为空时为共同起始日
+    this.hiddenSymbols = new Set(); // 隐藏的指数代码
+    this.detailSymbol = null; // 详情视图的指数代码，为空时为对比视图
+
+    // 数据
+    this.results = null; // 各指数的加载结果 [{ instrument, data, error }]
+    this.registryError = null; // 登记表读取失败 { key, params }
+    this.timeline = [];
+    this.series = null; // 各指数自共同起始日起的序列 [{ instrument, points, byKey }]
+    this.dates = []; // 各指数交易日的并集 [{ key, date }]，十字准线吸附到这些日期
+    this.range = null; // 完整区间 { startKey, endKey, start, end }
+    this.events = []; // 图表区间内的事件 [{ date, events }]
+    this.exportInfo = null; // 最近一次绘制的区间和各指数最后的涨跌幅，用于导出
+
+    this.colorScale = d3.scaleOrdinal(d3.schemeCategory10);
+
+    // 创建提示框
+    this.tooltip = d3.select('body').append('div')
+      .attr('class', 'tariff-tooltip')
+      .style('opacity', 0)
+      .style('position', 'absolute')
+      .style('max-width', '280px')
+      .style('background-color', 'white')
+      .style('border', '1px solid #ddd')
+      .style('border-radius', '4px')
+      .style('padding', '10px')
+      .style('box-shadow', '0 1px 3px rgba(0,0,0,0.12)')
+      .style('pointer-events', 'none')
+      .style('font-family', 'Arial, sans-serif')
+      .style('font-size', '12px');
+
+    // 初始化
+    this.init();
+  }
+
+  /**
+   * 初始化图表
+   */
+  init() {
+    this.addStyles();
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`未找到ID为${this.containerId}的容器元素`);
+      return;
+    }
+    this.addEventListeners(container);
+    this.loadData();
+    this.i18n.subscribe(() => this.render());
+  }
+
+  /**
+   * 加载指数登记表、各指数的行情和时间轴事件
+   */
+  async loadData() {
+    const container = document.getElementById(this.containerId);
+    container.innerHTML = `<p class="text-gray-400 text-sm text-center">${this.i18n.t('stock.loading')}</p>`;
+
+    const loadTimeline = async () => {
+      if (!this.store) return [];
+      try {
+        await this.store.load();
+        return this.store.getBaselineData().timeline || [];
+      } catch (error) {
+        console.error('股市走势图加载时间轴失败:', error);
+        return [];
+      }
+    };
+    const loadInstruments = async () => {
+      if (this.instruments) return this.instruments;
+      try {
+        return await PriceLoader.loadRegistry(this.registryPath);
+      } catch (error) {
+        console.error(`加载指数登记表 ${this.registryPath} 失败:`, error);
+        this.registryError = { key: 'stock.registryFailed', params: { path: this.registryPath, message: error.message } };
+        return [];
+      }
+    };
+    const [results, timeline] = await Promise.all([
+      loadInstruments().then(instruments => Promise.all(instruments.map(instrument => this.loadInstrument(instrument)))),
+      loadTimeline()
+    ]);
+    this.results = results;
+    this.timeline = timeline;
+    this.render();
+    if (this.onLoad) this.onLoad(results);
+  }
+
+  /**
+   * 加载一个指数的数据文件
+   * @param {{symbol: string, name: string, path: string, format?: string}} instrument 指数
+   * @returns {Promise<{instrument: Object, data: (Array|null), error: (Object|null)}>} error 为 { key, params }，渲染时转换为当前语言
+   */
+  async loadInstrument(instrument) {
+    try {
+      const data = await PriceLoader.load(instrument);
+      if (data.length === 0) {
+        console.error(`本地文件 ${instrument.path} 数据格式无效或为空。`);
+        return { instrument, data: null, error: { key: 'stock.invalidFile', params: { path: instrument.path } } };
+      }
+      return { instrument, data, error: null };
+    } catch (error) {
+      console.error(`加载本地文件 ${instrument.path} 失败:`, error);
+      return { instrument, data: null, error: { key: 'stock.fileFailed', params: { path: instrument.path, message: error.message } } };
+    }
+  }
+
+  /**
+   * 是否有完整的开盘价、最高价、最低价
+   * @param {Object} point 交易日
+   * @returns {boolean}
+   */
+  static hasOhlc(point) {
+    return point.open !== null && point.high !== null && point.low !== null && point.low > 0;
+  }
+
+  /**
+   * 日内振幅：最高价 ÷ 最低价 - 1，如 SPY 2025-04-09 自 493 涨至 548 为 11.3%
+   * @param {Object} point 交易日
+   * @returns {number|null} 百分比，缺少最高价或最低价时为 null
+   */
+  static intradayRange(point) {
+    return StockMarketChart.hasOhlc(point) ? (point.high / point.low - 1) * 100 : null;
+  }
+
+  /**
+   * 渲染工具栏、图表、缩略图和事件研究表；没有任何可用数据时显示错误
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container || !this.results) return;
+    this.hideTooltip();
+
+    const valid = this.results.filter(result => result.data && result.data.length > 0);
+    const failed = this.results.filter(result => result.error);
+    const errorText = result => this.i18n.t(result.error.key, result.error.params);
+
+    if (valid.length === 0) {
+      container.innerHTML = `
+        <p class="text-red-500 text-sm text-center">${this.i18n.t('stock.noData')}</p>
+        ${this.registryError ? `<p class="text-xs text-red-400 mt-1 text-center">${this.i18n.t(this.registryError.key, this.registryError.params)}</p>` : ''}
+        ${failed.length > 0 ? `<ul class="text-xs text-red-400 list-disc list-inside mt-1 text-center">${failed.map(result => `<li>${result.instrument.name}: ${errorText(result)}</li>`).join('')}</ul>` : ''}
+      `;
+      this.exportInfo = null;
+      return;
+    }
+
+    const id = this.containerId;
+    container.innerHTML = `
+      <div class="stock-toolbar">
+        <label for="${id}-view">${this.i18n.t('stock.view.label')}</label>
+        <select id="${id}-view" data-role="view">
+          <option value="">${this.i18n.t('stock.view.compare')}</option>
+          ${this.renderViewOptions(valid.map(result => result.instrument))}
+        </select>
+        <span class="stock-toolbar-group" data-mode="compare">
+          <label for="${id}-rebase">${this.i18n.t('stock.rebase.label')}</label>
+          <input id="${id}-rebase" type="date" data-role="rebase" />
+          <button type="button" data-action="reset-rebase">${this.i18n.t('stock.rebase.reset')}</button>
+        </span>
+        <span class="stock-toolbar-group" data-mode="detail">
+          <label for="${id}-threshold">${this.i18n.t('stock.detail.threshold')}</label>
+          <input id="${id}-threshold" type="number" min="0.5" max="50" step="0.5" data-role="threshold" />
+        </span>
+        <button type="button" data-action="reset-zoom">${this.i18n.t('stock.zoom.reset')}</button>
+      </div>
+      <div id="${id}-chart"></div>
+      <div id="${id}-brush" class="stock-brush"></div>
+      <p class="stock-hint">${this.i18n.t(this.detailSymbol ? 'stock.detail.chartHint' : 'stock.hint')}</p>
+      <div id="${id}-ranges" class="stock-range-list"></div>
+      ${failed.length > 0 ? `<p class="text-xs text-red-500 mt-2 text-center">${this.i18n.t('stock.partialFailure', { names: failed.map(result => result.instrument.name).join(', ') })}: ${errorText(failed[0])}</p>` : ''}
+      <div id="${id}-events" class="stock-event-study"></div>
+    `;
+    this.prepareSeries(valid);
+    if (!this.getDetailSeries()) this.detailSymbol = null;
+    this.drawChart();
+    this.drawBrush();
+    this.renderRangeFlags();
+    this.renderEventStudy(this.series);
+  }
+
+  /**
+   * 视图下拉框中的指数，登记了地区时按地区分组
+   * @param {Array<Object>} instruments 有数据的指数
+   * @returns {string} HTML
+   */
+  renderViewOptions(instruments) {
+    const option = instrument => `<option value="${instrument.symbol}">${instrument.name}</option>`;
+    const regions = [];
+    instruments.forEach(instrument => {
+      const region = this.i18n.field(instrument, 'region') || '';
+      let group = regions.find(entry => entry.region === region);
+      if (!group) {
+        group = { region, instruments: [] };
+        regions.push(group);
+      }
+      group.instruments.push(instrument);
+    });
+    return regions.map(group => (group.region
+      ? `<optgroup label="${group.region}">${group.instruments.map(option).join('')}</optgroup>`
+      : group.instruments.map(option).join(''))).join('');
+  }
+
+  /**
+   * 整理各指数自共同起始日（各指数都有数据的第一天）起的序列，计算每日涨跌幅，并取出区间内的关税事件
+   * @param {Array} results 有数据的加载结果
+   */
+  prepareSeries(results) {
+    const startKey = d3.max(results, result => result.data[0].key);
+    const endKey = d3.max(results, result => result.data[result.data.length - 1].key);
+    this.range = { startKey, endKey, start: new Date(startKey), end: new Date(endKey) };
+
+    this.series = results.map(result => {
+      // 当日涨跌幅相对上一交易日，共同起始日当天也与之前的收盘价比较
+      result.data.forEach((point, index) => {
+        const previous = result.data[index - 1];
+        point.dayChange = previous && previous.close !== 0 ? (point.close - previous.close) / previous.close * 100 : undefined;
+      });
+      const points = result.data.filter(point => point.key >= startKey);
+      return { instrument: result.instrument, points, byKey: new Map(points.map(point => [point.key, point])) };
+    });
+    this.dates = Array.from(new Set(this.series.reduce((keys, item) => keys.concat(item.points.map(point => point.key)), [])))
+      .sort()
+      .map(key => ({ key, date: new Date(key) }));
+    this.events = EventStudy.getEvents(this.timeline, startKey, endKey);
+  }
+
+  /**
+   * 当前基准日：用户选择的日期，默认为共同起始日
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  getRebaseKey() {
+    return this.rebaseKey || this.range.startKey;
+  }
+
+  /**
+   * 按基准日计算各指数的涨跌幅：基准为基准日（或之前最近一个交易日）的收盘价，基准日早于该指数的数据时使用第一个收盘价
+   */
+  applyRebase() {
+    const rebaseKey = this.getRebaseKey();
+    this.series.forEach(item => {
+      const base = item.points.filter(point => point.key <= rebaseKey).pop() || item.points[0];
+      const baseValue = base ? base.close : 0;
+      item.points.forEach(point => {
+        point.percentChange = baseValue !== 0 ? (point.close - baseValue) / baseValue * 100 : undefined;
+      });
+    });
+  }
+
+  /**
+   * 绘制涨跌幅折线、零线、基准日、事件竖线、十字准线和图例；缩放、换基准日和显示/隐藏指数后重新绘制。
+   * 详情视图时改为绘制K线图（见 drawDetailChart）
+   */
+  drawChart() {
+    const chartContainer = document.getElementById(`${this.containerId}-chart`);
+    if (!chartContainer || !this.series) return;
+    chartContainer.innerHTML = '';
+    this.hideTooltip();
+    const detail = this.getDetailSeries();
+    if (detail) {
+      this.drawDetailChart(detail);
+      return;
+    }
+    this.applyRebase();
+
+    const margin = this.margins;
+    const width = (chartContainer.clientWidth || 600) - margin.left - margin.right;
+    const height = this.height - margin.top - margin.bottom;
+    const domain = this.zoomRange || [this.range.start, this.range.end];
+    const inDomain = point => point.date >= domain[0] && point.date <= domain[1];
+    const hasValue = point => typeof point.percentChange === 'number' && !isNaN(point.percentChange);
+    const visible = this.series.filter(item => !this.hiddenSymbols.has(item.instrument.symbol));
+
+    // 纵轴只按缩放范围内、显示中的指数计算
+    const values = visible.reduce((all, item) => all.concat(item.points.filter(point => inDomain(point) && hasValue(point)).map(point => point.percentChange)), []);
+    let minPercentChange = values.length > 0 ? d3.min(values) : -5;
+    let maxPercentChange = values.length > 0 ? d3.max(values) : 5;
+    if (minPercentChange === maxPercentChange) {
+      minPercentChange -= 5;
+      maxPercentChange += 5;
+    }
+    const yPadding = Math.abs(maxPercentChange - minPercentChange) * 0.1;
+
+    const xScale = d3.scaleTime().domain(domain).range([0, width]);
+    const yScale = d3.scaleLinear().domain([minPercentChange - yPadding, maxPercentChange + yPadding]).range([height, 0]);
+
+    const svg = d3.select(chartContainer).append('svg')
+      .attr('width', width + margin.left + margin.right)
+      .attr('height', height + margin.top + margin.bottom)
+      .attr('class', 'mx-auto');
+    const clipId = `${this.containerId}-clip`;
+    svg.append('defs').append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('width', width)
+      .attr('height', height);
+    const chartGroup = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(width / 80).tickFormat(d3.timeFormat('%b %d')));
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .call(d3.axisLeft(yScale).ticks(5).tickFormat(d => `${d.toFixed(0)}%`));
+
+    chartGroup.append('line')
+      .attr('x1', 0)
+      .attr('y1', yScale(0))
+      .attr('x2', width)
+      .attr('y2', yScale(0))
+      .attr('stroke', '#cbd5e0')
+      .attr('stroke-width', 0.5)
+      .attr('stroke-dasharray', '3,3');
+
+    // 基准日：在缩放范围内时画一条竖线
+    const rebaseKey = this.getRebaseKey();
+    const rebaseDate = new Date(rebaseKey);
+    if (rebaseDate >= domain[0] && rebaseDate <= domain[1]) {
+      const rebaseMarker = chartGroup.append('g')
+        .attr('class', 'stock-rebase-marker')
+        .attr('transform', `translate(${xScale(rebaseDate)},0)`);
+      rebaseMarker.append('line')
+        .attr('y1', 0)
+        .attr('y2', height)
+        .attr('stroke', '#6b7280')
+        .attr('stroke-width', 1);
+      rebaseMarker.append('text')
+        .attr('x', 3)
+        .attr('y', height - 4)
+        .attr('font-size', 10)
+        .attr('fill', '#6b7280')
+        .text(this.i18n.t('stock.rebase.label'));
+    }
+
+    const line = d3.line()
+      .defined(hasValue)
+      .x(point => xScale(point.date))
+      .y(point => yScale(point.percentChange));
+    const lines = chartGroup.append('g')
+      .attr('class', 'stock-lines')
+      .attr('clip-path', `url(#${clipId})`);
+    this.series.forEach((item, i) => {
+      if (item.points.length > 1 && !this.hiddenSymbols.has(item.instrument.symbol)) {
+        lines.append('path')
+          .datum(item.points)
+          .attr('fill', 'none')
+          .attr('stroke', this.colorScale(i))
+          .attr('stroke-width', 1.5)
+          .attr('d', line)
+          .style('pointer-events', 'none');
+      }
+    });
+
+    // 十字准线：覆盖绘图区的透明矩形接收鼠标事件，吸附到最近的交易日；点击将该日设为基准日
+    const crosshair = chartGroup.append('g')
+      .attr('class', 'stock-crosshair')
+      .style('display', 'none')
+      .style('pointer-events', 'none');
+    crosshair.append('line')
+      .attr('y1', 0)
+      .attr('y2', height)
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 1);
+    const dots = crosshair.selectAll('circle')
+      .data(visible)
+      .join('circle')
+      .attr('r', 3)
+      .attr('fill', item => this.colorScale(this.series.indexOf(item)))
+      .attr('stroke', 'white');
+    const dates = this.dates.filter(inDomain);
+    const bisect = d3.bisector(entry => entry.date).center;
+    const nearestDate = event => {
+      if (dates.length === 0) return null;
+      return dates[bisect(dates, xScale.invert(d3.pointer(event)[0]))];
+    };
+    chartGroup.append('rect')
+      .attr('class', 'stock-overlay')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('fill', 'transparent')
+      .style('cursor', 'crosshair')
+      .on('mousemove', event => {
+        const entry = nearestDate(event);
+        if (!entry) return;
+        const x = xScale(entry.date);
+        crosshair.style('display', null)
+          .select('line')
+          .attr('x1', x)
+          .attr('x2', x);
+        dots.attr('cx', x)
+          .attr('cy', item => {
+            const point = item.byKey.get(entry.key);
+            return point && hasValue(point) ? yScale(point.percentChange) : -100;
+          });
+        this.showPointTooltip(event, entry.key, visible);
+      })
+      .on('mouseleave', () => {
+        crosshair.style('display', 'none');
+        this.hideTooltip();
+      })
+      .on('click', event => {
+        const entry = nearestDate(event);
+        if (entry) this.setRebaseDate(entry.key);
+      });
+
+    // 关税事件：缩放范围内每个日期一条竖线，悬停竖线顶端的三角形显示当日的全部事件
+    const events = this.events.filter(group => inDomain({ date: new Date(group.date) }));
+    const markers = chartGroup.append('g')
+      .attr('class', 'stock-events')
+      .selectAll('g')
+      .data(events)
+      .join('g')
+      .attr('class', 'stock-event-marker')
+      .attr('data-date', group => group.date)
+      .attr('transform', group => `translate(${xScale(new Date(group.date))},0)`);
+    markers.append('line')
+      .attr('y1', 0)
+      .attr('y2', height)
+      .attr('stroke', '#f59e0b')
+      .attr('stroke-width', 1)
+      .attr('stroke-dasharray', '4,3')
+      .style('pointer-events', 'none');
+    markers.append('path')
+      .attr('d', 'M-4,-6L4,-6L0,0Z')
+      .attr('fill', '#f59e0b');
+    markers.append('rect')
+      .attr('x', -5)
+      .attr('y', -8)
+      .attr('width', 10)
+      .attr('height', 8)
+      .attr('fill', 'transparent')
+      .style('cursor', 'pointer')
+      .on('mouseover', (event, group) => this.showEventTooltip(event, group))
+      .on('mousemove', event => this.moveTooltip(event))
+      .on('mouseout', () => this.hideTooltip());
+
+    // 图例：点击显示或隐藏指数
+    const toggle = item => this.toggleSeries(item.instrument.symbol);
+    const legend = chartGroup.append('g')
+      .attr('class', 'stock-legend')
+      .attr('font-family', 'sans-serif')
+      .attr('font-size', 10)
+      .attr('text-anchor', 'start')
+      .selectAll('g')
+      .data(this.series)
+      .join('g')
+      .attr('class', item => `stock-legend-item${this.hiddenSymbols.has(item.instrument.symbol) ? ' hidden-series' : ''}`)
+      .attr('data-symbol', item => item.instrument.symbol)
+      .attr('transform', (d, i) => `translate(0,${i * 18})`)
+      .attr('role', 'button')
+      .attr('tabindex', 0)
+      .attr('aria-pressed', item => String(!this.hiddenSymbols.has(item.instrument.symbol)))
+      .attr('aria-label', item => this.i18n.t('stock.legend.toggle', { name: item.instrument.name }))
+      .on('click', (event, item) => toggle(item))
+      .on('keydown', (event, item) => {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+        toggle(item);
+      });
+    legend.append('rect')
+      .attr('x', width + 10)
+      .attr('width', 12)
+      .attr('height', 12)
+      .attr('fill', (d, i) => this.colorScale(i));
+    legend.append('text')
+      .attr('x', width + 28)
+      .attr('y', 6)
+      .attr('dy', '0.35em')
+      .text(d => d.instrument.name)
+      .attr('fill', '#4a5568');
+
+    if (events.length > 0) {
+      const eventLegend = chartGroup.append('g')
+        .attr('class', 'stock-event-legend')
+        .attr('font-family', 'sans-serif')
+        .attr('font-size', 10)
+        .attr('transform', `translate(0,${this.series.length * 18 + 4})`);
+      eventLegend.append('line')
+        .attr('x1', width + 16)
+        .attr('x2', width + 16)
+        .attr('y1', 0)
+        .attr('y2', 12)
+        .attr('stroke', '#f59e0b')
+        .attr('stroke-dasharray', '4,3');
+      eventLegend.append('text')
+        .attr('x', width + 28)
+        .attr('y', 6)
+        .attr('dy', '0.35em')
+        .attr('fill', '#4a5568')
+        .text(this.i18n.t('stock.events.legend'));
+    }
+
+    // 记录导出所需的信息：缩放范围、基准日和各指数在范围内最后一个有效点的涨跌幅（隐藏的指数为 null）
+    this.exportInfo = {
+      svgNode: svg.node(),
+      series: this.series.map(item => {
+        const last = this.hiddenSymbols.has(item.instrument.symbol) ? null : item.points.filter(point => inDomain(point) && hasValue(point)).pop();
+        return { name: item.instrument.name, change: last ? last.percentChange : null };
+      }),
+      startDate: dates.length > 0 ? dates[0].key : this.range.startKey,
+      endDate: dates.length > 0 ? dates[dates.length - 1].key : this.range.endKey,
+      rebaseDate: rebaseKey
+    };
+    this.updateToolbar();
+  }
+
+  /**
+   * 绘制图表下方的缩略图：完整区间内各指数的走势，拖动选择范围即缩放主图，单击空白处取消缩放
+   */
+  drawBrush() {
+    const brushContainer = document.getElementById(`${this.containerId}-brush`);
+    if (!brushContainer || !this.series) return;
+    brushContainer.innerHTML = '';
+
+    const margin = this.margins;
+    const width = (brushContainer.clientWidth || 600) - margin.left - margin.right;
+    const height = StockMarketChart.BRUSH_HEIGHT;
+    const xScale = d3.scaleTime().domain([this.range.start, this.range.end]).range([0, width]);
+
+    const svg = d3.select(brushContainer).append('svg')
+      .attr('width', width + margin.left + margin.right)
+      .attr('height', height + 20)
+      .attr('class', 'mx-auto')
+      .attr('aria-label', this.i18n.t('stock.zoom.label'));
+    const group = svg.append('g')
+      .attr('transform', `translate(${margin.left},2)`);
+    group.append('g')
+      .attr('class', 'text-xs text-gray-400')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(width / 80).tickSize(3).tickFormat(d3.timeFormat('%b %d')));
+
+    // 缩略图中各指数按自身的最低价和最高价缩放，只显示走势形状；详情视图只显示该指数
+    const detail = this.getDetailSeries();
+    this.series.forEach((item, i) => {
+      if (item.points.length < 2 || (detail && item !== detail)) return;
+      const yScale = d3.scaleLinear().domain(d3.extent(item.points, point => point.close)).range([height - 2, 2]);
+      group.append('path')
+        .datum(item.points)
+        .attr('fill', 'none')
+        .attr('stroke', this.colorScale(i))
+        .attr('stroke-width', 1)
+        .attr('stroke-opacity', 0.6)
+        .attr('d', d3.line().x(point => xScale(point.date)).y(point => yScale(point.close)));
+    });
+
+    const brush = d3.brushX()
+      .extent([[0, 0], [width, height]])
+      .on('brush end', event => {
+        // 只响应用户操作，程序设置选择范围（恢复缩放、重置）时忽略
+        if (!event.sourceEvent) return;
+        this.zoomRange = event.selection ? event.selection.map(xScale.invert) : null;
+        this.drawChart();
+      });
+    this.brushGroup = group.append('g')
+      .attr('class', 'stock-brush-selection')
+      .call(brush);
+    this.brush = brush;
+    if (this.zoomRange) this.brushGroup.call(brush.move, this.zoomRange.map(xScale));
+  }
+
+  /**
+   * 同步工具栏：视图、基准日、振幅阈值和重置缩放按钮；只显示当前视图适用的控件
+   */
+  updateToolbar() {
+    const container = document.getElementById(this.containerId);
+    if (!container || !this.range) return;
+    const mode = this.detailSymbol ? 'detail' : 'compare';
+    container.querySelectorAll('.stock-toolbar-group').forEach(group => {
+      group.classList.toggle('hidden', group.dataset.mode !== mode);
+    });
+    const view = container.querySelector('select[data-role="view"]');
+    if (view) view.value = this.detailSymbol || '';
+    const threshold = container.querySelector('input[data-role="threshold"]');
+    if (threshold) threshold.value = this.rangeThreshold;
+    const input = container.querySelector('input[data-role="rebase"]');
+    if (input) {
+      input.min = this.range.startKey;
+      input.max = this.range.endKey;
+      input.value = this.getRebaseKey();
+    }
+    const resetZoom = container.querySelector('button[data-action="reset-zoom"]');
+    if (resetZoom) resetZoom.disabled = !this.zoomRange;
+    const resetRebase = container.querySelector('button[data-action="reset-rebase"]');
+    if (resetRebase) resetRebase.disabled = !this.rebaseKey;
+  }
+
+  /**
+   * 设置基准日，各指数的涨跌幅改为相对该日收盘价计算
+   * @param {string|null} dateKey 'YYYY-MM-DD'，为空时恢复为共同起始日；超出数据区间时忽略
+   * @returns {boolean} 是否有效
+   */
+  setRebaseDate(dateKey) {
+    if (!dateKey) {
+      this.rebaseKey = null;
+    } else if (TariffDate.isDateKey(dateKey) && this.range && dateKey >= this.range.startKey && dateKey <= this.range.endKey) {
+      this.rebaseKey = dateKey === this.range.startKey ? null : dateKey;
+    } else {
+      this.updateToolbar();
+      return false;
+    }
+    this.drawChart();
+    return true;
+  }
+
+  /**
+   * 缩放到日期范围
+   * @param {Array<string>|null} range ['YYYY-MM-DD', 'YYYY-MM-DD']，为空时显示完整区间
+   */
+  setZoom(range) {
+    this.zoomRange = range ? range.map(key => new Date(key)).sort((a, b) => a - b) : null;
+    this.drawChart();
+    this.drawBrush();
+  }
+
+  /**
+   * 切换视图
+   * @param {string|null} symbol 详情视图的指数代码，为空时为对比视图
+   */
+  setView(symbol) {
+    this.detailSymbol = symbol || null;
+    this.render();
+  }
+
+  /**
+   * 设置详情视图中标出的日内振幅阈值
+   * @param {number|string} value 阈值（%），须大于0
+   * @returns {boolean} 是否有效
+   */
+  setRangeThreshold(value) {
+    const threshold = parseFloat(value);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      this.updateToolbar();
+      return false;
+    }
+    this.rangeThreshold = threshold;
+    this.drawChart();
+    this.renderRangeFlags();
+    return true;
+  }
+
+  /**
+   * 显示或隐藏某一指数
+   * @param {string} symbol 指数代码
+   * @param {boolean} [visible] 是否显示，省略时切换
+   */
+  toggleSeries(symbol, visible) {
+    const show = visible === undefined ? this.hiddenSymbols.has(symbol) : visible;
+    if (show) {
+      this.hiddenSymbols.delete(symbol);
+    } else {
+      this.hiddenSymbols.add(symbol);
+    }
+    this.drawChart();
+  }
+
+  /**
+   * 当前详情视图的指数
+   * @returns {Object|null} 序列，对比视图时为 null
+   */
+  getDetailSeries() {
+    if (!this.detailSymbol || !this.series) return null;
+    return this.series.find(item => item.instrument.symbol === this.detailSymbol) || null;
+  }
+
+  /**
+   * 绘制单一指数的K线图和成交量：K线图下方为成交量柱，日内振幅超过阈值的交易日以浅色背景和振幅标出
+   * @param {Object} item 指数序列
+   */
+  drawDetailChart(item) {
+    const chartContainer = document.getElementById(`${this.containerId}-chart`);
+    const margin = this.margins;
+    const width = (chartContainer.clientWidth || 600) - margin.left - margin.right;
+    const priceHeight = this.height - margin.top - margin.bottom;
+    const volumeHeight = StockMarketChart.VOLUME_HEIGHT;
+    const volumeTop = priceHeight + 24;
+    const domain = this.zoomRange || [this.range.start, this.range.end];
+    const points = item.points.filter(point => point.date >= domain[0] && point.date <= domain[1]);
+    const candles = points.filter(StockMarketChart.hasOhlc);
+
+    if (candles.length === 0) {
+      chartContainer.innerHTML = `<p class="text-gray-400 text-sm text-center py-8">${this.i18n.t('stock.detail.noOhlc', { name: item.instrument.name })}</p>`;
+      this.exportInfo = null;
+      this.updateToolbar();
+      return;
+    }
+
+    const xScale = d3.scaleTime().domain(domain).range([0, width]);
+    const low = d3.min(candles, point => point.low);
+    const high = d3.max(candles, point => point.high);
+    const yPadding = (high - low) * 0.08 || high * 0.05;
+    const yScale = d3.scaleLinear().domain([low - yPadding, high + yPadding]).range([priceHeight, 0]);
+    const volumeScale = d3.scaleLinear()
+      .domain([0, d3.max(points, point => point.volume) || 1])
+      .range([volumeHeight, 0]);
+    const step = width / Math.max(1, d3.timeDay.count(domain[0], domain[1]));
+    const candleWidth = Math.max(1, Math.min(10, step * 0.7));
+    const threshold = this.rangeThreshold;
+    const flagged = candles.filter(point => StockMarketChart.intradayRange(point) >= threshold);
+    const up = point => point.close >= point.open;
+
+    const svg = d3.select(chartContainer).append('svg')
+      .attr('width', width + margin.left + margin.right)
+      .attr('height', margin.top + volumeTop + volumeHeight + margin.bottom)
+      .attr('class', 'mx-auto');
+    const clipId = `${this.containerId}-clip`;
+    svg.append('defs').append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('x', -candleWidth)
+      .attr('width', width + candleWidth * 2)
+      .attr('height', volumeTop + volumeHeight);
+    const chartGroup = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .attr('transform', `translate(0,${volumeTop + volumeHeight})`)
+      .call(d3.axisBottom(xScale).ticks(width / 80).tickFormat(d3.timeFormat('%b %d')));
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .call(d3.axisLeft(yScale).ticks(5).tickFormat(d3.format(',.0f')));
+    chartGroup.append('g')
+      .attr('class', 'text-xs text-gray-500')
+      .attr('transform', `translate(0,${volumeTop})`)
+      .call(d3.axisLeft(volumeScale).ticks(2).tickFormat(d3.format('.2s')));
+
+    const plot = chartGroup.append('g')
+      .attr('class', 'stock-candles')
+      .attr('clip-path', `url(#${clipId})`);
+
+    // 振幅超过阈值的交易日：贯穿K线图和成交量的浅色背景，最高价上方标注振幅
+    const bands = plot.append('g')
+      .attr('class', 'stock-range-flags')
+      .selectAll('g')
+      .data(flagged)
+      .join('g')
+      .attr('class', 'stock-range-flag')
+      .attr('data-date', point => point.key);
+    bands.append('rect')
+      .attr('x', point => xScale(point.date) - candleWidth)
+      .attr('width', candleWidth * 2)
+      .attr('height', volumeTop + volumeHeight)
+      .attr('fill', '#fde68a')
+      .attr('fill-opacity', 0.5);
+    bands.append('text')
+      .attr('x', point => xScale(point.date))
+      .attr('y', point => Math.max(10, yScale(point.high) - 4))
+      .attr('text-anchor', 'middle')
+      .attr('font-size', 9)
+      .attr('fill', '#b45309')
+      .text(point => `${StockMarketChart.intradayRange(point).toFixed(1)}%`);
+
+    const candle = plot.append('g')
+      .selectAll('g')
+      .data(candles)
+      .join('g')
+      .attr('class', 'stock-candle')
+      .attr('data-date', point => point.key)
+      .attr('transform', point => `translate(${xScale(point.date)},0)`)
+      .attr('stroke', point => (up(point) ? '#059669' : '#dc2626'))
+      .attr('fill', point => (up(point) ? '#059669' : '#dc2626'));
+    candle.append('line')
+      .attr('y1', point => yScale(point.high))
+      .attr('y2', point => yScale(point.low));
+    candle.append('rect')
+      .attr('x', -candleWidth / 2)
+      .attr('width', candleWidth)
+      .attr('y', point => yScale(Math.max(point.open, point.close)))
+      .attr('height', point => Math.max(1, Math.abs(yScale(point.open) - yScale(point.close))));
+
+    plot.append('g')
+      .attr('class', 'stock-volume')
+      .attr('transform', `translate(0,${volumeTop})`)
+      .selectAll('rect')
+      .data(points.filter(point => point.volume !== null))
+      .join('rect')
+      .attr('x', point => xScale(point.date) - candleWidth / 2)
+      .attr('width', candleWidth)
+      .attr('y', point => volumeScale(point.volume))
+      .attr('height', point => volumeHeight - volumeScale(point.volume))
+      .attr('fill', point => (StockMarketChart.hasOhlc(point) && !up(point) ? '#fca5a5' : '#6ee7b7'));
+
+    // 关税事件竖线
+    const events = this.events.filter(group => {
+      const date = new Date(group.date);
+      return date >= domain[0] && date <= domain[1];
+    });
+    const markers = chartGroup.append('g')
+      .attr('class', 'stock-events')
+      .selectAll('g')
+      .data(events)
+      .join('g')
+      .attr('class', 'stock-event-marker')
+      .attr('data-date', group => group.date)
+      .attr('transform', group => `translate(${xScale(new Date(group.date))},0)`);
+    markers.append('line')
+      .attr('y1', 0)
+      .attr('y2', volumeTop + volumeHeight)
+      .attr('stroke', '#f59e0b')
+      .attr('stroke-width', 1)
+      .attr('stroke-dasharray', '4,3')
+      .style('pointer-events', 'none');
+
+    // 十字准线：吸附到最近的交易日，提示框显示开盘、最高、最低、收盘、成交量和振幅
+    const crosshair = chartGroup.append('g')
+      .attr('class', 'stock-crosshair')
+      .style('display', 'none')
+      .style('pointer-events', 'none');
+    crosshair.append('line')
+      .attr('y1', 0)
+      .attr('y2', volumeTop + volumeHeight)
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 1);
+    const bisect = d3.bisector(point => point.date).center;
+    chartGroup.append('rect')
+      .attr('class', 'stock-overlay')
+      .attr('width', width)
+      .attr('height', volumeTop + volumeHeight)
+      .attr('fill', 'transparent')
+      .style('cursor', 'crosshair')
+      .on('mousemove', event => {
+        const point = points[bisect(points, xScale.invert(d3.pointer(event)[0]))];
+        if (!point) return;
+        crosshair.style('display', null)
+          .select('line')
+          .attr('x1', xScale(point.date))
+          .attr('x2', xScale(point.date));
+        this.showCandleTooltip(event, item, point);
+      })
+      .on('mouseleave', () => {
+        crosshair.style('display', 'none');
+        this.hideTooltip();
+      });
+
+    chartGroup.append('text')
+      .attr('class', 'stock-detail-label')
+      .attr('x', width + 10)
+      .attr('y', 6)
+      .attr('dy', '0.35em')
+      .attr('font-size', 10)
+      .attr('fill', '#4a5568')
+      .text(item.instrument.name);
+    chartGroup.append('text')
+      .attr('x', width + 10)
+      .attr('y', volumeTop + 6)
+      .attr('dy', '0.35em')
+      .attr('font-size', 10)
+      .attr('fill', '#6b7280')
+      .text(this.i18n.t('stock.detail.volume'));
+
+    this.exportInfo = {
+      svgNode: svg.node(),
+      series: [],
+      startDate: points.length > 0 ? points[0].key : this.range.startKey,
+      endDate: points.length > 0 ? points[points.length - 1].key : this.range.endKey,
+      rebaseDate: this.getRebaseKey(),
+      detail: { symbol: item.instrument.symbol, name: item.instrument.name, flagged: flagged.length }
+    };
+    this.updateToolbar();
+  }
+
+  /**
+   * 渲染详情视图中日内振幅超过阈值的交易日列表（完整区间，与缩放无关）
+   */
+  renderRangeFlags() {
+    const wrapper = document.getElementById(`${this.containerId}-ranges`);
+    if (!wrapper) return;
+    const item = this.getDetailSeries();
+    if (!item) {
+      wrapper.innerHTML = '';
+      return;
+    }
+
+    const threshold = this.rangeThreshold;
+    const flagged = item.points.filter(point => StockMarketChart.hasOhlc(point) && StockMarketChart.intradayRange(point) >= threshold);
+    const locale = this.i18n.getLocale();
+    const price = value => value.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const percent = value => (typeof value === 'number' && !isNaN(value)
+      ? `<span class="${value < 0 ? 'negative' : 'positive'}">${value > 0 ? '+' : ''}${value.toFixed(1)}%</span>`
+      : '—');
+    const eventText = key => {
+      const group = this.events.find(entry => entry.date === key);
+      return group ? group.events.map(event => this.i18n.field(event, 'title')).join(this.i18n.t('common.listSeparator')) : '';
+    };
+    const rows = flagged.map(point => `
+      <tr data-date="${point.key}">
+        <td class="date">${point.key}</td>
+        <td class="numeric">${price(point.low)} → ${price(point.high)}</td>
+        <td class="numeric">${StockMarketChart.intradayRange(point).toFixed(1)}%</td>
+        <td class="numeric">${percent(point.dayChange)}</td>
+        <td class="event">${eventText(point.key)}</td>
+      </tr>
+    `).join('');
+
+    wrapper.innerHTML = `
+      <h6>${this.i18n.t('stock.detail.flagged', { name: item.instrument.name, threshold })}</h6>
+      ${flagged.length > 0
+        ? `
+          <div class="stock-event-table-wrapper">
+            <table class="stock-event-table">
+              <thead>
+                <tr>
+                  <th>${this.i18n.t('stock.eventStudy.column.date')}</th>
+                  <th class="numeric">${this.i18n.t('stock.detail.column.range')}</th>
+                  <th class="numeric">${this.i18n.t('stock.detail.column.rangePercent')}</th>
+                  <th class="numeric">${this.i18n.t('stock.detail.column.change')}</th>
+                  <th>${this.i18n.t('stock.eventStudy.column.event')}</th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        `
+        : `<p class="stock-event-empty">${this.i18n.t('stock.detail.noneFlagged')}</p>`}
+      <p class="stock-event-hint">${this.i18n.t('stock.detail.hint')}</p>
+    `;
+  }
+
+  /**
+   * 渲染事件研究表：每个事件日期一行，每个窗口下列出各指数的累计涨跌幅，末行为平均
+   * @param {Array<{instrument: Object, points: Array}>} series prepareSeries 整理的各指数序列
+   */
+  renderEventStudy(series) {
+    const wrapper = document.getElementById(`${this.containerId}-events`);
+    if (!wrapper) return;
+    const id = this.containerId;
+    const windowsText = this.windows.map(EventStudy.formatWindow).join(', ');
+    // 使用完整序列计算，事件前的窗口可以早于共同起始日
+    const instruments = series.map(item => {
+      const result = this.results.find(entry => entry.instrument === item.instrument);
+      return { name: item.instrument.name, series: result.data };
+    });
+    const study = EventStudy.compute(instruments, this.events, this.windows);
+
+    const cell = value => (value === null
+      ? '<td class="numeric">—</td>'
+      : `<td class="numeric ${value < 0 ? 'negative' : 'positive'}">${value > 0 ? '+' : ''}${value.toFixed(1)}%</td>`);
+    const eventText = group => group.events.map(event => this.i18n.field(event, 'title')).join(this.i18n.t('common.listSeparator'));
+    const body = study.rows.map(row => `
+      <tr data-date="${row.date}">
+        <td class="date">${row.date}</td>
+        <td class="event">${eventText(row)}</td>
+        ${row.returns.map(values => values.map(cell).join('')).join('')}
+      </tr>
+    `).join('');
+    const table = study.rows.length > 0
+      ? `
+        <div class="stock-event-table-wrapper">
+          <table class="stock-event-table">
+            <thead>
+              <tr>
+                <th rowspan="2">${this.i18n.t('stock.eventStudy.column.date')}</th>
+                <th rowspan="2">${this.i18n.t('stock.eventStudy.column.event')}</th>
+                ${this.windows.map(window => `<th colspan="${instruments.length}" class="window">${this.i18n.t('stock.eventStudy.window', { window: EventStudy.formatWindow(window) })}</th>`).join('')}
+              </tr>
+              <tr>
+                ${this.windows.map(() => series.map(item => `<th class="numeric" title="${item.instrument.name}">${item.instrument.symbol}</th>`).join('')).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${body}
+              <tr class="average">
+                <td colspan="2">${this.i18n.t('stock.eventStudy.average', { count: study.rows.length })}</td>
+                ${study.average.map(values => values.map(cell).join('')).join('')}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      `
+      : `<p class="stock-event-empty">${this.i18n.t('stock.eventStudy.empty')}</p>`;
+
+    wrapper.innerHTML = `
+      <div class="stock-event-header">
+        <h6>${this.i18n.t('stock.eventStudy.title')}</h6>
+        <form class="stock-event-windows" data-role="windows">
+          <label for="${id}-windows">${this.i18n.t('stock.eventStudy.windows')}</label>
+          <input id="${id}-windows" type="text" value="${windowsText}" />
+          <button type="submit">${this.i18n.t('stock.eventStudy.apply')}</button>
+        </form>
+      </div>
+      ${this.windowsError ? `<p class="stock-event-error" role="alert">${this.i18n.t('stock.eventStudy.invalid', { max: EventStudy.MAX_OFFSET })}</p>` : ''}
+      ${table}
+      <p class="stock-event-hint">${this.i18n.t('stock.eventStudy.hint')}</p>
+    `;
+  }
+
+  /**
+   * 添加事件监听（委托到容器）：视图、基准日、振幅阈值、重置按钮、提交窗口、悬停表格行时突出对应的事件竖线和振幅标记
+   * @param {HTMLElement} container 容器元素
+   */
+  addEventListeners(container) {
+    container.addEventListener('change', event => {
+      const role = event.target.dataset.role;
+      if (role === 'rebase') this.setRebaseDate(event.target.value);
+      if (role === 'view') this.setView(event.target.value);
+      if (role === 'threshold') this.setRangeThreshold(event.target.value);
+    });
+    container.addEventListener('click', event => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      if (button.dataset.action === 'reset-rebase') this.setRebaseDate(null);
+      if (button.dataset.action === 'reset-zoom') this.setZoom(null);
+    });
+
+    container.addEventListener('submit', event => {
+      if (event.target.dataset.role !== 'windows') return;
+      event.preventDefault();
+      const input = event.target.querySelector('input');
+      this.setWindows(input ? input.value : '');
+    });
+
+    const highlightMarker = date => {
+      container.querySelectorAll('.stock-event-marker, .stock-range-flag').forEach(marker => {
+        marker.classList.toggle('active', marker.getAttribute('data-date') === date);
+      });
+    };
+    container.addEventListener('mouseover', event => {
+      const row = event.target.closest('.stock-event-table tr[data-date]');
+      highlightMarker(row ? row.dataset.date : null);
+    });
+    container.addEventListener('mouseleave', () => highlightMarker(null));
+  }
+
+  /**
+   * 设置事件研究的窗口；格式无效时保留原窗口并显示提示
+   * @param {string|Array<{start: number, end: number}>} windows 窗口文字（如 '-1/+1, 0/+5'）或窗口数组
+   * @returns {boolean} 是否有效
+   */
+  setWindows(windows) {
+    const parsed = typeof windows === 'string' ? EventStudy.parseWindows(windows) : windows;
+    this.windowsError = !parsed;
+    if (parsed) this.windows = parsed;
+    this.render();
+    return !!parsed;
+  }
+
+  /**
+   * 显示某一日期的事件
+   * @param {Event} event 鼠标事件
+   * @param {{date: string, events: Array}} group 同一日期的事件
+   */
+  showEventTooltip(event, group) {
+    const items = group.events.map(item => `
+      <div style="margin-top: 4px;">
+        <div style="font-weight: bold;">${this.i18n.field(item, 'title')}</div>
+        <div style="color: #4b5563;">${this.i18n.field(item, 'description') || ''}</div>
+      </div>
+    `).join('');
+    this.tooltip.html(`<div style="color: #6b7280;">${group.date}</div>${items}`);
+    this.tooltip.transition()
+      .duration(100)
+      .style('opacity', 0.95);
+    this.moveTooltip(event);
+  }
+
+  /**
+   * 显示十字准线所在交易日各指数的收盘价、当日涨跌幅和相对基准日的涨跌幅，以及当日的关税事件
+   * @param {Event} event 鼠标事件
+   * @param {string} dateKey 交易日 'YYYY-MM-DD'
+   * @param {Array} series 显示中的指数
+   */
+  showPointTooltip(event, dateKey, series) {
+    const percent = value => (typeof value === 'number' && !isNaN(value)
+      ? `<span style="color: ${value < 0 ? '#dc2626' : '#059669'};">${value > 0 ? '+' : ''}${value.toFixed(2)}%</span>`
+      : '—');
+    const locale = this.i18n.getLocale();
+    const rows = series.map(item => {
+      const point = item.byKey.get(dateKey);
+      const color = this.colorScale(this.series.indexOf(item));
+      return `
+        <tr>
+          <td style="padding-right: 8px; white-space: nowrap;"><span style="display: inline-block; width: 8px; height: 8px; margin-right: 4px; background-color: ${color};"></span>${item.instrument.symbol}</td>
+          <td style="padding-right: 8px; text-align: right;">${point ? point.close.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '—'}</td>
+          <td style="padding-right: 8px; text-align: right;">${point ? percent(point.dayChange) : '—'}</td>
+          <td style="text-align: right;">${point ? percent(point.percentChange) : '—'}</td>
+        </tr>
+      `;
+    }).join('');
+    const group = this.events.find(entry => entry.date === dateKey);
+    const events = group
+      ? `<div style="margin-top: 6px; color: #b45309;">${group.events.map(item => this.i18n.field(item, 'title')).join('<br>')}</div>`
+      : '';
+    this.tooltip.html(`
+      <div style="font-weight: bold; margin-bottom: 4px;">${dateKey}</div>
+      <table style="border-collapse: collapse;">
+        <thead>
+          <tr style="color: #6b7280;">
+            <th style="padding-right: 8px; text-align: left; font-weight: normal;">${this.i18n.t('stock.tooltip.index')}</th>
+            <th style="padding-right: 8px; text-align: right; font-weight: normal;">${this.i18n.t('stock.tooltip.close')}</th>
+            <th style="padding-right: 8px; text-align: right; font-weight: normal;">${this.i18n.t('stock.tooltip.day')}</th>
+            <th style="text-align: right; font-weight: normal;">${this.i18n.t('stock.tooltip.sinceBase', { date: this.getRebaseKey() })}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${events}
+    `);
+    this.tooltip.interrupt().style('opacity', 0.95);
+    this.moveTooltip(event);
+  }
+
+  /**
+   * 显示详情视图中某一交易日的开盘价、最高价、最低价、收盘价、成交量、日内振幅和当日涨跌幅
+   * @param {Event} event 鼠标事件
+   * @param {Object} item 指数序列
+   * @param {Object} point 交易日
+   */
+  showCandleTooltip(event, item, point) {
+    const locale = this.i18n.getLocale();
+    const price = value => (value !== null ? value.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '—');
+    const range = StockMarketChart.intradayRange(point);
+    const flagged = range !== null && range >= this.rangeThreshold;
+    const change = typeof point.dayChange === 'number' && !isNaN(point.dayChange)
+      ? `<span style="color: ${point.dayChange < 0 ? '#dc2626' : '#059669'};">${point.dayChange > 0 ? '+' : ''}${point.dayChange.toFixed(2)}%</span>`
+      : '—';
+    const row = (label, value) => `<tr><td style="padding-right: 12px; color: #6b7280;">${label}</td><td style="text-align: right;">${value}</td></tr>`;
+    const group = this.events.find(entry => entry.date === point.key);
+    const events = group
+      ? `<div style="margin-top: 6px; color: #b45309;">${group.events.map(entry => this.i18n.field(entry, 'title')).join('<br>')}</div>`
+      : '';
+    this.tooltip.html(`
+      <div style="font-weight: bold; margin-bottom: 4px;">${item.instrument.symbol} · ${point.key}</div>
+      <table style="border-collapse: collapse;">
+        ${row(this.i18n.t('stock.detail.open'), price(point.open))}
+        ${row(this.i18n.t('stock.detail.high'), price(point.high))}
+        ${row(this.i18n.t('stock.detail.low'), price(point.low))}
+        ${row(this.i18n.t('stock.tooltip.close'), price(point.close))}
+        ${row(this.i18n.t('stock.tooltip.day'), change)}
+        ${row(this.i18n.t('stock.detail.range'), range !== null ? `<span style="${flagged ? 'color: #b45309; font-weight: bold;' : ''}">${range.toFixed(1)}%</span>` : '—')}
+        ${row(this.i18n.t('stock.detail.volume'), point.volume !== null ? point.volume.toLocaleString(locale) : '—')}
+      </table>
+      ${events}
+    `);
+    this.tooltip.interrupt().style('opacity', 0.95);
+    this.moveTooltip(event);
+  }
+
+  /**
+   * 提示框跟随鼠标；靠近窗口右侧时显示在鼠标左侧
+   * @param {Event} event 鼠标事件
+   */
+  moveTooltip(event) {
+    const node = this.tooltip.node();
+    const left = event.pageX + 10 + node.offsetWidth > window.scrollX + window.innerWidth
+      ? event.pageX - node.offsetWidth - 10
+      : event.pageX + 10;
+    this.tooltip
+      .style('left', left + 'px')
+      .style('top', (event.pageY - 20) + 'px');
+  }
+
+  /**
+   * 隐藏提示框
+   */
+  hideTooltip() {
+    this.tooltip.interrupt().style('opacity', 0);
+  }
+
+  /**
+   * 导出为 SVG 或 PNG（当前视图、缩放范围、基准日和显示中的指数），对比视图的图例中补充各指数在范围内的涨跌幅
+   * @param {string} format 'svg' 或 'png'
+   * @param {Object} [options] 选项
+   * @param {number} [options.scale] PNG 分辨率倍率
+   * @returns {Promise<void>}
+   */
+  async exportImage(format, options = {}) {
+    if (!this.exportInfo || !this.exportInfo.svgNode.isConnected) return;
+    const { svgNode, series, startDate, endDate, rebaseDate, detail } = this.exportInfo;
+    const exportOptions = {
+      title: this.i18n.t('stock.title'),
+      subtitle: detail
+        ? this.i18n.t('export.stock.detail', { name: detail.name, start: startDate, end: endDate, threshold: this.rangeThreshold })
+        : this.i18n.t('export.stock.range', { start: startDate, end: endDate, base: rebaseDate }),
+      source: this.i18n.t('export.source.stock'),
+      decorate: chart => {
+        chart.querySelectorAll('.stock-crosshair, .stock-overlay').forEach(element => element.remove());
+        chart.querySelectorAll('.stock-legend text').forEach((label, index) => {
+          const change = series[index] && series[index].change;
+          if (typeof change !== 'number') return;
+          ChartExport.appendElement(label, 'tspan', { 'font-weight': 'bold' }, ` ${change > 0 ? '+' : ''}${change.toFixed(1)}%`);
+        });
+      }
+    };
+    const filename = detail ? `stock-market-${detail.symbol}-${endDate}.${format}` : `stock-market-${endDate}.${format}`;
+
+    if (format === 'png') {
+      await ChartExport.downloadPng(svgNode, exportOptions, filename, options.scale);
+    } else {
+      ChartExport.downloadSvg(svgNode, exportOptions, filename);
+    }
+  }
+
+  /**
+   * 添加样式
+   */
+  addStyles() {
+    if (document.getElementById('stock-market-chart-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'stock-market-chart-styles';
+    style.textContent = `
+      .stock-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: flex-end;
+        gap: 6px;
+        margin-bottom: 4px;
+        font-size: 12px;
+        color: #4b5563;
+      }
+
+      .stock-toolbar input {
+        padding: 1px 4px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        font-size: 12px;
+      }
+
+      .stock-toolbar button {
+        padding: 2px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        background-color: white;
+        font-size: 12px;
+      }
+
+      .stock-toolbar button:hover:not(:disabled) {
+        background-color: #f3f4f6;
+      }
+
+      .stock-toolbar button:disabled {
+        color: #9ca3af;
+        cursor: default;
+      }
+
+      .stock-toolbar-group {
+        display: inline-flex;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .stock-toolbar-group.hidden {
+        display: none;
+      }
+
+      .stock-toolbar select,
+      .stock-toolbar input[type="number"] {
+        padding: 1px 4px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        font-size: 12px;
+      }
+
+      .stock-toolbar input[type="number"] {
+        width: 64px;
+      }
+
+      .stock-candle line {
+        stroke-width: 1;
+      }
+
+      .stock-range-flag.active rect {
+        fill: #f59e0b;
+      }
+
+      .stock-range-list:not(:empty) {
+        margin-top: 12px;
+        padding-top: 10px;
+        border-top: 1px solid #e5e7eb;
+      }
+
+      .stock-range-list h6 {
+        margin-bottom: 8px;
+        font-size: 14px;
+        font-weight: 600;
+        color: #374151;
+      }
+
+      .stock-legend-item {
+        cursor: pointer;
+      }
+
+      .stock-legend-item.hidden-series {
+        opacity: 0.35;
+      }
+
+      .stock-legend-item:focus {
+        outline: none;
+      }
+
+      .stock-legend-item:focus text {
+        text-decoration: underline;
+      }
+
+      .stock-brush .selection {
+        fill: #3b82f6;
+        fill-opacity: 0.15;
+        stroke: #3b82f6;
+      }
+
+      .stock-hint {
+        font-size: 11px;
+        color: #9ca3af;
+        text-align: center;
+      }
+
+      .stock-event-marker.active line {
+        stroke: #b45309;
+        stroke-width: 2;
+      }
+
+      .stock-event-study {
+        margin-top: 12px;
+        padding-top: 10px;
+        border-top: 1px solid #e5e7eb;
+      }
+
+      .stock-event-header {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: space-between;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+
+      .stock-event-header h6 {
+        font-size: 14px;
+        font-weight: 600;
+        color: #374151;
+      }
+
+      .stock-event-windows {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 12px;
+        color: #4b5563;
+      }
+
+      .stock-event-windows input {
+        width: 120px;
+        padding: 2px 6px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        font-size: 12px;
+      }
+
+      .stock-event-windows button {
+        padding: 2px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        background-color: white;
+        font-size: 12px;
+      }
+
+      .stock-event-windows button:hover {
+        background-color: #f3f4f6;
+      }
+
+      .stock-event-table-wrapper {
+        overflow-x: auto;
+      }
+
+      .stock-event-table {
+        min-width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+      }
+
+      .stock-event-table th {
+        padding: 4px 6px;
+        text-align: left;
+        font-size: 11px;
+        font-weight: 500;
+        color: #6b7280;
+        background-color: #f9fafb;
+        border-bottom: 1px solid #e5e7eb;
+        white-space: nowrap;
+      }
+
+      .stock-event-table th.window {
+        text-align: center;
+        border-left: 1px solid #e5e7eb;
+      }
+
+      .stock-event-table td {
+        padding: 4px 6px;
+        color: #374151;
+        border-bottom: 1px solid #f3f4f6;
+      }
+
+      .stock-event-table .numeric {
+        text-align: right;
+        white-space: nowrap;
+      }
+
+      .stock-event-table .date {
+        white-space: nowrap;
+      }
+
+      .stock-event-table .event {
+        min-width: 160px;
+      }
+
+      .stock-event-table .negative {
+        color: #dc2626;
+      }
+
+      .stock-event-table .positive {
+        color: #059669;
+      }
+
+      .stock-event-table tbody tr[data-date]:hover {
+        background-color: #fef3c7;
+      }
+
+      .stock-event-table tr.average td {
+        font-weight: 600;
+        border-top: 2px solid #e5e7eb;
+      }
+
+      .stock-event-hint,
+      .stock-event-empty {
+        margin-top: 6px;
+        font-size: 11px;
+        color: #6b7280;
+      }
+
+      .stock-event-error {
+        margin-bottom: 6px;
+        font-size: 12px;
+        color: #dc2626;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+// 缩略图的高度（不含坐标轴）
+StockMarketChart.BRUSH_HEIGHT = 40;
+
+// 详情视图的成交量图高度
+StockMarketChart.VOLUME_HEIGHT = 60;
+
+// 详情视图默认标出的日内振幅阈值（%）
+StockMarketChart.DEFAULT_RANGE_THRESHOLD = 5;
+
+// 导出组件
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StockMarketChart;
+}
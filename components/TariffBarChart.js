@@ -8,22 +8,29 @@ class TariffBarChart {
    * @param {Object} config 配置对象
    * @param {string} config.containerId 容器ID
    * @param {string} config.dataPath 数据路径
+   * @param {TariffDataStore} config.store 共享数据存储（提供时从中获取数据并订阅变化，不再单独请求 dataPath）
    * @param {number} config.width 图表宽度
    * @param {number} config.height 图表高度
    * @param {Object} config.margins 图表边距
    * @param {Function} config.onBarClick 柱状图点击回调
+   * @param {CountryHighlight} config.highlight 联动高亮状态（与地图、数据表格共享）
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重新绘制）
    */
   constructor(config) {
     this.containerId = config.containerId || 'tariff-bar-chart';
     this.dataPath = config.dataPath || 'data/tariff_data.json';
+    this.store = config.store || null;
     this.width = config.width || 800;
     this.height = config.height || 400;
     this.margins = config.margins || { top: 40, right: 20, bottom: 80, left: 60 };
     this.onBarClick = config.onBarClick || null;
+    this.highlight = config.highlight || null;
+    this.i18n = config.i18n || new I18n();
     
     // 数据
     this.data = null;
     this.processedChartData = null;
+    this.unresolvedCountries = []; // 美国税率无法确定的国家
     
     // 颜色比例尺
     this.colorScale = d3.scaleThreshold()
@@ -69,7 +76,7 @@ class TariffBarChart {
       .attr('text-anchor', 'middle')
       .attr('font-size', '16px')
       .attr('font-weight', 'bold')
-      .text('美国对主要贸易伙伴关税率对比');
+      .text(this.i18n.t('barChart.title'));
       
     // 创建Y轴标签
     this.svg.append('text')
@@ -79,7 +86,7 @@ class TariffBarChart {
       .attr('y', 20)
       .attr('text-anchor', 'middle')
       .attr('font-size', '12px')
-      .text('关税率 (%)');
+      .text(this.i18n.t('barChart.yAxis'));
       
     // 创建提示框
     this.tooltip = d3.select('body').append('div')
@@ -104,14 +111,26 @@ class TariffBarChart {
    */
   async loadData() {
     try {
-      const response = await d3.json(this.dataPath);
-      this.data = response;
+      if (this.store) {
+        await this.store.load();
+        this.data = this.store.getSnapshot();
+      } else {
+        this.data = await d3.json(this.dataPath);
+      }
       
       // 提取并排序国家数据 - **MODIFIED LOGIC**
       this.processedChartData = this.processDataForChart(this.data.countries);
       
       this.drawChart();
       
+      if (this.store) {
+        this.store.subscribe(snapshot => this.updateData(snapshot));
+      }
+      if (this.highlight) {
+        this.highlight.subscribe(() => this.applyHighlight());
+      }
+      this.i18n.subscribe(() => this.updateLanguage());
+      
       console.log('关税柱状图数据加载完成');
     } catch (error) {
       console.error('加载数据失败:', error);
@@ -121,76 +140,32 @@ class TariffBarChart {
   /**
    * Process country data specifically for this bar chart's purpose
    * (Showing US tariffs ON other countries)
+   * 税率由 TariffRateResolver 根据 usTariffSchedule 计算；无法确定税率的国家不绘制柱状图，并记录在 unresolvedCountries 中
    * @param {Array} countries Original country data array
    * @returns {Array} Processed data array for the chart
    */
   processDataForChart(countries) {
+      this.unresolvedCountries = [];
+
       const usTariffsOnCountries = countries
           .filter(c => c.code !== 'US') // Exclude the US itself
-          .map(country => {
-              let usTariffRate = 10; // Default to baseline
-
-              // Try to extract the most relevant rate from usTariffHistory first
-              if (country.usTariffHistory && country.usTariffHistory.length > 0) {
-                   // Find the latest entry or the most representative one
-                   // Simple approach: find the entry with the highest rate mentioned in description/details
-                   let maxRateFound = 0;
-                   country.usTariffHistory.forEach(entry => {
-                       const desc = entry.description || '';
-                       const details = entry.details || '';
-                       const textToSearch = desc + ' ' + details;
-                       const rateMatch = textToSearch.match(/(\d{1,3})%/);
-                       if (rateMatch) {
-                            const rate = parseInt(rateMatch[1], 10);
-                            if (rate > maxRateFound) {
-                                maxRateFound = rate;
-                            }
-                       }
-                   });
-                   // If a rate > baseline was found in history, use it.
-                   // Otherwise, stick to baseline unless specific code logic overrides.
-                    if (maxRateFound > 10) { 
-                       usTariffRate = maxRateFound;
-                   } 
-                   // We might still need specific overrides for codes if history is ambiguous
-              }
-
-              // Fallback/Override logic based on country code (using latest verified rates)
-              switch (country.code) {
-                  case 'CN':
-                      usTariffRate = 125; // Highest priority override
-                      break;
-                  case 'CA':
-                       // Search results suggested 25%, history mentions 25% or 30%
-                      usTariffRate = 25; // Use 25% based on latest check
-                      break;
-                  case 'MX':
-                       // Search results suggested 25%
-                      usTariffRate = 25; 
-                      break;
-                  case 'EU':
-                       // Search results suggested 25%
-                      usTariffRate = 25; 
-                      break;
-                   case 'JP':
-                       // Search results suggested 24%
-                      usTariffRate = 24; 
-                      break;
-                  case 'IN':
-                       // Search results suggested 26%
-                      usTariffRate = 26;
-                      break;
-                  // No default needed as baseline is set initially
+          .map(country => ({
+              code: country.code,
+              name: country.name,
+              usTariffRate: TariffRateResolver.getRate(country), // The rate US imposes ON this country
+              originalData: country // Keep reference if needed for clicks etc.
+          }))
+          .filter(d => {
+              if (d.usTariffRate === null) {
+                  this.unresolvedCountries.push(d.originalData);
+                  return false;
               }
-              
-              // Return a new object structure suitable for the chart
-              return {
-                  code: country.code,
-                  name: country.name,
-                  usTariffRate: usTariffRate, // The rate US imposes ON this country
-                  originalData: country // Keep reference if needed for clicks etc.
-              };
+              return true;
           });
+
+      if (this.unresolvedCountries.length > 0) {
+          console.warn('以下国家的美国税率无法确定，未在柱状图中显示:', this.unresolvedCountries.map(c => c.name).join(', '));
+      }
           
       // Sort by the US tariff rate, descending
       usTariffsOnCountries.sort((a, b) => b.usTariffRate - a.usTariffRate);
@@ -216,9 +191,9 @@ class TariffBarChart {
       .range([0, this.innerWidth])
       .padding(0.2);
       
-    // 创建Y比例尺 (use usTariffRate)
+    // 创建Y比例尺 (use usTariffRate)，所有税率为0时（如较早日期的快照）保留默认刻度
     this.yScale = d3.scaleLinear()
-      .domain([0, d3.max(visibleCountries, d => d.usTariffRate) * 1.1])
+      .domain([0, (d3.max(visibleCountries, d => d.usTariffRate) || 10) * 1.1])
       .range([this.innerHeight, 0]);
       
     // 绘制X轴
@@ -226,7 +201,7 @@ class TariffBarChart {
       d3.axisBottom(this.xScale)
         .tickFormat(code => {
           const country = visibleCountries.find(c => c.code === code);
-          return country ? country.name : code;
+          return country ? this.i18n.field(country.originalData, 'name') : code;
         })
     )
     .selectAll('text')
@@ -279,6 +254,20 @@ class TariffBarChart {
     // Temporarily removing the average line as it represents something different
      this.chartGroup.selectAll('.avg-line').remove();
      this.chartGroup.selectAll('.avg-line-label').remove();
+     
+     this.applyHighlight();
+  }
+  
+  /**
+   * 根据联动高亮状态为柱子添加悬停、选中和固定样式（样式定义见页面 CSS）
+   */
+  applyHighlight() {
+    if (!this.highlight) return;
+    
+    this.chartGroup.selectAll('.bar')
+      .classed('linked-hover', d => this.highlight.statusOf(d.code).hovered)
+      .classed('linked-selected', d => this.highlight.statusOf(d.code).selected)
+      .classed('linked-pinned', d => this.highlight.statusOf(d.code).pinned);
   }
   
   /**
@@ -299,10 +288,12 @@ class TariffBarChart {
       
     // 设置提示框内容 (**MODIFIED**)
     this.tooltip.html(`
-      <div style="font-weight: bold; margin-bottom: 5px;">${d.name}</div>
-      <div>美国对其关税率: ${d.usTariffRate}%</div>
+      <div style="font-weight: bold; margin-bottom: 5px;">${this.i18n.field(d.originalData, 'name')}</div>
+      <div>${this.i18n.t('barChart.tooltip.usRate', { rate: d.usTariffRate })}</div>
       ${this.getResponseHtml(d.originalData.response)} 
     `);
+    
+    if (this.highlight) this.highlight.setHovered(d.code);
   }
   
   /**
@@ -329,19 +320,85 @@ class TariffBarChart {
     this.tooltip.transition()
       .duration(500)
       .style('opacity', 0);
+      
+    if (this.highlight) this.highlight.setHovered(null);
   }
   
   /**
-   * 处理点击事件
+   * 处理点击事件；按住 Shift/Ctrl/Command 点击时固定或取消固定该国用于对比
    * @param {Event} event 事件对象
    * @param {Object} d 数据对象 (processed chart data)
    */
   handleClick(event, d) {
+    if (this.highlight && CountryHighlight.isPinGesture(event)) {
+      this.highlight.togglePinned(d.code);
+      return;
+    }
+    
     if (this.onBarClick && d.originalData) {
       this.onBarClick(d.originalData); // Pass the original country data object
     }
   }
   
+  /**
+   * 导出图表为 SVG 或 PNG：加上标题、数据日期和来源，
+   * 柱子附带提示框中的信息（SVG 中悬停可见），税率待确认而未绘制的国家列在图表下方
+   * @param {string} format 'svg' 或 'png'
+   * @param {Object} [options] 选项
+   * @param {number} [options.scale] PNG 分辨率倍率
+   * @returns {Promise<void>}
+   */
+  async exportImage(format, options = {}) {
+    if (!this.data) return;
+    
+    const asOfDate = this.data.asOfDate || TariffRateResolver.toDateKey(new Date());
+    const notes = [];
+    if (this.unresolvedCountries.length > 0) {
+      notes.push(this.i18n.t('export.barChart.unresolved', {
+        names: this.unresolvedCountries.map(c => this.i18n.field(c, 'name')).join(this.i18n.t('common.listSeparator'))
+      }));
+    }
+    const exportOptions = {
+      title: this.i18n.t('barChart.title'),
+      subtitle: this.i18n.t('export.dataDate', { date: asOfDate }),
+      notes,
+      source: this.i18n.t('export.source.tariff'),
+      decorate: chart => this.decorateExport(chart)
+    };
+    const filename = `tariff-bar-chart-${asOfDate}.${format}`;
+    
+    if (format === 'png') {
+      await ChartExport.downloadPng(this.svg.node(), exportOptions, filename, options.scale);
+    } else {
+      ChartExport.downloadSvg(this.svg.node(), exportOptions, filename);
+    }
+  }
+  
+  /**
+   * 在导出的图表副本中补充提示信息；标题已放在导出图片的页眉中，去掉图内标题
+   * @param {SVGSVGElement} chart 图表副本
+   */
+  decorateExport(chart) {
+    chart.querySelectorAll('.chart-title').forEach(title => title.remove());
+    
+    const barData = this.chartGroup.selectAll('.bar').data();
+    chart.querySelectorAll('.bar').forEach((bar, index) => {
+      const d = barData[index];
+      if (!d) return;
+      const responses = d.originalData.response || [];
+      const lines = [
+        this.i18n.field(d.originalData, 'name'),
+        this.i18n.t('barChart.tooltip.usRate', { rate: d.usTariffRate })
+      ];
+      if (responses.length === 0) {
+        lines.push(this.i18n.t('barChart.responses.none'));
+      } else {
+        lines.push(this.i18n.t('barChart.responses.title'), ...responses.map(response => `- ${this.i18n.field(response, 'type')}`));
+      }
+      ChartExport.setTitle(bar, lines.join('\n'));
+    });
+  }
+  
   /**
    * 获取响应措施HTML
    * @param {Array} responses 响应措施数组
@@ -349,17 +406,17 @@ class TariffBarChart {
    */
   getResponseHtml(responses) {
     if (!responses || responses.length === 0) {
-      return '<div>无反制措施</div>';
+      return `<div>${this.i18n.t('barChart.responses.none')}</div>`;
     }
     
-    let html = '<div style="margin-top: 5px;"><strong>反制措施:</strong></div><ul style="margin: 5px 0 0 15px; padding: 0;">';
+    let html = `<div style="margin-top: 5px;"><strong>${this.i18n.t('barChart.responses.title')}</strong></div><ul style="margin: 5px 0 0 15px; padding: 0;">`;
     
     responses.slice(0, 2).forEach(response => {
-      html += `<li>${response.type}</li>`;
+      html += `<li>${this.i18n.field(response, 'type')}</li>`;
     });
     
     if (responses.length > 2) {
-      html += `<li>...共${responses.length}项措施</li>`;
+      html += `<li>${this.i18n.t('barChart.responses.more', { count: responses.length })}</li>`;
     }
     
     html += '</ul>';
@@ -386,6 +443,18 @@ class TariffBarChart {
     this.drawChart();
   }
   
+  /**
+   * 切换语言后更新标题、坐标轴标签和国家名称
+   */
+  updateLanguage() {
+    this.svg.select('.chart-title').text(this.i18n.t('barChart.title'));
+    this.svg.select('.y-axis-label').text(this.i18n.t('barChart.yAxis'));
+    
+    this.chartGroup.selectAll('.bar').remove();
+    this.chartGroup.selectAll('.bar-label').remove();
+    this.drawChart();
+  }
+  
   /**
    * 更新图表排序
    * @param {string} sortBy 排序字段
@@ -8,13 +8,18 @@ class TariffDataTable {
    * @param {Object} config 配置对象
    * @param {string} config.containerId 容器ID
    * @param {string} config.dataPath 数据路径
+   * @param {TariffDataStore} config.store 共享数据存储（提供时从中获取数据并订阅变化，不再单独请求 dataPath）
    * @param {number} config.pageSize 每页显示条数
-   * @param {Array} config.columns 表格列配置
+   * @param {Array} config.columns 表格列配置（列标题用 label 直接指定，或用 labelKey 指定界面文字键名）
    * @param {Function} config.onRowClick 行点击回调
+   * @param {Function} config.onViewChange 用户修改搜索、区域筛选、排序或页码后的回调，参数为 getViewState() 的结果
+   * @param {CountryHighlight} config.highlight 联动高亮状态（与地图、柱状图共享）
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重建表头和工具栏）
    */
   constructor(config) {
     this.containerId = config.containerId || 'tariff-data-table';
     this.dataPath = config.dataPath || 'data/tariff_data.json';
+    this.store = config.store || null;
     this.pageSize = config.pageSize || 10;
     this.currentPage = 1;
     this.sortField = 'tariffRate';
@@ -22,31 +27,33 @@ class TariffDataTable {
     this.filterRegion = 'all';
     this.searchQuery = '';
     this.onRowClick = config.onRowClick || null;
+    this.onViewChange = config.onViewChange || null;
+    this.highlight = config.highlight || null;
+    this.i18n = config.i18n || new I18n();
     
     // **UPDATED Default Columns**: Added 'usTariffOnCountry', adjusted widths/labels
     this.columns = config.columns || [
-      { field: 'name', label: '国家/地区', sortable: true, width: '20%' },
-      { field: 'tariffRate', label: '对美反制/平均税率(%)', sortable: true, width: '18%', type: 'number' },
-      { field: 'usTariffOnCountry', label: '美国对其税率(%)', sortable: true, width: '18%', type: 'usTariff' },
-      { field: 'response', label: '反制措施', sortable: false, width: '30%', type: 'array' },
-      { field: 'effectiveDate', label: '最新生效日期', sortable: true, width: '14%', type: 'date' }
+      { field: 'name', labelKey: 'table.column.name', sortable: true, width: '20%' },
+      { field: 'tariffRate', labelKey: 'table.column.tariffRate', sortable: true, width: '18%', type: 'number' },
+      { field: 'usTariffOnCountry', labelKey: 'table.column.usTariffOnCountry', sortable: true, width: '18%', type: 'usTariff' },
+      { field: 'response', labelKey: 'table.column.response', sortable: false, width: '30%', type: 'array' },
+      { field: 'effectiveDate', labelKey: 'table.column.effectiveDate', sortable: true, width: '14%', type: 'date' }
     ];
     
     // 区域分组
     this.regions = [
-      { id: 'all', name: '全部' },
-      { id: 'asia', name: '亚洲' },
-      { id: 'europe', name: '欧洲' },
-      { id: 'america', name: '美洲' },
-      { id: 'others', name: '其他' }
+      { id: 'all', labelKey: 'table.region.all' },
+      { id: 'asia', labelKey: 'table.region.asia' },
+      { id: 'europe', labelKey: 'table.region.europe' },
+      { id: 'america', labelKey: 'table.region.america' },
+      { id: 'others', labelKey: 'table.region.others' }
     ];
     
-    // 国家区域映射
-    this.countryRegions = {
-      'CHN': 'asia', 'JPN': 'asia', 'KOR': 'asia', 'IND': 'asia', 'VNM': 'asia',
-      'EU': 'europe', 'GBR': 'europe', 'RUS': 'europe',
-      'USA': 'america', 'CAN': 'america', 'MEX': 'america', 'BRA': 'america',
-      'AUS': 'others'
+    // 数据中的区域名称到筛选区域的映射，未列出的归入"其他"
+    this.regionIds = {
+      '亚洲': 'asia', '东南亚': 'asia',
+      '欧洲': 'europe', '欧亚': 'europe',
+      '北美洲': 'america', '南美洲': 'america'
     };
     
     // 数据
@@ -99,7 +106,7 @@ class TariffDataTable {
     const searchBox = document.createElement('div');
     searchBox.className = 'tariff-search-box';
     searchBox.innerHTML = `
-      <input type="text" id="${this.containerId}-search" placeholder="搜索国家/地区..." />
+      <input type="text" id="${this.containerId}-search" placeholder="${this.i18n.t('table.search.placeholder')}" />
       <button id="${this.containerId}-search-btn">
         <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
           <circle cx="11" cy="11" r="8"></circle>
@@ -112,15 +119,29 @@ class TariffDataTable {
     const regionFilter = document.createElement('div');
     regionFilter.className = 'tariff-region-filter';
     regionFilter.innerHTML = `
-      <span>区域筛选:</span>
+      <span>${this.i18n.t('table.regionFilter')}</span>
       <select id="${this.containerId}-region">
-        ${this.regions.map(region => `<option value="${region.id}">${region.name}</option>`).join('')}
+        ${this.regions.map(region => `<option value="${region.id}">${this.i18n.t(region.labelKey)}</option>`).join('')}
       </select>
     `;
     
+    // 创建导出按钮（依赖 DataExport）
+    const exportGroup = document.createElement('div');
+    exportGroup.className = 'tariff-export';
+    exportGroup.innerHTML = `
+      <span>${this.i18n.t('table.export.scope')}</span>
+      <select id="${this.containerId}-export-scope">
+        <option value="view">${this.i18n.t('table.export.scope.view')}</option>
+        <option value="all">${this.i18n.t('table.export.scope.all')}</option>
+      </select>
+      <button type="button" data-format="csv" title="${this.i18n.t('table.export.csvTitle')}">CSV</button>
+      <button type="button" data-format="xlsx" title="${this.i18n.t('table.export.xlsxTitle')}">Excel</button>
+    `;
+    
     // 添加到工具栏
     toolbar.appendChild(searchBox);
     toolbar.appendChild(regionFilter);
+    toolbar.appendChild(exportGroup);
     
     // 创建表格
     const table = document.createElement('table');
@@ -130,7 +151,7 @@ class TariffDataTable {
         <tr>
           ${this.columns.map(column => `
             <th style="width: ${column.width}" class="${column.sortable ? 'sortable' : ''}">
-              ${column.label}
+              ${column.label || this.i18n.t(column.labelKey)}
               ${column.sortable ? `<span class="sort-icon" data-field="${column.field}"></span>` : ''}
             </th>
           `).join('')}
@@ -138,7 +159,7 @@ class TariffDataTable {
       </thead>
       <tbody id="${this.containerId}-tbody">
         <tr>
-          <td colspan="${this.columns.length}" class="loading">加载中...</td>
+          <td colspan="${this.columns.length}" class="loading">${this.i18n.t('table.loading')}</td>
         </tr>
       </tbody>
     `;
@@ -227,6 +248,34 @@ class TariffDataTable {
         font-size: 14px;
       }
       
+      .tariff-export {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+      
+      .tariff-export span {
+        font-size: 14px;
+        color: #666;
+      }
+      
+      .tariff-export select,
+      .tariff-export button {
+        padding: 6px 10px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        font-size: 14px;
+        background-color: white;
+      }
+      
+      .tariff-export button {
+        cursor: pointer;
+      }
+      
+      .tariff-export button:hover {
+        background-color: #f5f5f5;
+      }
+      
       .tariff-table {
         width: 100%;
         border-collapse: collapse;
@@ -250,6 +299,22 @@ class TariffDataTable {
         cursor: pointer;
       }
       
+      .tariff-table tbody tr.linked-pinned {
+        background-color: #eff6ff;
+      }
+      
+      .tariff-table tbody tr.linked-pinned td:first-child {
+        box-shadow: inset 3px 0 0 #2563eb;
+      }
+      
+      .tariff-table tbody tr.linked-selected {
+        background-color: #e0f2fe;
+      }
+      
+      .tariff-table tbody tr.linked-hover {
+        background-color: #fef3c7;
+      }
+      
       .sortable {
         cursor: pointer;
         position: relative;
@@ -383,9 +448,18 @@ class TariffDataTable {
         this.filterRegion = regionSelect.value;
         this.currentPage = 1;
         this.filterAndRenderData();
+        this.notifyViewChange();
       });
     }
     
+    // 导出按钮事件
+    document.querySelectorAll(`#${this.containerId} .tariff-export button[data-format]`).forEach(button => {
+      button.addEventListener('click', () => {
+        const scopeSelect = document.getElementById(`${this.containerId}-export-scope`);
+        this.exportData(button.dataset.format, scopeSelect ? scopeSelect.value : 'view');
+      });
+    });
+    
     // 表头排序事件
     const tableHeaders = document.querySelectorAll(`#${this.containerId} .sortable`);
     tableHeaders.forEach(header => {
@@ -402,8 +476,14 @@ class TariffDataTable {
   async loadData() {
     try {
       // 加载数据
-      const response = await fetch(this.dataPath);
-      const jsonData = await response.json();
+      let jsonData;
+      if (this.store) {
+        await this.store.load();
+        jsonData = this.store.getSnapshot();
+      } else {
+        const response = await fetch(this.dataPath);
+        jsonData = await response.json();
+      }
       this.data = jsonData.countries;
       
       // **REMOVED**: Mock data generation for yearChange and effectiveDate
@@ -415,12 +495,20 @@ class TariffDataTable {
       // 过滤和渲染数据
       this.filterAndRenderData();
       
+      if (this.store) {
+        this.store.subscribe(snapshot => this.updateData(snapshot.countries));
+      }
+      if (this.highlight) {
+        this.highlight.subscribe(() => this.applyHighlight());
+      }
+      this.i18n.subscribe(() => this.updateLanguage());
+      
       console.log('关税数据表格数据加载完成');
     } catch (error) {
       console.error('加载数据失败:', error);
       const tbody = document.getElementById(`${this.containerId}-tbody`);
       if (tbody) {
-        tbody.innerHTML = `<tr><td colspan="${this.columns.length}" class="loading">加载数据失败</td></tr>`;
+        tbody.innerHTML = `<tr><td colspan="${this.columns.length}" class="loading">${this.i18n.t('table.loadFailed')}</td></tr>`;
       }
     }
   }
@@ -438,18 +526,25 @@ class TariffDataTable {
       this.sortDirection = 'desc';
     }
     
-    // 更新排序图标
+    this.updateSortIcons();
+    
+    // 重新过滤和渲染数据
+    this.filterAndRenderData();
+    this.notifyViewChange();
+  }
+  
+  /**
+   * 按当前排序字段和方向更新表头的排序图标
+   */
+  updateSortIcons() {
     const sortIcons = document.querySelectorAll(`#${this.containerId} .sort-icon`);
     sortIcons.forEach(icon => {
-      if (icon.dataset.field === field) {
+      if (icon.dataset.field === this.sortField) {
         icon.className = `sort-icon ${this.sortDirection}`;
       } else {
         icon.className = 'sort-icon';
       }
     });
-    
-    // 重新过滤和渲染数据
-    this.filterAndRenderData();
   }
   
   /**
@@ -464,7 +559,7 @@ class TariffDataTable {
     // 区域筛选
     if (this.filterRegion !== 'all') {
       this.filteredData = this.filteredData.filter(country => 
-        this.countryRegions[country.code] === this.filterRegion
+        this.getRegionId(country) === this.filterRegion
       );
     }
     
@@ -473,6 +568,7 @@ class TariffDataTable {
       const query = this.searchQuery.toLowerCase();
       this.filteredData = this.filteredData.filter(country => 
         country.name.toLowerCase().includes(query) || 
+        String(this.i18n.field(country, 'name')).toLowerCase().includes(query) ||
         country.code.toLowerCase().includes(query)
       );
     }
@@ -484,6 +580,17 @@ class TariffDataTable {
       if (this.sortField === 'response') {
         valueA = a.response ? a.response.length : 0;
         valueB = b.response ? b.response.length : 0;
+      } else if (this.sortField === 'usTariffOnCountry') {
+        // 税率待确认的国家视为最低税率
+        valueA = this.getUsTariffOnCountry(a) ?? -1;
+        valueB = this.getUsTariffOnCountry(b) ?? -1;
+      } else if (this.sortField === 'effectiveDate') {
+        // 没有确定日期的国家视为最早
+        valueA = this.getLatestEffectiveDate(a)?.date || '';
+        valueB = this.getLatestEffectiveDate(b)?.date || '';
+      } else if (this.sortField === 'name') {
+        valueA = this.i18n.field(a, 'name');
+        valueB = this.i18n.field(b, 'name');
       } else {
         valueA = a[this.sortField];
         valueB = b[this.sortField];
@@ -496,6 +603,11 @@ class TariffDataTable {
       }
     });
     
+    // 页码超出范围时回到第一页
+    if (this.currentPage > Math.ceil(this.filteredData.length / this.pageSize)) {
+      this.currentPage = 1;
+    }
+    
     // 渲染表格
     this.renderTable();
     this.renderPagination();
@@ -518,7 +630,7 @@ class TariffDataTable {
     
     // 无数据处理
     if (pageData.length === 0) {
-      tbody.innerHTML = `<tr><td colspan="${this.columns.length}" class="loading">没有匹配的数据</td></tr>`; // Adjusted colspan
+      tbody.innerHTML = `<tr><td colspan="${this.columns.length}" class="loading">${this.i18n.t('table.noMatch')}</td></tr>`; // Adjusted colspan
       return;
     }
     
@@ -542,54 +654,106 @@ class TariffDataTable {
               const responses = country.response.slice(0, 2);
               const html = responses.map(r => `
                 <div style="margin-bottom: 4px;">
-                  <span class="tariff-badge tariff-badge-red">${r.type}</span>
-                  <div style="font-size: 12px; margin-top: 2px;">${r.details.substring(0, 40)}${r.details.length > 40 ? '...' : ''}</div>
+                  <span class="tariff-badge tariff-badge-red">${this.i18n.field(r, 'type')}</span>
+                  <div style="font-size: 12px; margin-top: 2px;">${this.truncate(this.i18n.field(r, 'details'), 40)}</div>
                 </div>
               `).join('');
               
               if (country.response.length > 2) {
-                cell.innerHTML = html + `<div style="font-size: 12px; color: #666;">+${country.response.length - 2}项措施</div>`;
+                cell.innerHTML = html + `<div style="font-size: 12px; color: #666;">${this.i18n.t('table.moreResponses', { count: country.response.length - 2 })}</div>`;
               } else {
                 cell.innerHTML = html;
               }
             } else {
-              cell.textContent = '无数据';
+              cell.textContent = this.i18n.t('table.noData');
             }
             break;
             
           case 'date':
-            // **MODIFIED**: Get latest date from response or usTariffHistory
-            let latestDate = null;
-            if (country.response && country.response.length > 0) {
-                const dates = country.response.map(r => r.effectiveDate).filter(Boolean);
-                if (dates.length > 0) latestDate = dates.sort().reverse()[0];
-            }
-            if (!latestDate && country.usTariffHistory && country.usTariffHistory.length > 0) {
-                const dates = country.usTariffHistory.map(h => h.effectiveDate).filter(Boolean);
-                 if (dates.length > 0) latestDate = dates.sort().reverse()[0];
+            const latestDate = this.getLatestEffectiveDate(country);
+            if (latestDate) {
+              cell.innerHTML = TariffDate.format(latestDate, this.i18n) + TariffDate.badgeHtml(latestDate, this.i18n);
+            } else {
+              cell.textContent = '-';
             }
-            cell.textContent = latestDate || '-';
             break;
             
           case 'usTariff':
              const usRate = this.getUsTariffOnCountry(country);
-             cell.textContent = usRate > 0 ? `${usRate}` : '-';
+             if (usRate === null) {
+               cell.textContent = this.i18n.t('rate.pending');
+               cell.title = this.i18n.t('table.unresolvedTitle');
+             } else {
+               cell.textContent = usRate > 0 ? `${usRate}` : '-';
+             }
              break;
             
           default:
-            cell.textContent = country[column.field] || '-';
+            cell.textContent = this.i18n.field(country, column.field) || '-';
         }
         
         row.appendChild(cell);
       });
       
-      // 添加行点击事件
-      if (this.onRowClick) {
-        row.addEventListener('click', () => this.onRowClick(country));
+      // 添加行点击事件；按住 Shift/Ctrl/Command 点击时固定或取消固定该国用于对比
+      row.addEventListener('click', (event) => {
+        if (this.highlight && CountryHighlight.isPinGesture(event)) {
+          this.highlight.togglePinned(country.code);
+        } else if (this.onRowClick) {
+          this.onRowClick(country);
+        }
+      });
+      
+      // 悬停时同步高亮地图和柱状图
+      if (this.highlight) {
+        row.addEventListener('mouseenter', () => this.highlight.setHovered(country.code));
+        row.addEventListener('mouseleave', () => this.highlight.setHovered(null));
       }
       
       tbody.appendChild(row);
     });
+    
+    this.applyHighlight();
+  }
+  
+  /**
+   * 截断过长的文字
+   * @param {string} text 文字
+   * @param {number} maxLength 最大长度
+   * @returns {string}
+   */
+  truncate(text, maxLength) {
+    if (!text) return '';
+    return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+  }
+  
+  /**
+   * 获取国家最新的已确定生效日期：优先取反制措施，没有时取美国关税历史
+   * @param {Object} country 国家数据
+   * @returns {Object|null} TariffDate 解析结果
+   */
+  getLatestEffectiveDate(country) {
+    const latestOf = entries => (entries || [])
+      .map(entry => TariffDate.parse(entry.effectiveDate))
+      .filter(parsed => parsed && parsed.date)
+      .reduce((latest, parsed) => (!latest || TariffDate.compare(parsed, latest) > 0 ? parsed : latest), null);
+    return latestOf(country.response) || latestOf(country.usTariffHistory);
+  }
+  
+  /**
+   * 根据联动高亮状态为当前页的行添加悬停、选中和固定样式
+   */
+  applyHighlight() {
+    if (!this.highlight) return;
+    const tbody = document.getElementById(`${this.containerId}-tbody`);
+    if (!tbody) return;
+    
+    tbody.querySelectorAll('tr[data-code]').forEach(row => {
+      const status = this.highlight.statusOf(row.dataset.code);
+      row.classList.toggle('linked-hover', status.hovered);
+      row.classList.toggle('linked-selected', status.selected);
+      row.classList.toggle('linked-pinned', status.pinned);
+    });
   }
   
   /**
@@ -622,7 +786,7 @@ class TariffDataTable {
     const startItem = (this.currentPage - 1) * this.pageSize + 1;
     const endItem = Math.min(startItem + this.pageSize - 1, totalItems);
     
-    paginationInfo.textContent = `显示 ${startItem}-${endItem} 条，共 ${totalItems} 条`;
+    paginationInfo.textContent = this.i18n.t('table.pagination.info', { start: startItem, end: endItem, total: totalItems });
     
     // 创建分页按钮
     const paginationButtons = document.createElement('div');
@@ -630,7 +794,7 @@ class TariffDataTable {
     
     // 添加上一页按钮
     const prevButton = document.createElement('button');
-    prevButton.textContent = '上一页';
+    prevButton.textContent = this.i18n.t('table.pagination.previous');
     prevButton.disabled = this.currentPage === 1;
     prevButton.addEventListener('click', () => {
       if (this.currentPage > 1) {
@@ -659,7 +823,7 @@ class TariffDataTable {
     
     // 添加下一页按钮
     const nextButton = document.createElement('button');
-    nextButton.textContent = '下一页';
+    nextButton.textContent = this.i18n.t('table.pagination.next');
     nextButton.disabled = this.currentPage === totalPages;
     nextButton.addEventListener('click', () => {
       if (this.currentPage < totalPages) {
@@ -680,22 +844,25 @@ class TariffDataTable {
   
   /**
    * 更新数据
+   * 保留当前的搜索、区域筛选和排序条件（如按日期切换数据快照时）
    * @param {Array} newData 新数据
    */
   updateData(newData) {
     if (!newData) return;
     
     this.data = newData;
-    this.currentPage = 1;
     
     // 重新过滤和渲染数据
     this.filterAndRenderData();
-    
-    // 重置搜索框
-    const searchInput = document.getElementById(`${this.containerId}-search`);
-    if (searchInput) {
-      searchInput.value = '';
-    }
+  }
+  
+  /**
+   * 切换语言后重建表头和工具栏，保留当前的搜索、区域筛选、排序和页码
+   */
+  updateLanguage() {
+    this.createLayout();
+    this.addEventListeners();
+    this.setViewState(this.getViewState());
   }
   
   /**
@@ -732,6 +899,7 @@ class TariffDataTable {
     this.currentPage = page;
     this.renderTable();
     this.renderPagination();
+    this.notifyViewChange();
     
     // 滚动到表格顶部
     const container = document.getElementById(this.containerId);
@@ -748,58 +916,147 @@ class TariffDataTable {
     this.searchQuery = query;
     this.currentPage = 1;
     this.filterAndRenderData();
+    this.notifyViewChange();
   }
   
   /**
-   * Helper: Calculate or retrieve the US tariff rate imposed ON a specific country.
-   * Mirrors the logic in TariffWorldMap.js.
-   * @param {Object} country Country data object from tariff_data.json
-   * @returns {number} The applicable US tariff rate on this country.
+   * 获取当前的搜索、区域筛选、排序和页码
+   * @returns {{search: string, region: string, sortField: string, sortDirection: string, page: number}}
    */
-  getUsTariffOnCountry(country) {
-      if (!country || country.code === 'US') return 0; // No self-tariff
-
-      let usTariffRate = 10; // Default to baseline
-
-      // Try to extract from history first
-      if (country.usTariffHistory && country.usTariffHistory.length > 0) {
-          let maxRateFound = 0;
-          country.usTariffHistory.forEach(entry => {
-              const textToSearch = (entry.description || '') + ' ' + (entry.details || '');
-              const rateMatch = textToSearch.match(/(\d{1,3})%/);
-              if (rateMatch) {
-                  const rate = parseInt(rateMatch[1], 10);
-                  if (rate > maxRateFound) maxRateFound = rate;
-              }
-          });
-          if (maxRateFound > 10) usTariffRate = maxRateFound;
+  getViewState() {
+    return {
+      search: this.searchQuery,
+      region: this.filterRegion,
+      sortField: this.sortField,
+      sortDirection: this.sortDirection,
+      page: this.currentPage
+    };
+  }
+  
+  /**
+   * 恢复搜索、区域筛选、排序和页码（如从地址栏恢复），不触发 onViewChange
+   * @param {Object} view getViewState() 格式的对象，缺少的字段保持不变
+   */
+  setViewState(view) {
+    if (!view) return;
+    if (view.search !== undefined) this.searchQuery = view.search;
+    if (view.region !== undefined) this.filterRegion = this.regions.some(region => region.id === view.region) ? view.region : 'all';
+    if (view.sortField !== undefined && this.columns.some(column => column.sortable && column.field === view.sortField)) {
+      this.sortField = view.sortField;
+    }
+    if (view.sortDirection !== undefined) this.sortDirection = view.sortDirection === 'asc' ? 'asc' : 'desc';
+    if (view.page !== undefined) this.currentPage = Math.max(1, parseInt(view.page, 10) || 1);
+    
+    const searchInput = document.getElementById(`${this.containerId}-search`);
+    if (searchInput) searchInput.value = this.searchQuery;
+    const regionSelect = document.getElementById(`${this.containerId}-region`);
+    if (regionSelect) regionSelect.value = this.filterRegion;
+    this.updateSortIcons();
+    
+    this.filterAndRenderData();
+  }
+  
+  /**
+   * 导出表格数据
+   * @param {string} format 'csv' 或 'xlsx'
+   * @param {string} [scope] 'view' 导出当前筛选和排序后的全部行（不分页），'all' 导出全部国家
+   */
+  exportData(format, scope = 'view') {
+    if (!this.data) return;
+    
+    const rows = this.getExportRows(scope);
+    const asOfDate = this.store && this.store.getSnapshot() ? this.store.getSnapshot().asOfDate : TariffRateResolver.toDateKey(new Date());
+    const filename = `tariff-data${scope === 'all' ? '-all' : ''}-${asOfDate}.${format}`;
+    
+    if (format === 'xlsx' && !DataExport.isXlsxAvailable()) {
+      window.alert(this.i18n.t('table.export.xlsxUnavailable'));
+      return;
+    }
+    
+    try {
+      if (format === 'xlsx') {
+        DataExport.downloadXlsx(rows, filename, this.i18n.t('table.export.sheetName'));
+      } else {
+        DataExport.downloadCsv(rows, filename);
       }
+    } catch (error) {
+      console.error('导出表格数据失败:', error);
+      window.alert(this.i18n.t('table.export.failed', { message: error.message }));
+    }
+  }
+  
+  /**
+   * 获取国家所属的筛选区域，与区域筛选的选项一致
+   * @param {Object} country 国家数据
+   * @returns {string} 区域 id，如 'asia'
+   */
+  getRegionId(country) {
+    return this.regionIds[country.region] || 'others';
+  }
 
-      // Fallback/Override logic based on country code
-      switch (country.code) {
-          case 'CN': usTariffRate = 125; break;
-          case 'CA': usTariffRate = 25; break;
-          case 'MX': usTariffRate = 25; break;
-          case 'EU': usTariffRate = 25; break;
-          case 'JP': usTariffRate = 24; break;
-          case 'IN': usTariffRate = 26; break;
-          // Add other specific country codes here if needed
-      }
-      
-      // Special case for countries like SG, NZ where US imposed 10% baseline but history might be empty
-       if (usTariffRate === 10 && (!country.usTariffHistory || country.usTariffHistory.length === 0)) {
-            // Check details field for confirmation of US rate if history is missing
-            const detailsMatch = (country.details || '').match(/美国对.*?加征(\d{1,3})%/);
-            if (detailsMatch) {
-                const rateFromDetails = parseInt(detailsMatch[1], 10);
-                // Only update if details explicitly state a rate different from baseline
-                if (rateFromDetails !== 10) { 
-                    usTariffRate = rateFromDetails;
-                }
-            }
-       }
-
-      return usTariffRate;
+  /**
+   * 生成导出用的行数据，第一行为表头
+   * 每项反制措施一行（国家信息在各行重复），没有反制措施的国家保留一行
+   * @param {string} [scope] 'view' 或 'all'
+   * @returns {Array<Array>}
+   */
+  getExportRows(scope = 'view') {
+    const countries = scope === 'all' ? (this.data || []) : (this.filteredData || []);
+    const i18n = this.i18n;
+    const separator = i18n.t('common.listSeparator');
+    const formatDate = parsed => {
+      if (!parsed) return '';
+      const status = parsed.date && parsed.status !== 'effective' ? ` (${i18n.t(`date.status.${parsed.status}`)})` : '';
+      return TariffDate.format(parsed, i18n) + status;
+    };
+    
+    const header = [
+      'name', 'code', 'region', 'usTariff', 'counterTariff', 'responseType', 'responseDetails',
+      'targetedSectors', 'responseRate', 'responseEffectiveDate', 'latestEffectiveDate'
+    ].map(key => i18n.t(`table.export.column.${key}`));
+    
+    const rows = [header];
+    countries.forEach(country => {
+      const usRate = this.getUsTariffOnCountry(country);
+      const countryCells = [
+        i18n.field(country, 'name'),
+        country.code,
+        i18n.t(`table.region.${this.getRegionId(country)}`),
+        usRate === null ? i18n.t('rate.pending') : usRate,
+        typeof country.tariffRate === 'number' ? country.tariffRate : null
+      ];
+      const latestDate = formatDate(this.getLatestEffectiveDate(country));
+      
+      const responses = country.response && country.response.length > 0 ? country.response : [null];
+      responses.forEach(response => {
+        const sectors = response ? i18n.field(response, 'targetedSectors') : null;
+        rows.push(countryCells.concat([
+          response ? i18n.field(response, 'type') : null,
+          response ? i18n.field(response, 'details') : null,
+          Array.isArray(sectors) ? sectors.join(separator) : null,
+          response && typeof response.rate === 'number' ? response.rate : null,
+          response ? formatDate(TariffDate.parse(response.effectiveDate)) : null,
+          latestDate
+        ]));
+      });
+    });
+    return rows;
+  }
+  
+  /**
+   * 调用 onViewChange 回调
+   */
+  notifyViewChange() {
+    if (this.onViewChange) this.onViewChange(this.getViewState());
+  }
+  
+  /**
+   * Helper: 获取美国对某国的整体税率（由 TariffRateResolver 根据 usTariffSchedule 计算）
+   * @param {Object} country Country data object from tariff_data.json
+   * @returns {number|null} 税率，无法确定时为 null
+   */
+  getUsTariffOnCountry(country) {
+      return TariffRateResolver.getRate(country);
   }
 }
 
@@ -0,0 +1,259 @@
+/**
+ * 分行业税率图组件
+ * 在国家详情面板中以横向堆叠条形图展示美国对该国各行业（HS 章节/品目）的税率，
+ * 每段对应一项措施（如232条款、301条款、对等关税），税率由 TariffRateResolver.resolveSector 计算。
+ * 详情面板每次打开时重新生成内容，因此每次调用 render 都会重新选择容器并绘制。
+ */
+class TariffSectorChart {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.containerId 容器ID
+   * @param {number} config.width 图表宽度
+   * @param {Object} config.margins 图表边距
+   * @param {Function} config.onSectorClick 行业点击回调，参数为行业 id
+   * @param {I18n} config.i18n 界面语言
+   */
+  constructor(config) {
+    this.containerId = config.containerId || 'country-sector-chart';
+    this.width = config.width || 288;
+    this.barHeight = 16;
+    this.barGap = 6;
+    this.margins = config.margins || { top: 4, right: 40, bottom: 24, left: 96 };
+    this.onSectorClick = config.onSectorClick || null;
+    this.i18n = config.i18n || new I18n();
+    this.country = null; // 当前绘制的国家
+
+    // 各措施的颜色，按首次出现的顺序分配
+    this.colorScale = d3.scaleOrdinal(d3.schemeTableau10);
+
+    // 创建提示框
+    this.tooltip = d3.select('body').append('div')
+      .attr('class', 'tariff-tooltip')
+      .style('opacity', 0)
+      .style('position', 'absolute')
+      .style('background-color', 'white')
+      .style('border', '1px solid #ddd')
+      .style('border-radius', '4px')
+      .style('padding', '10px')
+      .style('box-shadow', '0 1px 3px rgba(0,0,0,0.12)')
+      .style('pointer-events', 'none')
+      .style('font-family', 'Arial, sans-serif')
+      .style('font-size', '12px')
+      .style('z-index', 1100); // 显示在详情面板之上
+  }
+
+  /**
+   * 计算各行业税率，按税率从高到低排列（税率相同时保持数据中的顺序）
+   * @param {Object} country 国家数据
+   * @param {Array} sectors 行业定义数组
+   * @returns {Array<{sector: Object, rate: number, segments: Array}>} segments 为各措施在条形中的起止位置
+   */
+  processData(country, sectors) {
+    return sectors
+      .map((sector, index) => {
+        const result = TariffRateResolver.resolveSector(country, sector);
+        let offset = 0;
+        const segments = result.layers.map(layer => {
+          const segment = { sector, entry: layer.entry, rate: layer.rate, start: offset, end: offset + layer.rate };
+          offset += layer.rate;
+          return segment;
+        });
+        return { sector, rate: result.rate, segments, index };
+      })
+      .sort((a, b) => b.rate - a.rate || a.index - b.index);
+  }
+
+  /**
+   * 绘制某国的分行业税率
+   * @param {Object} country 国家数据（当前日期快照中的条目）
+   * @param {Array} sectors 行业定义数组（数据中的 sectors）
+   */
+  render(country, sectors) {
+    const container = d3.select('#' + this.containerId);
+    if (container.empty()) return;
+    container.selectAll('*').remove();
+    this.hideTooltip();
+
+    if (!country || !Array.isArray(sectors) || sectors.length === 0) {
+      container.append('p').attr('class', 'text-xs text-gray-500').text(this.i18n.t('sectorChart.noSectors'));
+      return;
+    }
+    if (TariffRateResolver.resolve(country).status !== 'resolved') {
+      container.append('p').attr('class', 'text-xs text-gray-500').text(this.i18n.t('sectorChart.unresolved'));
+      return;
+    }
+
+    this.country = country;
+    const rows = this.processData(country, sectors);
+    const measures = [];
+    rows.forEach(row => row.segments.forEach(segment => {
+      if (!measures.some(entry => entry.measure === segment.entry.measure)) measures.push(segment.entry);
+    }));
+    this.colorScale.domain(measures.map(entry => entry.measure));
+
+    const innerWidth = this.width - this.margins.left - this.margins.right;
+    const innerHeight = rows.length * (this.barHeight + this.barGap);
+    const legendHeight = measures.length * 16;
+    const height = this.margins.top + innerHeight + this.margins.bottom + legendHeight;
+
+    const svg = container.append('svg')
+      .attr('width', this.width)
+      .attr('height', height);
+    const chartGroup = svg.append('g')
+      .attr('transform', `translate(${this.margins.left}, ${this.margins.top})`);
+
+    const xScale = d3.scaleLinear()
+      .domain([0, (d3.max(rows, row => row.rate) || 10) * 1.05])
+      .range([0, innerWidth]);
+    const yScale = d3.scaleBand()
+      .domain(rows.map(row => row.sector.id))
+      .range([0, innerHeight])
+      .paddingInner(this.barGap / (this.barHeight + this.barGap));
+
+    chartGroup.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0, ${innerHeight})`)
+      .call(d3.axisBottom(xScale).ticks(4).tickFormat(d => d + '%'))
+      .selectAll('text')
+      .attr('font-size', '9px');
+
+    // 行业名称
+    const labels = chartGroup.selectAll('.sector-label')
+      .data(rows)
+      .enter()
+      .append('text')
+      .attr('class', 'sector-label')
+      .attr('x', -6)
+      .attr('y', row => yScale(row.sector.id) + yScale.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .attr('font-size', '10px')
+      .attr('fill', '#374151')
+      .text(row => this.i18n.field(row.sector, 'label'));
+
+    // 每行的透明背景用于悬停和点击整行
+    const rowGroups = chartGroup.selectAll('.sector-row')
+      .data(rows)
+      .enter()
+      .append('g')
+      .attr('class', 'sector-row')
+      .style('cursor', this.onSectorClick ? 'pointer' : 'default');
+    rowGroups.append('rect')
+      .attr('x', -this.margins.left)
+      .attr('y', row => yScale(row.sector.id) - this.barGap / 2)
+      .attr('width', this.width)
+      .attr('height', this.barHeight + this.barGap)
+      .attr('fill', 'transparent');
+    rowGroups.selectAll('.sector-segment')
+      .data(row => row.segments)
+      .enter()
+      .append('rect')
+      .attr('class', 'sector-segment')
+      .attr('x', segment => xScale(segment.start))
+      .attr('y', segment => yScale(segment.sector.id))
+      .attr('width', segment => Math.max(0, xScale(segment.end) - xScale(segment.start)))
+      .attr('height', yScale.bandwidth())
+      .attr('fill', segment => this.colorScale(segment.entry.measure))
+      .attr('stroke', '#fff')
+      .attr('stroke-width', 0.5);
+    rowGroups.append('text')
+      .attr('class', 'sector-rate')
+      .attr('x', row => xScale(row.rate) + 4)
+      .attr('y', row => yScale(row.sector.id) + yScale.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('font-size', '10px')
+      .attr('font-weight', 'bold')
+      .attr('fill', '#1f2937')
+      .text(row => `${row.rate}%`);
+
+    rowGroups
+      .on('mouseover', (event, row) => this.showTooltip(event, row))
+      .on('mousemove', event => this.moveTooltip(event))
+      .on('mouseout', () => this.hideTooltip())
+      .on('click', (event, row) => {
+        this.hideTooltip();
+        if (this.onSectorClick) this.onSectorClick(row.sector.id);
+      });
+    labels.style('pointer-events', 'none');
+
+    // 图例：措施名称
+    const legendGroup = svg.append('g')
+      .attr('class', 'sector-legend')
+      .attr('transform', `translate(0, ${this.margins.top + innerHeight + this.margins.bottom})`);
+    measures.forEach((entry, i) => {
+      legendGroup.append('rect')
+        .attr('x', 0)
+        .attr('y', i * 16)
+        .attr('width', 10)
+        .attr('height', 10)
+        .attr('fill', this.colorScale(entry.measure));
+      legendGroup.append('text')
+        .attr('x', 14)
+        .attr('y', i * 16 + 9)
+        .attr('font-size', '10px')
+        .attr('fill', '#4b5563')
+        .text(this.i18n.field(entry, 'label'));
+    });
+  }
+
+  /**
+   * 显示提示框：行业名称、HS 编码、各措施税率及合计
+   * @param {Event} event 鼠标事件
+   * @param {Object} row processData 中的一行
+   */
+  showTooltip(event, row) {
+    const layers = row.segments.length > 0
+      ? row.segments.map(segment => `<div>${this.i18n.field(segment.entry, 'label')}: +${segment.rate}%</div>`).join('')
+      : `<div>${this.i18n.t('sectorChart.tooltip.noMeasures')}</div>`;
+    // 只列出对该国已生效、但不适用于此行业的措施（名称取最近生效的条目）
+    const usTariff = TariffRateResolver.resolve(this.country);
+    const activeLayers = usTariff.layers.concat(usTariff.partialLayers);
+    const exemptLabels = (row.sector.exemptMeasures || [])
+      .map(measure => activeLayers.find(entry => entry.measure === measure))
+      .filter(Boolean)
+      .map(entry => this.i18n.field(entry, 'label'));
+    const exempt = exemptLabels.length > 0
+      ? `<div style="margin-top: 4px; color: #6b7280;">${this.i18n.t('sectorChart.tooltip.exempt', { measures: exemptLabels.join(this.i18n.t('common.listSeparator')) })}</div>`
+      : '';
+
+    this.tooltip.html(`
+      <div style="font-weight: bold;">${this.i18n.field(row.sector, 'label')}</div>
+      <div style="color: #6b7280; margin-bottom: 5px;">${this.i18n.t('sectorChart.tooltip.hsCodes', { codes: row.sector.hsCodes.join(this.i18n.t('common.listSeparator')) })}</div>
+      ${layers}
+      <div style="margin-top: 4px; font-weight: bold;">${this.i18n.t('sectorChart.tooltip.total', { rate: row.rate })}</div>
+      ${exempt}
+      ${this.onSectorClick ? `<div style="margin-top: 4px; color: #6b7280;">${this.i18n.t('sectorChart.tooltip.clickHint')}</div>` : ''}
+    `);
+    this.tooltip.transition()
+      .duration(100)
+      .style('opacity', 0.95);
+    this.moveTooltip(event);
+  }
+
+  /**
+   * 提示框跟随鼠标；靠近窗口右侧（详情面板）时显示在鼠标左侧
+   * @param {Event} event 鼠标事件
+   */
+  moveTooltip(event) {
+    const node = this.tooltip.node();
+    const left = event.pageX + 10 + node.offsetWidth > window.scrollX + window.innerWidth
+      ? event.pageX - node.offsetWidth - 10
+      : event.pageX + 10;
+    this.tooltip
+      .style('left', left + 'px')
+      .style('top', (event.pageY - 20) + 'px');
+  }
+
+  /**
+   * 隐藏提示框
+   */
+  hideTooltip() {
+    this.tooltip.interrupt().style('opacity', 0);
+  }
+}
+
+// 导出组件
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TariffSectorChart;
+}
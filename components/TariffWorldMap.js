@@ -8,24 +8,72 @@ class TariffWorldMap {
    * @param {Object} config 配置对象
    * @param {string} config.containerId 容器ID
    * @param {string} config.dataPath 关税数据路径
+   * @param {TariffDataStore} config.store 共享数据存储（提供时从中获取数据并订阅变化，不再单独请求 dataPath）
    * @param {number} config.width 地图宽度
    * @param {number} config.height 地图高度
    * @param {Object} config.margins 地图边距
    * @param {Function} config.onCountryClick 国家点击回调函数
+   * @param {CountryHighlight} config.highlight 联动高亮状态（与柱状图、数据表格共享）
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时更新图例和标签）
+   * @param {string} config.mode 着色方式：'usToPartner'（美国对其税率，默认）、'partnerToUs'（该国对美税率）、'difference'（两者之差）
+   * @param {string} config.sector 行业 id（数据中 sectors 的条目），提供时美国对其税率按该行业计算；其他着色方式不区分行业
+   * @param {Function} config.onZoomChange 缩放变化时调用，参数为 getZoomState() 的结果
    */
   constructor(config) {
     this.containerId = config.containerId || 'tariff-world-map';
     this.dataPath = config.dataPath || 'data/tariff_data.json';
     this.geoJsonPath = config.geoJsonPath || 'data/world.geojson';
+    this.store = config.store || null;
     this.width = config.width || 960;
     this.height = config.height || 500;
     this.margins = config.margins || { top: 20, right: 20, bottom: 60, left: 20 };
     this.onCountryClick = config.onCountryClick || null;
+    this.highlight = config.highlight || null;
+    this.i18n = config.i18n || new I18n();
     
-    // 颜色比例尺 - **UPDATED** to reflect US tariffs ON others (10% to 125%)
+    // 颜色比例尺 - **UPDATED** to reflect US tariffs ON others (10% to 145%)
     this.colorScale = d3.scaleThreshold()
-      .domain([10, 15, 25, 30, 50, 100]) // Example thresholds up to 125
+      .domain([10, 15, 25, 30, 50, 100]) // Example thresholds up to 145
       .range(d3.schemeReds[7]); // Use 7 shades of red
+    this.unresolvedColor = '#9ca3af'; // Tailwind gray-400 for countries whose US rate cannot be determined
+    this.partialOnlyLightness = 0.55; // 仅部分商品被加征时，颜色向白色插值的比例
+    
+    // 各着色方式的颜色比例尺和图例（图例范围 legendMin ~ legendMax，刻度 ticks）
+    this.modes = {
+      usToPartner: {
+        legendTitleKey: 'map.legend.title',
+        colorScale: this.colorScale,
+        legendMin: 10,
+        legendMax: 150,
+        ticks: [10, 25, 50, 100, 145]
+      },
+      partnerToUs: {
+        legendTitleKey: 'map.legend.title.partnerToUs',
+        colorScale: d3.scaleThreshold()
+          .domain([5, 10, 15, 25, 50, 80])
+          .range(d3.schemeBlues[7]),
+        legendMin: 0,
+        legendMax: 100,
+        ticks: [0, 10, 25, 50, 80]
+      },
+      // 正值表示美国对其税率更高（红色），负值表示该国对美税率更高（蓝色）
+      difference: {
+        legendTitleKey: 'map.legend.title.difference',
+        colorScale: d3.scaleThreshold()
+          .domain([-50, -25, -10, -2, 2, 10, 25, 50])
+          .range([...d3.schemeRdBu[9]].reverse()),
+        legendMin: -75,
+        legendMax: 75,
+        ticks: [-50, -25, -10, 0, 10, 25, 50]
+      }
+    };
+    this.mode = this.modes[config.mode] ? config.mode : 'usToPartner';
+    this.sector = config.sector || ''; // 空字符串表示全部商品
+    this.onZoomChange = config.onZoomChange || null;
+    
+    // 缩放状态：zoomTransform 为当前变换，zoomRegion 为最近一次定位的预设区域（拖动或滚轮缩放后清除）
+    this.zoomTransform = d3.zoomIdentity;
+    this.zoomRegion = null;
     
     // 数据
     this.worldData = null;
@@ -56,8 +104,9 @@ class TariffWorldMap {
     // 创建地理路径生成器
     this.path = d3.geoPath().projection(this.projection);
     
-    // 创建地图组
-    this.mapGroup = this.svg.append('g');
+    // 创建地图组（随缩放变换）
+    this.mapGroup = this.svg.append('g')
+      .attr('class', 'map-zoom-layer');
 
     // 创建欧盟标记组
     this.euMarkerGroup = this.svg.append('g');
@@ -68,6 +117,14 @@ class TariffWorldMap {
     // 创建图例组
     this.legendGroup = this.svg.append('g')
       .attr('transform', `translate(40, ${this.height - 50})`);
+    
+    // 缩放和平移：只有国家区域随缩放变换，标签和欧盟标记按缩放后的位置重新定位，字号和大小保持不变；
+    // 双击不缩放，避免与点击国家冲突
+    this.zoom = d3.zoom()
+      .scaleExtent([1, TariffWorldMap.MAX_ZOOM])
+      .on('zoom', event => this.handleZoom(event));
+    this.svg.call(this.zoom).on('dblclick.zoom', null);
+    this.updateZoomExtent();
       
     // 创建提示框
     this.tooltip = d3.select('body').append('div')
@@ -95,17 +152,26 @@ class TariffWorldMap {
       // 并行加载世界地图数据和关税数据
       const [worldData, tariffData] = await Promise.all([
         d3.json(this.geoJsonPath),
-        d3.json(this.dataPath)
+        this.store ? this.store.load() : d3.json(this.dataPath)
       ]);
       
       this.worldData = worldData;
-      this.tariffData = tariffData;
+      // 加载期间数据日期可能已变化，以存储中的当前快照为准
+      this.tariffData = this.store ? this.store.getSnapshot() : tariffData;
       
       this.drawMap();
       this.createLegend();
       this.setupTooltips();
       this.addEUMarker(); // 添加欧盟标记
       
+      if (this.store) {
+        this.store.subscribe(snapshot => this.updateTariffData(snapshot));
+      }
+      if (this.highlight) {
+        this.highlight.subscribe(() => this.applyHighlight());
+      }
+      this.i18n.subscribe(() => this.updateLanguage());
+      
       console.log('世界关税地图数据加载完成');
     } catch (error) {
       console.error('加载数据失败:', error);
@@ -144,31 +210,11 @@ class TariffWorldMap {
           .attr('d', this.path)
           .attr('stroke', '#fff')
           .attr('stroke-width', 0.5)
+          .attr('vector-effect', 'non-scaling-stroke') // 放大后边框粗细不变
           .attr('class', 'country')
           .attr('data-country-code3', d => d.id) // Store alpha-3 code (e.g., 'USA')
           .attr('data-country-code2', d => d.properties.iso_a2_eh || d.properties.iso_a2) // Store alpha-2 code (e.g., 'US')
-          .attr('fill', d => {
-              const countryCode3 = d.id;
-
-              if (countryCode3 === 'USA') {
-                  return '#cbd5e0'; // Neutral color (Tailwind gray-300) for the US itself
-              }
-
-              // 检查是否为欧盟成员国 (使用 ISO A3)
-              if (this.isEUMember(countryCode3)) {
-                  // 对欧盟成员国使用欧盟的关税率
-                  return this.colorScale(this.getUsTariffOnCountry(this.euData));
-              }
-
-              const country = countryTariffMap[countryCode3];
-              if (!country) {
-                  return '#f7fafc'; // Very light gray (Tailwind gray-100) for countries with no data
-              }
-              
-              // Determine the US tariff rate ON this country
-              const usTariffRateOnCountry = this.getUsTariffOnCountry(country);
-              return this.colorScale(usTariffRateOnCountry); // Color based on US tariff ON the country
-          })
+          .attr('fill', d => this.getCountryFill(d.id, countryTariffMap))
           .each((d, i, nodes) => {
               // Populate the countryGeoMap with references to the path elements
               if (d.id) this.countryGeoMap[d.id] = nodes[i];
@@ -180,26 +226,7 @@ class TariffWorldMap {
           .on('mouseout', this.handleMouseOut.bind(this))
           .on('click', this.handleClick.bind(this)),
         update => update // How to update existing paths
-          .attr('fill', d => {
-              const countryCode3 = d.id;
-
-              if (countryCode3 === 'USA') {
-                  return '#cbd5e0'; // Neutral color for US
-              }
-
-              // 检查是否为欧盟成员国 (使用 ISO A3)
-              if (this.isEUMember(countryCode3)) {
-                  // 对欧盟成员国使用欧盟的关税率
-                  return this.colorScale(this.getUsTariffOnCountry(this.euData));
-              }
-
-              const country = countryTariffMap[countryCode3];
-              if (!country) {
-                  return '#f7fafc'; // No data color
-              }
-              const usTariffRateOnCountry = this.getUsTariffOnCountry(country);
-              return this.colorScale(usTariffRateOnCountry);
-          })
+          .attr('fill', d => this.getCountryFill(d.id, countryTariffMap))
           // Re-attach event listeners if needed, though D3 join usually handles this
           .on('mouseover', this.handleMouseOver.bind(this))
           .on('mousemove', this.handleMouseMove.bind(this))
@@ -210,6 +237,29 @@ class TariffWorldMap {
       
     // 为主要国家添加标签 (use code3 for lookup if needed)
     this.addCountryLabels(countryTariffMap);
+    
+    this.applyHighlight();
+  }
+  
+  /**
+   * 根据联动高亮状态为地图区域添加悬停、选中和固定样式（样式定义见页面 CSS）
+   */
+  applyHighlight() {
+    if (!this.highlight || !this.mapGroup) return;
+    
+    const paths = this.mapGroup.selectAll('path.country');
+    const statusByCode3 = {};
+    paths.each(d => {
+      statusByCode3[d.id] = this.highlight.statusOf(this.getCountryCode(d.id));
+    });
+    
+    paths
+      .classed('linked-hover', d => statusByCode3[d.id].hovered)
+      .classed('linked-selected', d => statusByCode3[d.id].selected)
+      .classed('linked-pinned', d => statusByCode3[d.id].pinned);
+      
+    // 将高亮的区域移到最上层，避免边框被相邻区域遮挡
+    this.mapGroup.selectAll('path.linked-pinned, path.linked-selected, path.linked-hover').raise();
   }
   
   /**
@@ -221,7 +271,7 @@ class TariffWorldMap {
       return;
     }
 
-    const euPosition = this.projection([this.euData.longitude, this.euData.latitude]);
+    const euPosition = this.projectPoint(this.euData);
     
     // 创建外圆
     this.euMarkerGroup.append('circle')
@@ -263,6 +313,7 @@ class TariffWorldMap {
       .on('mouseover', (event) => {
         this.handleEUInteraction(true);
         this.showTooltip(event, this.euData);
+        if (this.highlight) this.highlight.setHovered('EU');
       })
       .on('mousemove', (event) => {
         this.tooltip
@@ -272,8 +323,14 @@ class TariffWorldMap {
       .on('mouseout', () => {
         this.handleEUInteraction(false);
         this.hideTooltip();
+        if (this.highlight) this.highlight.setHovered(null);
       })
-      .on('click', () => {
+      .on('click', (event) => {
+        if (this.highlight && CountryHighlight.isPinGesture(event)) {
+          this.highlight.togglePinned('EU');
+          return;
+        }
+        this.zoomToRegion('europe');
         if (this.onCountryClick && this.euData) {
           this.onCountryClick(this.euData);
         }
@@ -281,22 +338,24 @@ class TariffWorldMap {
   }
   
   /**
-   * 添加国家标签
+   * 添加国家标签：主要国家始终显示，其他国家放大到 LABEL_DETAIL_ZOOM 倍后显示（见 positionOverlays）
    * @param {Object} countryTariffMap 国家关税数据映射
    */
   addCountryLabels(countryTariffMap) {
-    // 过滤主要国家，排除欧盟（因为欧盟已经有自己的标记）
-    const majorCountries = this.tariffData.countries.filter(c => c.isMajor && c.code !== 'EU');
+    // 排除欧盟（因为欧盟已经有自己的标记）和没有经纬度的国家
+    const countries = this.tariffData.countries.filter(c => c.code !== 'EU' && typeof c.longitude === 'number' && typeof c.latitude === 'number');
     
     // 添加标签
     this.labelsGroup.selectAll('text')
-      .data(majorCountries)
+      .data(countries)
       .enter()
       .append('text')
-      .attr('x', d => this.projection([d.longitude, d.latitude])[0])
-      .attr('y', d => this.projection([d.longitude, d.latitude])[1])
+      .attr('data-country-code', d => d.code)
+      .attr('x', d => this.projectPoint(d)[0])
+      .attr('y', d => this.projectPoint(d)[1])
+      .attr('display', d => (this.isLabelVisible(d) ? null : 'none'))
       .attr('dy', -8)
-      .text(d => d.name)
+      .text(d => this.i18n.field(d, 'name'))
       .attr('font-size', '10px')
       .attr('font-weight', 'bold')
       .attr('text-anchor', 'middle')
@@ -305,70 +364,45 @@ class TariffWorldMap {
   }
   
   /**
-   * 创建图例
+   * 创建图例（按当前着色方式）
    */
   createLegend() {
     const legendWidth = 300;
     const legendHeight = 15;
-    const legendColors = this.colorScale.range();
-    // Get the actual domain thresholds used in the color scale
-    const colorDomain = this.colorScale.domain(); 
-    // Define the legend scale domain based on actual data range (0 or 10 up to max tariff 125)
-    const legendMin = 10; // Start legend at baseline tariff
-    const legendMax = 130; // Go slightly beyond the max 125
+    const mode = this.modes[this.mode];
+    const colorDomain = mode.colorScale.domain();
     
     // 创建图例标题
     this.legendGroup.append('text')
       .attr('x', 0)
       .attr('y', -10)
-      .text('美国对其关税率 (%)') // **UPDATED TITLE**
+      .text(this.getLegendTitle())
       .attr('font-size', '12px')
       .attr('font-weight', 'bold');
     
     // 创建颜色矩形对应的线性比例尺
     const legendScale = d3.scaleLinear()
-      .domain([legendMin, legendMax]) // Use dynamic min/max
+      .domain([mode.legendMin, mode.legendMax])
       .range([0, legendWidth]);
       
-    // Generate tick values based on the color scale domain, plus 0 and potentially max
-    let tickValues = [10, 25, 50, 100, 125]; 
-    if (legendMax > colorDomain[colorDomain.length - 1]) {
-        // Add a tick near the max if it extends beyond the last color threshold
-        // tickValues.push(legendMax); // Option 1: Tick at the very end
-        // Option 2: Add a sensible tick like 80 if max is >= 80
-         if (legendMax >= 80 && !tickValues.includes(80)) tickValues.push(80);
-    }
-    tickValues = [...new Set(tickValues)].sort((a,b) => a-b); // Unique and sorted
-      
     const legendAxis = d3.axisBottom(legendScale)
-      .tickValues([10, 25, 50, 100, 125]) // **UPDATED TICKS** Example: Focus on key rates
-      .tickFormat(d => d);
+      .tickValues(mode.ticks)
+      .tickFormat(d => (this.mode === 'difference' && d > 0 ? `+${d}` : d));
       
-    // 添加图例矩形
-    // Create segments based on color domain + 0 and legendMax
-    const legendSegments = [legendMin, ...colorDomain, legendMax].filter((v, i, a) => a.indexOf(v) === i).sort((a,b)=>a-b);
+    // 添加图例矩形：每段取起点对应的颜色
+    const legendSegments = [mode.legendMin, ...colorDomain, mode.legendMax]
+      .filter(v => v >= mode.legendMin && v <= mode.legendMax)
+      .filter((v, i, a) => a.indexOf(v) === i)
+      .sort((a, b) => a - b);
     
     for (let i = 0; i < legendSegments.length - 1; i++) {
-      const segmentStart = legendSegments[i];
-      const segmentEnd = legendSegments[i+1];
-      const xPos = legendScale(segmentStart);
-      let rectWidth = legendScale(segmentEnd) - xPos;
-      
-       // Ensure width is non-negative (should be fine with sorted segments)
-      if (rectWidth < 0) {
-          console.error(`Calculated negative legend rect width (${rectWidth}) for segment ${segmentStart}-${segmentEnd}. Skipping.`);
-          continue;
-      }
-      
-      // Determine color for this segment (use the color corresponding to the start value)
-      const segmentColor = this.colorScale(segmentStart);
-
+      const xPos = legendScale(legendSegments[i]);
       this.legendGroup.append('rect')
         .attr('x', xPos)
         .attr('y', 0)
-        .attr('width', rectWidth)
+        .attr('width', legendScale(legendSegments[i + 1]) - xPos)
         .attr('height', legendHeight)
-        .attr('fill', segmentColor);
+        .attr('fill', mode.colorScale(legendSegments[i]));
     }
     
     // 添加图例轴
@@ -377,6 +411,143 @@ class TariffWorldMap {
       .call(legendAxis)
       .select('.domain')
       .attr('stroke', '#333');
+
+    // 税率差的两端分别说明颜色含义
+    if (this.mode === 'difference') {
+      [
+        { x: 0, anchor: 'start', label: this.i18n.t('map.legend.partnerHigher') },
+        { x: legendWidth, anchor: 'end', label: this.i18n.t('map.legend.usHigher') }
+      ].forEach(item => {
+        this.legendGroup.append('text')
+          .attr('x', item.x)
+          .attr('y', legendHeight + 30)
+          .attr('text-anchor', item.anchor)
+          .text(item.label)
+          .attr('font-size', '10px')
+          .attr('fill', '#4b5563');
+      });
+    }
+
+    // 仅部分商品加征（只在美国对其税率方式且不按行业着色时区分）、税率待确认的国家
+    const extraItems = [
+      { label: this.i18n.t('map.legend.unresolved'), color: this.unresolvedColor }
+    ];
+    if (this.mode === 'usToPartner' && !this.getSectorDefinition()) {
+      extraItems.unshift({ label: this.i18n.t('map.legend.partialOnly'), color: d3.interpolateRgb(this.colorScale(25), '#ffffff')(this.partialOnlyLightness) });
+    }
+    extraItems.forEach((item, i) => {
+      const x = legendWidth + 20 + i * 100;
+      this.legendGroup.append('rect')
+        .attr('x', x)
+        .attr('y', 0)
+        .attr('width', legendHeight)
+        .attr('height', legendHeight)
+        .attr('fill', item.color);
+      this.legendGroup.append('text')
+        .attr('x', x + legendHeight + 5)
+        .attr('y', legendHeight - 3)
+        .text(item.label)
+        .attr('font-size', '10px');
+    });
+  }
+  
+  /**
+   * 获取图例标题；按行业着色时标题中注明行业
+   * @returns {string}
+   */
+  getLegendTitle() {
+    const sector = this.getSectorDefinition();
+    if (sector) {
+      return this.i18n.t('map.legend.title.sector', { sector: this.i18n.field(sector, 'label') });
+    }
+    return this.i18n.t(this.modes[this.mode].legendTitleKey);
+  }
+  
+  /**
+   * 切换着色方式，重新着色并更新图例
+   * @param {string} mode 'usToPartner'、'partnerToUs' 或 'difference'
+   */
+  setMode(mode) {
+    if (!this.modes[mode] || mode === this.mode) return;
+    this.mode = mode;
+    if (!this.tariffData) return;
+    
+    this.legendGroup.selectAll('*').remove();
+    this.createLegend();
+    this.updateTariffData(this.tariffData);
+  }
+  
+  /**
+   * 获取当前着色方式
+   * @returns {string}
+   */
+  getMode() {
+    return this.mode;
+  }
+  
+  /**
+   * 切换按行业着色（只影响美国对其税率方式）
+   * @param {string} sectorId 行业 id，空字符串表示全部商品
+   */
+  setSector(sectorId) {
+    sectorId = sectorId || '';
+    if (sectorId === this.sector) return;
+    this.sector = sectorId;
+    if (!this.tariffData) return;
+    
+    this.legendGroup.selectAll('*').remove();
+    this.createLegend();
+    this.updateTariffData(this.tariffData);
+  }
+  
+  /**
+   * 获取当前行业 id
+   * @returns {string} 空字符串表示全部商品
+   */
+  getSector() {
+    return this.sector;
+  }
+  
+  /**
+   * 获取当前生效的行业定义：只有美国对其税率方式下按行业着色，数据中没有该行业时视为全部商品
+   * @returns {Object|null}
+   */
+  getSectorDefinition() {
+    if (!this.sector || this.mode !== 'usToPartner' || !this.tariffData) return null;
+    return (this.tariffData.sectors || []).find(sector => sector.id === this.sector) || null;
+  }
+  
+  /**
+   * 获取国家在当前着色方式下的数值
+   * @param {Object} country 国家数据
+   * @returns {number|null} 税率或税率差（百分点），无法确定时为 null
+   */
+  getModeValue(country) {
+    const usRate = TariffRateResolver.getRate(country);
+    const partnerRate = typeof country.tariffRate === 'number' ? country.tariffRate : null;
+    switch (this.mode) {
+      case 'partnerToUs':
+        return partnerRate;
+      case 'difference':
+        return usRate === null || partnerRate === null ? null : Math.round((usRate - partnerRate) * 10) / 10;
+      default: {
+        const sector = this.getSectorDefinition();
+        return sector ? TariffRateResolver.getSectorRate(country, sector) : usRate;
+      }
+    }
+  }
+  
+  /**
+   * 按当前着色方式格式化数值，用于导出图片中的标签
+   * @param {number|null} value getModeValue 的结果
+   * @returns {string}
+   */
+  formatModeValue(value) {
+    if (value === null) return this.i18n.t('rate.pending');
+    if (this.mode === 'difference') {
+      return this.i18n.t('map.differenceValue', { value: value > 0 ? `+${value}` : value });
+    }
+    return `${value}%`;
   }
   
   /**
@@ -394,28 +565,9 @@ class TariffWorldMap {
   showTooltip(event, countryData) {
     if (!countryData) return;
     
-    let tooltipHtml = `<strong>${countryData.name}</strong><br/>`;
-    
-    // **MODIFIED Tooltip Content**
-    if (countryData.code === 'US') {
-        // Special tooltip for US - maybe show count of countries targeting it?
-        const targetingCountries = this.tariffData.countries.filter(c => c.response && c.response.length > 0);
-        tooltipHtml += `<small>被 ${targetingCountries.length} 个主要经济体采取反制措施</small>`;
-    } else {
-        const usTariffRate = this.getUsTariffOnCountry(countryData);
-        tooltipHtml += `美国对其关税率: ${usTariffRate}%<br/>`;
-        
-        if (countryData.tariffRate !== null && countryData.tariffRate !== undefined) {
-            tooltipHtml += `该国对美反制/平均税率: ${countryData.tariffRate}%<br/>`;
-        } else {
-            // tooltipHtml += `该国对美反制/平均税率: N/A<br/>`;
-        }
-        if (countryData.response && countryData.response.length > 0) {
-            tooltipHtml += `<small>有 ${countryData.response.length} 项反制措施</small>`;
-        } else {
-            tooltipHtml += `<small>无记录的反制措施</small>`;
-        }
-    }
+    const lines = this.getTooltipLines(countryData)
+      .map(line => (line.small ? `<small>${line.text}</small>` : line.text));
+    const tooltipHtml = `<strong>${this.i18n.field(countryData, 'name')}</strong><br/>${lines.join('<br/>')}`;
 
     this.tooltip.transition()
       .duration(100)
@@ -426,6 +578,154 @@ class TariffWorldMap {
       .style('top', (event.pageY - 28) + 'px');
   }
   
+  /**
+   * 获取提示框中国家名称之后的各行文字（导出图片时也用于补充提示信息）
+   * 当前着色方式对应的数值排在最前面，其余信息以小字显示
+   * @param {Object} countryData 国家数据
+   * @returns {Array<{text: string, small: boolean}>}
+   */
+  getTooltipLines(countryData) {
+    if (countryData.code === 'US') {
+        // Special tooltip for US - maybe show count of countries targeting it?
+        const targetingCountries = this.tariffData.countries.filter(c => c.response && c.response.length > 0);
+        return [{ text: this.i18n.t('map.tooltip.targetedBy', { count: targetingCountries.length }), small: true }];
+    }
+    
+    const usTariff = TariffRateResolver.resolve(countryData);
+    const hasCounterRate = countryData.tariffRate !== null && countryData.tariffRate !== undefined;
+    const usRateLine = small => ({ text: this.i18n.t('map.tooltip.usRate', { rate: TariffRateResolver.formatRate(usTariff.rate, this.i18n) }), small });
+    const counterRateLine = small => ({
+      text: hasCounterRate
+        ? this.i18n.t('map.tooltip.counterRate', { rate: countryData.tariffRate })
+        : this.i18n.t('map.tooltip.counterRateUnknown'),
+      small
+    });
+    const responseLine = {
+      text: countryData.response && countryData.response.length > 0
+        ? this.i18n.t('map.tooltip.responseCount', { count: countryData.response.length })
+        : this.i18n.t('map.tooltip.noResponses'),
+      small: true
+    };
+    
+    if (this.mode === 'partnerToUs') {
+        const lines = [counterRateLine(false)];
+        if (typeof countryData.highestTariff === 'number') {
+            const category = this.i18n.field(countryData, 'highestCategory');
+            lines.push({
+              text: category
+                ? this.i18n.t('map.tooltip.highestTariffCategory', { rate: countryData.highestTariff, category })
+                : this.i18n.t('map.tooltip.highestTariff', { rate: countryData.highestTariff }),
+              small: true
+            });
+        }
+        return lines.concat([responseLine, usRateLine(true)]);
+    }
+    
+    if (this.mode === 'difference') {
+        const difference = this.getModeValue(countryData);
+        return [
+          {
+            text: difference === null
+              ? this.i18n.t('map.tooltip.differenceUnknown')
+              : this.i18n.t('map.tooltip.difference', { value: this.formatModeValue(difference) }),
+            small: false
+          },
+          usRateLine(true),
+          counterRateLine(true)
+        ];
+    }
+    
+    const sector = this.getSectorDefinition();
+    const lines = [];
+    if (sector) {
+        const sectorRate = TariffRateResolver.getSectorRate(countryData, sector);
+        lines.push({
+          text: this.i18n.t('map.tooltip.sectorRate', { sector: this.i18n.field(sector, 'label'), rate: TariffRateResolver.formatRate(sectorRate, this.i18n) }),
+          small: false
+        });
+    }
+    lines.push(usRateLine(!!sector));
+    if (usTariff.partialLayers.length > 0) {
+        const layers = usTariff.partialLayers.map(layer => `${this.i18n.field(layer, 'label')} ${layer.rate}%`).join(this.i18n.t('common.listSeparator'));
+        lines.push({ text: this.i18n.t('map.tooltip.partialLayers', { layers }), small: true });
+    }
+    if (hasCounterRate) {
+        lines.push(counterRateLine(false));
+    }
+    lines.push(responseLine);
+    return lines;
+  }
+  
+  /**
+   * 导出地图为 SVG 或 PNG：加上标题、着色方式、数据日期和来源，
+   * 国家区域附带提示框中的信息（SVG 中悬停可见），主要国家和欧盟的标签下方标注当前着色方式的数值
+   * @param {string} format 'svg' 或 'png'
+   * @param {Object} [options] 选项
+   * @param {number} [options.scale] PNG 分辨率倍率
+   * @returns {Promise<void>}
+   */
+  async exportImage(format, options = {}) {
+    if (!this.tariffData) return;
+    
+    const asOfDate = this.tariffData.asOfDate || TariffRateResolver.toDateKey(new Date());
+    const sector = this.getSectorDefinition();
+    const exportOptions = {
+      title: this.i18n.t('tabs.worldMap.title'),
+      subtitle: [this.i18n.t(`map.mode.${this.mode}`)]
+        .concat(sector ? [this.i18n.field(sector, 'label')] : [])
+        .concat([this.i18n.t('export.dataDate', { date: asOfDate })])
+        .join(' · '),
+      source: this.i18n.t('export.source.tariff'),
+      decorate: chart => this.decorateExport(chart)
+    };
+    const filename = `tariff-map-${this.mode}${sector ? `-${sector.id}` : ''}-${asOfDate}.${format}`;
+    
+    if (format === 'png') {
+      await ChartExport.downloadPng(this.svg.node(), exportOptions, filename, options.scale);
+    } else {
+      ChartExport.downloadSvg(this.svg.node(), exportOptions, filename);
+    }
+  }
+  
+  /**
+   * 在导出的地图副本中补充提示信息和税率标签
+   * @param {SVGSVGElement} chart 地图副本
+   */
+  decorateExport(chart) {
+    const tooltipText = countryData => [this.i18n.field(countryData, 'name')]
+      .concat(this.getTooltipLines(countryData).map(line => line.text))
+      .join('\n');
+    const rateText = countryData => this.formatModeValue(this.getModeValue(countryData));
+    
+    chart.querySelectorAll('path.country').forEach(path => {
+      const code3 = path.getAttribute('data-country-code3');
+      const countryData = this.isEUMember(code3) ? this.euData : this.findCountryData(code3);
+      if (countryData) ChartExport.setTitle(path, tooltipText(countryData));
+    });
+    
+    // 主要国家标签下方加一行当前着色方式的数值
+    chart.querySelectorAll('text[data-country-code]').forEach(label => {
+      const countryData = this.tariffData.countries.find(c => c.code === label.getAttribute('data-country-code'));
+      if (!countryData || countryData.code === 'US') return;
+      ChartExport.appendElement(label, 'tspan', { x: label.getAttribute('x'), dy: '1.1em', 'font-weight': 'normal' }, rateText(countryData));
+    });
+    
+    // 欧盟只有圆点标记，导出时补充名称和税率
+    const euMarker = chart.querySelector('.eu-marker-inner');
+    if (this.euData && euMarker) {
+      ChartExport.setTitle(euMarker, tooltipText(this.euData));
+      const label = ChartExport.appendElement(euMarker.parentNode, 'text', {
+        x: euMarker.getAttribute('cx'),
+        y: Number(euMarker.getAttribute('cy')) - 14,
+        'text-anchor': 'middle',
+        'font-size': '10px',
+        'font-weight': 'bold',
+        fill: '#333'
+      }, this.i18n.field(this.euData, 'name'));
+      ChartExport.appendElement(label, 'tspan', { x: euMarker.getAttribute('cx'), dy: '1.1em', 'font-weight': 'normal' }, rateText(this.euData));
+    }
+  }
+  
   /**
    * 隐藏提示框
    */
@@ -460,6 +760,8 @@ class TariffWorldMap {
                .attr('stroke-width', 1);
          }
     }
+    
+    if (this.highlight) this.highlight.setHovered(this.getCountryCode(countryCode3));
   }
   
   /**
@@ -488,14 +790,24 @@ class TariffWorldMap {
            .attr('stroke-width', 0.5);
     }
     this.hideTooltip();
+    
+    if (this.highlight) this.highlight.setHovered(null);
   }
   
   /**
-   * 处理点击事件
+   * 处理点击事件：放大到该国并打开详情；按住 Shift/Ctrl/Command 点击时固定或取消固定该国用于对比
    * @param {Event} event 鼠标事件
    * @param {Object} d GeoJSON 数据点
    */
   handleClick(event, d) {
+    if (this.highlight && CountryHighlight.isPinGesture(event)) {
+      const code = this.getCountryCode(d.id);
+      if (code) this.highlight.togglePinned(code);
+      return;
+    }
+    
+    this.zoomToFeature(d);
+    
     if (this.onCountryClick) {
       const countryCode3 = d.id;
       let countryData;
@@ -511,15 +823,6 @@ class TariffWorldMap {
       } else {
            console.warn(`未找到国家数据: ${countryCode3}`);
       }
-      
-      // Add the calculated US tariff rate to the data passed to the click handler
-       if (countryData && countryData.code !== 'US') { 
-           countryData.usTariffRateOnCountry = this.getUsTariffOnCountry(countryData);
-       }
-       
-       if (countryData) {
-          this.onCountryClick(countryData);
-       }
     }
   }
   
@@ -532,6 +835,17 @@ class TariffWorldMap {
       return this.tariffData.countries.find(c => c.code3 === code3) || null;
   }
   
+  /**
+   * Helper to get the tariff_data.json country code for a map region (EU members map to 'EU')
+   * @param {string} code3 ISO A3 code
+   * @returns {string|null} Country code or null if no data
+   */
+  getCountryCode(code3) {
+      if (this.isEUMember(code3)) return 'EU';
+      const country = this.findCountryData(code3);
+      return country ? country.code : null;
+  }
+  
   /**
    * Helper to check if a country code (ISO A3) is an EU member
    * @param {string} code3 ISO A3 code
@@ -597,11 +911,12 @@ class TariffWorldMap {
    */
   getResponseHtml(responses) {
     if (!responses || responses.length === 0) {
-      return '<span>无明确反制措施记录</span>';
+      return `<span>${this.i18n.t('map.responses.none')}</span>`;
     }
-    let html = '<div style="font-weight: bold; margin-bottom: 3px;">反制措施:</div><ul style="list-style: none; padding-left: 0; margin: 0;">';
+    let html = `<div style="font-weight: bold; margin-bottom: 3px;">${this.i18n.t('map.responses.title')}</div><ul style="list-style: none; padding-left: 0; margin: 0;">`;
     responses.forEach(res => {
-      html += `<li style="margin-bottom: 4px;"><strong>${res.type}:</strong> ${res.details} ${res.effectiveDate ? '(' + res.effectiveDate + ')' : ''}</li>`;
+      const effectiveDate = TariffDate.parse(res.effectiveDate);
+      html += `<li style="margin-bottom: 4px;"><strong>${this.i18n.field(res, 'type')}:</strong> ${this.i18n.field(res, 'details')} ${effectiveDate ? '(' + TariffDate.format(effectiveDate, this.i18n) + ')' : ''}</li>`;
     });
     html += '</ul>';
     return html;
@@ -629,25 +944,7 @@ class TariffWorldMap {
     this.mapGroup.selectAll('path.country')
       .transition()
       .duration(750)
-      .attr('fill', d => {
-        const countryCode3 = d.id;
-
-        if (countryCode3 === 'USA') {
-          return '#cbd5e0';
-        }
-        
-        // 检查是否为欧盟成员国 (使用 ISO A3)
-        if (this.isEUMember(countryCode3)) {
-          return this.colorScale(this.getUsTariffOnCountry(this.euData));
-        }
-        
-        const country = countryTariffMap[countryCode3];
-        if (!country) {
-          return '#f7fafc';
-        }
-        
-        return this.colorScale(this.getUsTariffOnCountry(country));
-      });
+      .attr('fill', d => this.getCountryFill(d.id, countryTariffMap));
       
     // 更新标签
     this.labelsGroup.selectAll('text').remove();
@@ -658,12 +955,25 @@ class TariffWorldMap {
     this.addEUMarker();
   }
   
+  /**
+   * 切换语言后重新绘制图例并更新国家标签
+   */
+  updateLanguage() {
+    this.legendGroup.selectAll('*').remove();
+    this.createLegend();
+    
+    this.labelsGroup.selectAll('text')
+      .text(d => this.i18n.field(d, 'name'));
+  }
+  
   /**
    * 调整地图大小
    * @param {number} width 新宽度
    * @param {number} height 新高度
    */
   resize(width, height) {
+    // 记录缩放前视图中心的经纬度，调整投影后恢复同样的视图
+    const view = this.getZoomView();
     this.width = width || document.getElementById(this.containerId)?.clientWidth || 960;
     this.height = height || 500;
     
@@ -679,62 +989,226 @@ class TariffWorldMap {
     this.mapGroup.selectAll('path.country')
       .attr('d', this.path);
       
-    // 更新标签位置
-    this.labelsGroup.selectAll('text')
-       .attr('x', d => this.projection([d.longitude, d.latitude])[0])
-       .attr('y', d => this.projection([d.longitude, d.latitude])[1]);
+    // 恢复缩放（同时更新标签和欧盟标记的位置）
+    this.updateZoomExtent();
+    this.restoreZoomView(view);
        
-    // 更新欧盟标记位置
-    if (this.euData) {
-      const euPosition = this.projection([this.euData.longitude, this.euData.latitude]);
+    // 更新图例位置
+    this.legendGroup.attr('transform', `translate(40, ${this.height - 50})`);
+  }
+  
+  /**
+   * 缩放或平移时更新地图变换、标签和欧盟标记；拖动或滚轮缩放后不再视为定位到预设区域
+   * @param {Object} event d3-zoom 事件
+   */
+  handleZoom(event) {
+    this.zoomTransform = event.transform;
+    if (event.sourceEvent) this.zoomRegion = null;
+    this.mapGroup.attr('transform', event.transform);
+    this.positionOverlays();
+    if (this.onZoomChange) this.onZoomChange(this.getZoomState());
+  }
+  
+  /**
+   * 按当前缩放更新标签和欧盟标记的位置，以及其他国家标签是否显示
+   */
+  positionOverlays() {
+    this.labelsGroup.selectAll('text')
+      .attr('x', d => this.projectPoint(d)[0])
+      .attr('y', d => this.projectPoint(d)[1])
+      .attr('display', d => (this.isLabelVisible(d) ? null : 'none'));
+    if (this.euData && this.euData.longitude && this.euData.latitude) {
+      const euPosition = this.projectPoint(this.euData);
       this.euMarkerGroup.selectAll('circle')
         .attr('cx', euPosition[0])
         .attr('cy', euPosition[1]);
     }
-       
-    // 更新图例位置
-    this.legendGroup.attr('transform', `translate(40, ${this.height - 50})`);
   }
   
   /**
-   * Helper: Calculate or retrieve the US tariff rate imposed ON a specific country.
-   * Mirrors the logic in TariffBarChart.js's processDataForChart.
+   * 国家经纬度在缩放后的地图上的位置
+   * @param {{longitude: number, latitude: number}} country 国家数据
+   * @returns {Array<number>} [x, y]
+   */
+  projectPoint(country) {
+    return this.zoomTransform.apply(this.projection([country.longitude, country.latitude]));
+  }
+  
+  /**
+   * 国家标签是否显示：主要国家始终显示，其他国家放大到 LABEL_DETAIL_ZOOM 倍后显示
+   * @param {Object} country 国家数据
+   * @returns {boolean}
+   */
+  isLabelVisible(country) {
+    return country.isMajor || this.zoomTransform.k >= TariffWorldMap.LABEL_DETAIL_ZOOM;
+  }
+  
+  /**
+   * 按地图尺寸设置缩放范围：缩小到 1 倍时不能平移，放大后不能平移出地图边界
+   */
+  updateZoomExtent() {
+    const extent = [[0, 0], [this.width, this.height]];
+    this.zoom.extent(extent).translateExtent(extent);
+  }
+  
+  /**
+   * 将变换限制在缩放范围内
+   * @param {Object} transform d3.zoomIdentity 变换
+   * @returns {Object}
+   */
+  constrainTransform(transform) {
+    const extent = [[0, 0], [this.width, this.height]];
+    const k = Math.max(1, Math.min(TariffWorldMap.MAX_ZOOM, transform.k));
+    const scaled = d3.zoomIdentity.translate(transform.x, transform.y).scale(k);
+    return this.zoom.constrain()(scaled, extent, extent);
+  }
+  
+  /**
+   * 当前视图：中心的经纬度和缩放倍数，与地图尺寸无关
+   * @returns {{center: Array<number>, k: number}}
+   */
+  getZoomView() {
+    return {
+      center: this.projection.invert(this.zoomTransform.invert([this.width / 2, this.height / 2])),
+      k: this.zoomTransform.k
+    };
+  }
+  
+  /**
+   * 以 getZoomView 记录的中心和缩放倍数恢复视图（不使用过渡动画）
+   * @param {{center: Array<number>, k: number}} view 视图
+   */
+  restoreZoomView(view) {
+    const point = this.projection(view.center);
+    const transform = d3.zoomIdentity
+      .translate(this.width / 2, this.height / 2)
+      .scale(view.k)
+      .translate(-point[0], -point[1]);
+    this.svg.interrupt().call(this.zoom.transform, this.constrainTransform(transform));
+  }
+  
+  /**
+   * 以过渡动画缩放到未缩放地图上的一个矩形范围，范围四周留出少量边距
+   * @param {Array<Array<number>>} bounds [[x0, y0], [x1, y1]]
+   */
+  zoomToBounds(bounds) {
+    const [[x0, y0], [x1, y1]] = bounds;
+    const k = 0.9 / Math.max((x1 - x0) / this.width, (y1 - y0) / this.height, 1e-6);
+    const transform = d3.zoomIdentity
+      .translate(this.width / 2, this.height / 2)
+      .scale(Math.min(TariffWorldMap.MAX_ZOOM, Math.max(1, k)))
+      .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+    this.svg.transition()
+      .duration(750)
+      .call(this.zoom.transform, this.constrainTransform(transform));
+  }
+  
+  /**
+   * 缩放到预设区域
+   * @param {string} region REGIONS 中的区域 id：'europe'、'asean'、'northAmerica'
+   * @returns {boolean} 区域是否存在
+   */
+  zoomToRegion(region) {
+    const box = TariffWorldMap.REGIONS[region];
+    if (!box) return false;
+    const [west, south] = box[0];
+    const [east, north] = box[1];
+    this.zoomRegion = region;
+    this.zoomToBounds([this.projection([west, north]), this.projection([east, south])]);
+    return true;
+  }
+  
+  /**
+   * 缩放到一个国家；由多块区域组成的国家（如美国、法国）缩放到面积最大的一块，不包括远离本土的海外领土
+   * @param {Object} feature GeoJSON 国家
+   */
+  zoomToFeature(feature) {
+    if (!feature || !feature.geometry) return;
+    let shape = feature;
+    if (feature.geometry.type === 'MultiPolygon') {
+      shape = feature.geometry.coordinates
+        .map(coordinates => ({ type: 'Polygon', coordinates }))
+        .reduce((largest, polygon) => (d3.geoArea(polygon) > d3.geoArea(largest) ? polygon : largest));
+    }
+    this.zoomRegion = null;
+    this.zoomToBounds(this.path.bounds(shape));
+  }
+  
+  /**
+   * 恢复为完整的世界地图
+   */
+  resetZoom() {
+    this.zoomRegion = null;
+    this.svg.transition()
+      .duration(750)
+      .call(this.zoom.transform, d3.zoomIdentity);
+  }
+  
+  /**
+   * 当前缩放状态
+   * @returns {{k: number, x: number, y: number, zoomed: boolean, region: (string|null)}} region 为最近一次定位的预设区域
+   */
+  getZoomState() {
+    const { k, x, y } = this.zoomTransform;
+    return { k, x, y, zoomed: k > 1.001 || Math.abs(x) > 0.5 || Math.abs(y) > 0.5, region: this.zoomRegion };
+  }
+  
+  /**
+   * Helper: 获取美国对某国的整体税率（由 TariffRateResolver 根据 usTariffSchedule 计算）
    * @param {Object} country Country data object from tariff_data.json
-   * @returns {number} The applicable US tariff rate on this country.
+   * @returns {number|null} 税率，无法确定时为 null
    */
   getUsTariffOnCountry(country) {
-      if (!country || country.code === 'US') return 0; // No self-tariff
+      return TariffRateResolver.getRate(country);
+  }
 
-      let usTariffRate = 10; // Default to baseline
+  /**
+   * Helper: 按当前着色方式计算某个地图区域的填充颜色
+   * @param {string} countryCode3 ISO A3 code
+   * @param {Object} countryTariffMap 国家关税数据映射 (code3 -> country)
+   * @returns {string} 颜色值
+   */
+  getCountryFill(countryCode3, countryTariffMap) {
+      if (countryCode3 === 'USA') {
+          return '#cbd5e0'; // Neutral color (Tailwind gray-300) for the US itself
+      }
 
-      // Try to extract from history first (using the same simple parsing as barchart)
-      if (country.usTariffHistory && country.usTariffHistory.length > 0) {
-          let maxRateFound = 0;
-          country.usTariffHistory.forEach(entry => {
-              const textToSearch = (entry.description || '') + ' ' + (entry.details || '');
-              const rateMatch = textToSearch.match(/(\d{1,3})%/);
-              if (rateMatch) {
-                  const rate = parseInt(rateMatch[1], 10);
-                  if (rate > maxRateFound) maxRateFound = rate;
-              }
-          });
-          if (maxRateFound > 10) usTariffRate = maxRateFound;
+      // 对欧盟成员国使用欧盟的关税率
+      const country = this.isEUMember(countryCode3) ? this.euData : countryTariffMap[countryCode3];
+      if (!country) {
+          return '#f7fafc'; // Very light gray (Tailwind gray-100) for countries with no data
       }
 
-      // Fallback/Override logic based on country code
-      switch (country.code) {
-          case 'CN': usTariffRate = 125; break;
-          case 'CA': usTariffRate = 25; break;
-          case 'MX': usTariffRate = 25; break;
-          case 'EU': usTariffRate = 25; break;
-          case 'JP': usTariffRate = 24; break;
-          case 'IN': usTariffRate = 26; break;
+      const value = this.getModeValue(country);
+      if (value === null) {
+          return this.unresolvedColor;
       }
-      
-      return usTariffRate;
+
+      // 只有部分商品被美国加征时（如2018年的232条款钢铝关税），使用对应税率颜色的浅色版本；按行业着色时行业税率已包含这些措施
+      if (this.mode === 'usToPartner' && !this.getSectorDefinition()) {
+          const result = TariffRateResolver.resolve(country);
+          if (result.rate === 0 && result.partialLayers.length > 0) {
+              const maxPartialRate = d3.max(result.partialLayers, layer => layer.rate);
+              return d3.interpolateRgb(this.colorScale(maxPartialRate), '#ffffff')(this.partialOnlyLightness);
+          }
+      }
+      return this.modes[this.mode].colorScale(value);
   }
 }
 
+// 最大缩放倍数
+TariffWorldMap.MAX_ZOOM = 8;
+
+// 放大到该倍数后显示非主要国家的标签
+TariffWorldMap.LABEL_DETAIL_ZOOM = 2.5;
+
+// 预设区域的经纬度范围 [[西, 南], [东, 北]]
+TariffWorldMap.REGIONS = {
+  europe: [[-11, 35], [32, 70]],
+  asean: [[92, -11], [141, 28.5]],
+  northAmerica: [[-168, 14], [-52, 72]]
+};
+
 // 导出组件
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = TariffWorldMap;
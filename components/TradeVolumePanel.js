@@ -0,0 +1,809 @@
+/**
+ * 贸易额面板组件
+ * 展示美国与所选贸易伙伴各年份的出口额、进口额、贸易总额和差额：D3 图表（进出口对比的分组柱状图或各年份的贸易差额）
+ * 和可排序的表格。数据来自 data/trade_data.json（见 TradeData），年份和伙伴均由数据决定，
+ * 新增年份只需修改数据文件。可选伙伴包括数据中的地区合计和 tariff_data.json 中的全部国家。
+ */
+class TradeVolumePanel {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.containerId 容器ID
+   * @param {TradeData|null} config.tradeData 双边贸易数据，为 null 时显示加载失败
+   * @param {TariffDataStore} config.store 共享数据存储，提供可选的国家及名称
+   * @param {Array<string>} config.partners 默认选中的伙伴（国家代码或地区 ID）
+   * @param {string} [config.analysisContainerId] 贸易趋势分析的容器ID，文字由 TradeData.getTrends 生成
+   * @param {I18n} config.i18n 界面语言（与页面共享，切换语言时重新渲染）
+   */
+  constructor(config) {
+    this.containerId = config.containerId || 'trade-volume-panel';
+    this.tradeData = config.tradeData || null;
+    this.store = config.store || null;
+    this.defaultPartners = config.partners || ['americas', 'EU', 'CN', 'asiaPacific'];
+    this.analysisContainerId = config.analysisContainerId || null;
+    this.i18n = config.i18n || new I18n();
+
+    // 视图状态
+    this.selected = this.defaultPartners.slice();
+    this.view = 'trade'; // 'trade' 进出口对比 | 'balance' 贸易差额
+    this.year = null; // 进出口对比的年份，默认为最近一年
+    this.sortField = 'year';
+    this.sortDirection = 'asc';
+
+    // 数据
+    this.countries = []; // tariff_data.json 中除美国外的国家
+
+    // 表格列
+    this.columns = [
+      { field: 'year', labelKey: 'trade.column.year' },
+      { field: 'partner', labelKey: 'trade.column.partner' },
+      { field: 'exports', labelKey: 'trade.column.exports', type: 'number' },
+      { field: 'imports', labelKey: 'trade.column.imports', type: 'number' },
+      { field: 'total', labelKey: 'trade.column.total', type: 'number' },
+      { field: 'balance', labelKey: 'trade.column.balance', type: 'number' }
+    ];
+
+    // 图表尺寸（SVG 使用 viewBox，随容器宽度缩放）
+    this.width = config.width || 480;
+    this.height = config.height || 240;
+    this.margins = config.margins || { top: 28, right: 8, bottom: 48, left: 56 };
+
+    // 创建提示框
+    this.tooltip = d3.select('body').append('div')
+      .attr('class', 'tariff-tooltip')
+      .style('opacity', 0)
+      .style('position', 'absolute')
+      .style('background-color', 'white')
+      .style('border', '1px solid #ddd')
+      .style('border-radius', '4px')
+      .style('padding', '8px')
+      .style('box-shadow', '0 1px 3px rgba(0,0,0,0.12)')
+      .style('pointer-events', 'none')
+      .style('font-family', 'Arial, sans-serif')
+      .style('font-size', '12px');
+
+    // 初始化
+    this.init();
+  }
+
+  /**
+   * 初始化面板
+   */
+  init() {
+    this.addStyles();
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`未找到ID为${this.containerId}的容器元素`);
+      return;
+    }
+    this.addEventListeners(container);
+    this.loadData();
+    this.i18n.subscribe(() => this.render());
+  }
+
+  /**
+   * 加载国家列表（贸易数据由调用方加载后传入）
+   */
+  async loadData() {
+    if (this.store) {
+      try {
+        await this.store.load();
+        this.countries = this.store.getBaselineData().countries.filter(country => country.code !== 'US');
+      } catch (error) {
+        console.error('贸易额面板加载国家数据失败:', error);
+      }
+    }
+    if (this.tradeData) {
+      const years = this.tradeData.getAllYears();
+      this.year = years[years.length - 1] || null;
+    }
+    this.render();
+  }
+
+  /**
+   * 渲染整个面板
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    this.hideTooltip();
+    this.renderAnalysis();
+    if (!this.tradeData) {
+      container.innerHTML = `<p class="trade-empty">${this.i18n.t('trade.error')}</p>`;
+      return;
+    }
+
+    const id = this.containerId;
+    const years = this.tradeData.getAllYears();
+    container.innerHTML = `
+      <h6 class="trade-heading">${this.i18n.t('trade.heading', { from: years[0], to: years[years.length - 1] })}</h6>
+      <div class="trade-controls">
+        <details id="${id}-picker" class="trade-picker">
+          <summary id="${id}-picker-summary"></summary>
+          <div id="${id}-picker-options" class="trade-picker-options"></div>
+        </details>
+        <label for="${id}-view">${this.i18n.t('trade.view')}</label>
+        <select id="${id}-view" data-control="view">
+          <option value="trade">${this.i18n.t('trade.view.trade')}</option>
+          <option value="balance">${this.i18n.t('trade.view.balance')}</option>
+        </select>
+        <label for="${id}-year" data-year-control>${this.i18n.t('trade.year')}</label>
+        <select id="${id}-year" data-control="year" data-year-control>
+          ${years.map(year => `<option value="${year}">${year}</option>`).join('')}
+        </select>
+      </div>
+      <div id="${id}-chart" class="trade-chart"></div>
+      <div id="${id}-table" class="trade-table-wrapper"></div>
+      <div id="${id}-notes" class="trade-notes"></div>
+    `;
+
+    container.querySelector(`#${id}-view`).value = this.view;
+    container.querySelector(`#${id}-year`).value = this.year;
+    this.renderPicker();
+    this.renderSelection();
+  }
+
+  /**
+   * 渲染伙伴选择列表：地区合计在前，国家按名称排序；没有贸易数据的国家不可选
+   */
+  renderPicker() {
+    const options = document.getElementById(`${this.containerId}-picker-options`);
+    if (!options) return;
+
+    const option = (code, label, disabled) => `
+      <label class="${disabled ? 'disabled' : ''}">
+        <input type="checkbox" data-partner="${code}" ${this.selected.includes(code) ? 'checked' : ''} ${disabled ? 'disabled' : ''} />
+        ${label}${disabled ? ` <span class="trade-picker-note">(${this.i18n.t('trade.partners.noData')})</span>` : ''}
+      </label>
+    `;
+    const countries = this.countries
+      .map(country => ({ code: country.code, name: this.i18n.field(country, 'name') }))
+      .sort((a, b) => a.name.localeCompare(b.name, this.i18n.getLocale()));
+
+    options.innerHTML = `
+      <div class="trade-picker-group">${this.i18n.t('trade.partners.regions')}</div>
+      ${this.tradeData.getRegionIds().map(regionId => option(regionId, this.getPartnerLabel(regionId), false)).join('')}
+      <div class="trade-picker-group">${this.i18n.t('trade.partners.countries')}</div>
+      ${countries.map(country => option(country.code, country.name, this.tradeData.getYears(country.code).length === 0)).join('')}
+      <button type="button" data-action="reset-partners">${this.i18n.t('trade.partners.reset')}</button>
+    `;
+  }
+
+  /**
+   * 按当前选择更新选择摘要、图表、表格和注释
+   */
+  renderSelection() {
+    const summary = document.getElementById(`${this.containerId}-picker-summary`);
+    if (summary) {
+      summary.textContent = this.i18n.t('trade.partners', { count: this.getPartners().length });
+    }
+    document.querySelectorAll(`#${this.containerId} [data-year-control]`).forEach(element => {
+      element.style.display = this.view === 'trade' ? '' : 'none';
+    });
+    this.renderChart();
+    this.renderTable();
+    this.renderNotes();
+  }
+
+  /**
+   * 绘制图表：进出口对比为所选年份各伙伴的出口额和进口额；贸易差额为各伙伴逐年的差额
+   */
+  renderChart() {
+    const container = d3.select(`#${this.containerId}-chart`);
+    if (container.empty()) return;
+    container.selectAll('*').remove();
+
+    const partners = this.getPartners();
+    if (partners.length === 0) {
+      container.append('p').attr('class', 'trade-empty').text(this.i18n.t('trade.empty'));
+      return;
+    }
+
+    const keys = this.view === 'trade' ? ['exports', 'imports'] : this.tradeData.getAllYears();
+    const groups = partners.map(code => ({
+      code,
+      label: this.getPartnerLabel(code),
+      values: keys
+        .map(key => {
+          const entry = this.view === 'trade' ? this.tradeData.get(code, this.year) : this.tradeData.get(code, key);
+          return { code, key, value: entry ? entry[this.view === 'trade' ? key : 'balance'] : null };
+        })
+        .filter(item => item.value !== null)
+    }));
+    const values = groups.reduce((all, group) => all.concat(group.values.map(item => item.value)), []);
+    const keyLabel = key => (this.view === 'trade' ? this.i18n.t(`trade.column.${key}`) : key);
+    const color = this.view === 'trade'
+      ? d3.scaleOrdinal().domain(keys).range(['#2563eb', '#f97316'])
+      : d3.scaleOrdinal().domain(keys).range(d3.schemeTableau10);
+
+    const innerWidth = this.width - this.margins.left - this.margins.right;
+    const innerHeight = this.height - this.margins.top - this.margins.bottom;
+    const svg = container.append('svg')
+      .attr('viewBox', `0 0 ${this.width} ${this.height}`)
+      .attr('width', '100%')
+      .attr('role', 'img')
+      .attr('aria-label', this.i18n.t(`trade.view.${this.view}`));
+    const chartGroup = svg.append('g')
+      .attr('transform', `translate(${this.margins.left}, ${this.margins.top})`);
+
+    const xScale = d3.scaleBand()
+      .domain(groups.map(group => group.code))
+      .range([0, innerWidth])
+      .paddingInner(0.2)
+      .paddingOuter(0.1);
+    const subScale = d3.scaleBand()
+      .domain(keys)
+      .range([0, xScale.bandwidth()])
+      .padding(0.08);
+    const yScale = d3.scaleLinear()
+      .domain([Math.min(0, d3.min(values) || 0), Math.max(0, d3.max(values) || 0)])
+      .nice()
+      .range([innerHeight, 0]);
+
+    chartGroup.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(yScale).ticks(5).tickFormat(d3.format(',')))
+      .selectAll('text')
+      .attr('font-size', '9px');
+    const xAxis = chartGroup.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0, ${innerHeight})`)
+      .call(d3.axisBottom(xScale).tickFormat(code => this.getPartnerLabel(code)).tickSizeOuter(0));
+    xAxis.selectAll('text').attr('font-size', '9px');
+    if (groups.length > 5) {
+      xAxis.selectAll('text')
+        .attr('text-anchor', 'end')
+        .attr('transform', 'rotate(-30)')
+        .attr('dx', '-0.4em')
+        .attr('dy', '0.6em');
+    }
+
+    // 零线：贸易差额为负时柱子向下延伸
+    chartGroup.append('line')
+      .attr('x1', 0)
+      .attr('x2', innerWidth)
+      .attr('y1', yScale(0))
+      .attr('y2', yScale(0))
+      .attr('stroke', '#9ca3af');
+
+    chartGroup.selectAll('.trade-group')
+      .data(groups)
+      .enter()
+      .append('g')
+      .attr('class', 'trade-group')
+      .attr('transform', group => `translate(${xScale(group.code)}, 0)`)
+      .selectAll('rect')
+      .data(group => group.values)
+      .enter()
+      .append('rect')
+      .attr('x', item => subScale(item.key))
+      .attr('y', item => yScale(Math.max(0, item.value)))
+      .attr('width', subScale.bandwidth())
+      .attr('height', item => Math.abs(yScale(item.value) - yScale(0)))
+      .attr('fill', item => color(item.key))
+      .on('mouseover', (event, item) => this.showTooltip(event, item))
+      .on('mousemove', event => this.moveTooltip(event))
+      .on('mouseout', () => this.hideTooltip());
+
+    // 图例和单位
+    const legendGroup = svg.append('g')
+      .attr('class', 'trade-legend')
+      .attr('transform', `translate(${this.margins.left}, 10)`);
+    let offset = 0;
+    keys.forEach(key => {
+      legendGroup.append('rect')
+        .attr('x', offset)
+        .attr('y', 0)
+        .attr('width', 10)
+        .attr('height', 10)
+        .attr('fill', color(key));
+      legendGroup.append('text')
+        .attr('x', offset + 14)
+        .attr('y', 9)
+        .attr('font-size', '10px')
+        .attr('fill', '#4b5563')
+        .text(keyLabel(key));
+      offset += 24 + keyLabel(key).length * 10;
+    });
+    svg.append('text')
+      .attr('x', this.width - this.margins.right)
+      .attr('y', 19)
+      .attr('text-anchor', 'end')
+      .attr('font-size', '10px')
+      .attr('fill', '#6b7280')
+      .text(this.i18n.t('trade.unit', { unit: this.i18n.field(this.tradeData.data, 'unit') }));
+  }
+
+  /**
+   * 渲染表格：所选伙伴在各年份的贸易额，点击列标题排序
+   */
+  renderTable() {
+    const wrapper = document.getElementById(`${this.containerId}-table`);
+    if (!wrapper) return;
+    const rows = this.getRows();
+    if (rows.length === 0) {
+      wrapper.innerHTML = '';
+      return;
+    }
+
+    const unit = this.i18n.t('trade.unit', { unit: this.i18n.field(this.tradeData.data, 'unit') });
+    const footnotes = this.getFootnotes();
+    const header = this.columns.map(column => `
+      <th class="sortable ${column.type === 'number' ? 'numeric' : ''}" data-sort="${column.field}">
+        ${this.i18n.t(column.labelKey)}${column.type === 'number' ? `<br/><span class="trade-unit">${unit}</span>` : ''}
+        <span class="sort-icon ${this.sortField === column.field ? this.sortDirection : ''}"></span>
+      </th>
+    `).join('');
+    const body = rows.map(row => {
+      const note = footnotes.indexOf(row.code);
+      return `
+        <tr>
+          <td class="trade-year">${row.year}</td>
+          <td>${row.partner}${note >= 0 ? `<sup>${note + 2}</sup>` : ''}</td>
+          <td class="numeric">${this.formatValue(row.exports)}</td>
+          <td class="numeric">${this.formatValue(row.imports)}</td>
+          <td class="numeric total">${this.formatValue(row.total)}</td>
+          <td class="numeric ${row.balance < 0 ? 'deficit' : 'surplus'}">${this.formatValue(row.balance)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    wrapper.innerHTML = `
+      <table class="trade-table">
+        <thead><tr>${header}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * 渲染注释：差额说明、所选地区的范围说明、统计口径和数据来源
+   */
+  renderNotes() {
+    const notes = document.getElementById(`${this.containerId}-notes`);
+    if (!notes) return;
+    const data = this.tradeData.data;
+    const regionNotes = this.getFootnotes()
+      .map((regionId, index) => `<p><sup>${index + 2}</sup> ${this.i18n.field(this.tradeData.getRegion(regionId), 'note')}</p>`)
+      .join('');
+    const link = data.sourceUrl
+      ? ` (<a href="${data.sourceUrl}" target="_blank" rel="noopener" class="text-blue-400 hover:text-blue-600">International Trade</a>)`
+      : '';
+
+    notes.innerHTML = `
+      <p><sup>1</sup> ${this.i18n.t('trade.note.balance')}</p>
+      ${regionNotes}
+      <p>${this.i18n.field(data, 'note')}</p>
+      <p class="trade-source">${this.i18n.t('trade.source', { source: this.i18n.field(data, 'source') })}${link}</p>
+    `;
+  }
+
+  /**
+   * 渲染贸易趋势分析：贸易格局、逆差来源和进口来源变化，比较数据中最早和最近的年份。
+   * 增减幅只在最近一年贸易总额前 TradeVolumePanel.MAJOR_PARTNERS 位的伙伴中比较，避免小额伙伴的大幅波动占据结论
+   */
+  renderAnalysis() {
+    const container = this.analysisContainerId ? document.getElementById(this.analysisContainerId) : null;
+    if (!container) return;
+    const trends = this.tradeData ? this.tradeData.getTrends() : null;
+    if (!trends) {
+      container.innerHTML = `<p class="trade-empty">${this.i18n.t(this.tradeData ? 'trade.empty' : 'trade.error')}</p>`;
+      return;
+    }
+
+    const { from, to } = trends;
+    const unit = this.i18n.field(this.tradeData.data, 'unit');
+    const amount = value => this.i18n.t('trade.analysis.amount', { value: this.formatValue(Math.abs(value)), unit });
+    const percent = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    const names = codes => codes.map(code => this.getPartnerLabel(code)).join(this.i18n.t('trade.analysis.separator'));
+    const describe = item => this.i18n.t('trade.analysis.change', {
+      partner: this.getPartnerLabel(item.code), start: amount(item.start), end: amount(item.end), percent: percent(item.change)
+    });
+
+    const major = trends.ranking.to.slice(0, TradeVolumePanel.MAJOR_PARTNERS);
+    const majorTotals = trends.totals.filter(item => major.includes(item.code));
+    const pattern = [this.i18n.t('trade.analysis.pattern.top', {
+      to, from, top: names(trends.ranking.to.slice(0, 3)), topFrom: names(trends.ranking.from.slice(0, 3))
+    })];
+    if (majorTotals.length > 0 && majorTotals[0].change > 0) {
+      pattern.push(this.i18n.t('trade.analysis.pattern.rise', { from, to, partner: describe(majorTotals[0]) }));
+    }
+    if (majorTotals.length > 1 && majorTotals[majorTotals.length - 1].change < 0) {
+      pattern.push(this.i18n.t('trade.analysis.pattern.fall', { from, to, partner: describe(majorTotals[majorTotals.length - 1]) }));
+    }
+
+    const deficit = [];
+    if (trends.deficit) {
+      deficit.push(this.i18n.t('trade.analysis.deficit.largest', {
+        to,
+        partner: this.getPartnerLabel(trends.deficit.code),
+        values: trends.deficit.values
+          .map(entry => this.i18n.t('trade.analysis.yearValue', { year: entry.year, value: amount(entry.balance) }))
+          .join(this.i18n.t('trade.analysis.separator'))
+      }));
+    }
+    trends.regions.forEach(region => {
+      deficit.push(this.i18n.t('trade.analysis.deficit.region', {
+        region: this.getPartnerLabel(region.id), from, to, end: amount(region.end), percent: percent(region.change)
+      }));
+    });
+
+    const shift = [];
+    const share = value => `${value.toFixed(1)}%`;
+    const gain = trends.shares[0];
+    const loss = trends.shares[trends.shares.length - 1];
+    if (gain && gain.end > gain.start) {
+      shift.push(this.i18n.t('trade.analysis.shift.gain', { from, to, partner: this.getPartnerLabel(gain.code), start: share(gain.start), end: share(gain.end) }));
+    }
+    if (loss && loss !== gain && loss.end < loss.start) {
+      shift.push(this.i18n.t('trade.analysis.shift.loss', { from, to, partner: this.getPartnerLabel(loss.code), start: share(loss.start), end: share(loss.end) }));
+    }
+
+    const card = (titleKey, sentences, borderClass, titleClass) => (sentences.length === 0 ? '' : `
+      <div class="bg-gray-50 p-3 rounded-lg border-l-4 ${borderClass}">
+        <p class="text-xs leading-relaxed text-gray-700">
+          <span class="font-semibold ${titleClass}">${this.i18n.t(titleKey)}</span>
+          ${sentences.join(' ')}
+        </p>
+      </div>
+    `);
+    container.innerHTML = `
+      ${card('trade.analysis.pattern', pattern, 'border-blue-400', 'text-blue-700')}
+      ${card('trade.analysis.deficit', deficit, 'border-red-400', 'text-red-700')}
+      ${card('trade.analysis.shift', shift, 'border-green-400', 'text-green-700')}
+      <p class="text-xs text-gray-400">${this.i18n.t('trade.analysis.note', { from, to })}</p>
+    `;
+  }
+
+  /**
+   * 添加事件监听（委托到容器，重新渲染内容后无需重新绑定）
+   * @param {HTMLElement} container 容器元素
+   */
+  addEventListeners(container) {
+    container.addEventListener('change', event => {
+      const target = event.target;
+      if (target.dataset.partner) {
+        this.selected = this.selected.filter(code => code !== target.dataset.partner);
+        if (target.checked) this.selected.push(target.dataset.partner);
+        this.renderSelection();
+      } else if (target.dataset.control === 'view') {
+        this.view = target.value;
+        this.renderSelection();
+      } else if (target.dataset.control === 'year') {
+        this.year = target.value;
+        this.renderChart();
+      }
+    });
+
+    container.addEventListener('click', event => {
+      const header = event.target.closest('th[data-sort]');
+      if (header) {
+        this.sortData(header.dataset.sort);
+        return;
+      }
+      const button = event.target.closest('button[data-action="reset-partners"]');
+      if (button) {
+        this.setPartners(this.defaultPartners);
+      }
+    });
+  }
+
+  /**
+   * 设置选中的伙伴
+   * @param {Array<string>} partners 国家代码或地区 ID
+   */
+  setPartners(partners) {
+    this.selected = partners.slice();
+    this.renderPicker();
+    this.renderSelection();
+  }
+
+  /**
+   * 按某列排序；再次点击同一列时切换升降序
+   * @param {string} field 列字段
+   */
+  sortData(field) {
+    if (this.sortField === field) {
+      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+      this.sortField = field;
+      this.sortDirection = field === 'year' || field === 'partner' ? 'asc' : 'desc';
+    }
+    this.renderTable();
+  }
+
+  /**
+   * 获取选中且有贸易数据的伙伴（按选择顺序）
+   * @returns {Array<string>}
+   */
+  getPartners() {
+    return this.selected.filter(code => this.tradeData.getYears(code).length > 0);
+  }
+
+  /**
+   * 获取表格行：所选伙伴在各年份的数据，按当前排序；相同值保持年份和选择顺序
+   * @returns {Array<{code, partner, year, exports, imports, total, balance, order}>}
+   */
+  getRows() {
+    const rows = [];
+    this.getPartners().forEach((code, order) => {
+      this.tradeData.getYears(code).forEach(year => {
+        rows.push({ code, partner: this.getPartnerLabel(code), year, order, ...this.tradeData.get(code, year) });
+      });
+    });
+
+    const direction = this.sortDirection === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      if (this.sortField === 'partner') return a.partner.localeCompare(b.partner, this.i18n.getLocale());
+      if (this.sortField === 'year') return a.year.localeCompare(b.year);
+      return a[this.sortField] - b[this.sortField];
+    };
+    return rows.sort((a, b) => compare(a, b) * direction || a.year.localeCompare(b.year) || a.order - b.order);
+  }
+
+  /**
+   * 获取需要说明范围的伙伴（所选的地区合计，带有 note 的）
+   * @returns {Array<string>} 地区 ID，注释编号从2开始
+   */
+  getFootnotes() {
+    return this.getPartners().filter(code => {
+      const region = this.tradeData.getRegion(code);
+      return region && this.i18n.field(region, 'note');
+    });
+  }
+
+  /**
+   * 获取伙伴名称：地区取数据中的 label，国家取关税数据中的名称
+   * @param {string} code 国家代码或地区 ID
+   * @returns {string}
+   */
+  getPartnerLabel(code) {
+    const region = this.tradeData.getRegion(code);
+    if (region) return this.i18n.field(region, 'label');
+    const country = this.countries.find(item => item.code === code);
+    return country ? this.i18n.field(country, 'name') : code;
+  }
+
+  /**
+   * 格式化金额（最多两位小数）
+   * @param {number} value 金额
+   * @returns {string}
+   */
+  formatValue(value) {
+    return new Intl.NumberFormat(this.i18n.getLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 2 }).format(value);
+  }
+
+  /**
+   * 显示提示框：伙伴、年份和金额
+   * @param {Event} event 鼠标事件
+   * @param {{code: string, key: string, value: number}} item 柱子数据
+   */
+  showTooltip(event, item) {
+    const year = this.view === 'trade' ? this.year : item.key;
+    const label = this.view === 'trade' ? this.i18n.t(`trade.column.${item.key}`) : this.i18n.t('trade.column.balance');
+    this.tooltip.html(`
+      <div style="font-weight: bold;">${this.getPartnerLabel(item.code)} · ${year}</div>
+      <div>${label}: ${this.formatValue(item.value)} ${this.i18n.field(this.tradeData.data, 'unit')}</div>
+    `);
+    this.tooltip.transition()
+      .duration(100)
+      .style('opacity', 0.95);
+    this.moveTooltip(event);
+  }
+
+  /**
+   * 提示框跟随鼠标
+   * @param {Event} event 鼠标事件
+   */
+  moveTooltip(event) {
+    this.tooltip
+      .style('left', (event.pageX + 10) + 'px')
+      .style('top', (event.pageY - 20) + 'px');
+  }
+
+  /**
+   * 隐藏提示框
+   */
+  hideTooltip() {
+    this.tooltip.interrupt().style('opacity', 0);
+  }
+
+  /**
+   * 添加样式
+   */
+  addStyles() {
+    if (document.getElementById('trade-volume-panel-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'trade-volume-panel-styles';
+    style.textContent = `
+      .trade-heading {
+        font-weight: 600;
+        color: #374151;
+        margin-bottom: 12px;
+      }
+
+      .trade-controls {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: flex-start;
+        gap: 6px;
+        font-size: 13px;
+        color: #4b5563;
+        margin-bottom: 8px;
+      }
+
+      .trade-controls select {
+        padding: 2px 6px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        font-size: 13px;
+      }
+
+      .trade-picker {
+        position: relative;
+        margin-right: auto;
+      }
+
+      .trade-picker summary {
+        cursor: pointer;
+        padding: 2px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        background-color: white;
+      }
+
+      .trade-picker-options {
+        position: absolute;
+        z-index: 20;
+        min-width: 200px;
+        max-height: 260px;
+        overflow-y: auto;
+        margin-top: 4px;
+        padding: 6px 10px;
+        border: 1px solid #e5e7eb;
+        border-radius: 4px;
+        background-color: white;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.12);
+      }
+
+      .trade-picker-options label {
+        display: block;
+        padding: 2px 0;
+        cursor: pointer;
+      }
+
+      .trade-picker-options label.disabled {
+        color: #9ca3af;
+        cursor: default;
+      }
+
+      .trade-picker-group {
+        margin-top: 6px;
+        font-size: 12px;
+        font-weight: 600;
+        color: #6b7280;
+      }
+
+      .trade-picker-note {
+        font-size: 11px;
+      }
+
+      .trade-picker-options button {
+        margin-top: 6px;
+        padding: 2px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 4px;
+        background-color: white;
+        font-size: 12px;
+      }
+
+      .trade-picker-options button:hover {
+        background-color: #f3f4f6;
+      }
+
+      .trade-chart {
+        margin-bottom: 8px;
+      }
+
+      .trade-table-wrapper {
+        overflow-x: auto;
+      }
+
+      .trade-table {
+        min-width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+      }
+
+      .trade-table th {
+        padding: 6px 8px;
+        text-align: left;
+        font-size: 11px;
+        font-weight: 500;
+        color: #6b7280;
+        background-color: #f9fafb;
+        border-bottom: 2px solid #e5e7eb;
+        cursor: pointer;
+        white-space: nowrap;
+      }
+
+      .trade-table td {
+        padding: 6px 8px;
+        color: #374151;
+        border-bottom: 1px solid #f3f4f6;
+      }
+
+      .trade-table tbody tr:hover {
+        background-color: #f9fafb;
+      }
+
+      .trade-table .numeric {
+        text-align: right;
+      }
+
+      .trade-table .trade-year,
+      .trade-table .total {
+        font-weight: 500;
+        color: #111827;
+      }
+
+      .trade-table .deficit {
+        color: #dc2626;
+      }
+
+      .trade-table .surplus {
+        color: #059669;
+      }
+
+      .trade-unit {
+        font-weight: 400;
+      }
+
+      .trade-table .sort-icon {
+        display: inline-block;
+        width: 10px;
+      }
+
+      .trade-table .sort-icon.asc::after {
+        content: '↑';
+      }
+
+      .trade-table .sort-icon.desc::after {
+        content: '↓';
+      }
+
+      .trade-notes {
+        margin-top: 8px;
+        font-size: 12px;
+        color: #6b7280;
+      }
+
+      .trade-notes p + p {
+        margin-top: 4px;
+      }
+
+      .trade-source {
+        color: #9ca3af;
+      }
+
+      .trade-empty {
+        font-size: 13px;
+        color: #6b7280;
+        text-align: center;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+// 贸易趋势分析中比较增减幅的伙伴数（按最近一年贸易总额排名）
+TradeVolumePanel.MAJOR_PARTNERS = 5;
+
+// 导出组件
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TradeVolumePanel;
+}
@@ -7,21 +7,14 @@ from datetime import datetime
 import time
 
 # --- 配置 ---
-# 替换为你自己的 Alpha Vantage API Key
+# Alpha Vantage API Key 从环境变量 ALPHA_VANTAGE_API_KEY 读取
 # 你可以从 https://www.alphavantage.co/support/#api-key 获取免费的 API Key
-ALPHA_VANTAGE_API_KEY = 'SFQWOYE7LHWY8WMC' # 强烈建议从环境变量或配置文件读取
+# 也可以使用 node scripts/refreshStockData.js 更新数据（合并到已有文件并支持其他数据源）
+ALPHA_VANTAGE_API_KEY = os.environ.get('ALPHA_VANTAGE_API_KEY', '')
 
-# 需要获取数据的股票/ETF代码
-SYMBOLS = {
-    'SPY': 'S&P 500 (SPY)',
-    'QQQ': 'Nasdaq (QQQ)',
-    'EXS1.DE': 'DAX (EXS1.DE)',      # DAX ETF (XETRA) - 确保文件名与 index.html 中一致
-    'ASHR': 'China A50 (ASHR)',   # CSI 300 ETF (US Listed)
-    'EWJ': 'Japan (EWJ)'         # MSCI Japan ETF (US Listed)
-}
-
-# 数据保存目录 (相对于脚本所在位置)
-OUTPUT_DIR = 'data/stock'
+# 指数登记表 (相对于项目根目录)，与页面中的股市走势图共用
+# 只获取 format 为 alphavantage 的指数；其他格式 (csv、close-json) 的数据文件需自行放入
+REGISTRY_PATH = 'data/stock/instruments.json'
 
 # Alpha Vantage API 设置
 BASE_URL = 'https://www.alphavantage.co/query'
@@ -30,15 +23,35 @@ OUTPUT_SIZE = 'compact' # 'compact' 获取最近100天, 'full' 获取更长时
 
 # --- 脚本逻辑 ---
 
+def load_instruments():
+    """读取指数登记表，返回需要从 Alpha Vantage 获取的指数列表。"""
+    with open(REGISTRY_PATH, 'r', encoding='utf-8') as f:
+        registry = json.load(f)
+    return [
+        instrument for instrument in registry.get('instruments', [])
+        if instrument.get('symbol') and instrument.get('file') and instrument.get('format', 'alphavantage') == 'alphavantage'
+    ]
+
 def fetch_and_save_stock_data():
-    """获取 Alpha Vantage 数据并保存到本地 JSON 文件。"""
+    """获取 Alpha Vantage 数据并保存到登记表中指定的本地 JSON 文件。"""
     print(f"开始获取股市数据...")
-    if not os.path.exists(OUTPUT_DIR):
+    if not ALPHA_VANTAGE_API_KEY:
+        print("错误：未设置环境变量 ALPHA_VANTAGE_API_KEY")
+        return
+    try:
+        instruments = load_instruments()
+    except (IOError, json.JSONDecodeError) as e:
+        print(f"错误：无法读取指数登记表 {REGISTRY_PATH}: {e}")
+        return
+
+    # 数据文件与登记表位于同一目录
+    output_dir = os.path.dirname(REGISTRY_PATH)
+    if not os.path.exists(output_dir):
         try:
-            os.makedirs(OUTPUT_DIR)
-            print(f"创建目录: {OUTPUT_DIR}")
+            os.makedirs(output_dir)
+            print(f"创建目录: {output_dir}")
         except OSError as e:
-            print(f"错误：无法创建目录 {OUTPUT_DIR}: {e}")
+            print(f"错误：无法创建目录 {output_dir}: {e}")
             return
 
     # Alpha Vantage 免费 API 有频率限制 (例如每分钟5次调用)
@@ -46,10 +59,11 @@ def fetch_and_save_stock_data():
     call_interval_seconds = 15 # 每两次调用之间等待 15 秒
 
     symbols_processed = 0
-    total_symbols = len(SYMBOLS)
+    total_symbols = len(instruments)
 
-    for symbol, description in SYMBOLS.items():
-        print(f"\n[{symbols_processed + 1}/{total_symbols}] 正在处理: {symbol} ({description})")
+    for index, instrument in enumerate(instruments):
+        symbol = instrument['symbol']
+        print(f"\n[{index + 1}/{total_symbols}] 正在处理: {symbol} ({instrument.get('name', symbol)})")
 
         # 构建 API 请求 URL
         params = {
@@ -91,10 +105,8 @@ def fetch_and_save_stock_data():
 
             time_series_data = data[time_series_key]
 
-            # 构建输出文件路径 - 确保文件名与 index.html 中使用的完全一致
-            # 对于包含 '.' 的代码 (如 'EXS1.DE'), 文件名也应包含 '.'
-            file_name = f"{symbol}.json"
-            output_path = os.path.join(OUTPUT_DIR, file_name)
+            # 输出文件路径取自登记表的 file 字段
+            output_path = os.path.join(output_dir, instrument['file'])
 
             # 保存数据到 JSON 文件
             try:
@@ -115,7 +127,7 @@ def fetch_and_save_stock_data():
             print(f"  发生未知错误: {e}")
 
         # 在每次调用后等待，避免超出频率限制
-        if symbols_processed < total_symbols: # 不是最后一个 symbol 才需要等待
+        if index < total_symbols - 1: # 不是最后一个 symbol 才需要等待
              print(f"  等待 {call_interval_seconds} 秒...")
              time.sleep(call_interval_seconds)
 
@@ -1,38 +1,58 @@
 document.addEventListener('DOMContentLoaded', function() {
-    const sectorTabs = document.querySelectorAll('.sector-tab');
-    const sectorPanels = document.querySelectorAll('.sector-panel');
-
-    sectorTabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            // 移除所有标签页的激活状态
-            sectorTabs.forEach(t => {
-                t.classList.remove('border-red-500', 'text-red-600', 'border-green-500', 'text-green-600');
-                t.classList.add('border-transparent', 'text-gray-500', 'hover:text-gray-700', 'hover:border-gray-300');
-                t.removeAttribute('aria-current');
-            });
+    // 标签页由 SectorImpactPanel 在文档加载后渲染，切换语言时会重新生成，因此每次切换时重新查找
+    const TAB_CLASSES = {};
+    Object.keys(SectorImpactPanel.TAB_CLASSES).forEach(tone => {
+        TAB_CLASSES[tone] = SectorImpactPanel.TAB_CLASSES[tone].split(' ');
+    });
+    const INACTIVE_CLASSES = ['border-transparent', 'text-gray-500', 'hover:text-gray-700', 'hover:border-gray-300'];
 
-            // 隐藏所有内容面板
-            sectorPanels.forEach(panel => {
-                panel.classList.add('hidden');
-            });
+    /**
+     * 切换行业影响标签页
+     * @param {string} tabName 标签页名称，即按钮 id 中 'sector-tab-' 之后的部分，如 'negative'、'positive'
+     */
+    function activateSectorTab(tabName) {
+        const tab = document.getElementById(`sector-tab-${tabName}`);
+        if (!tab) return;
 
-            // 激活当前标签页
-            tab.classList.remove('border-transparent', 'text-gray-500', 'hover:text-gray-700', 'hover:border-gray-300');
-            tab.setAttribute('aria-current', 'page');
-            const panelId = tab.id.replace('sector-tab-', 'sector-panel-');
-            if (tab.id === 'sector-tab-negative') {
-                tab.classList.add('border-red-500', 'text-red-600');
-            } else {
-                tab.classList.add('border-green-500', 'text-green-600');
-            }
+        // 移除所有标签页的激活状态
+        document.querySelectorAll('.sector-tab').forEach(t => {
+            Object.values(TAB_CLASSES).forEach(classes => t.classList.remove(...classes));
+            t.classList.add(...INACTIVE_CLASSES);
+            t.removeAttribute('aria-current');
+        });
 
-            // 显示对应的内容面板
-            const targetPanel = document.getElementById(panelId);
-            if (targetPanel) {
-               targetPanel.classList.remove('hidden');
-            } else {
-               console.error("Target panel not found:", panelId);
-            }
+        // 隐藏所有内容面板
+        document.querySelectorAll('.sector-panel').forEach(panel => {
+            panel.classList.add('hidden');
         });
+
+        // 激活当前标签页，配色由按钮的 data-tone 决定
+        tab.classList.remove(...INACTIVE_CLASSES);
+        tab.setAttribute('aria-current', 'page');
+        const panelId = tab.id.replace('sector-tab-', 'sector-panel-');
+        tab.classList.add(...(TAB_CLASSES[tab.dataset.tone] || TAB_CLASSES.positive));
+
+        // 显示对应的内容面板
+        const targetPanel = document.getElementById(panelId);
+        if (targetPanel) {
+           targetPanel.classList.remove('hidden');
+        } else {
+           console.error("Target panel not found:", panelId);
+        }
+    }
+
+    document.addEventListener('click', event => {
+        const tab = event.target.closest('.sector-tab');
+        if (!tab) return;
+        const tabName = tab.id.replace('sector-tab-', '');
+        activateSectorTab(tabName);
+        if (window.tariffUrlState) window.tariffUrlState.update({ sector: tabName });
     });
-});
\ No newline at end of file
+
+    // 从地址栏恢复标签页，浏览器前进/后退时同步；标签页渲染后由页面调用 window.activateSectorTab 再次恢复
+    window.activateSectorTab = activateSectorTab;
+    if (window.tariffUrlState) {
+        activateSectorTab(window.tariffUrlState.getState().sector);
+        window.tariffUrlState.subscribe(state => activateSectorTab(state.sector));
+    }
+});
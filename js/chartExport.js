@@ -0,0 +1,211 @@
+/**
+ * 图表导出
+ * 将页面中的 SVG 图表（世界地图、柱状图、股市走势图）导出为独立的 SVG 文件或指定倍率的 PNG 图片，
+ * 并在图表上方加上标题和数据日期、下方加上数据来源，便于直接插入演示文稿。
+ *
+ * 导出时复制原 SVG，将页面 CSS（包括 Tailwind 类名和联动高亮样式）计算出的样式写入各元素的 style 属性，
+ * 因此导出文件脱离页面后外观不变。组件可通过 decorate 回调在副本中补充只在提示框中显示的信息。
+ * 下载文件依赖 DataExport。
+ */
+class ChartExport {
+  /**
+   * 生成带标题和来源说明的 SVG 副本（不修改原图表）
+   * @param {SVGSVGElement} svgNode 页面中的 SVG 元素
+   * @param {Object} options 选项
+   * @param {string} options.title 标题
+   * @param {string} [options.subtitle] 副标题，如数据日期
+   * @param {Array<string>} [options.notes] 图表下方的注释，每项一行（如图中未显示的国家）
+   * @param {string} [options.source] 数据来源说明
+   * @param {Function} [options.decorate] 在样式写入后调用，参数为图表副本（SVG 元素），可补充标签、提示文字等
+   * @returns {SVGSVGElement} 未插入页面的 SVG 元素
+   */
+  static compose(svgNode, options) {
+    const { width, height } = ChartExport.getSize(svgNode);
+    const padding = ChartExport.PADDING;
+    const headerHeight = padding + 22 + (options.subtitle ? 20 : 0) + 10;
+    const notes = options.notes || [];
+    const footerHeight = notes.length * 16 + (options.source ? 28 : padding);
+    const totalHeight = headerHeight + height + footerHeight;
+
+    // 复制图表并写入计算样式，副本作为嵌套 SVG 保留原坐标系和裁剪范围
+    const chart = svgNode.cloneNode(true);
+    ChartExport.inlineStyles(svgNode, chart);
+    chart.removeAttribute('class');
+    chart.setAttribute('x', 0);
+    chart.setAttribute('y', headerHeight);
+    chart.setAttribute('width', width);
+    chart.setAttribute('height', height);
+    if (options.decorate) options.decorate(chart);
+
+    const root = document.createElementNS(ChartExport.SVG_NS, 'svg');
+    root.setAttribute('width', width);
+    root.setAttribute('height', totalHeight);
+    root.setAttribute('viewBox', `0 0 ${width} ${totalHeight}`);
+    root.setAttribute('font-family', ChartExport.FONT_FAMILY);
+
+    ChartExport.appendElement(root, 'rect', { x: 0, y: 0, width, height: totalHeight, fill: '#ffffff' });
+    ChartExport.appendElement(root, 'text', {
+      x: padding, y: padding + 16, 'font-size': 18, 'font-weight': 'bold', fill: '#1f2937'
+    }, options.title);
+    if (options.subtitle) {
+      ChartExport.appendElement(root, 'text', {
+        x: padding, y: padding + 38, 'font-size': 12, fill: '#4b5563'
+      }, options.subtitle);
+    }
+    root.appendChild(chart);
+    notes.forEach((note, index) => {
+      ChartExport.appendElement(root, 'text', {
+        x: padding, y: headerHeight + height + 14 + index * 16, 'font-size': 11, fill: '#4b5563'
+      }, note);
+    });
+    if (options.source) {
+      ChartExport.appendElement(root, 'text', {
+        x: padding, y: totalHeight - 10, 'font-size': 10, fill: '#6b7280'
+      }, options.source);
+    }
+    return root;
+  }
+
+  /**
+   * 下载 SVG 文件
+   * @param {SVGSVGElement} svgNode 页面中的 SVG 元素
+   * @param {Object} options compose 的选项
+   * @param {string} filename 文件名
+   */
+  static downloadSvg(svgNode, options, filename) {
+    const svgText = ChartExport.serialize(ChartExport.compose(svgNode, options));
+    DataExport.download(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }), filename);
+  }
+
+  /**
+   * 下载 PNG 图片
+   * @param {SVGSVGElement} svgNode 页面中的 SVG 元素
+   * @param {Object} options compose 的选项
+   * @param {string} filename 文件名
+   * @param {number} [scale] 分辨率倍率，如 2 表示宽高均为屏幕尺寸的两倍
+   * @returns {Promise<void>}
+   */
+  static async downloadPng(svgNode, options, filename, scale = 2) {
+    const root = ChartExport.compose(svgNode, options);
+    const blob = await ChartExport.rasterize(
+      ChartExport.serialize(root),
+      Number(root.getAttribute('width')),
+      Number(root.getAttribute('height')),
+      scale
+    );
+    DataExport.download(blob, filename);
+  }
+
+  /**
+   * 将 SVG 文字绘制到画布并生成 PNG
+   * @param {string} svgText SVG 文件内容
+   * @param {number} width 宽度（像素）
+   * @param {number} height 高度（像素）
+   * @param {number} scale 分辨率倍率
+   * @returns {Promise<Blob>}
+   */
+  static rasterize(svgText, width, height, scale) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('无法生成 PNG 图片'))), 'image/png');
+      };
+      image.onerror = () => reject(new Error('无法绘制 SVG 图片'));
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+    });
+  }
+
+  /**
+   * 将 SVG 元素序列化为独立文件内容
+   * @param {SVGSVGElement} root SVG 元素
+   * @returns {string}
+   */
+  static serialize(root) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(root)}`;
+  }
+
+  /**
+   * 将原图表各元素的计算样式写入副本对应元素的 style 属性
+   * 原图表与副本结构相同，按遍历顺序一一对应
+   * @param {Element} source 页面中的元素
+   * @param {Element} target 副本中的元素
+   */
+  static inlineStyles(source, target) {
+    const sourceElements = [source, ...source.querySelectorAll('*')];
+    const targetElements = [target, ...target.querySelectorAll('*')];
+    sourceElements.forEach((element, index) => {
+      const copy = targetElements[index];
+      if (!copy) return;
+      const computed = window.getComputedStyle(element);
+      const declarations = ChartExport.STYLE_PROPERTIES
+        .map(property => [property, computed.getPropertyValue(property)])
+        .filter(([, value]) => value && value !== 'auto' && value !== 'normal')
+        .map(([property, value]) => `${property}: ${value}`);
+      if (declarations.length > 0) {
+        copy.setAttribute('style', declarations.join('; '));
+      }
+    });
+  }
+
+  /**
+   * 获取 SVG 的显示尺寸：优先使用 width/height 属性
+   * @param {SVGSVGElement} svgNode SVG 元素
+   * @returns {{width: number, height: number}}
+   */
+  static getSize(svgNode) {
+    const rect = svgNode.getBoundingClientRect();
+    return {
+      width: parseFloat(svgNode.getAttribute('width')) || rect.width || 800,
+      height: parseFloat(svgNode.getAttribute('height')) || rect.height || 400
+    };
+  }
+
+  /**
+   * 创建 SVG 元素并添加到父元素
+   * @param {Element} parent 父元素
+   * @param {string} tagName 标签名
+   * @param {Object} attributes 属性
+   * @param {string} [text] 文字内容
+   * @returns {Element}
+   */
+  static appendElement(parent, tagName, attributes, text) {
+    const element = document.createElementNS(ChartExport.SVG_NS, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text !== undefined) element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  }
+
+  /**
+   * 为元素添加 <title> 子元素（SVG 查看器中悬停时显示，保留原提示框中的信息）
+   * @param {Element} element SVG 元素
+   * @param {string} text 提示文字，可包含换行
+   */
+  static setTitle(element, text) {
+    element.querySelectorAll(':scope > title').forEach(title => title.remove());
+    const title = document.createElementNS(ChartExport.SVG_NS, 'title');
+    title.textContent = text;
+    element.insertBefore(title, element.firstChild);
+  }
+}
+
+ChartExport.SVG_NS = 'http://www.w3.org/2000/svg';
+ChartExport.PADDING = 16;
+ChartExport.FONT_FAMILY = "'Inter', -apple-system, 'Segoe UI', 'PingFang SC', 'Microsoft YaHei', sans-serif";
+
+// 写入副本的样式属性：只包含影响 SVG 外观的属性，避免文件过大
+ChartExport.STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'opacity',
+  'color', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline', 'visibility', 'display'
+];
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChartExport;
+}
@@ -0,0 +1,125 @@
+/**
+ * 国家联动高亮状态
+ * 记录当前悬停、选中（详情面板打开）和固定对比的国家，地图、柱状图和数据表格订阅同一状态，
+ * 在任一组件中悬停或选择国家时，其他组件同步高亮。国家统一以 tariff_data.json 中的 code 标识（如 'CN'、'EU'）。
+ */
+class CountryHighlight {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {number} config.maxPinned 最多固定的国家数量
+   */
+  constructor(config = {}) {
+    this.maxPinned = config.maxPinned || 6;
+
+    // 状态
+    this.hovered = null;
+    this.selected = null;
+    this.pinned = [];
+    this.listeners = [];
+  }
+
+  /**
+   * 获取当前状态
+   * @returns {{hovered: (string|null), selected: (string|null), pinned: Array<string>}}
+   */
+  getState() {
+    return { hovered: this.hovered, selected: this.selected, pinned: [...this.pinned] };
+  }
+
+  /**
+   * 判断国家是否处于高亮状态（悬停、选中或已固定）
+   * @param {string} code 国家代码
+   * @returns {{hovered: boolean, selected: boolean, pinned: boolean}}
+   */
+  statusOf(code) {
+    return {
+      hovered: !!code && code === this.hovered,
+      selected: !!code && code === this.selected,
+      pinned: !!code && this.pinned.includes(code)
+    };
+  }
+
+  /**
+   * 设置悬停的国家
+   * @param {string|null} code 国家代码，null 表示取消悬停
+   */
+  setHovered(code) {
+    if (this.hovered === (code || null)) return;
+    this.hovered = code || null;
+    this.notify();
+  }
+
+  /**
+   * 设置选中的国家（如打开详情面板时）
+   * @param {string|null} code 国家代码，null 表示取消选中
+   */
+  setSelected(code) {
+    if (this.selected === (code || null)) return;
+    this.selected = code || null;
+    this.notify();
+  }
+
+  /**
+   * 固定或取消固定某个国家；超过上限时移除最早固定的国家
+   * @param {string} code 国家代码
+   */
+  togglePinned(code) {
+    if (!code) return;
+    if (this.pinned.includes(code)) {
+      this.pinned = this.pinned.filter(c => c !== code);
+    } else {
+      this.pinned = [...this.pinned, code].slice(-this.maxPinned);
+    }
+    this.notify();
+  }
+
+  /**
+   * 取消所有固定的国家
+   */
+  clearPinned() {
+    if (this.pinned.length === 0) return;
+    this.pinned = [];
+    this.notify();
+  }
+
+  /**
+   * 订阅状态变化
+   * @param {Function} listener 回调，参数为当前状态
+   * @returns {Function} 取消订阅的函数
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * 通知所有订阅者
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('高亮订阅者更新失败:', error);
+      }
+    });
+  }
+
+  /**
+   * 判断点击事件是否为固定操作（按住 Shift、Ctrl 或 Command 点击）
+   * @param {Event} event 鼠标事件
+   * @returns {boolean}
+   */
+  static isPinGesture(event) {
+    return !!event && (event.shiftKey || event.ctrlKey || event.metaKey);
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CountryHighlight;
+}
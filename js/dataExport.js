@@ -0,0 +1,112 @@
+/**
+ * 数据导出
+ * 将二维数组（第一行为表头）导出为 CSV 或 Excel (XLSX) 文件并在浏览器中下载。
+ * CSV 使用带 BOM 的 UTF-8 编码，Excel 打开时中文不会乱码；XLSX 依赖页面通过 CDN 加载的 SheetJS（全局 XLSX）。
+ *
+ * 行数据格式:
+ *   [['国家/地区', '美国对其税率(%)'], ['中国', 145], ['俄罗斯', null]]
+ * null 和 undefined 导出为空单元格，数字在 XLSX 中保留为数值。
+ * CSV 中以 =、+、-、@ 开头的文字（如导入的情景说明）前加单引号，避免在表格软件中被当作公式执行。
+ */
+class DataExport {
+  /**
+   * 生成 CSV 文字（不含 BOM）
+   * @param {Array<Array>} rows 行数据
+   * @returns {string}
+   */
+  static toCsv(rows) {
+    return rows.map(row => row.map(DataExport.escapeCsvField).join(',')).join('\r\n');
+  }
+
+  /**
+   * 转义 CSV 字段：可能被当作公式的文字前加单引号；含逗号、引号或换行时加引号，引号写两次
+   * @param {*} value 单元格的值
+   * @returns {string}
+   */
+  static escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    // 只处理文字，负数等数值原样导出
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * 下载 CSV 文件
+   * @param {Array<Array>} rows 行数据
+   * @param {string} filename 文件名，如 'tariff-data.csv'
+   */
+  static downloadCsv(rows, filename) {
+    const blob = new Blob([DataExport.BOM, DataExport.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+    DataExport.download(blob, filename);
+  }
+
+  /**
+   * 下载 Excel (XLSX) 文件
+   * @param {Array<Array>} rows 行数据
+   * @param {string} filename 文件名，如 'tariff-data.xlsx'
+   * @param {string} [sheetName] 工作表名称
+   */
+  static downloadXlsx(rows, filename, sheetName = 'Sheet1') {
+    if (!DataExport.isXlsxAvailable()) {
+      throw new Error('SheetJS (XLSX) 未加载，无法导出 Excel 文件');
+    }
+    const cells = rows.map(row => row.map(value => (value === undefined ? null : value)));
+    const sheet = XLSX.utils.aoa_to_sheet(cells);
+    // 按每列最长的内容设置列宽（上限 60 个字符）
+    sheet['!cols'] = (rows[0] || []).map((header, index) => ({
+      wch: Math.min(60, Math.max(...rows.map(row => DataExport.displayWidth(row[index])), 6) + 2)
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    // 工作表名称最长 31 个字符，且不能包含 \ / ? * [ ] :
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+    const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    DataExport.download(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), filename);
+  }
+
+  /**
+   * 判断 SheetJS 是否已加载
+   * @returns {boolean}
+   */
+  static isXlsxAvailable() {
+    return typeof XLSX !== 'undefined' && !!XLSX.utils;
+  }
+
+  /**
+   * 估算单元格内容的显示宽度（中文按两个字符计算，多行取最长的一行）
+   * @param {*} value 单元格的值
+   * @returns {number}
+   */
+  static displayWidth(value) {
+    if (value === null || value === undefined) return 0;
+    return Math.max(...String(value).split('\n').map(line =>
+      Array.from(line).reduce((width, char) => width + (char.charCodeAt(0) > 0xff ? 2 : 1), 0)
+    ));
+  }
+
+  /**
+   * 通过临时链接下载文件
+   * @param {Blob} blob 文件内容
+   * @param {string} filename 文件名
+   */
+  static download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // 部分浏览器在 click 之后才开始读取，稍后再释放
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// UTF-8 字节顺序标记，Excel 据此识别 CSV 编码
+DataExport.BOM = '\uFEFF';
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataExport;
+}
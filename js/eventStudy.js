@@ -0,0 +1,108 @@
+/**
+ * 事件研究
+ * 计算各指数在关税事件前后若干交易日内的累计涨跌幅，用于量化市场对政策公告的反应。
+ *
+ * 第0日为事件日期当日（或之后的第一个交易日，如事件发生在周末）。窗口 {start, end} 以交易日计，
+ * 累计涨跌幅 = 第 end 日收盘价 ÷ 第 start-1 日收盘价 - 1，即包含第 start 日到第 end 日每天的涨跌；
+ * 如 -1/+1 为事件前一日到后一日的三天，0/+5 为事件当日到之后第五个交易日。数据不足时为 null。
+ */
+class EventStudy {
+  /**
+   * 取出日期范围内的时间轴事件，同一天的事件合并为一组；只计入精确到日的事件
+   * @param {Array} timeline 时间轴条目（tariff_data.json 中的 timeline）
+   * @param {string} startDate 起始日期 'YYYY-MM-DD'（含）
+   * @param {string} endDate 结束日期 'YYYY-MM-DD'（含）
+   * @returns {Array<{date: string, events: Array}>} 按日期升序
+   */
+  static getEvents(timeline, startDate, endDate) {
+    const groups = new Map();
+    (timeline || [])
+      .filter(event => TariffDate.isDateKey(event.date) && event.date >= startDate && event.date <= endDate)
+      .forEach(event => {
+        if (!groups.has(event.date)) groups.set(event.date, []);
+        groups.get(event.date).push(event);
+      });
+    return Array.from(groups.entries())
+      .map(([date, events]) => ({ date, events }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * 计算某一指数在某一事件窗口内的累计涨跌幅
+   * @param {Array<{key: string, close: number}>} series 按日期升序的收盘价，key 为 'YYYY-MM-DD'
+   * @param {string} eventDate 事件日期 'YYYY-MM-DD'
+   * @param {{start: number, end: number}} window 窗口（交易日）
+   * @returns {number|null} 百分比，如 -3.2 表示下跌3.2%
+   */
+  static windowReturn(series, eventDate, window) {
+    const day0 = series.findIndex(point => point.key >= eventDate);
+    if (day0 === -1) return null;
+    const base = series[day0 + window.start - 1];
+    const last = series[day0 + window.end];
+    if (!base || !last || !(base.close > 0)) return null;
+    return (last.close / base.close - 1) * 100;
+  }
+
+  /**
+   * 计算事件研究表
+   * @param {Array<{name: string, series: Array}>} instruments 各指数的收盘价序列
+   * @param {Array<{date: string, events: Array}>} events getEvents 的结果
+   * @param {Array<{start: number, end: number}>} windows 窗口
+   * @returns {{rows: Array<{date: string, events: Array, returns: Array<Array<number|null>>}>, average: Array<Array<number|null>>}}
+   *   returns[窗口][指数]；average 为各事件的简单平均（忽略数据不足的事件）
+   */
+  static compute(instruments, events, windows) {
+    const rows = events.map(group => ({
+      date: group.date,
+      events: group.events,
+      returns: windows.map(window => instruments.map(instrument => EventStudy.windowReturn(instrument.series, group.date, window)))
+    }));
+    const average = windows.map((window, w) => instruments.map((instrument, i) => {
+      const values = rows.map(row => row.returns[w][i]).filter(value => value !== null);
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }));
+    return { rows, average };
+  }
+
+  /**
+   * 解析窗口文字，如 '-1/+1, 0/+5'
+   * @param {string} text 窗口文字，多个窗口以逗号或空格分隔
+   * @param {number} [limit] 偏移的最大绝对值
+   * @returns {Array<{start: number, end: number}>|null} 格式无效时为 null
+   */
+  static parseWindows(text, limit = EventStudy.MAX_OFFSET) {
+    const parts = String(text || '').split(/[,，\s]+/).filter(Boolean);
+    if (parts.length === 0) return null;
+    const windows = [];
+    for (const part of parts) {
+      const match = part.match(/^([+-]?\d+)\/([+-]?\d+)$/);
+      if (!match) return null;
+      const start = Number(match[1]);
+      const end = Number(match[2]);
+      if (start > end || Math.abs(start) > limit || Math.abs(end) > limit) return null;
+      windows.push({ start, end });
+    }
+    return windows;
+  }
+
+  /**
+   * 窗口的显示文字，如 '-1/+1'
+   * @param {{start: number, end: number}} window 窗口
+   * @returns {string}
+   */
+  static formatWindow(window) {
+    const offset = value => (value > 0 ? `+${value}` : String(value));
+    return `${offset(window.start)}/${offset(window.end)}`;
+  }
+}
+
+// 默认窗口：事件前后各一日；事件当日至之后五个交易日
+EventStudy.DEFAULT_WINDOWS = [{ start: -1, end: 1 }, { start: 0, end: 5 }];
+
+// 窗口偏移的最大绝对值（交易日）
+EventStudy.MAX_OFFSET = 20;
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventStudy;
+}
@@ -0,0 +1,194 @@
+/**
+ * 界面语言（中文/英文）
+ * 按键名从 js/i18nMessages.js 的文字目录中取出当前语言的界面文字，并记住用户选择的语言。
+ * 页面中的静态文字通过 data-i18n 属性标注键名，由 applyTo 替换；组件和页面脚本订阅语言变化后自行重新渲染。
+ *
+ * 数据中的文字以中文为准，条目可带与语言代码同名的对象提供译文，如:
+ *   { "name": "中国", "en": { "name": "China" } }
+ * 通过 field(item, 'name') 读取，缺少译文时显示中文。
+ */
+class I18n {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {Object} config.messages 文字目录 { zh: {...}, en: {...} }，默认使用 I18N_MESSAGES
+   * @param {string} config.language 初始语言，默认取上次选择的语言，其次按浏览器语言判断
+   * @param {string} config.storageKey 记住语言选择的 localStorage 键名
+   */
+  constructor(config = {}) {
+    this.messages = config.messages || (typeof I18N_MESSAGES !== 'undefined' ? I18N_MESSAGES : { zh: {} });
+    this.storageKey = config.storageKey || 'tariffLanguage';
+    this.defaultLanguage = 'zh';
+
+    // 状态
+    this.language = this.pickLanguage(config.language);
+    this.listeners = [];
+  }
+
+  /**
+   * 确定初始语言：指定的语言、上次选择的语言、浏览器语言，都不支持时为中文
+   * @param {string} [preferred] 指定的语言
+   * @returns {string} 语言代码
+   */
+  pickLanguage(preferred) {
+    const candidates = [preferred, I18n.readStoredLanguage(this.storageKey)];
+    if (typeof navigator !== 'undefined') {
+      (navigator.languages || [navigator.language]).forEach(language => {
+        if (language) candidates.push(language.toLowerCase().split('-')[0]);
+      });
+    }
+    return candidates.find(language => this.isSupported(language)) || this.defaultLanguage;
+  }
+
+  /**
+   * 判断是否支持某种语言
+   * @param {string} language 语言代码
+   * @returns {boolean}
+   */
+  isSupported(language) {
+    return !!language && Object.prototype.hasOwnProperty.call(this.messages, language);
+  }
+
+  /**
+   * 获取当前语言
+   * @returns {string} 语言代码，如 'zh'、'en'
+   */
+  getLanguage() {
+    return this.language;
+  }
+
+  /**
+   * 获取当前语言的区域代码，用于 <html lang> 和数字、日期格式化
+   * @returns {string} 如 'zh-CN'、'en'
+   */
+  getLocale() {
+    return this.t('meta.locale');
+  }
+
+  /**
+   * 切换语言，记住选择并通知订阅者
+   * @param {string} language 语言代码
+   */
+  setLanguage(language) {
+    if (!this.isSupported(language) || language === this.language) return;
+    this.language = language;
+
+    try {
+      localStorage.setItem(this.storageKey, language);
+    } catch (error) {
+      // 隐私模式等情况下无法保存，只影响下次打开页面时的默认语言
+    }
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = this.getLocale();
+    }
+    this.notify();
+  }
+
+  /**
+   * 获取界面文字，当前语言缺少时使用中文，都缺少时返回键名
+   * @param {string} key 键名，如 'table.column.name'
+   * @param {Object} [params] 替换文字中的 {name} 占位符
+   * @returns {string}
+   */
+  t(key, params) {
+    const current = this.messages[this.language] || {};
+    const fallback = this.messages[this.defaultLanguage] || {};
+    let text = current[key] !== undefined ? current[key] : fallback[key];
+    if (text === undefined) {
+      console.warn(`缺少界面文字: ${key}`);
+      return key;
+    }
+    if (params) {
+      text = text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? params[name] : match));
+    }
+    return text;
+  }
+
+  /**
+   * 当前语言是否有某一键名的界面文字（不使用中文补充）
+   * @param {string} key 键名
+   * @returns {boolean}
+   */
+  has(key) {
+    const current = this.messages[this.language] || {};
+    return current[key] !== undefined;
+  }
+
+  /**
+   * 读取数据条目中当前语言的文字字段，没有译文时返回原字段（中文）
+   * @param {Object} item 数据条目，如国家、反制措施、时间轴事件
+   * @param {string} key 字段名
+   * @returns {*}
+   */
+  field(item, key) {
+    if (!item) return undefined;
+    const localized = this.language !== this.defaultLanguage ? item[this.language] : null;
+    if (localized && localized[key] !== undefined && localized[key] !== null && localized[key] !== '') {
+      return localized[key];
+    }
+    return item[key];
+  }
+
+  /**
+   * 替换页面中带 data-i18n 属性的静态文字
+   * data-i18n 设置文字内容，data-i18n-title、data-i18n-placeholder、data-i18n-aria-label 设置对应属性
+   * @param {Element|Document} [root] 范围，默认整个页面
+   */
+  applyTo(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = this.t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+    });
+  }
+
+  /**
+   * 订阅语言变化
+   * @param {Function} listener 回调，参数为新的语言代码
+   * @returns {Function} 取消订阅的函数
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * 通知所有订阅者
+   */
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.language);
+      } catch (error) {
+        console.error('语言订阅者更新失败:', error);
+      }
+    });
+  }
+
+  /**
+   * 读取上次选择的语言
+   * @param {string} storageKey localStorage 键名
+   * @returns {string|null}
+   */
+  static readStoredLanguage(storageKey) {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage.getItem(storageKey) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
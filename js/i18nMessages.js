@@ -0,0 +1,920 @@
+/**
+ * 界面文字目录
+ * 键名按页面区域分组；{name} 为占位符，由 I18n.t 的参数替换。新增文字时两种语言都需要添加，英文缺少的键会显示中文。
+ */
+const I18N_MESSAGES = {
+  zh: {
+    'meta.locale': 'zh-CN',
+    'common.loading': '加载数据中...',
+    'common.notAvailable': 'N/A',
+    'common.listSeparator': '，',
+
+    // 日期和税率
+    'date.pending': '待确认',
+    'date.status.announced': '宣布',
+    'date.status.estimated': '估算',
+    'date.status.pending': '待确认',
+    'rate.pending': '待确认',
+
+    // 页面框架
+    'page.title': '全球关税数据',
+    'nav.brand': '全球关税数据可视化',
+    'nav.updated': '2025年4月10日更新',
+    'nav.language': '切换语言',
+    'nav.calculator': '关税计算器',
+    'header.title': '美国关税政策数据可视化',
+    'header.subtitle': '全面展示全球贸易体系中的关税政策变化及各国应对措施',
+    'footer.copyright': 'Copyright © 2025 美国关税政策与全球应对数据库',
+
+    // 数据日期与播放
+    'asOf.label': '数据日期',
+    'asOf.latest': '最新',
+    'asOf.hint': '拖动滑块或选择日期，查看该日已生效的税率和反制措施。地图、柱状图、数据表格和统计卡片将同步更新；点击"播放"可按月回放关税升级过程。',
+    'playback.previous': '上一个月',
+    'playback.next': '下一个月',
+    'playback.play': '播放',
+    'playback.pause': '暂停',
+    'playback.playTitle': '按月播放',
+    'playback.pauseTitle': '暂停播放',
+
+    // 情景模拟
+    'scenario.title': '情景模拟',
+    'scenario.intro': '在已加载的数据之上假设新的美国税率或反制措施（不修改数据文件）。应用后地图、柱状图、表格和统计卡片显示假设数据，下方列出与基准数据的差异。',
+    'scenario.status.baseline': '当前显示基准数据。',
+    'scenario.status.active': '情景模式: {name}（自 {date} 起）— 页面显示的是假设数据',
+    'scenario.untitled': '未命名情景',
+    'scenario.exit': '退出情景',
+    'scenario.saved': '已保存的情景',
+    'scenario.saved.none': '（无）',
+    'scenario.load': '载入',
+    'scenario.delete': '删除',
+    'scenario.import': '导入 JSON',
+    'scenario.export': '导出 JSON',
+    'scenario.name': '名称',
+    'scenario.name.placeholder': '如: 欧盟降至10%，中国反制至150%',
+    'scenario.effectiveDate': '生效日期',
+    'scenario.column.country': '国家/地区',
+    'scenario.column.usTariffRate': '美国对其税率 (%)',
+    'scenario.column.responseRate': '反制税率 (%)',
+    'scenario.column.responseType': '反制措施类型',
+    'scenario.column.responseDetails': '反制措施说明',
+    'scenario.selectCountry': '选择国家',
+    'scenario.unchanged': '不变',
+    'scenario.remove': '移除',
+    'scenario.noChanges': '尚未添加修改。',
+    'scenario.hint': '美国对其税率自生效日期起取代该国的全部美国措施；反制税率或说明作为一项新的反制措施追加。留空表示不修改。',
+    'scenario.addCountry': '添加国家',
+    'scenario.apply': '应用情景',
+    'scenario.save': '保存',
+    'scenario.message.applied': '已应用情景。',
+    'scenario.message.exited': '已恢复基准数据。',
+    'scenario.message.saved': '已保存情景"{name}"。',
+    'scenario.message.loaded': '已载入并应用情景"{name}"。',
+    'scenario.message.deleted': '已删除情景"{name}"。',
+    'scenario.message.imported': '已导入并应用情景"{name}"。',
+    'scenario.error.format': '情景格式无效',
+    'scenario.error.json': '无法读取文件: 不是有效的 JSON。',
+    'scenario.error.name': '名称必须是不含 < > 的文字',
+    'scenario.error.nameRequired': '请先填写情景名称再保存。',
+    'scenario.error.date': '请填写有效的生效日期 (YYYY-MM-DD)',
+    'scenario.error.changes': '缺少修改列表 (changes)',
+    'scenario.error.country': '未知的国家代码 {code}',
+    'scenario.error.duplicate': '{code} 重复出现',
+    'scenario.error.rate': '{code} 的税率必须是不小于 0 的数字',
+    'scenario.error.response': '{code} 的反制措施格式无效',
+    'scenario.error.text': '{code} 的反制措施文字不能包含 < >',
+    'scenario.error.empty': '{code} 没有任何修改',
+    'scenario.error.storage': '无法保存: 浏览器不允许使用本地存储或空间不足。',
+    'scenario.diff.title': '与基准数据对比（{date}）',
+    'scenario.diff.usTariffRate': '美国对其税率',
+    'scenario.diff.counterRate': '反制税率',
+    'scenario.diff.baseline': '基准',
+    'scenario.diff.scenario': '情景',
+    'scenario.diff.average': '简单平均',
+    'scenario.diff.none': '当前数据日期下没有差异。',
+    'scenario.diff.beforeEffective': '当前数据日期早于情景生效日期 ({date})，没有差异。',
+
+    // 统计卡片
+    'indicators.average.title': '平均关税税率',
+    'indicators.average.up': '较2023年底提高 {value} 个百分点',
+    'indicators.average.down': '较2023年底降低 {value} 个百分点',
+    'indicators.average.excludesUnresolved': '不含 {count} 个税率待确认的国家',
+    'indicators.highest.title': '最高关税国家',
+    'indicators.highest.layers': '税率构成: {layers}',
+    'indicators.responses.title': '反制措施国家',
+    'indicators.responses.count': '{count}个',
+    'indicators.responses.share': '占美国主要贸易伙伴的 {percent}%',
+    'indicators.average.weighted': '简单平均；贸易加权 {rate}',
+    'indicators.explain.asOf': '数据日期: {date}',
+    'indicators.explain.simple': '简单平均 = 各贸易伙伴的美国税率之和 ÷ 国家数 = {sum} ÷ {count} = {rate}',
+    'indicators.explain.weighted': '贸易加权平均 = Σ(税率 × 美国自该国进口额) ÷ 进口总额 = {rate}（权重为 {years} 年美国货物进口额，合计 {total} 亿美元）',
+    'indicators.explain.noWeights': '缺少贸易数据，无法计算贸易加权平均。',
+    'indicators.explain.topWeights': '对加权平均影响最大: {countries}',
+    'indicators.explain.weightEntry': '{country} {rate}%（权重 {share}%）',
+    'indicators.explain.unweighted': '缺少贸易数据、未计入加权平均: {countries}',
+    'indicators.explain.unresolved': '税率待确认、未计入平均: {countries}',
+    'indicators.explain.change': '较 {date}: 简单平均 {simpleBefore} → {simpleAfter}，贸易加权 {weightedBefore} → {weightedAfter}',
+    'indicators.explain.highest': '在 {count} 个税率已确定的贸易伙伴中，美国对其整体税率最高的国家；整体税率为适用于全部商品的措施之和。',
+    'indicators.explain.highestPartial': '另有仅适用于部分商品的措施（未计入）: {layers}',
+    'indicators.explain.responses': '当日已有反制措施的国家 {count} 个 ÷ 数据中的贸易伙伴 {partners} 个 = {percent}%',
+    'indicators.explain.responseCountries': '包括: {countries}',
+
+    // 时间轴
+    'timeline.title': '美国对华关税事件时间轴',
+    'timeline.loading': '加载时间轴数据...',
+    'timeline.empty': '暂无时间轴数据。',
+    'timeline.error': '时间轴加载失败。',
+    'timeline.unknownDate': '未知日期',
+    'timeline.unknownEvent': '未知事件',
+
+    // 国家对比
+    'pinned.title': '国家对比',
+    'pinned.clear': '全部取消',
+    'pinned.hint': '按住 Shift 点击地图、柱状图或表格中的国家，即可固定多个国家进行对比。',
+    'pinned.unpin': '取消固定',
+    'pinned.usRate': '美国对其: ',
+    'pinned.counterRate': '对美反制: ',
+    'pinned.responses': '反制措施 {count} 项',
+
+    // 地图与表格标签页
+    'tabs.worldMap': '世界关税地图',
+    'tabs.dataTable': '详细数据表格',
+    'tabs.worldMap.title': '全球关税概览地图',
+    'tabs.worldMap.hint': '点击地图上的国家放大并查看详细关税信息和反制措施；滚轮缩放，拖动平移。',
+    'tabs.dataTable.title': '详细关税数据',
+    'tabs.dataTable.hint': '浏览各国的详细关税数据和反制措施列表。点击行查看详情。',
+    'barChartSection.title': '主要贸易伙伴关税率对比',
+    'barChartSection.hint': '比较不同国家对美国的平均关税税率。点击柱状图查看详情。',
+    'errors.mapLoad': '地图加载失败。',
+    'errors.chartLoad': '图表加载失败。',
+    'errors.tableLoad': '表格加载失败。',
+
+    // 世界地图组件
+    'map.legend.title': '美国对其关税率 (%)',
+    'map.legend.partialOnly': '仅部分商品',
+    'map.legend.unresolved': '待确认',
+    'map.legend.title.partnerToUs': '该国对美反制/平均税率 (%)',
+    'map.legend.title.difference': '税率差：美国对其 − 该国对美（百分点）',
+    'map.legend.usHigher': '美国税率更高 →',
+    'map.legend.partnerHigher': '← 该国税率更高',
+    'map.mode.label': '地图显示',
+    'map.mode.usToPartner': '美国对其税率',
+    'map.mode.partnerToUs': '该国对美税率',
+    'map.mode.difference': '税率差',
+    'map.sector.label': '行业',
+    'map.zoom.label': '地图缩放',
+    'map.zoom.europe': '欧洲',
+    'map.zoom.asean': '东盟',
+    'map.zoom.northAmerica': '北美',
+    'map.zoom.reset': '重置缩放',
+    'map.sector.all': '全部商品',
+    'map.sector.modeHint': '按行业着色仅适用于"美国对其税率"',
+    'map.legend.title.sector': '美国对其{sector}税率 (%)',
+    'map.differenceValue': '{value} 个百分点',
+    'map.tooltip.targetedBy': '被 {count} 个主要经济体采取反制措施',
+    'map.tooltip.usRate': '美国对其关税率: {rate}',
+    'map.tooltip.sectorRate': '{sector}: {rate}',
+    'map.tooltip.partialLayers': '部分商品: {layers}',
+    'map.tooltip.counterRate': '该国对美反制/平均税率: {rate}%',
+    'map.tooltip.counterRateUnknown': '该国对美反制/平均税率: 无数据',
+    'map.tooltip.highestTariff': '最高单项税率: {rate}%',
+    'map.tooltip.highestTariffCategory': '最高单项税率: {rate}%（{category}）',
+    'map.tooltip.difference': '税率差: {value}',
+    'map.tooltip.differenceUnknown': '税率差: 无法计算（缺少一方税率）',
+    'map.tooltip.responseCount': '有 {count} 项反制措施',
+    'map.tooltip.noResponses': '无记录的反制措施',
+    'map.responses.none': '无明确反制措施记录',
+    'map.responses.title': '反制措施:',
+
+    // 柱状图组件
+    'barChart.title': '美国对主要贸易伙伴关税率对比',
+    'barChart.yAxis': '关税率 (%)',
+    'barChart.tooltip.usRate': '美国对其关税率: {rate}%',
+    'barChart.responses.none': '无反制措施',
+    'barChart.responses.title': '反制措施:',
+    'barChart.responses.more': '...共{count}项措施',
+
+    // 分行业税率图
+    'sectorChart.noSectors': '数据中没有行业定义。',
+    'sectorChart.unresolved': '暂无结构化税率数据，无法计算分行业税率。',
+    'sectorChart.tooltip.hsCodes': 'HS 编码: {codes}',
+    'sectorChart.tooltip.noMeasures': '无加征措施',
+    'sectorChart.tooltip.total': '合计: {rate}%',
+    'sectorChart.tooltip.exempt': '不适用: {measures}',
+    'sectorChart.tooltip.clickHint': '点击在地图上按此行业着色',
+
+    // 数据表格组件
+    'table.column.name': '国家/地区',
+    'table.column.tariffRate': '对美反制/平均税率(%)',
+    'table.column.usTariffOnCountry': '美国对其税率(%)',
+    'table.column.response': '反制措施',
+    'table.column.effectiveDate': '最新生效日期',
+    'table.region.all': '全部',
+    'table.region.asia': '亚洲',
+    'table.region.europe': '欧洲',
+    'table.region.america': '美洲',
+    'table.region.others': '其他',
+    'table.search.placeholder': '搜索国家/地区...',
+    'table.regionFilter': '区域筛选:',
+    'table.loading': '加载中...',
+    'table.loadFailed': '加载数据失败',
+    'table.noMatch': '没有匹配的数据',
+    'table.noData': '无数据',
+    'table.moreResponses': '+{count}项措施',
+    'table.unresolvedTitle': '缺少结构化税率数据，无法确定美国对其税率',
+    'table.pagination.info': '显示 {start}-{end} 条，共 {total} 条',
+    'table.pagination.previous': '上一页',
+    'table.pagination.next': '下一页',
+    'table.export.scope': '导出:',
+    'table.export.scope.view': '当前筛选和排序',
+    'table.export.scope.all': '全部数据',
+    'table.export.csvTitle': '导出为 CSV 文件（UTF-8，可用 Excel 打开）',
+    'table.export.xlsxTitle': '导出为 Excel 文件 (.xlsx)',
+    'table.export.failed': '导出失败: {message}',
+    'table.export.xlsxUnavailable': 'Excel 导出组件未能加载，请检查网络后刷新页面，或改用 CSV 导出',
+    'table.export.sheetName': '关税数据',
+    'table.export.column.name': '国家/地区',
+    'table.export.column.code': '代码',
+    'table.export.column.region': '区域',
+    'table.export.column.usTariff': '美国对其税率(%)',
+    'table.export.column.counterTariff': '对美反制/平均税率(%)',
+    'table.export.column.responseType': '反制措施类型',
+    'table.export.column.responseDetails': '反制措施详情',
+    'table.export.column.targetedSectors': '针对行业',
+    'table.export.column.responseRate': '措施税率(%)',
+    'table.export.column.responseEffectiveDate': '措施生效日期',
+    'table.export.column.latestEffectiveDate': '最新生效日期',
+
+    // 国家详情面板
+    'drawer.title': '国家详情',
+    'drawer.empty': '请在地图、图表或表格中选择一个国家以查看详情。',
+    'drawer.loadFailed': '无法加载国家详情。',
+    'drawer.pin': '固定对比',
+    'drawer.unpin': '取消固定对比',
+    'drawer.calculate': '计算进口关税',
+    'drawer.usMeasures': '美国对该国主要关税措施',
+    'drawer.usRate': '美国对其有效税率: {rate}',
+    'drawer.unresolved': '暂无结构化税率数据，无法确定美国对该国的税率。',
+    'drawer.partialScope': ' (部分商品)',
+    'drawer.since': '自 {date}',
+    'drawer.counterRate': '该国反制/平均税率: {rate}%',
+    'drawer.sectors': '美国对该国分行业税率',
+    'drawer.sectors.note': '行业按 HS 章节/品目归类，各段为适用的措施，数值为该行业主要商品的代表性税率。',
+    'drawer.details': '说明: {text}',
+    'drawer.history': '美国对该国关税历史:',
+    'drawer.history.unknownDate': '日期未知',
+    'drawer.history.unknownDescription': '描述未知',
+    'drawer.history.details': '细节: {text}',
+    'drawer.history.effectiveDate': '生效日期: {date}',
+    'drawer.history.none': '暂无详细的美国对该国关税历史记录。',
+    'drawer.responses': '该国反制措施',
+    'drawer.responses.unknownType': '未知类型',
+    'drawer.responses.effectiveDate': '(生效: {date})',
+    'drawer.responses.noDetails': '无详细说明',
+    'drawer.responses.sectors': '针对行业/领域:',
+    'drawer.responses.value': '影响价值: {value}',
+    'drawer.responses.note': '备注: {note}',
+    'drawer.responses.none': '暂无记录或公开的反制措施。',
+    'drawer.impact': '主要影响评估',
+    'drawer.sourceNote': '注：详细数据来源请参考页面底部的"数据来源与分析"部分。',
+
+    // 进口关税计算器
+    'calculator.title': '进口关税计算器',
+    'calculator.close': '关闭',
+    'calculator.hint': '按原产国、商品类别、完税价格和日期计算适用的各层美国进口关税；填写对比日期可查看税负变化。',
+    'calculator.country': '原产国',
+    'calculator.sector': '商品类别',
+    'calculator.sector.all': '全部商品（不含基础税率）',
+    'calculator.customsValue': '完税价格 (USD)',
+    'calculator.date': '日期',
+    'calculator.compareDate': '对比日期',
+    'calculator.error.customsValue': '请输入不小于 0 的完税价格。',
+    'calculator.error.date': '请输入有效的日期。',
+    'calculator.error.compareDate': '请输入有效的对比日期，或留空。',
+    'calculator.unresolved': '暂无{country}的结构化税率数据，无法计算。',
+    'calculator.column.layer': '关税层',
+    'calculator.column.rate': '税率',
+    'calculator.column.duty': '关税',
+    'calculator.column.change': '变化 (百分点)',
+    'calculator.group.baseline': '基础税率',
+    'calculator.group.reciprocal': '对等关税',
+    'calculator.group.section301': '301条款',
+    'calculator.group.section232': '232条款',
+    'calculator.group.ieepa': 'IEEPA',
+    'calculator.group.other': '其他',
+    'calculator.layer.baseline': '最惠国税率 (代表性数值)',
+    'calculator.layer.baselineBasis': '美国协调关税表 (HTSUS) 第1栏',
+    'calculator.totalRate': '合计税率',
+    'calculator.totalDuty': '应缴关税',
+    'calculator.landedCost': '完税成本',
+    'calculator.noLayers': '该日期无适用的关税层。',
+    'calculator.note.noBaseRate': '未选择商品类别，未计入基础税率（最惠国税率）。',
+    'calculator.note.partialLayers': '可能适用于部分商品（未计入合计）: {layers}',
+    'calculator.note.compareUnresolved': '对比日期暂无结构化税率数据，无法比较。',
+    'calculator.disclaimer': '仅供参考：未包括反倾销/反补贴税、商品处理费 (MPF)、港口维护费等；实际税率以商品的 HTS 归类和海关认定为准。',
+
+    // 贸易额
+    'trade.title': '主要贸易伙伴贸易额变化',
+    'trade.heading': '{from}-{to}年美国与主要贸易伙伴贸易数据概览',
+    'trade.partners': '贸易伙伴（已选 {count} 个）',
+    'trade.partners.regions': '地区合计',
+    'trade.partners.countries': '国家和经济体',
+    'trade.partners.noData': '无贸易数据',
+    'trade.partners.reset': '恢复默认',
+    'trade.view': '图表',
+    'trade.view.trade': '进出口对比',
+    'trade.view.balance': '贸易差额',
+    'trade.year': '年份',
+    'trade.column.year': '年份',
+    'trade.column.partner': '贸易伙伴',
+    'trade.column.exports': '出口额',
+    'trade.column.imports': '进口额',
+    'trade.column.total': '贸易总额',
+    'trade.column.balance': '贸易差额',
+    'trade.unit': '({unit})',
+    'trade.empty': '请至少选择一个有贸易数据的伙伴。',
+    'trade.error': '贸易数据加载失败。',
+    'trade.note.balance': '贸易差额=出口额-进口额，正值为顺差，负值为逆差。',
+    'trade.analysis': '贸易趋势分析',
+    'trade.analysis.pattern': '贸易格局变化：',
+    'trade.analysis.pattern.top': '{to}年美国前三大货物贸易伙伴依次为{top}（{from}年为{topFrom}）。',
+    'trade.analysis.pattern.rise': '{from}-{to}年主要伙伴中贸易总额增幅最大的是{partner}。',
+    'trade.analysis.pattern.fall': '降幅最大的是{partner}。',
+    'trade.analysis.deficit': '贸易逆差来源：',
+    'trade.analysis.deficit.largest': '{to}年最大的货物贸易逆差来源是{partner}，逆差{values}。',
+    'trade.analysis.deficit.region': '{region}合计逆差{to}年为{end}，较{from}年{percent}。',
+    'trade.analysis.shift': '进口来源变化：',
+    'trade.analysis.shift.gain': '在所列伙伴的美国进口总额中，{partner}占比上升最多，从{from}年的{start}升至{to}年的{end}；',
+    'trade.analysis.shift.loss': '{partner}占比下降最多，从{start}降至{end}。',
+    'trade.analysis.change': '{partner}（{start} → {end}，{percent}）',
+    'trade.analysis.yearValue': '{year}年{value}',
+    'trade.analysis.amount': '{value}{unit}',
+    'trade.analysis.separator': '、',
+    'trade.analysis.note': '以上分析由贸易数据自动生成，比较数据中最早（{from}年）和最近（{to}年）的年份。',
+    'trade.source': '数据来源：{source}',
+
+    // 行业影响
+    'sector.title': '主要影响行业分析',
+    'sector.tabs': '行业分析标签页',
+    'sector.tab.negative': '行业受到关税负面影响',
+    'sector.tab.positive': '关税保护受益的行业',
+    'sector.tab.policy': '中美贸易政策调整及对其他国家的影响',
+    'sector.tab.companies': '行业内具体公司案例分析',
+    'sector.tab.data': '数据支撑与政策时间线',
+    'sector.expand': '展开全文',
+    'sector.collapse': '收起',
+    'sector.footnotes': '参考来源',
+    'sector.error': '行业影响分析加载失败。',
+    'sector.note': '注：本分析基于2025年4月最新政策数据。受关税和贸易政策影响，行业状况可能快速变化，具体企业应对策略各异。',
+
+    // 股市走势
+    'stock.title': '近期主要股市走势',
+    'stock.loading': '加载本地股市数据中...',
+    'stock.noData': '无法加载任何股市数据。',
+    'stock.invalidFile': '本地文件数据格式无效: {path}',
+    'stock.fileFailed': '加载文件失败 ({path}: {message})',
+    'stock.partialFailure': '注：部分指数 ({names}) 数据加载失败',
+    'stock.error': '加载股市数据时出错: {message}',
+    'stock.registryFailed': '加载指数登记表失败 ({path}: {message})',
+    'stock.rebase.label': '基准日',
+    'stock.rebase.reset': '恢复共同起始日',
+    'stock.zoom.reset': '重置缩放',
+    'stock.zoom.label': '拖动选择要放大的时间范围',
+    'stock.hint': '拖动下方缩略图可缩放时间范围，点击图表将该日设为基准日，点击图例可显示或隐藏指数',
+    'stock.legend.toggle': '显示或隐藏 {name}',
+    'stock.tooltip.index': '指数',
+    'stock.tooltip.close': '收盘',
+    'stock.tooltip.day': '当日',
+    'stock.tooltip.sinceBase': '较 {date}',
+    'stock.view.label': '视图',
+    'stock.view.compare': '对比（涨跌幅）',
+    'stock.detail.threshold': '振幅阈值 (%)',
+    'stock.detail.chartHint': '拖动下方缩略图可缩放时间范围；浅色背景为日内振幅超过阈值的交易日，下方为成交量',
+    'stock.detail.noOhlc': '{name} 的数据中没有开盘价、最高价和最低价，无法绘制K线图。',
+    'stock.detail.open': '开盘',
+    'stock.detail.high': '最高',
+    'stock.detail.low': '最低',
+    'stock.detail.range': '日内振幅',
+    'stock.detail.volume': '成交量',
+    'stock.detail.flagged': '{name} 日内振幅超过 {threshold}% 的交易日',
+    'stock.detail.noneFlagged': '区间内没有日内振幅超过阈值的交易日。',
+    'stock.detail.column.range': '最低 → 最高',
+    'stock.detail.column.rangePercent': '振幅',
+    'stock.detail.column.change': '收盘涨跌',
+    'stock.detail.hint': '日内振幅 = 最高价 ÷ 最低价 - 1；收盘涨跌相对上一交易日收盘价。',
+    'stock.events.legend': '关税事件',
+    'stock.eventStudy.title': '关税事件前后的累计涨跌幅',
+    'stock.eventStudy.windows': '窗口（交易日）',
+    'stock.eventStudy.apply': '应用',
+    'stock.eventStudy.window': '{window} 日',
+    'stock.eventStudy.column.date': '日期',
+    'stock.eventStudy.column.event': '事件',
+    'stock.eventStudy.average': '平均（{count} 个事件日）',
+    'stock.eventStudy.empty': '图表区间内没有关税事件。',
+    'stock.eventStudy.hint': '第0日为事件当日，事件发生在非交易日时为之后的第一个交易日；窗口 a/b 的累计涨跌幅 = 第 b 日收盘价 ÷ 第 a-1 日收盘价 - 1。数据不足的窗口显示为"—"，不计入平均。',
+    'stock.eventStudy.invalid': '窗口格式应为"起始/结束"，多个窗口以逗号分隔，如 -1/+1, 0/+5；偏移在 -{max} 到 +{max} 个交易日之间，且起始不大于结束。',
+
+    'risk.title': '波动率与关税强度',
+    'risk.noData': '没有可用的指数行情，无法计算波动率。',
+    'risk.window.label': '滚动窗口',
+    'risk.window.option': '{days} 个交易日',
+    'risk.axis.volatility': '年化波动率',
+    'risk.axis.intensity': '关税强度',
+    'risk.legend.intensity': '关税强度（{days}日）',
+    'risk.chartHint': '折线为各指数的滚动年化波动率（左轴），柱为关税强度（右轴），深色柱为当日美国对某国税率有变动的交易日',
+    'risk.tooltip.volatility': '{days}日波动率',
+    'risk.tooltip.intensity': '关税强度 {value}（当日税率变动合计 {change} 个百分点）',
+    'risk.tooltip.action': '{country}: {from}% → {to}%（{measures}）',
+    'risk.metrics.title': '各指数风险指标（{start} 至 {end}）',
+    'risk.column.index': '指数',
+    'risk.column.latest': '最新{days}日波动率',
+    'risk.column.peak': '区间最高波动率',
+    'risk.column.drawdown': '最大回撤',
+    'risk.column.drawdownPeriod': '回撤区间（高点 → 低点）',
+    'risk.column.returnCorrelation': '收益率 × 当日税率变动',
+    'risk.column.volatilityCorrelation': '波动率 × 关税强度',
+    'risk.metrics.hint': '波动率为 {days} 个交易日每日收益率的标准差 × √252。关税强度 = {days} 个交易日内美国对各国整体税率变动的绝对值之和（百分点，取自各国 usTariffSchedule 的生效日期，只适用于部分商品的措施不计入），非交易日的变动计入之后的第一个交易日。最后两列为皮尔逊相关系数，共同交易日少于 {min} 天或数值没有变化时显示为"—"。',
+    'risk.matrix.title': '各指数日收益率的相关系数',
+    'risk.correlation.count': '基于 {count} 个交易日',
+
+    // 图表导出
+    'export.svgTitle': '导出为 SVG 矢量图',
+    'export.pngTitle': '导出为 PNG 图片',
+    'export.scaleTitle': 'PNG 分辨率',
+    'export.failed': '导出失败: {message}',
+    'export.dataDate': '数据日期: {date}',
+    'export.source.tariff': '来源：美国关税政策与全球应对数据库，整理自各国政府官方公告和贸易部门数据',
+    'export.source.stock': '来源：Alpha Vantage 每日收盘价',
+    'export.stock.range': '{start} 至 {end}，相对 {base} 的涨跌幅',
+    'export.stock.detail': '{name}，{start} 至 {end}，日内振幅超过 {threshold}% 的交易日已标出',
+    'export.source.risk': '来源：Alpha Vantage 每日收盘价；税率变动来自美国关税政策与全球应对数据库',
+    'export.risk.subtitle': '{start} 至 {end}，{days} 个交易日滚动波动率与关税强度',
+    'export.barChart.unresolved': '美国税率待确认、未在图中显示: {names}',
+
+    // 数据来源
+    'sources.title': '数据来源与分析',
+    'sources.official': '官方数据',
+    'sources.official.description': '各国政府官方公告、贸易部门发布的关税政策和贸易统计数据',
+    'sources.international': '国际组织',
+    'sources.international.description': 'WTO、IMF、世界银行等国际组织发布的贸易政策评估报告和经济影响分析',
+    'sources.media': '媒体报道',
+    'sources.media.description': '经济学人、金融时报、华尔街日报等权威媒体的深度报道和分析',
+
+    // 开发者数据检查面板
+    'dataCheck.summary': '数据检查: {errors} 个错误，{warnings} 个警告',
+    'dataCheck.ok': '数据检查: 未发现问题',
+    'dataCheck.errors': '错误',
+    'dataCheck.warnings': '警告',
+    'dataCheck.command': '命令行检查: node scripts/validateTariffData.js'
+  },
+
+  en: {
+    'meta.locale': 'en',
+    'common.loading': 'Loading data...',
+    'common.notAvailable': 'N/A',
+    'common.listSeparator': ', ',
+
+    'date.pending': 'TBC',
+    'date.status.announced': 'Announced',
+    'date.status.estimated': 'Estimated',
+    'date.status.pending': 'TBC',
+    'rate.pending': 'TBC',
+
+    'page.title': 'Global Tariff Data',
+    'nav.brand': 'Global Tariff Data Visualization',
+    'nav.updated': 'Updated April 10, 2025',
+    'nav.language': 'Switch language',
+    'nav.calculator': 'Duty calculator',
+    'header.title': 'US Tariff Policy Dashboard',
+    'header.subtitle': 'Tariff policy changes across the global trading system and how countries are responding',
+    'footer.copyright': 'Copyright © 2025 US Tariff Policy & Global Response Database',
+
+    'asOf.label': 'As of',
+    'asOf.latest': 'Latest',
+    'asOf.hint': 'Drag the slider or pick a date to see the tariffs and countermeasures in effect on that day. The map, bar chart, data table and summary cards update together; press "Play" to replay the escalation month by month.',
+    'playback.previous': 'Previous month',
+    'playback.next': 'Next month',
+    'playback.play': 'Play',
+    'playback.pause': 'Pause',
+    'playback.playTitle': 'Play month by month',
+    'playback.pauseTitle': 'Pause playback',
+
+    'scenario.title': 'What-if scenarios',
+    'scenario.intro': 'Assume new US tariff rates or countermeasures on top of the loaded data (the data file is not changed). Once applied, the map, bar chart, table and summary cards show the hypothetical data, and the differences from the baseline are listed below.',
+    'scenario.status.baseline': 'Showing baseline data.',
+    'scenario.status.active': 'Scenario mode: {name} (from {date}) — the page shows hypothetical data',
+    'scenario.untitled': 'Untitled scenario',
+    'scenario.exit': 'Exit scenario',
+    'scenario.saved': 'Saved scenarios',
+    'scenario.saved.none': '(none)',
+    'scenario.load': 'Load',
+    'scenario.delete': 'Delete',
+    'scenario.import': 'Import JSON',
+    'scenario.export': 'Export JSON',
+    'scenario.name': 'Name',
+    'scenario.name.placeholder': 'e.g. EU lowered to 10%, China retaliates to 150%',
+    'scenario.effectiveDate': 'Effective date',
+    'scenario.column.country': 'Country/region',
+    'scenario.column.usTariffRate': 'US tariff (%)',
+    'scenario.column.responseRate': 'Counter-tariff (%)',
+    'scenario.column.responseType': 'Countermeasure type',
+    'scenario.column.responseDetails': 'Countermeasure details',
+    'scenario.selectCountry': 'Select a country',
+    'scenario.unchanged': 'Unchanged',
+    'scenario.remove': 'Remove',
+    'scenario.noChanges': 'No changes added yet.',
+    'scenario.hint': 'A US tariff replaces all US measures on that country from the effective date; a counter-tariff or details are added as a new countermeasure. Leave a field empty to keep it unchanged.',
+    'scenario.addCountry': 'Add country',
+    'scenario.apply': 'Apply scenario',
+    'scenario.save': 'Save',
+    'scenario.message.applied': 'Scenario applied.',
+    'scenario.message.exited': 'Baseline data restored.',
+    'scenario.message.saved': 'Saved scenario "{name}".',
+    'scenario.message.loaded': 'Loaded and applied scenario "{name}".',
+    'scenario.message.deleted': 'Deleted scenario "{name}".',
+    'scenario.message.imported': 'Imported and applied scenario "{name}".',
+    'scenario.error.format': 'Invalid scenario format',
+    'scenario.error.json': 'Unable to read the file: it is not valid JSON.',
+    'scenario.error.name': 'The name must be text without < or >',
+    'scenario.error.nameRequired': 'Enter a scenario name before saving.',
+    'scenario.error.date': 'Enter a valid effective date (YYYY-MM-DD)',
+    'scenario.error.changes': 'The list of changes (changes) is missing',
+    'scenario.error.country': 'Unknown country code {code}',
+    'scenario.error.duplicate': '{code} appears more than once',
+    'scenario.error.rate': 'Rates for {code} must be numbers of 0 or more',
+    'scenario.error.response': 'Invalid countermeasure for {code}',
+    'scenario.error.text': 'Countermeasure text for {code} must not contain < or >',
+    'scenario.error.empty': '{code} has no changes',
+    'scenario.error.storage': 'Unable to save: local storage is disabled or full.',
+    'scenario.diff.title': 'Compared with baseline data ({date})',
+    'scenario.diff.usTariffRate': 'US tariff',
+    'scenario.diff.counterRate': 'Counter-tariff',
+    'scenario.diff.baseline': 'Baseline',
+    'scenario.diff.scenario': 'Scenario',
+    'scenario.diff.average': 'Simple average',
+    'scenario.diff.none': 'No differences on the current data date.',
+    'scenario.diff.beforeEffective': 'The current data date is before the scenario takes effect ({date}); no differences.',
+
+    'indicators.average.title': 'Average tariff rate',
+    'indicators.average.up': 'Up {value} pts vs. end of 2023',
+    'indicators.average.down': 'Down {value} pts vs. end of 2023',
+    'indicators.average.excludesUnresolved': 'countries with unconfirmed rates excluded ({count})',
+    'indicators.highest.title': 'Highest-tariff country',
+    'indicators.highest.layers': 'Made up of: {layers}',
+    'indicators.responses.title': 'Countries retaliating',
+    'indicators.responses.count': '{count}',
+    'indicators.responses.share': '{percent}% of major US trading partners',
+    'indicators.average.weighted': 'Simple average; trade-weighted {rate}',
+    'indicators.explain.asOf': 'Data date: {date}',
+    'indicators.explain.simple': 'Simple average = sum of US tariff rates on partners ÷ number of partners = {sum} ÷ {count} = {rate}',
+    'indicators.explain.weighted': 'Trade-weighted average = Σ(rate × US imports from the partner) ÷ total imports = {rate} (weights: US goods imports in {years}, {total} in total, US$100m)',
+    'indicators.explain.noWeights': 'No trade data; the trade-weighted average cannot be calculated.',
+    'indicators.explain.topWeights': 'Largest contributions to the weighted average: {countries}',
+    'indicators.explain.weightEntry': '{country} {rate}% (weight {share}%)',
+    'indicators.explain.unweighted': 'No trade data, left out of the weighted average: {countries}',
+    'indicators.explain.unresolved': 'Rate unconfirmed, left out of the averages: {countries}',
+    'indicators.explain.change': 'Since {date}: simple average {simpleBefore} → {simpleAfter}, trade-weighted {weightedBefore} → {weightedAfter}',
+    'indicators.explain.highest': 'The partner with the highest overall US tariff among the {count} partners with confirmed rates; the overall rate is the sum of measures covering all goods.',
+    'indicators.explain.highestPartial': 'Measures covering only some goods (not included): {layers}',
+    'indicators.explain.responses': 'Partners with countermeasures in effect ({count}) ÷ partners in the data ({partners}) = {percent}%',
+    'indicators.explain.responseCountries': 'Including: {countries}',
+
+    'timeline.title': 'Timeline of US tariff actions on China',
+    'timeline.loading': 'Loading timeline...',
+    'timeline.empty': 'No timeline data.',
+    'timeline.error': 'Failed to load the timeline.',
+    'timeline.unknownDate': 'Unknown date',
+    'timeline.unknownEvent': 'Unknown event',
+
+    'pinned.title': 'Country comparison',
+    'pinned.clear': 'Clear all',
+    'pinned.hint': 'Shift-click countries on the map, bar chart or table to pin several of them side by side.',
+    'pinned.unpin': 'Unpin',
+    'pinned.usRate': 'US tariff: ',
+    'pinned.counterRate': 'Counter-tariff: ',
+    'pinned.responses': '{count} countermeasures',
+
+    'tabs.worldMap': 'World tariff map',
+    'tabs.dataTable': 'Data table',
+    'tabs.worldMap.title': 'Global tariff overview',
+    'tabs.worldMap.hint': 'Click a country on the map to zoom in and see its tariff details and countermeasures. Scroll to zoom, drag to pan.',
+    'tabs.dataTable.title': 'Tariff details',
+    'tabs.dataTable.hint': 'Browse tariff data and countermeasures by country. Click a row for details.',
+    'barChartSection.title': 'Tariff rates of major trading partners',
+    'barChartSection.hint': 'Compare tariff rates across countries. Click a bar for details.',
+    'errors.mapLoad': 'Failed to load the map.',
+    'errors.chartLoad': 'Failed to load the chart.',
+    'errors.tableLoad': 'Failed to load the table.',
+
+    'map.legend.title': 'US tariff rate on country (%)',
+    'map.legend.partialOnly': 'Some goods only',
+    'map.legend.unresolved': 'TBC',
+    'map.legend.title.partnerToUs': 'Counter/avg. tariff on US (%)',
+    'map.legend.title.difference': 'Gap: US tariff − tariff on US (percentage points)',
+    'map.legend.usHigher': 'US rate higher →',
+    'map.legend.partnerHigher': '← Partner rate higher',
+    'map.mode.label': 'Map shows',
+    'map.mode.usToPartner': 'US tariff on country',
+    'map.mode.partnerToUs': 'Country tariff on US',
+    'map.mode.difference': 'Difference',
+    'map.sector.label': 'Sector',
+    'map.zoom.label': 'Map zoom',
+    'map.zoom.europe': 'Europe',
+    'map.zoom.asean': 'ASEAN',
+    'map.zoom.northAmerica': 'North America',
+    'map.zoom.reset': 'Reset zoom',
+    'map.sector.all': 'All goods',
+    'map.sector.modeHint': 'Sector colouring only applies to "US tariff on country"',
+    'map.legend.title.sector': 'US tariff rate on country: {sector} (%)',
+    'map.differenceValue': '{value} pp',
+    'map.tooltip.targetedBy': 'Targeted by countermeasures from {count} major economies',
+    'map.tooltip.usRate': 'US tariff rate: {rate}',
+    'map.tooltip.sectorRate': '{sector}: {rate}',
+    'map.tooltip.partialLayers': 'Some goods: {layers}',
+    'map.tooltip.counterRate': 'Counter-tariff / average rate on US: {rate}%',
+    'map.tooltip.counterRateUnknown': 'Counter-tariff / average rate on US: no data',
+    'map.tooltip.highestTariff': 'Highest single rate: {rate}%',
+    'map.tooltip.highestTariffCategory': 'Highest single rate: {rate}% ({category})',
+    'map.tooltip.difference': 'Gap: {value}',
+    'map.tooltip.differenceUnknown': 'Gap: not available (one of the rates is missing)',
+    'map.tooltip.responseCount': '{count} countermeasures',
+    'map.tooltip.noResponses': 'No recorded countermeasures',
+    'map.responses.none': 'No recorded countermeasures',
+    'map.responses.title': 'Countermeasures:',
+
+    'barChart.title': 'US tariff rates on major trading partners',
+    'barChart.yAxis': 'Tariff rate (%)',
+    'barChart.tooltip.usRate': 'US tariff rate: {rate}%',
+    'barChart.responses.none': 'No countermeasures',
+    'barChart.responses.title': 'Countermeasures:',
+    'barChart.responses.more': '...{count} measures in total',
+
+    'sectorChart.noSectors': 'No sectors are defined in the data.',
+    'sectorChart.unresolved': 'No structured tariff data; sector rates cannot be calculated.',
+    'sectorChart.tooltip.hsCodes': 'HS codes: {codes}',
+    'sectorChart.tooltip.noMeasures': 'No additional tariffs',
+    'sectorChart.tooltip.total': 'Total: {rate}%',
+    'sectorChart.tooltip.exempt': 'Not applicable: {measures}',
+    'sectorChart.tooltip.clickHint': 'Click to colour the map by this sector',
+
+    'table.column.name': 'Country/region',
+    'table.column.tariffRate': 'Counter/avg. tariff on US (%)',
+    'table.column.usTariffOnCountry': 'US tariff (%)',
+    'table.column.response': 'Countermeasures',
+    'table.column.effectiveDate': 'Latest effective date',
+    'table.region.all': 'All',
+    'table.region.asia': 'Asia',
+    'table.region.europe': 'Europe',
+    'table.region.america': 'Americas',
+    'table.region.others': 'Other',
+    'table.search.placeholder': 'Search countries/regions...',
+    'table.regionFilter': 'Region:',
+    'table.loading': 'Loading...',
+    'table.loadFailed': 'Failed to load data',
+    'table.noMatch': 'No matching rows',
+    'table.noData': 'No data',
+    'table.moreResponses': '+{count} more',
+    'table.unresolvedTitle': 'No structured tariff data; the US rate cannot be determined',
+    'table.pagination.info': 'Showing {start}-{end} of {total}',
+    'table.pagination.previous': 'Previous',
+    'table.pagination.next': 'Next',
+    'table.export.scope': 'Export:',
+    'table.export.scope.view': 'Current view',
+    'table.export.scope.all': 'All data',
+    'table.export.csvTitle': 'Export as CSV (UTF-8, opens in Excel)',
+    'table.export.xlsxTitle': 'Export as Excel workbook (.xlsx)',
+    'table.export.failed': 'Export failed: {message}',
+    'table.export.xlsxUnavailable': 'The Excel export library failed to load. Check your connection and reload the page, or export as CSV instead.',
+    'table.export.sheetName': 'Tariff data',
+    'table.export.column.name': 'Country/region',
+    'table.export.column.code': 'Code',
+    'table.export.column.region': 'Region',
+    'table.export.column.usTariff': 'US tariff (%)',
+    'table.export.column.counterTariff': 'Counter/avg. tariff on US (%)',
+    'table.export.column.responseType': 'Countermeasure type',
+    'table.export.column.responseDetails': 'Countermeasure details',
+    'table.export.column.targetedSectors': 'Targeted sectors',
+    'table.export.column.responseRate': 'Measure rate (%)',
+    'table.export.column.responseEffectiveDate': 'Measure effective date',
+    'table.export.column.latestEffectiveDate': 'Latest effective date',
+
+    'drawer.title': 'Country details',
+    'drawer.empty': 'Select a country on the map, chart or table to see its details.',
+    'drawer.loadFailed': 'Unable to load country details.',
+    'drawer.pin': 'Pin for comparison',
+    'drawer.unpin': 'Unpin from comparison',
+    'drawer.calculate': 'Calculate import duty',
+    'drawer.usMeasures': 'Main US tariff measures',
+    'drawer.usRate': 'Effective US tariff rate: {rate}',
+    'drawer.unresolved': 'No structured tariff data; the US rate on this country cannot be determined.',
+    'drawer.partialScope': ' (some goods)',
+    'drawer.since': 'since {date}',
+    'drawer.counterRate': 'Counter-tariff / average rate on US: {rate}%',
+    'drawer.sectors': 'US tariff rates on this country by sector',
+    'drawer.sectors.note': 'Sectors are grouped by HS chapter/heading; each segment is an applicable measure, and values are representative rates for the main goods in the sector.',
+    'drawer.details': 'Notes: {text}',
+    'drawer.history': 'US tariff history:',
+    'drawer.history.unknownDate': 'Date unknown',
+    'drawer.history.unknownDescription': 'No description',
+    'drawer.history.details': 'Details: {text}',
+    'drawer.history.effectiveDate': 'Effective: {date}',
+    'drawer.history.none': 'No detailed US tariff history for this country.',
+    'drawer.responses': 'Countermeasures',
+    'drawer.responses.unknownType': 'Unknown type',
+    'drawer.responses.effectiveDate': '(effective {date})',
+    'drawer.responses.noDetails': 'No details',
+    'drawer.responses.sectors': 'Targeted sectors:',
+    'drawer.responses.value': 'Value affected: {value}',
+    'drawer.responses.note': 'Note: {note}',
+    'drawer.responses.none': 'No recorded or public countermeasures.',
+    'drawer.impact': 'Impact assessment',
+    'drawer.sourceNote': 'See "Sources and analysis" at the bottom of the page for data sources.',
+
+    'calculator.title': 'Import duty calculator',
+    'calculator.close': 'Close',
+    'calculator.hint': 'Calculate the stacked US import duties by origin country, product category, customs value and date; add a comparison date to see how the duty changed.',
+    'calculator.country': 'Origin country',
+    'calculator.sector': 'Product category',
+    'calculator.sector.all': 'All goods (no base rate)',
+    'calculator.customsValue': 'Customs value (USD)',
+    'calculator.date': 'Date',
+    'calculator.compareDate': 'Compare with',
+    'calculator.error.customsValue': 'Enter a customs value of 0 or more.',
+    'calculator.error.date': 'Enter a valid date.',
+    'calculator.error.compareDate': 'Enter a valid comparison date, or leave it empty.',
+    'calculator.unresolved': 'No structured tariff data for {country}; duties cannot be calculated.',
+    'calculator.column.layer': 'Duty layer',
+    'calculator.column.rate': 'Rate',
+    'calculator.column.duty': 'Duty',
+    'calculator.column.change': 'Change (pp)',
+    'calculator.group.baseline': 'Base rate',
+    'calculator.group.reciprocal': 'Reciprocal',
+    'calculator.group.section301': 'Section 301',
+    'calculator.group.section232': 'Section 232',
+    'calculator.group.ieepa': 'IEEPA',
+    'calculator.group.other': 'Other',
+    'calculator.layer.baseline': 'MFN rate (representative)',
+    'calculator.layer.baselineBasis': 'HTSUS column 1',
+    'calculator.totalRate': 'Total rate',
+    'calculator.totalDuty': 'Duty payable',
+    'calculator.landedCost': 'Landed cost',
+    'calculator.noLayers': 'No duty layers apply on this date.',
+    'calculator.note.noBaseRate': 'No product category selected; the base (MFN) rate is not included.',
+    'calculator.note.partialLayers': 'May apply to some goods (not included in the total): {layers}',
+    'calculator.note.compareUnresolved': 'No structured tariff data on the comparison date; it cannot be compared.',
+    'calculator.disclaimer': 'For reference only: excludes anti-dumping/countervailing duties, the merchandise processing fee (MPF) and harbor maintenance fee; actual rates depend on the HTS classification and the customs ruling.',
+
+    'trade.title': 'Trade with major partners',
+    'trade.heading': 'US trade with major partners, {from}-{to}',
+    'trade.partners': 'Partners ({count} selected)',
+    'trade.partners.regions': 'Regional totals',
+    'trade.partners.countries': 'Countries and economies',
+    'trade.partners.noData': 'no trade data',
+    'trade.partners.reset': 'Reset to default',
+    'trade.view': 'Chart',
+    'trade.view.trade': 'Exports vs imports',
+    'trade.view.balance': 'Trade balance',
+    'trade.year': 'Year',
+    'trade.column.year': 'Year',
+    'trade.column.partner': 'Partner',
+    'trade.column.exports': 'Exports',
+    'trade.column.imports': 'Imports',
+    'trade.column.total': 'Total trade',
+    'trade.column.balance': 'Balance',
+    'trade.unit': '({unit})',
+    'trade.empty': 'Select at least one partner with trade data.',
+    'trade.error': 'Failed to load trade data.',
+    'trade.note.balance': 'Balance = exports - imports; positive values are surpluses, negative values deficits.',
+    'trade.analysis': 'Trade trends',
+    'trade.analysis.pattern': 'Changing trade pattern: ',
+    'trade.analysis.pattern.top': 'In {to} the three largest US goods trading partners were {top} ({topFrom} in {from}).',
+    'trade.analysis.pattern.rise': 'Among major partners, total trade grew most with {partner} between {from} and {to}.',
+    'trade.analysis.pattern.fall': 'It fell most with {partner}.',
+    'trade.analysis.deficit': 'Sources of the deficit: ',
+    'trade.analysis.deficit.largest': 'In {to} the largest goods trade deficit was with {partner}: {values}.',
+    'trade.analysis.deficit.region': 'The combined deficit with {region} was {end} in {to}, {percent} on {from}.',
+    'trade.analysis.shift': 'Shifting import sources: ',
+    'trade.analysis.shift.gain': 'Among the listed partners, {partner} gained the most share of US imports, from {start} in {from} to {end} in {to};',
+    'trade.analysis.shift.loss': '{partner} lost the most, from {start} to {end}.',
+    'trade.analysis.change': '{partner} ({start} → {end}, {percent})',
+    'trade.analysis.yearValue': '{value} in {year}',
+    'trade.analysis.amount': '{value} ({unit})',
+    'trade.analysis.separator': ', ',
+    'trade.analysis.note': 'Generated from the trade data, comparing the earliest ({from}) and latest ({to}) years in the data.',
+    'trade.source': 'Source: {source}',
+
+    'sector.title': 'Sector impact analysis',
+    'sector.tabs': 'Sector analysis tabs',
+    'sector.tab.negative': 'Sectors hurt by tariffs',
+    'sector.tab.positive': 'Sectors protected by tariffs',
+    'sector.tab.policy': 'US-China policy and other countries',
+    'sector.tab.companies': 'Company case studies',
+    'sector.tab.data': 'Data and policy timeline',
+    'sector.expand': 'Show more',
+    'sector.collapse': 'Show less',
+    'sector.footnotes': 'Sources',
+    'sector.error': 'Failed to load the sector analysis.',
+    'sector.note': 'Based on policy data as of April 2025. Detailed analysis is available in Chinese only; sector conditions may change quickly as tariff and trade policy evolves.',
+
+    'stock.title': 'Recent stock market performance',
+    'stock.loading': 'Loading local market data...',
+    'stock.noData': 'No market data could be loaded.',
+    'stock.invalidFile': 'Invalid data in local file: {path}',
+    'stock.fileFailed': 'Failed to load file ({path}: {message})',
+    'stock.partialFailure': 'Note: data for some indices ({names}) failed to load',
+    'stock.error': 'Error loading market data: {message}',
+    'stock.registryFailed': 'Failed to load the instrument registry ({path}: {message})',
+    'stock.rebase.label': 'Rebase date',
+    'stock.rebase.reset': 'Reset to common start',
+    'stock.zoom.reset': 'Reset zoom',
+    'stock.zoom.label': 'Drag to select a date range to zoom into',
+    'stock.hint': 'Drag across the overview below to zoom, click the chart to rebase to that day, click the legend to show or hide an index',
+    'stock.legend.toggle': 'Show or hide {name}',
+    'stock.tooltip.index': 'Index',
+    'stock.tooltip.close': 'Close',
+    'stock.tooltip.day': 'Day',
+    'stock.tooltip.sinceBase': 'Since {date}',
+    'stock.view.label': 'View',
+    'stock.view.compare': 'Compare (% change)',
+    'stock.detail.threshold': 'Range threshold (%)',
+    'stock.detail.chartHint': 'Drag across the overview below to zoom. Shaded days have an intraday range above the threshold; volume is shown underneath',
+    'stock.detail.noOhlc': 'The data for {name} has no open, high and low prices, so no candlestick chart can be drawn.',
+    'stock.detail.open': 'Open',
+    'stock.detail.high': 'High',
+    'stock.detail.low': 'Low',
+    'stock.detail.range': 'Intraday range',
+    'stock.detail.volume': 'Volume',
+    'stock.detail.flagged': '{name}: days with an intraday range above {threshold}%',
+    'stock.detail.noneFlagged': 'No trading day in the period has an intraday range above the threshold.',
+    'stock.detail.column.range': 'Low → high',
+    'stock.detail.column.rangePercent': 'Range',
+    'stock.detail.column.change': 'Close change',
+    'stock.detail.hint': 'Intraday range = high ÷ low - 1. Close change is measured against the previous close.',
+    'stock.events.legend': 'Tariff events',
+    'stock.eventStudy.title': 'Cumulative returns around tariff events',
+    'stock.eventStudy.windows': 'Windows (trading days)',
+    'stock.eventStudy.apply': 'Apply',
+    'stock.eventStudy.window': 'Days {window}',
+    'stock.eventStudy.column.date': 'Date',
+    'stock.eventStudy.column.event': 'Event',
+    'stock.eventStudy.average': 'Average ({count} event days)',
+    'stock.eventStudy.empty': 'No tariff events fall within the chart period.',
+    'stock.eventStudy.hint': 'Day 0 is the event date, or the next trading day if the event falls on a non-trading day. The cumulative return for window a/b = close on day b ÷ close on day a-1 - 1. Windows without enough data show "—" and are excluded from the average.',
+    'stock.eventStudy.invalid': 'Enter windows as "start/end", separated by commas, e.g. -1/+1, 0/+5. Offsets must be between -{max} and +{max} trading days, and start must not be after end.',
+
+    'risk.title': 'Volatility and tariff intensity',
+    'risk.noData': 'No index prices are available, so volatility cannot be calculated.',
+    'risk.window.label': 'Rolling window',
+    'risk.window.option': '{days} trading days',
+    'risk.axis.volatility': 'Annualised volatility',
+    'risk.axis.intensity': 'Tariff intensity',
+    'risk.legend.intensity': 'Tariff intensity ({days}d)',
+    'risk.chartHint': 'Lines show the rolling annualised volatility of each index (left axis); bars show tariff intensity (right axis), darker on days when a US rate changed',
+    'risk.tooltip.volatility': '{days}-day volatility',
+    'risk.tooltip.intensity': 'Tariff intensity {value} (rate changes that day: {change} percentage points)',
+    'risk.tooltip.action': '{country}: {from}% → {to}% ({measures})',
+    'risk.metrics.title': 'Risk metrics by index ({start} to {end})',
+    'risk.column.index': 'Index',
+    'risk.column.latest': 'Latest {days}-day volatility',
+    'risk.column.peak': 'Peak volatility',
+    'risk.column.drawdown': 'Max drawdown',
+    'risk.column.drawdownPeriod': 'Drawdown (peak → trough)',
+    'risk.column.returnCorrelation': 'Return × same-day rate changes',
+    'risk.column.volatilityCorrelation': 'Volatility × tariff intensity',
+    'risk.metrics.hint': 'Volatility is the standard deviation of daily returns over {days} trading days × √252. Tariff intensity is the sum, over {days} trading days, of the absolute changes in the overall US rate on each country (percentage points, from the effective dates in usTariffSchedule; measures covering only some goods are left out); changes on non-trading days count towards the next trading day. The last two columns are Pearson correlations and show "—" when fewer than {min} trading days overlap or a series does not vary.',
+    'risk.matrix.title': 'Correlation of daily returns between indices',
+    'risk.correlation.count': 'Based on {count} trading days',
+
+    'export.svgTitle': 'Export as SVG',
+    'export.pngTitle': 'Export as PNG',
+    'export.scaleTitle': 'PNG resolution',
+    'export.failed': 'Export failed: {message}',
+    'export.dataDate': 'Data as of {date}',
+    'export.source.tariff': 'Source: US Tariff Policy & Global Response Database, compiled from official government announcements and trade statistics',
+    'export.source.stock': 'Source: Alpha Vantage daily closing prices',
+    'export.stock.range': '{start} to {end}, change since {base}',
+    'export.stock.detail': '{name}, {start} to {end}, days with an intraday range above {threshold}% highlighted',
+    'export.source.risk': 'Source: Alpha Vantage daily closing prices; tariff rate changes from the US Tariff Policy & Global Response Database',
+    'export.risk.subtitle': '{start} to {end}, {days}-trading-day rolling volatility and tariff intensity',
+    'export.barChart.unresolved': 'Not shown (US rate to be confirmed): {names}',
+
+    'sources.title': 'Sources and analysis',
+    'sources.official': 'Official data',
+    'sources.official.description': 'Government announcements and tariff and trade statistics published by trade authorities',
+    'sources.international': 'International organizations',
+    'sources.international.description': 'Trade policy reviews and economic impact analysis from the WTO, IMF, World Bank and others',
+    'sources.media': 'Media reports',
+    'sources.media.description': 'In-depth reporting and analysis from The Economist, the Financial Times, The Wall Street Journal and others',
+
+    'dataCheck.summary': 'Data check: {errors} errors, {warnings} warnings',
+    'dataCheck.ok': 'Data check: no issues found',
+    'dataCheck.errors': 'Errors',
+    'dataCheck.warnings': 'Warnings',
+    'dataCheck.command': 'Command line: node scripts/validateTariffData.js'
+  }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18N_MESSAGES;
+}
@@ -0,0 +1,110 @@
+/**
+ * 统计卡片指标
+ * 由数据快照中的国家记录计算平均税率（简单平均和按美国进口额加权）、较基准日的变化、最高税率国家和反制措施国家。
+ * 计算结果同时保留各项的中间数据，供卡片的悬停说明使用。
+ */
+class KeyIndicators {
+  /**
+   * 计算统计卡片的全部指标
+   * @param {Object} snapshot 当前日期的数据快照
+   * @param {Object} [options] 选项
+   * @param {Object} [options.baseData] 完整数据，提供时计算较基准日的变化
+   * @param {TradeData} [options.tradeData] 双边贸易数据，提供时计算贸易加权平均
+   * @param {string} [options.baselineDate] 基准日期，默认为 2023年底
+   * @returns {{asOfDate: string, current: Object, baseline: (Object|null), baselineDate: string, change: {simple: (number|null), weighted: (number|null)}, highest: (Object|null), responses: Object}}
+   */
+  static compute(snapshot, options = {}) {
+    const baselineDate = options.baselineDate || KeyIndicators.BASELINE_DATE;
+    const tradeData = options.tradeData || null;
+    const current = KeyIndicators.computeAverages(snapshot, tradeData);
+    const baseline = options.baseData
+      ? KeyIndicators.computeAverages(TariffSnapshot.at(options.baseData, baselineDate), tradeData)
+      : null;
+    const difference = key => (baseline && current[key] !== null && baseline[key] !== null ? current[key] - baseline[key] : null);
+
+    // 最高税率国家：只比较税率大于0的国家
+    const highest = current.items
+      .filter(item => item.result.rate > 0)
+      .reduce((max, item) => (!max || item.result.rate > max.result.rate ? item : max), null);
+
+    // 反制措施国家：当日已有反制措施的贸易伙伴占数据中贸易伙伴的比例
+    const responders = current.partners.filter(country => Array.isArray(country.response) && country.response.length > 0);
+
+    return {
+      asOfDate: snapshot.asOfDate,
+      current,
+      baseline,
+      baselineDate,
+      change: { simple: difference('simple'), weighted: difference('weighted') },
+      highest,
+      responses: {
+        countries: responders,
+        count: responders.length,
+        partners: current.partners.length,
+        share: current.partners.length > 0 ? responders.length / current.partners.length * 100 : null
+      }
+    };
+  }
+
+  /**
+   * 计算某一快照中美国对各贸易伙伴税率的简单平均和贸易加权平均
+   * 税率无法确定的国家不计入；贸易加权只计入有贸易数据的国家，权重为当年（或最近一年）美国自该国的进口额。
+   * @param {Object} snapshot 数据快照
+   * @param {TradeData|null} tradeData 双边贸易数据
+   * @returns {{partners: Array, items: Array<{country, result}>, unresolved: Array, simple: (number|null), rateSum: number,
+   *   weighted: (number|null), weightTotal: number, weightYears: Array<string>, contributions: Array<{country, rate, imports, year, share}>, unweighted: Array}}
+   */
+  static computeAverages(snapshot, tradeData) {
+    const partners = (snapshot.countries || []).filter(country => country.code !== 'US');
+    const resolved = partners.map(country => ({ country, result: TariffRateResolver.resolve(country) }));
+    const items = resolved.filter(item => item.result.status === 'resolved');
+    const unresolved = resolved.filter(item => item.result.status !== 'resolved').map(item => item.country);
+    const rateSum = items.reduce((sum, item) => sum + item.result.rate, 0);
+
+    const contributions = [];
+    const unweighted = [];
+    items.forEach(item => {
+      const imports = tradeData ? tradeData.getImports(item.country.code, snapshot.asOfDate) : null;
+      if (imports && imports.value > 0) {
+        contributions.push({ country: item.country, rate: item.result.rate, imports: imports.value, year: imports.year });
+      } else {
+        unweighted.push(item.country);
+      }
+    });
+    const weightTotal = contributions.reduce((sum, entry) => sum + entry.imports, 0);
+    contributions.forEach(entry => {
+      entry.share = weightTotal > 0 ? entry.imports / weightTotal : 0;
+    });
+    contributions.sort((a, b) => b.rate * b.share - a.rate * a.share);
+
+    return {
+      partners,
+      items,
+      unresolved,
+      simple: items.length > 0 ? rateSum / items.length : null,
+      rateSum,
+      weighted: weightTotal > 0 ? contributions.reduce((sum, entry) => sum + entry.rate * entry.share, 0) : null,
+      weightTotal,
+      weightYears: Array.from(new Set(contributions.map(entry => entry.year))).sort(),
+      contributions,
+      unweighted
+    };
+  }
+
+  /**
+   * 保留一位小数，用于说明中的中间数值
+   * @param {number} value 数值
+   * @returns {number}
+   */
+  static round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+// 计算变化的基准日期（2023年底，即本轮加征之前）
+KeyIndicators.BASELINE_DATE = '2023-12-31';
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyIndicators;
+}
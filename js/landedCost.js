@@ -0,0 +1,137 @@
+/**
+ * 进口关税计算（完税成本）
+ * 按原产国、商品类别（行业）、海关完税价格和日期列出适用的各层美国关税及法律依据，计算合计税率、应缴关税和完税成本，
+ * 并可比较两个日期之间的变化。各层税率由 TariffRateResolver 根据 usTariffSchedule 计算，
+ * 基础税率取行业定义中的 baseRate（最惠国税率的代表性数值）。
+ *
+ * 计算结果格式:
+ *   { status, asOf, customsValue, layers: [{ key, group, rate, duty, entry? }], pendingLayers: [...], baseRateKnown, totalRate, totalDuty, landedCost }
+ * layers 为计入合计的各层（基础税率层没有 entry）；未指定商品类别时，仅适用于部分商品的措施放在 pendingLayers 中，不计入合计。
+ */
+class LandedCost {
+  /**
+   * 计算某一日期的各层关税及合计
+   * @param {Object} params 参数
+   * @param {Object} params.country 国家数据（完整数据中的条目，不是快照）
+   * @param {Object|null} params.sector 行业定义，为 null 时按整体税率计算（不含基础税率）
+   * @param {number} params.customsValue 海关完税价格（美元）
+   * @param {Date|string} params.date 计算日期
+   * @returns {Object} 计算结果，status 含义同 TariffRateResolver.resolve
+   */
+  static calculate({ country, sector, customsValue, date }) {
+    const overall = TariffRateResolver.resolve(country, date);
+    const result = {
+      status: overall.status,
+      asOf: overall.asOf,
+      customsValue,
+      layers: [],
+      pendingLayers: [],
+      baseRateKnown: !!sector && typeof sector.baseRate === 'number',
+      totalRate: null,
+      totalDuty: null,
+      landedCost: null
+    };
+    if (overall.status === 'unresolved') return result;
+
+    const toLayer = (entry, rate) => ({
+      key: entry.measure,
+      group: LandedCost.getGroup(entry.measure),
+      rate,
+      duty: LandedCost.computeDuty(customsValue, rate),
+      entry
+    });
+
+    if (result.baseRateKnown) {
+      result.layers.push({ key: 'baseline', group: 'baseline', rate: sector.baseRate, duty: LandedCost.computeDuty(customsValue, sector.baseRate) });
+    }
+    if (sector) {
+      TariffRateResolver.resolveSector(country, sector, date).layers
+        .forEach(layer => result.layers.push(toLayer(layer.entry, layer.rate)));
+    } else {
+      overall.layers.forEach(entry => result.layers.push(toLayer(entry, entry.rate)));
+      result.pendingLayers = overall.partialLayers.map(entry => toLayer(entry, entry.rate));
+    }
+
+    // 按基础税率、对等关税、301条款、232条款、IEEPA 的顺序排列
+    result.layers.sort((a, b) => LandedCost.GROUPS.indexOf(a.group) - LandedCost.GROUPS.indexOf(b.group));
+    result.totalRate = LandedCost.round(result.layers.reduce((sum, layer) => sum + layer.rate, 0));
+    result.totalDuty = LandedCost.computeDuty(customsValue, result.totalRate);
+    result.landedCost = LandedCost.round(customsValue + result.totalDuty);
+    return result;
+  }
+
+  /**
+   * 比较两个日期的计算结果，按措施对齐各层
+   * @param {Object} before 较早（或对比）日期的计算结果
+   * @param {Object} after 计算日期的结果
+   * @returns {{layers: Array<{key, group, entry, before: (number|null), after: (number|null), change: number}>, totalRateChange: (number|null), totalDutyChange: (number|null)}}
+   *   某层在一个日期不适用时对应的税率为 null
+   */
+  static compare(before, after) {
+    const rows = [];
+    const findRow = key => rows.find(row => row.key === key);
+    [['before', before], ['after', after]].forEach(([side, result]) => {
+      result.layers.forEach(layer => {
+        let row = findRow(layer.key);
+        if (!row) {
+          row = { key: layer.key, group: layer.group, entry: layer.entry, before: null, after: null };
+          rows.push(row);
+        }
+        // 措施名称以计算日期的条目为准
+        if (side === 'after' && layer.entry) row.entry = layer.entry;
+        row[side] = layer.rate;
+      });
+    });
+    rows.forEach(row => {
+      row.change = LandedCost.round((row.after || 0) - (row.before || 0));
+    });
+    rows.sort((a, b) => LandedCost.GROUPS.indexOf(a.group) - LandedCost.GROUPS.indexOf(b.group));
+
+    const bothKnown = before.totalRate !== null && after.totalRate !== null;
+    return {
+      layers: rows,
+      totalRateChange: bothKnown ? LandedCost.round(after.totalRate - before.totalRate) : null,
+      totalDutyChange: bothKnown ? LandedCost.round(after.totalDuty - before.totalDuty) : null
+    };
+  }
+
+  /**
+   * 按措施 id 归类
+   * @param {string} measure usTariffSchedule 条目的 measure，如 'section232-steel'
+   * @returns {string} 'reciprocal'、'section301'、'section232'、'ieepa' 或 'other'
+   */
+  static getGroup(measure) {
+    if (measure === 'reciprocal') return 'reciprocal';
+    if (/^section301/.test(measure)) return 'section301';
+    if (/^section232/.test(measure)) return 'section232';
+    if (/^ieepa/.test(measure)) return 'ieepa';
+    return 'other';
+  }
+
+  /**
+   * 计算应缴关税（保留到分）
+   * @param {number} customsValue 海关完税价格
+   * @param {number} rate 税率（%）
+   * @returns {number}
+   */
+  static computeDuty(customsValue, rate) {
+    return LandedCost.round(customsValue * rate / 100);
+  }
+
+  /**
+   * 保留两位小数，避免浮点误差
+   * @param {number} value 数值
+   * @returns {number}
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// 各层的显示顺序
+LandedCost.GROUPS = ['baseline', 'reciprocal', 'section301', 'section232', 'ieepa', 'other'];
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LandedCost;
+}
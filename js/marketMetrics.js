@@ -0,0 +1,161 @@
+/**
+ * 市场风险指标
+ * 由每日收盘价计算滚动波动率、最大回撤和收益率相关系数，并由关税数据中有具体日期的美国税率变动构建"关税强度"序列，
+ * 用于比较市场波动与关税升级的节奏。
+ *
+ * 税率变动取自各国 usTariffSchedule：在每个生效日期，用 TariffRateResolver 比较该国整体税率（'all' 层之和）
+ * 在生效前后的差值，'partial' 层只适用于部分商品，不计入。变动发生在非交易日时计入之后的第一个交易日。
+ * 关税强度 = 滚动窗口内（含当日）各交易日税率变动绝对值之和（百分点），10%→145% 的加征比 10%→20% 权重大得多。
+ */
+class MarketMetrics {
+  /**
+   * 每日收益率
+   * @param {Array<{key: string, close: number}>} data 按日期升序的收盘价
+   * @returns {Array<{key: string, value: number}>} 百分比，从第二个交易日开始；前一日收盘价无效的交易日跳过
+   */
+  static dailyReturns(data) {
+    const returns = [];
+    for (let i = 1; i < data.length; i++) {
+      const previous = data[i - 1].close;
+      if (previous > 0) returns.push({ key: data[i].key, value: (data[i].close / previous - 1) * 100 });
+    }
+    return returns;
+  }
+
+  /**
+   * 滚动波动率：窗口内（含当日）每日收益率的样本标准差，按每年 TRADING_DAYS 个交易日年化
+   * @param {Array<{key: string, value: number}>} returns dailyReturns 的结果
+   * @param {number} [window] 窗口（交易日）
+   * @returns {Array<{key: string, value: number}>} 百分比，从第 window 个收益率开始
+   */
+  static rollingVolatility(returns, window = MarketMetrics.DEFAULT_WINDOW) {
+    const result = [];
+    if (window < 2) return result;
+    for (let i = window - 1; i < returns.length; i++) {
+      const values = returns.slice(i - window + 1, i + 1).map(entry => entry.value);
+      const mean = values.reduce((sum, value) => sum + value, 0) / window;
+      const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (window - 1);
+      result.push({ key: returns[i].key, value: Math.sqrt(variance * MarketMetrics.TRADING_DAYS) });
+    }
+    return result;
+  }
+
+  /**
+   * 最大回撤：收盘价自此前最高点的最大跌幅
+   * @param {Array<{key: string, close: number}>} data 按日期升序的收盘价
+   * @returns {{value: number, peakKey: string, troughKey: string}|null} value 为不大于0的百分比；没有数据时为 null
+   */
+  static maxDrawdown(data) {
+    if (data.length === 0) return null;
+    let peak = data[0];
+    let result = { value: 0, peakKey: data[0].key, troughKey: data[0].key };
+    data.forEach(point => {
+      if (point.close > peak.close) peak = point;
+      const drawdown = peak.close > 0 ? (point.close / peak.close - 1) * 100 : 0;
+      if (drawdown < result.value) result = { value: drawdown, peakKey: peak.key, troughKey: point.key };
+    });
+    return result;
+  }
+
+  /**
+   * 两个序列按日期对齐后的皮尔逊相关系数
+   * @param {Array<{key: string, value: number}>} a 序列
+   * @param {Array<{key: string, value: number}>} b 序列
+   * @returns {{value: (number|null), count: number}} count 为共同日期数；少于 MIN_OBSERVATIONS 个或任一序列没有变化时 value 为 null
+   */
+  static correlation(a, b) {
+    const byKey = new Map(b.map(entry => [entry.key, entry.value]));
+    const pairs = a.filter(entry => byKey.has(entry.key)).map(entry => [entry.value, byKey.get(entry.key)]);
+    const count = pairs.length;
+    if (count < MarketMetrics.MIN_OBSERVATIONS) return { value: null, count };
+
+    const meanA = pairs.reduce((sum, pair) => sum + pair[0], 0) / count;
+    const meanB = pairs.reduce((sum, pair) => sum + pair[1], 0) / count;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    pairs.forEach(([x, y]) => {
+      covariance += (x - meanA) * (y - meanB);
+      varianceA += (x - meanA) * (x - meanA);
+      varianceB += (y - meanB) * (y - meanB);
+    });
+    if (varianceA === 0 || varianceB === 0) return { value: null, count };
+    return { value: covariance / Math.sqrt(varianceA * varianceB), count };
+  }
+
+  /**
+   * 取出美国对各国整体税率的每次变动
+   * @param {Array} countries 国家（tariff_data.json 中的 countries），使用其中的 usTariffSchedule
+   * @returns {Array<{date: string, country: string, from: number, to: number, change: number, entries: Array}>}
+   *   按日期升序；change 为 to - from（百分点），entries 为当日生效的 usTariffSchedule 条目；整体税率没有变化的日期不列出
+   */
+  static tariffActions(countries) {
+    const actions = [];
+    (countries || []).forEach(country => {
+      if (country.code === 'US' || !Array.isArray(country.usTariffSchedule)) return;
+      const dates = Array.from(new Set(country.usTariffSchedule.map(entry => entry.effectiveDate)))
+        .filter(date => TariffDate.isDateKey(date))
+        .sort();
+      // 第一项措施生效前没有任何税率
+      let previous = 0;
+      dates.forEach(date => {
+        const rate = TariffRateResolver.getRate(country, date);
+        if (rate !== previous) {
+          actions.push({
+            date,
+            country: country.code,
+            from: previous,
+            to: rate,
+            change: rate - previous,
+            entries: country.usTariffSchedule.filter(entry => entry.effectiveDate === date)
+          });
+        }
+        previous = rate;
+      });
+    });
+    return actions.sort((a, b) => a.date.localeCompare(b.date) || a.country.localeCompare(b.country));
+  }
+
+  /**
+   * 关税强度序列
+   * @param {Array<{date: string, change: number}>} actions tariffActions 的结果
+   * @param {Array<string>} dateKeys 按日期升序的交易日 'YYYY-MM-DD'
+   * @param {number} [window] 窗口（交易日）
+   * @returns {Array<{key: string, change: number, value: number, actions: Array}>}
+   *   change 为当日各国税率变动绝对值之和（百分点），value 为窗口内 change 之和，actions 为计入当日的变动；
+   *   早于第一个或晚于最后一个交易日的变动不计入
+   */
+  static tariffIntensity(actions, dateKeys, window = MarketMetrics.DEFAULT_WINDOW) {
+    const days = dateKeys.map(key => ({ key, change: 0, value: 0, actions: [] }));
+    if (days.length === 0) return days;
+    const last = dateKeys[dateKeys.length - 1];
+    actions
+      .filter(action => action.date >= dateKeys[0] && action.date <= last)
+      .forEach(action => {
+        const day = days.find(entry => entry.key >= action.date);
+        day.change += Math.abs(action.change);
+        day.actions.push(action);
+      });
+    let sum = 0;
+    days.forEach((day, index) => {
+      sum += day.change;
+      if (index >= window) sum -= days[index - window].change;
+      day.value = sum;
+    });
+    return days;
+  }
+}
+
+// 年化波动率使用的每年交易日数
+MarketMetrics.TRADING_DAYS = 252;
+
+// 默认滚动窗口（交易日）
+MarketMetrics.DEFAULT_WINDOW = 20;
+
+// 计算相关系数所需的最少共同日期数
+MarketMetrics.MIN_OBSERVATIONS = 5;
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarketMetrics;
+}
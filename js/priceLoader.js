@@ -0,0 +1,281 @@
+/**
+ * 行情数据读取
+ * 读取 data/stock/instruments.json 中登记的指数，并将不同格式的每日行情统一为按日期升序的序列：
+ *   alphavantage  Alpha Vantage TIME_SERIES_DAILY 的每日数据 { 'YYYY-MM-DD': { '1. open': ..., '4. close': ... } }，
+ *                 也接受带 'Time Series (Daily)' 的完整接口响应
+ *   csv           首行为列名的 CSV，需要 date 和 close 列，open、high、low、volume 列可选
+ *   close-json    [{ "date": "YYYY-MM-DD", "close": 123.4 }]，可带 open、high、low、volume
+ * 新增指数只需放入数据文件并在登记表中加一行，无需修改页面代码。
+ * merge 和 serialize 供命令行更新数据（scripts/refreshStockData.js）使用，写回时沿用登记表中的格式。
+ */
+class PriceLoader {
+  /**
+   * 读取指数登记表
+   * @param {string} [registryPath] 登记表路径
+   * @returns {Promise<Array<{symbol: string, name: string, region: string, path: string, format: string}>>}
+   *   path 为数据文件相对页面的路径，其余字段（如 en 译文）原样保留
+   */
+  static async loadRegistry(registryPath = 'data/stock/instruments.json') {
+    const response = await fetch(registryPath);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const directory = registryPath.slice(0, registryPath.lastIndexOf('/') + 1);
+    return PriceLoader.resolveRegistry(await response.json(), directory);
+  }
+
+  /**
+   * 整理登记表中的指数：忽略缺少 symbol 或 file 的条目，补充显示名称和数据文件路径
+   * @param {Object} registry 登记表 { instruments: [...] }
+   * @param {string} directory 登记表所在目录（以 '/' 结尾，或为空）
+   * @returns {Array<Object>}
+   */
+  static resolveRegistry(registry, directory) {
+    return ((registry && registry.instruments) || [])
+      .filter(instrument => instrument.symbol && instrument.file)
+      .map(instrument => Object.assign({}, instrument, {
+        name: instrument.name || instrument.symbol,
+        path: directory + instrument.file
+      }));
+  }
+
+  /**
+   * 读取一个指数的数据文件
+   * @param {{path: string, format?: string}} instrument 指数，未指定 format 时按文件扩展名和内容判断
+   * @returns {Promise<Array>} parse 的结果
+   */
+  static async load(instrument) {
+    const response = await fetch(instrument.path);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const text = await response.text();
+    return PriceLoader.parse(text, instrument.format || PriceLoader.detectFormat(instrument.path, text));
+  }
+
+  /**
+   * 按文件扩展名和内容判断格式
+   * @param {string} path 文件路径
+   * @param {string} text 文件内容
+   * @returns {string} 'alphavantage' | 'csv' | 'close-json'
+   */
+  static detectFormat(path, text) {
+    if (/\.csv$/i.test(path || '')) return 'csv';
+    const start = String(text || '').trim().charAt(0);
+    if (start === '[') return 'close-json';
+    if (start === '{') return 'alphavantage';
+    return 'csv';
+  }
+
+  /**
+   * 解析行情数据
+   * @param {string} text 文件内容
+   * @param {string} format 'alphavantage' | 'csv' | 'close-json'
+   * @returns {Array<{date: Date, key: string, open: ?number, high: ?number, low: ?number, close: number, volume: ?number}>}
+   *   按日期升序，同一日期只保留最后一条；缺少收盘价或日期无效的行忽略，缺少的其他字段为 null
+   */
+  static parse(text, format) {
+    switch (format) {
+      case 'alphavantage':
+        return PriceLoader.parseAlphaVantage(JSON.parse(text));
+      case 'csv':
+        return PriceLoader.parseCsv(text);
+      case 'close-json':
+        return PriceLoader.parseRecords(JSON.parse(text));
+      default:
+        throw new Error(`不支持的行情数据格式: ${format}`);
+    }
+  }
+
+  /**
+   * 解析 Alpha Vantage 每日数据
+   * @param {Object} data { 'YYYY-MM-DD': { '1. open', '2. high', '3. low', '4. close', '5. volume' } } 或完整接口响应
+   * @returns {Array}
+   */
+  static parseAlphaVantage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Alpha Vantage 数据应为以日期为键的对象');
+    }
+    const timeSeries = data['Time Series (Daily)'] || data;
+    return PriceLoader.normalize(Object.entries(timeSeries).map(([date, values]) => ({
+      date,
+      open: values['1. open'],
+      high: values['2. high'],
+      low: values['3. low'],
+      close: values['4. close'],
+      volume: values['5. volume']
+    })));
+  }
+
+  /**
+   * 解析 CSV：列名不区分大小写，值可带双引号，引号内可含逗号（如 "1,234.5"）和转义的双引号 ""；
+   * 引号内的换行不支持
+   * @param {string} text CSV 文字
+   * @returns {Array}
+   */
+  static parseCsv(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = lines.length > 0 ? PriceLoader.splitCsvLine(lines[0]).map(name => name.toLowerCase()) : [];
+    if (!header.includes('date') || !header.includes('close')) {
+      throw new Error('CSV 缺少 date 或 close 列');
+    }
+    return PriceLoader.normalize(lines.slice(1).map(line => {
+      const values = PriceLoader.splitCsvLine(line);
+      const row = {};
+      header.forEach((name, index) => {
+        row[name] = values[index];
+      });
+      return row;
+    }));
+  }
+
+  /**
+   * 按逗号拆分一行 CSV，引号内的逗号不拆分，并去掉字段两端的空白和包裹的双引号
+   * @param {string} line CSV 中的一行
+   * @returns {Array<string>}
+   */
+  static splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        quoted = true;
+        field = '';
+      } else if (char === ',') {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+    return fields;
+  }
+
+  /**
+   * 解析记录数组 [{ date, close }]
+   * @param {Array<Object>} records 记录
+   * @returns {Array}
+   */
+  static parseRecords(records) {
+    if (!Array.isArray(records)) {
+      throw new Error('行情数据应为 [{ date, close }] 数组');
+    }
+    return PriceLoader.normalize(records);
+  }
+
+  /**
+   * 统一为按日期升序的序列；日期取前10位（允许带时间的 ISO 日期），数值中的千分位逗号忽略
+   * @param {Array<{date: string, open?: *, high?: *, low?: *, close: *, volume?: *}>} rows 原始记录
+   * @returns {Array}
+   */
+  static normalize(rows) {
+    const number = value => {
+      const parsed = parseFloat(typeof value === 'string' ? value.replace(/,/g, '') : value);
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+    const byKey = new Map();
+    rows.forEach(row => {
+      const key = row && typeof row.date === 'string' ? row.date.slice(0, 10) : null;
+      const close = row ? number(row.close) : null;
+      if (!TariffDate.isDateKey(key) || close === null) return;
+      byKey.set(key, {
+        date: new Date(key),
+        key,
+        open: number(row.open),
+        high: number(row.high),
+        low: number(row.low),
+        close,
+        volume: number(row.volume)
+      });
+    });
+    return Array.from(byKey.values()).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * 按日期合并两段序列，同一日期以新数据为准
+   * @param {Array} existing 已有的序列
+   * @param {Array} incoming 新获取的序列
+   * @returns {{bars: Array, added: number, updated: number}} bars 按日期升序；added 为新增的日期数，updated 为数值有变化的已有日期数
+   */
+  static merge(existing, incoming) {
+    const byKey = new Map(existing.map(bar => [bar.key, bar]));
+    let added = 0;
+    let updated = 0;
+    incoming.forEach(bar => {
+      const previous = byKey.get(bar.key);
+      if (!previous) {
+        added++;
+      } else if (PriceLoader.FIELDS.some(field => previous[field] !== bar[field])) {
+        updated++;
+      }
+      byKey.set(bar.key, bar);
+    });
+    const bars = Array.from(byKey.values()).sort((a, b) => a.key.localeCompare(b.key));
+    return { bars, added, updated };
+  }
+
+  /**
+   * 将序列写为指定格式的文字，与 parse 互逆
+   * alphavantage 与接口返回一致：日期降序、价格保留4位小数、4个空格缩进；其他格式日期升序，缺少的字段留空或省略
+   * @param {Array} bars 序列
+   * @param {string} format 'alphavantage' | 'csv' | 'close-json'
+   * @returns {string}
+   */
+  static serialize(bars, format) {
+    const sorted = bars.slice().sort((a, b) => a.key.localeCompare(b.key));
+    switch (format) {
+      case 'alphavantage': {
+        const price = value => value.toFixed(4);
+        const timeSeries = {};
+        sorted.reverse().forEach(bar => {
+          const values = {};
+          if (bar.open !== null) values['1. open'] = price(bar.open);
+          if (bar.high !== null) values['2. high'] = price(bar.high);
+          if (bar.low !== null) values['3. low'] = price(bar.low);
+          values['4. close'] = price(bar.close);
+          if (bar.volume !== null) values['5. volume'] = String(Math.round(bar.volume));
+          timeSeries[bar.key] = values;
+        });
+        return JSON.stringify(timeSeries, null, 4);
+      }
+      case 'csv': {
+        const cell = value => (value === null ? '' : String(value));
+        const rows = sorted.map(bar => [bar.key].concat(PriceLoader.FIELDS.map(field => cell(bar[field]))).join(','));
+        return ['date'].concat(PriceLoader.FIELDS).join(',') + '\n' + rows.join('\n') + '\n';
+      }
+      case 'close-json':
+        return JSON.stringify(sorted.map(bar => {
+          const record = { date: bar.key };
+          PriceLoader.FIELDS.forEach(field => {
+            if (bar[field] !== null) record[field] = bar[field];
+          });
+          return record;
+        }), null, 2) + '\n';
+      default:
+        throw new Error(`不支持的行情数据格式: ${format}`);
+    }
+  }
+}
+
+// 支持的数据格式
+PriceLoader.FORMATS = ['alphavantage', 'csv', 'close-json'];
+
+// 每个交易日的数值字段，依次为 CSV 中 date 之后的列
+PriceLoader.FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PriceLoader;
+}
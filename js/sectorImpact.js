@@ -0,0 +1,181 @@
+/**
+ * 行业影响分析文档
+ * 解析 data/stock/impact.md：二级标题为标签页，列表项为卡片（开头加粗的文字为卡片标题，缩进的子列表为卡片中的条目），
+ * 其余段落为正文；行内的来源链接转换为编号脚注，同一来源（忽略 # 之后的文字片段）共用一个编号。
+ * 一级标题之前的文字不显示。
+ *
+ * 文档格式:
+ *   # 标题
+ *   概述段落……
+ *   ## 行业受到关税负面影响 {#negative}
+ *   - **汽车和电动车行业：**正文…… ([来源标题](https://...))
+ * 二级标题末尾的 {#id} 为标签页 ID（地址中的 sector 字段），省略时按顺序为 section-1、section-2……
+ */
+class SectorImpact {
+  /**
+   * 加载并解析文档
+   * @param {string} [dataPath] 文档路径
+   * @param {Object} [options] 解析选项，见 parse
+   * @returns {Promise<Object>} parse 的结果
+   */
+  static async load(dataPath = 'data/stock/impact.md', options = {}) {
+    const response = await fetch(dataPath);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return SectorImpact.parse(await response.text(), options);
+  }
+
+  /**
+   * 解析文档
+   * @param {string} markdown 文档内容
+   * @param {Object} [options] 选项
+   * @param {string} [options.notePrefix] 脚注元素 ID 的前缀，完整 ID 为 `${notePrefix}-${标签页ID}-${编号}`
+   * @returns {{title: string, intro: Array<Object>, introNotes: Array<number>, sections: Array<{id: string, title: string, blocks: Array<Object>, notes: Array<number>}>,
+   *   footnotes: Array<{number: number, label: string, url: string}>}}
+   *   blocks 中的段落为 { type: 'paragraph', html }，卡片为 { type: 'card', title, html, items: Array<string> }；
+   *   notes 为该部分引用的脚注编号
+   */
+  static parse(markdown, options = {}) {
+    const notePrefix = options.notePrefix || 'sector-note';
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const start = lines.findIndex(line => /^#\s/.test(line));
+    const result = { title: '', intro: [], introNotes: [], sections: [], footnotes: [] };
+    const sources = new Map(); // 来源地址 -> 脚注
+
+    let target = { id: 'intro', blocks: result.intro, notes: result.introNotes };
+    let paragraph = null; // 当前段落的行
+    let card = null; // 当前卡片 { lines, items }
+
+    const inline = text => SectorImpact.renderInline(text, source => {
+      const key = source.url.replace(/#.*$/, '').replace(/\/$/, '');
+      if (!sources.has(key)) {
+        const footnote = { number: result.footnotes.length + 1, label: source.label, url: source.url.replace(/#.*$/, '') };
+        sources.set(key, footnote);
+        result.footnotes.push(footnote);
+      }
+      const number = sources.get(key).number;
+      if (!target.notes.includes(number)) target.notes.push(number);
+      return { number, href: `#${notePrefix}-${target.id}-${number}` };
+    });
+    const flushParagraph = () => {
+      if (paragraph) {
+        target.blocks.push({ type: 'paragraph', html: SectorImpact.joinLines(paragraph, inline) });
+        paragraph = null;
+      }
+    };
+    const flushCard = () => {
+      if (card) {
+        const first = card.lines[0] || '';
+        const match = first.match(/^\*\*(.+?)\*\*\s*/);
+        const title = match ? match[1].replace(/[：:]\s*$/, '') : null;
+        const body = [match ? first.slice(match[0].length) : first].concat(card.lines.slice(1)).filter(line => line.trim() !== '');
+        target.blocks.push({
+          type: 'card',
+          title: title ? SectorImpact.renderInline(title, () => null) : null,
+          html: SectorImpact.joinLines(body, inline),
+          items: card.items.map(item => inline(item))
+        });
+        card = null;
+      }
+    };
+
+    lines.slice(start >= 0 ? start : 0).forEach(line => {
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*(?:\{#([\w-]+)\})?\s*$/);
+      if (heading) {
+        flushParagraph();
+        flushCard();
+        if (heading[1].length === 1) {
+          result.title = heading[2];
+        } else if (heading[1].length === 2) {
+          target = {
+            id: heading[3] || `section-${result.sections.length + 1}`,
+            title: heading[2],
+            blocks: [],
+            notes: []
+          };
+          result.sections.push(target);
+        } else {
+          target.blocks.push({ type: 'paragraph', html: `<strong>${inline(heading[2])}</strong>` });
+        }
+        return;
+      }
+
+      const item = line.match(/^[-*+]\s+(.*)$/);
+      const subItem = line.match(/^\s{2,}[-*+]\s+(.*)$/);
+      if (item) {
+        flushParagraph();
+        flushCard();
+        card = { lines: [item[1]], items: [] };
+      } else if (subItem && card) {
+        card.items.push(subItem[1].trim());
+      } else if (line.trim() === '') {
+        flushParagraph();
+      } else if (card && /^\s/.test(line)) {
+        card.lines.push(line.trim());
+      } else {
+        flushCard();
+        paragraph = (paragraph || []).concat([line]);
+      }
+    });
+    flushParagraph();
+    flushCard();
+    return result;
+  }
+
+  /**
+   * 合并多行文字：以两个空格结尾的行换行，其余行以空格连接
+   * @param {Array<string>} lines 行
+   * @param {Function} inline 行内格式转换
+   * @returns {string} HTML
+   */
+  static joinLines(lines, inline) {
+    return lines
+      .map((line, index) => inline(line.trim()) + (/\s{2,}$/.test(line) && index < lines.length - 1 ? '<br>' : ''))
+      .join(' ')
+      .replace(/<br> /g, '<br>');
+  }
+
+  /**
+   * 转换行内格式：**粗体**、*斜体* 和链接；链接（连同外面的括号）替换为脚注编号
+   * @param {string} text 文字
+   * @param {Function} onLink 参数为 { label, url }，返回 { number, href }；返回 null 时保留链接文字
+   * @returns {string} HTML（其余文字已转义）
+   */
+  static renderInline(text, onLink) {
+    const links = [];
+    const placeholder = index => `\u0000${index}\u0000`;
+    const withoutLinks = String(text).replace(/\s*\(?\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)\)?/g, (match, label, url) => {
+      links.push({ label, url, note: onLink({ label, url }) });
+      return placeholder(links.length - 1);
+    });
+
+    return SectorImpact.escapeHtml(withoutLinks)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/\u0000(\d+)\u0000/g, (match, index) => {
+        const link = links[Number(index)];
+        return link.note
+          ? `<sup class="sector-footnote-ref"><a href="${link.note.href}" title="${SectorImpact.escapeHtml(link.label)}">[${link.note.number}]</a></sup>`
+          : SectorImpact.escapeHtml(link.label);
+      });
+  }
+
+  /**
+   * 转义 HTML 特殊字符
+   * @param {string} text 文字
+   * @returns {string}
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SectorImpact;
+}
@@ -0,0 +1,163 @@
+/**
+ * 关税数据存储
+ * 统一加载并缓存 tariff_data.json，维护当前数据日期，并在数据或日期变化时通知订阅者。
+ * 订阅者收到的是当前日期的数据快照（TariffSnapshot.at），所有组件因此始终渲染同一份数据。
+ * 应用情景（TariffScenario）后，完整数据和快照均为叠加情景后的数据，基准数据另行保留。
+ */
+class TariffDataStore {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.dataPath 关税数据路径
+   */
+  constructor(config = {}) {
+    this.dataPath = config.dataPath || 'data/tariff_data.json';
+
+    // 数据
+    this.data = null; // 完整数据（应用情景时为叠加后的数据）
+    this.baselineData = null; // 数据文件中的基准数据
+    this.scenario = null; // 当前情景，null 表示基准数据
+    this.asOfDate = null; // 当前数据日期，null 表示今天
+    this.snapshot = null; // 当前日期的数据快照
+    this.loadPromise = null;
+    this.listeners = [];
+  }
+
+  /**
+   * 加载数据（只请求一次，之后返回缓存）
+   * @returns {Promise<Object>} 当前日期的数据快照
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.fetchData()
+        .then(data => {
+          this.baselineData = data;
+          this.data = this.scenario ? TariffScenario.apply(data, this.scenario) : data;
+          this.snapshot = TariffSnapshot.at(this.data, this.asOfDate || new Date());
+          return this.snapshot;
+        })
+        .catch(error => {
+          this.loadPromise = null; // 允许之后重试
+          throw error;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * 重新请求数据文件并通知订阅者
+   * @returns {Promise<Object>} 当前日期的数据快照
+   */
+  async refresh() {
+    const data = await this.fetchData({ cache: 'no-store' });
+    this.setData(data);
+    this.loadPromise = Promise.resolve(this.snapshot);
+    return this.snapshot;
+  }
+
+  /**
+   * 请求数据文件
+   * @param {Object} [options] fetch 选项
+   * @returns {Promise<Object>} 完整数据
+   */
+  async fetchData(options) {
+    const response = await fetch(this.dataPath, options);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * 替换完整数据并通知订阅者
+   * @param {Object} data 完整关税数据
+   */
+  setData(data) {
+    this.baselineData = data;
+    this.data = this.scenario ? TariffScenario.apply(data, this.scenario) : data;
+    this.notify();
+  }
+
+  /**
+   * 应用或退出情景并通知订阅者
+   * @param {Object|null} scenario 情景（格式见 TariffScenario），null 表示恢复基准数据
+   */
+  setScenario(scenario) {
+    this.scenario = scenario || null;
+    if (!this.baselineData) return;
+    this.data = this.scenario ? TariffScenario.apply(this.baselineData, this.scenario) : this.baselineData;
+    this.notify();
+  }
+
+  /**
+   * 获取当前情景
+   * @returns {Object|null}
+   */
+  getScenario() {
+    return this.scenario;
+  }
+
+  /**
+   * 设置数据日期并通知订阅者
+   * @param {Date|string|null} asOfDate 数据日期，null 表示今天
+   */
+  setAsOfDate(asOfDate) {
+    this.asOfDate = asOfDate ? TariffRateResolver.toDateKey(asOfDate) : null;
+    if (this.data) this.notify();
+  }
+
+  /**
+   * 获取完整数据（不按日期过滤，如时间轴使用；应用情景时含情景修改）
+   * @returns {Object|null}
+   */
+  getBaseData() {
+    return this.data;
+  }
+
+  /**
+   * 获取数据文件中的基准数据（不含情景修改）
+   * @returns {Object|null}
+   */
+  getBaselineData() {
+    return this.baselineData;
+  }
+
+  /**
+   * 获取当前日期的数据快照
+   * @returns {Object|null}
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * 订阅数据变化
+   * @param {Function} listener 回调，参数为当前日期的数据快照
+   * @returns {Function} 取消订阅的函数
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * 生成新快照并通知所有订阅者
+   */
+  notify() {
+    this.snapshot = TariffSnapshot.at(this.data, this.asOfDate || new Date());
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error('数据订阅者更新失败:', error);
+      }
+    });
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TariffDataStore;
+}
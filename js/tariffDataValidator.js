@@ -0,0 +1,325 @@
+/**
+ * 关税数据校验器
+ * 按 data/tariff_data.schema.json 校验 tariff_data.json 的结构，并检查 schema 无法表达的字段间一致性：
+ * 反制措施数量、国家代码是否重复、行业税率引用的行业是否存在等。
+ * Node 命令行（scripts/validateTariffData.js）和浏览器（加载数据时的开发者面板）共用此模块，依赖 TariffDate。
+ *
+ * 校验结果格式:
+ *   { errors: [{ path, message, country?, code? }], warnings: [...] }
+ * code 标识需要单独处理的问题类型，如 'pending-date'（日期待确认）。
+ * 只支持 schema 中用到的关键字：type、required、properties、items、enum、pattern、minimum、maximum、format、not、$ref。
+ */
+class TariffDataValidator {
+  /**
+   * 构造函数
+   * @param {Object} schema JSON Schema 对象
+   * @param {Object} [options] 选项
+   * @param {Array<string>} [options.mapCode3s] 地图 GeoJSON 中的国家 ISO A3 代码，提供时检查 code3 能否在地图上找到
+   */
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.mapCode3s = options.mapCode3s ? new Set(options.mapCode3s) : null;
+  }
+
+  /**
+   * 校验完整数据
+   * @param {Object} data tariff_data.json 内容
+   * @returns {{errors: Array, warnings: Array}}
+   */
+  validate(data) {
+    const result = { errors: [], warnings: [] };
+    this.validateNode(data, this.schema, 'data', result);
+
+    if (data && Array.isArray(data.countries)) {
+      this.checkSectors(Array.isArray(data.sectors) ? data.sectors : [], data.countries, result);
+      this.checkCountries(data.countries, result);
+    }
+
+    // 按路径排序，同一国家的问题排在一起（数组下标按数值比较）
+    const sortKey = issue => issue.path.replace(/\d+/g, n => n.padStart(6, '0'));
+    result.errors.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    result.warnings.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    return result;
+  }
+
+  /**
+   * 按 schema 递归校验某个值
+   * @param {*} value 待校验的值
+   * @param {Object} schema 该值对应的 schema
+   * @param {string} path 值的路径，如 'data.countries[0].code3'
+   * @param {Object} result 校验结果
+   */
+  validateNode(value, schema, path, result) {
+    if (schema.$ref) {
+      schema = this.resolveRef(schema.$ref);
+    }
+
+    if (schema.type && !TariffDataValidator.matchesType(value, schema.type)) {
+      const expected = [].concat(schema.type).join(' 或 ');
+      this.addIssue(result.errors, path, `类型应为 ${expected}，实际为 ${TariffDataValidator.describeType(value)}`);
+      return;
+    }
+    if (value === null || value === undefined) return;
+
+    if (schema.not && this.matchesSchema(value, schema.not)) {
+      // 目前只用 not.required 禁止已废弃的字段（如手工填写的 summary）
+      const message = schema.not.required
+        ? `不应包含字段 ${schema.not.required.join('、')}`
+        : '不应符合 not 中的 schema';
+      this.addIssue(result.errors, path, message);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      this.addIssue(result.errors, path, `"${value}" 不是可用的取值（可用: ${schema.enum.join('、')}）`);
+    }
+    if (typeof value === 'string') {
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        this.addIssue(result.errors, path, `"${value}" 格式不正确（应匹配 ${schema.pattern}）`);
+      }
+      if (schema.format === 'tariff-date' && TariffDataValidator.isPendingDate(value)) {
+        // 待确认的日期不算格式错误，但无法参与按日期的排序和过滤，以警告列出
+        this.addIssue(result.warnings, path, `日期待确认 "${value}"`, 'pending-date');
+      } else if (schema.format && !TariffDataValidator.matchesFormat(value, schema.format)) {
+        this.addIssue(result.errors, path, `无法解析的日期 "${value}"`);
+      }
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        this.addIssue(result.errors, path, `${value} 小于最小值 ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        this.addIssue(result.errors, path, `${value} 大于最大值 ${schema.maximum}`);
+      }
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => this.validateNode(item, schema.items, `${path}[${index}]`, result));
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          this.addIssue(result.errors, `${path}.${key}`, `缺少必填字段 ${key}`);
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (key in value) {
+          this.validateNode(value[key], propertySchema, `${path}.${key}`, result);
+        }
+      });
+    }
+  }
+
+  /**
+   * 判断值是否完全符合某个 schema（不产生错误）
+   * @param {*} value 待校验的值
+   * @param {Object} schema schema
+   * @returns {boolean}
+   */
+  matchesSchema(value, schema) {
+    const result = { errors: [], warnings: [] };
+    this.validateNode(value, schema, '', result);
+    return result.errors.length === 0;
+  }
+
+  /**
+   * 检查国家之间及国家内部字段的一致性
+   * @param {Array} countries 国家数据数组
+   * @param {Object} result 校验结果
+   */
+  checkCountries(countries, result) {
+    const seen = { code: {}, code3: {} };
+
+    countries.forEach((country, index) => {
+      if (!country || typeof country !== 'object') return;
+      const path = `data.countries[${index}]`;
+
+      ['code', 'code3'].forEach(key => {
+        const value = country[key];
+        if (!value) return;
+        if (seen[key][value] !== undefined) {
+          this.addIssue(result.errors, `${path}.${key}`, `${key} "${value}" 与 countries[${seen[key][value]}] 重复`);
+        } else {
+          seen[key][value] = index;
+        }
+      });
+
+      if (Array.isArray(country.response) && Number.isInteger(country.tradeResponseMeasures)
+          && country.tradeResponseMeasures !== country.response.length) {
+        this.addIssue(result.errors, `${path}.tradeResponseMeasures`,
+          `反制措施数量为 ${country.tradeResponseMeasures}，但 response 中有 ${country.response.length} 项`);
+      }
+
+      if (this.mapCode3s && country.code3) {
+        const mapCodes = Array.isArray(country.memberCountries) ? country.memberCountries : [country.code3];
+        const missing = mapCodes.filter(code3 => !this.mapCode3s.has(code3));
+        // 面积较小的国家可能不在地图数据中，只给出警告
+        if (missing.length > 0) {
+          this.addIssue(result.warnings, `${path}.${Array.isArray(country.memberCountries) ? 'memberCountries' : 'code3'}`,
+            `地图中找不到 ${missing.join('、')}，无法在地图上显示`);
+        }
+      }
+
+      if (country.code !== 'US' && !Array.isArray(country.usTariffSchedule)) {
+        this.addIssue(result.warnings, path, '缺少 usTariffSchedule，美国对其税率将显示为"待确认"');
+      }
+    });
+
+    // 为问题附上国家名称，便于阅读报告
+    [...result.errors, ...result.warnings].forEach(issue => {
+      const match = issue.path.match(/^data\.countries\[(\d+)\]/);
+      if (match && countries[match[1]] && countries[match[1]].name) {
+        issue.country = countries[match[1]].name;
+      }
+    });
+  }
+
+  /**
+   * 检查行业定义及 usTariffSchedule 中的 sectorRates
+   * @param {Array} sectors 行业定义数组
+   * @param {Array} countries 国家数据数组
+   * @param {Object} result 校验结果
+   */
+  checkSectors(sectors, countries, result) {
+    const sectorIds = {};
+    sectors.forEach((sector, index) => {
+      if (!sector || !sector.id) return;
+      if (sectorIds[sector.id] !== undefined) {
+        this.addIssue(result.errors, `data.sectors[${index}].id`, `行业 "${sector.id}" 与 sectors[${sectorIds[sector.id]}] 重复`);
+      } else {
+        sectorIds[sector.id] = index;
+      }
+    });
+
+    const measures = new Set();
+    countries.forEach((country, index) => {
+      if (!country || !Array.isArray(country.usTariffSchedule)) return;
+      country.usTariffSchedule.forEach((entry, entryIndex) => {
+        if (!entry) return;
+        measures.add(entry.measure);
+        if (!entry.sectorRates || typeof entry.sectorRates !== 'object') return;
+        const path = `data.countries[${index}].usTariffSchedule[${entryIndex}].sectorRates`;
+        Object.entries(entry.sectorRates).forEach(([sectorId, rate]) => {
+          if (sectorIds[sectorId] === undefined) {
+            this.addIssue(result.errors, `${path}.${sectorId}`, `sectors 中没有行业 "${sectorId}"`);
+          } else if (typeof rate !== 'number' || rate < 0) {
+            this.addIssue(result.errors, `${path}.${sectorId}`, `行业税率应为不小于0的数字，实际为 ${TariffDataValidator.describeType(rate)}`);
+          }
+        });
+      });
+    });
+
+    // 豁免的措施可能只在之后的数据中出现，只给出警告
+    sectors.forEach((sector, index) => {
+      if (!sector || !Array.isArray(sector.exemptMeasures)) return;
+      sector.exemptMeasures.filter(measure => !measures.has(measure)).forEach(measure => {
+        this.addIssue(result.warnings, `data.sectors[${index}].exemptMeasures`, `usTariffSchedule 中没有措施 "${measure}"`);
+      });
+    });
+  }
+
+  /**
+   * 解析 schema 内部引用，如 '#/definitions/country'
+   * @param {string} ref 引用路径
+   * @returns {Object} 被引用的 schema
+   */
+  resolveRef(ref) {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), this.schema);
+    if (!target) {
+      throw new Error(`无法解析 schema 引用: ${ref}`);
+    }
+    return target;
+  }
+
+  /**
+   * 记录一条问题
+   * @param {Array} list errors 或 warnings
+   * @param {string} path 值的路径
+   * @param {string} message 问题说明
+   * @param {string} [code] 问题类型，如 'pending-date'
+   */
+  addIssue(list, path, message, code) {
+    list.push(code ? { path, message, code } : { path, message });
+  }
+
+  /**
+   * 判断值是否符合 schema 类型
+   * @param {*} value 值
+   * @param {string|Array<string>} type schema 类型
+   * @returns {boolean}
+   */
+  static matchesType(value, type) {
+    return [].concat(type).some(t => {
+      switch (t) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === t;
+      }
+    });
+  }
+
+  /**
+   * 描述值的类型，用于错误信息
+   * @param {*} value 值
+   * @returns {string}
+   */
+  static describeType(value) {
+    if (value === null) return 'null';
+    if (value === undefined) return 'undefined';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * 判断字符串是否符合日期格式
+   * @param {string} value 字符串
+   * @param {string} format 'date'（严格 YYYY-MM-DD）或 'tariff-date'（以有效日期开头的日期文字）
+   * @returns {boolean} 待确认的日期没有具体日期，不符合任何格式，由调用方单独报告
+   */
+  static matchesFormat(value, format) {
+    if (format === 'tariff-date') {
+      const parsed = TariffDate.parse(value);
+      return !!parsed && parsed.date !== null;
+    }
+    return TariffDate.isDateKey(value);
+  }
+
+  /**
+   * 判断日期文字是否明确标注为待确认（没有具体日期）
+   * @param {string} value 原始日期文字
+   * @returns {boolean}
+   */
+  static isPendingDate(value) {
+    const parsed = TariffDate.parse(value);
+    return !!parsed && parsed.date === null && TariffDate.isParseable(value);
+  }
+
+  /**
+   * 生成可读的文本报告
+   * @param {{errors: Array, warnings: Array}} result 校验结果
+   * @returns {string}
+   */
+  static formatReport(result) {
+    const formatIssue = issue => `  ${issue.path}${issue.country ? ` (${issue.country})` : ''}: ${issue.message}${issue.code ? ` [${issue.code}]` : ''}`;
+    const lines = [];
+
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+      lines.push('✓ 未发现问题');
+      return lines.join('\n');
+    }
+
+    lines.push(`${result.errors.length > 0 ? '✗' : '✓'} ${result.errors.length} 个错误，${result.warnings.length} 个警告`);
+    if (result.errors.length > 0) {
+      lines.push('', '错误:', ...result.errors.map(formatIssue));
+    }
+    if (result.warnings.length > 0) {
+      lines.push('', '警告:', ...result.warnings.map(formatIssue));
+    }
+    return lines.join('\n');
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TariffDataValidator;
+}
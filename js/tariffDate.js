@@ -0,0 +1,191 @@
+/**
+ * 关税数据日期解析
+ * 数据中的日期是手工填写的文字，如 '2025-04-09 (宣布)'、'2025-04-11 (估算, 宣布)'、'待确认 (或已包含在9月措施中)'、'2017-03'。
+ * 本模块将其解析为结构化的值，排序、按日期过滤和显示都应使用解析结果，而不是直接处理原始文字。
+ *
+ * 解析结果格式:
+ *   { raw, date: 'YYYY-MM-DD' | null, precision: 'day' | 'month' | 'year' | null,
+ *     status: 'effective' | 'announced' | 'estimated' | 'pending', note }
+ * 精度为月或年的日期取该月/该年的第一天，便于比较；无法确定日期时 date 为 null，status 为 'pending'。
+ */
+class TariffDate {
+  /**
+   * 解析日期文字
+   * @param {string|null} value 原始日期文字
+   * @param {string} [defaultStatus] 文字中没有状态说明时使用的状态，默认 'effective'
+   * @returns {Object|null} 解析结果，value 为空时返回 null
+   */
+  static parse(value, defaultStatus = 'effective') {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    const cacheKey = `${defaultStatus}|${value}`;
+    if (TariffDate.cache.has(cacheKey)) return TariffDate.cache.get(cacheKey);
+
+    const text = value.trim();
+    const result = { raw: value, date: null, precision: null, status: defaultStatus, note: '' };
+
+    // 开头的日期：YYYY、YYYY-MM、YYYY-MM-DD，以及 'YYYY年底'；日期之后只能是结尾、空白或括号，
+    // '2025年4月9日'、'2025/04/09' 等其他写法不按年份截取，视为无法解析
+    let rest = text;
+    const match = text.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?(?=$|\s|[(（]|年底)/);
+    if (match && TariffDate.isValidDate(match[1], match[2], match[3])) {
+      result.date = `${match[1]}-${match[2] || '01'}-${match[3] || '01'}`;
+      result.precision = match[3] ? 'day' : match[2] ? 'month' : 'year';
+      rest = text.slice(match[0].length);
+      if (result.precision === 'year' && /^年底/.test(rest)) {
+        result.date = `${match[1]}-12-01`;
+        result.precision = 'month';
+        result.status = 'estimated';
+        rest = rest.replace(/^年底/, '');
+      }
+    }
+
+    // 括号中的说明按逗号拆分；只由状态关键字组成的部分不再保留在备注中
+    const parts = rest.split(/[()（）,，、;；]/).map(part => part.trim()).filter(Boolean);
+    const statuses = parts.flatMap(part =>
+      TariffDate.STATUS_PATTERNS.filter(([pattern]) => pattern.test(part)).map(([, status]) => status)
+    );
+    result.note = parts.filter(part => !TariffDate.STATUS_TOKEN.test(part)).join('，');
+
+    // 有日期但标注待确认的，视为估算日期
+    if (!result.date) {
+      result.status = 'pending';
+    } else if (result.status === 'estimated' || statuses.includes('estimated') || statuses.includes('pending')) {
+      result.status = 'estimated';
+    } else if (statuses.includes('announced')) {
+      result.status = 'announced';
+    } else if (statuses.includes('effective')) {
+      result.status = 'effective';
+    }
+
+    Object.freeze(result);
+    TariffDate.cache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * 判断年月日是否为真实存在的日期
+   * @param {string} year 年
+   * @param {string} [month] 月
+   * @param {string} [day] 日
+   * @returns {boolean}
+   */
+  static isValidDate(year, month, day) {
+    const y = Number(year);
+    const m = Number(month || 1);
+    const d = Number(day || 1);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+  }
+
+  /**
+   * 判断是否为严格的 'YYYY-MM-DD' 格式且日期真实存在（如 usTariffSchedule 的 effectiveDate、日期输入框的值）
+   * @param {string} value 字符串
+   * @returns {boolean}
+   */
+  static isDateKey(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof value === 'string' ? value : '');
+    return !!match && TariffDate.isValidDate(match[1], match[2], match[3]);
+  }
+
+  /**
+   * 判断日期文字能否被解析：以有效日期开头，或明确标注为待确认
+   * @param {string} value 原始日期文字
+   * @returns {boolean}
+   */
+  static isParseable(value) {
+    const parsed = TariffDate.parse(value);
+    if (!parsed) return false;
+    return parsed.date !== null || TariffDate.STATUS_PATTERNS.some(([pattern, status]) => status === 'pending' && pattern.test(value));
+  }
+
+  /**
+   * 获取用于比较的日期键，无法确定日期时为 null
+   * @param {string|null} value 原始日期文字
+   * @returns {string|null} 'YYYY-MM-DD'
+   */
+  static toKey(value) {
+    const parsed = TariffDate.parse(value);
+    return parsed ? parsed.date : null;
+  }
+
+  /**
+   * 比较两个解析结果，用于排序：按日期升序，无法确定日期的排在最后
+   * @param {Object|null} a 解析结果
+   * @param {Object|null} b 解析结果
+   * @returns {number}
+   */
+  static compare(a, b) {
+    const keyA = a && a.date;
+    const keyB = b && b.date;
+    if (keyA && keyB) return keyA.localeCompare(keyB);
+    if (keyA) return -1;
+    if (keyB) return 1;
+    return 0;
+  }
+
+  /**
+   * 按精度格式化日期
+   * @param {Object|null} parsed 解析结果
+   * @param {I18n} [i18n] 界面语言，未提供时显示中文
+   * @returns {string} 如 '2025-04-09'、'2017-03'、'2024'，无法确定时为 '待确认'
+   */
+  static format(parsed, i18n) {
+    if (!parsed || !parsed.date) return i18n ? i18n.t('date.pending') : '待确认';
+    if (parsed.precision === 'year') return parsed.date.slice(0, 4);
+    if (parsed.precision === 'month') return parsed.date.slice(0, 7);
+    return parsed.date;
+  }
+
+  /**
+   * 生成状态标记的 HTML；已生效的确定日期不显示标记
+   * @param {Object|null} parsed 解析结果
+   * @param {I18n} [i18n] 界面语言，未提供时显示中文
+   * @returns {string} HTML字符串
+   */
+  static badgeHtml(parsed, i18n) {
+    if (!parsed || parsed.status === 'effective') return '';
+    const style = TariffDate.BADGE_STYLES[parsed.status];
+    const label = i18n ? i18n.t(`date.status.${parsed.status}`) : style.label;
+    const title = parsed.note ? ` title="${parsed.note.replace(/"/g, '&quot;')}"` : '';
+    return `<span class="inline-block align-middle text-xs font-normal leading-none px-1.5 py-0.5 ml-1 rounded ${style.className}"${title}>${label}</span>`;
+  }
+
+  /**
+   * 格式化日期并附上状态标记和备注
+   * @param {Object|null} parsed 解析结果
+   * @param {I18n} [i18n] 界面语言，未提供时显示中文；备注为数据原文，不翻译
+   * @returns {string} HTML字符串
+   */
+  static toHtml(parsed, i18n) {
+    if (!parsed) return '';
+    const note = parsed.note ? ` <span class="text-gray-500 font-normal">(${parsed.note})</span>` : '';
+    return `${parsed.date ? TariffDate.format(parsed, i18n) : ''}${TariffDate.badgeHtml(parsed, i18n)}${note}`;
+  }
+}
+
+// 解析结果缓存（原始文字 -> 解析结果）
+TariffDate.cache = new Map();
+
+// 状态关键字：说明文字匹配时采用对应状态
+TariffDate.STATUS_PATTERNS = [
+  [/待确认|待定|未定|TBD/, 'pending'],
+  [/估算|估计|预计|^约/, 'estimated'],
+  [/宣布|公布/, 'announced'],
+  [/生效|实施/, 'effective']
+];
+
+// 只由状态关键字组成的说明，解析后不再保留在备注中
+TariffDate.STATUS_TOKEN = /^(待确认|待定|未定|TBD|估算|估计|预计|宣布|公布|生效|实施)$/;
+
+// 各状态标记的文字和样式（Tailwind 类名）；估算和待确认使用虚线边框，与确定的日期区分
+TariffDate.BADGE_STYLES = {
+  announced: { label: '宣布', className: 'bg-blue-50 text-blue-700 border border-blue-200' },
+  estimated: { label: '估算', className: 'bg-amber-50 text-amber-700 border border-dashed border-amber-400' },
+  pending: { label: '待确认', className: 'bg-gray-100 text-gray-600 border border-dashed border-gray-400' }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TariffDate;
+}
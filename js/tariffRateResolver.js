@@ -0,0 +1,159 @@
+/**
+ * 美国对各国关税税率解析器
+ * 根据 tariff_data.json 中每个国家的 usTariffSchedule（分层措施及生效日期）计算美国对其适用税率，
+ * 地图、柱状图、数据表格和详情面板统一使用此模块，保证各处显示一致。
+ *
+ * usTariffSchedule 条目格式:
+ *   { measure, label, legalBasis, scope: 'all' | 'partial', rate, effectiveDate: 'YYYY-MM-DD', note? }
+ * 同一 measure 的多个条目按生效日期依次替换；不同 measure 的 'all' 层相加得到整体税率，
+ * 'partial' 层仅适用于部分商品，单独列出而不计入整体税率。
+ *
+ * 条目可带 sectorRates（行业 id 到税率的映射），配合数据中的 sectors（行业定义，含 HS 编码和
+ * exemptMeasures）计算各行业税率，见 resolveSector。
+ */
+class TariffRateResolver {
+  /**
+   * 将日期转换为 'YYYY-MM-DD' 字符串，便于与 effectiveDate 比较
+   * @param {Date|string} [date] 日期，默认为今天
+   * @returns {string} 日期字符串
+   */
+  static toDateKey(date) {
+    if (!date) date = new Date();
+    if (typeof date === 'string') return date.slice(0, 10);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * 解析美国在指定日期对某国适用的关税
+   * @param {Object} country 国家数据对象
+   * @param {Date|string} [asOfDate] 查询日期，默认为今天
+   * @returns {{rate: (number|null), status: string, layers: Array, partialLayers: Array, asOf: string, reason?: string}}
+   *   status 为 'resolved'、'self'（美国本身）或 'unresolved'（无法确定，rate 为 null）
+   */
+  static resolve(country, asOfDate) {
+    const asOf = TariffRateResolver.toDateKey(asOfDate);
+    const result = { rate: null, status: 'unresolved', layers: [], partialLayers: [], asOf };
+
+    if (!country) {
+      result.reason = '缺少国家数据';
+      return result;
+    }
+    if (country.code === 'US') {
+      return { ...result, rate: 0, status: 'self' };
+    }
+
+    // 空数组表示没有任何措施（税率为0），缺少该字段才视为无法确定
+    const schedule = country.usTariffSchedule;
+    if (!Array.isArray(schedule)) {
+      result.reason = '缺少 usTariffSchedule 数据';
+      return result;
+    }
+
+    // 每项措施取查询日期前最近一次生效的条目
+    const activeByMeasure = {};
+    schedule.forEach(entry => {
+      if (!entry || !entry.effectiveDate || entry.effectiveDate > asOf) return;
+      const current = activeByMeasure[entry.measure];
+      if (!current || entry.effectiveDate >= current.effectiveDate) {
+        activeByMeasure[entry.measure] = entry;
+      }
+    });
+
+    const active = Object.values(activeByMeasure).filter(entry => entry.rate > 0);
+    result.layers = active.filter(entry => entry.scope !== 'partial');
+    result.partialLayers = active.filter(entry => entry.scope === 'partial');
+    result.rate = result.layers.reduce((sum, entry) => sum + entry.rate, 0);
+    result.status = 'resolved';
+    return result;
+  }
+
+  /**
+   * 获取美国在指定日期对某国的整体税率
+   * @param {Object} country 国家数据对象
+   * @param {Date|string} [asOfDate] 查询日期
+   * @returns {number|null} 税率，无法确定时为 null
+   */
+  static getRate(country, asOfDate) {
+    return TariffRateResolver.resolve(country, asOfDate).rate;
+  }
+
+  /**
+   * 解析美国在指定日期对某国某一行业适用的关税
+   * 行业税率为各项已生效措施在该行业的税率之和，单项措施的行业税率见 getSectorLayerRate。
+   * @param {Object} country 国家数据对象
+   * @param {Object} sector 行业定义（tariff_data.json 中 sectors 的条目）
+   * @param {Date|string} [asOfDate] 查询日期，默认为今天
+   * @returns {{rate: (number|null), status: string, layers: Array<{entry: Object, rate: number}>, asOf: string, reason?: string}}
+   *   layers 为在该行业税率大于0的措施及其行业税率；status 含义同 resolve
+   */
+  static resolveSector(country, sector, asOfDate) {
+    const overall = TariffRateResolver.resolve(country, asOfDate);
+    const result = { rate: overall.rate, status: overall.status, layers: [], asOf: overall.asOf };
+    if (overall.status !== 'resolved') {
+      if (overall.reason) result.reason = overall.reason;
+      return result;
+    }
+
+    result.layers = overall.layers.concat(overall.partialLayers)
+      .map(entry => ({ entry, rate: TariffRateResolver.getSectorLayerRate(entry, sector) }))
+      .filter(layer => layer.rate > 0);
+    result.rate = result.layers.reduce((sum, layer) => sum + layer.rate, 0);
+    return result;
+  }
+
+  /**
+   * 获取单项措施在某一行业的税率
+   * 行业的 exemptMeasures 中列出的措施不适用（如对等关税不适用于232条款钢铝、汽车）；
+   * 措施的 sectorRates 中列出该行业时取其中的税率；否则 'all' 层取整体税率，'partial' 层不适用。
+   * @param {Object} entry usTariffSchedule 条目
+   * @param {Object} sector 行业定义
+   * @returns {number} 税率
+   */
+  static getSectorLayerRate(entry, sector) {
+    if (!entry || !sector) return 0;
+    if (Array.isArray(sector.exemptMeasures) && sector.exemptMeasures.includes(entry.measure)) return 0;
+    if (entry.sectorRates && typeof entry.sectorRates[sector.id] === 'number') return entry.sectorRates[sector.id];
+    return entry.scope === 'partial' ? 0 : entry.rate;
+  }
+
+  /**
+   * 获取美国在指定日期对某国某一行业的税率
+   * @param {Object} country 国家数据对象
+   * @param {Object} sector 行业定义
+   * @param {Date|string} [asOfDate] 查询日期
+   * @returns {number|null} 税率，无法确定时为 null
+   */
+  static getSectorRate(country, sector, asOfDate) {
+    return TariffRateResolver.resolveSector(country, sector, asOfDate).rate;
+  }
+
+  /**
+   * 格式化税率用于显示
+   * @param {number|null} rate 税率
+   * @param {I18n} [i18n] 界面语言，未提供时显示中文
+   * @returns {string} 如 '25%'，无法确定时为 '待确认'
+   */
+  static formatRate(rate, i18n) {
+    if (rate === null || rate === undefined) return i18n ? i18n.t('rate.pending') : '待确认';
+    return `${rate}%`;
+  }
+
+  /**
+   * 列出无法确定美国税率的国家（不含美国本身）
+   * @param {Array} countries 国家数据数组
+   * @param {Date|string} [asOfDate] 查询日期
+   * @returns {Array} 国家数据对象数组
+   */
+  static listUnresolved(countries, asOfDate) {
+    return (countries || []).filter(country =>
+      TariffRateResolver.resolve(country, asOfDate).status === 'unresolved'
+    );
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TariffRateResolver;
+}
@@ -0,0 +1,200 @@
+/**
+ * 关税情景（What-if）
+ * 情景在已加载的数据之上叠加假设的税率和反制措施，不修改数据文件。TariffDataStore.setScenario 应用情景后，
+ * 各组件通过已有的订阅和更新方法渲染叠加后的数据。
+ *
+ * 情景格式:
+ *   {
+ *     name: '欧盟降至10%，中国反制至150%',
+ *     effectiveDate: '2025-04-20',
+ *     changes: [
+ *       { code: 'EU', usTariffRate: 10 },
+ *       { code: 'CN', response: { type: '报复性关税', rate: 150, details: '...' } }
+ *     ]
+ *   }
+ * usTariffRate 自 effectiveDate 起取代美国对该国的全部措施；response 作为一项于 effectiveDate 生效的反制措施追加，
+ * 带数值 rate 时即为该国的对美税率。情景生成的条目带有 scenario: true。
+ */
+class TariffScenario {
+  /**
+   * 将情景叠加到完整数据上
+   * @param {Object} data 完整关税数据（基准数据）
+   * @param {Object} scenario 情景
+   * @returns {Object} 叠加后的完整数据（不修改原数据），另含 scenario 字段 { name, effectiveDate }
+   */
+  static apply(data, scenario) {
+    const date = scenario.effectiveDate;
+    const changes = new Map((scenario.changes || []).map(change => [change.code, change]));
+
+    const countries = (data.countries || []).map(country => {
+      const change = changes.get(country.code);
+      if (!change) return country;
+
+      const result = { ...country };
+      if (typeof change.usTariffRate === 'number') {
+        result.usTariffSchedule = TariffScenario.overrideSchedule(country.usTariffSchedule || [], change.usTariffRate, date);
+      }
+      if (change.response) {
+        result.response = (country.response || []).concat([{ ...change.response, effectiveDate: date, scenario: true }]);
+      }
+      return result;
+    });
+
+    return {
+      ...data,
+      scenario: { name: scenario.name || '', effectiveDate: date },
+      countries
+    };
+  }
+
+  /**
+   * 自某一日期起以单一税率取代全部措施：删除该日期之后的条目，取消此前仍有效的措施，再追加情景税率
+   * @param {Array} schedule usTariffSchedule
+   * @param {number} rate 情景税率（%）
+   * @param {string} date 生效日期 'YYYY-MM-DD'
+   * @returns {Array} 新的 usTariffSchedule
+   */
+  static overrideSchedule(schedule, rate, date) {
+    const earlier = schedule.filter(entry => entry.effectiveDate < date);
+
+    // 每项措施的最新条目，税率不为0时仍有效，需追加税率为0的条目予以取消
+    const latest = new Map();
+    earlier
+      .slice()
+      .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate))
+      .forEach(entry => latest.set(entry.measure, entry));
+    const cancellations = Array.from(latest.values())
+      .filter(entry => entry.rate !== 0)
+      .map(entry => {
+        const { sectorRates, ...rest } = entry;
+        return { ...rest, rate: 0, effectiveDate: date, scenario: true };
+      });
+
+    return earlier.concat(cancellations, [{
+      measure: 'scenario',
+      label: '情景假设税率',
+      legalBasis: '情景假设',
+      scope: 'all',
+      rate,
+      effectiveDate: date,
+      scenario: true,
+      en: { label: 'Scenario rate', legalBasis: 'Hypothetical scenario' }
+    }]);
+  }
+
+  /**
+   * 校验情景（如导入的 JSON）
+   * @param {*} scenario 待校验的情景
+   * @param {Object} data 基准数据，用于检查国家代码
+   * @returns {Array<{key: string, params?: Object}>} 问题列表，key 为界面文字的键名；为空表示有效
+   */
+  static validate(scenario, data) {
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+      return [{ key: 'scenario.error.format' }];
+    }
+    const errors = [];
+    // 文字会显示在详情面板和表格中，不接受 HTML 标记
+    const isText = value => value === undefined || (typeof value === 'string' && !/[<>]/.test(value));
+    if (!isText(scenario.name)) {
+      errors.push({ key: 'scenario.error.name' });
+    }
+    if (!TariffDate.isDateKey(scenario.effectiveDate)) {
+      errors.push({ key: 'scenario.error.date' });
+    }
+    if (!Array.isArray(scenario.changes)) {
+      errors.push({ key: 'scenario.error.changes' });
+      return errors;
+    }
+
+    const codes = new Set(((data && data.countries) || []).map(country => country.code));
+    const seen = new Set();
+    const isRate = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    scenario.changes.forEach(change => {
+      const code = change && typeof change.code === 'string' ? change.code : '';
+      if (!code || !codes.has(code) || code === 'US') {
+        errors.push({ key: 'scenario.error.country', params: { code: code || '?' } });
+        return;
+      }
+      if (seen.has(code)) {
+        errors.push({ key: 'scenario.error.duplicate', params: { code } });
+      }
+      seen.add(code);
+      if (change.usTariffRate !== undefined && !isRate(change.usTariffRate)) {
+        errors.push({ key: 'scenario.error.rate', params: { code } });
+      }
+      if (change.response !== undefined) {
+        const response = change.response;
+        if (!response || typeof response !== 'object' || Array.isArray(response)) {
+          errors.push({ key: 'scenario.error.response', params: { code } });
+        } else {
+          if (response.rate !== undefined && !isRate(response.rate)) {
+            errors.push({ key: 'scenario.error.rate', params: { code } });
+          }
+          if (!isText(response.type) || !isText(response.details)) {
+            errors.push({ key: 'scenario.error.text', params: { code } });
+          }
+        }
+      }
+      if (change.usTariffRate === undefined && change.response === undefined) {
+        errors.push({ key: 'scenario.error.empty', params: { code } });
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * 比较基准数据和情景数据在某一日期的税率，只列出有差异的国家
+   * @param {Object} baseline 基准完整数据
+   * @param {Object} scenarioData 叠加情景后的完整数据
+   * @param {Date|string} asOfDate 比较日期
+   * @returns {{rows: Array<{country, usRate: {before, after}, counterRate: {before, after}}>, average: {before, after}}}
+   *   税率无法确定时为 null；average 为美国对各贸易伙伴税率的简单平均
+   */
+  static diff(baseline, scenarioData, asOfDate) {
+    const before = TariffSnapshot.at(baseline, asOfDate);
+    const after = TariffSnapshot.at(scenarioData, asOfDate);
+    const usRate = country => {
+      const result = TariffRateResolver.resolve(country);
+      return result.status === 'unresolved' ? null : result.rate;
+    };
+    const counterRate = country => (typeof country.tariffRate === 'number' ? country.tariffRate : null);
+    const average = countries => {
+      const rates = countries.filter(country => country.code !== 'US').map(usRate).filter(rate => rate !== null);
+      return rates.length > 0 ? TariffScenario.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : null;
+    };
+
+    const rows = [];
+    after.countries.forEach(country => {
+      if (country.code === 'US') return;
+      const base = before.countries.find(c => c.code === country.code);
+      if (!base) return;
+      const row = {
+        country,
+        usRate: { before: usRate(base), after: usRate(country) },
+        counterRate: { before: counterRate(base), after: counterRate(country) }
+      };
+      if (row.usRate.before !== row.usRate.after || row.counterRate.before !== row.counterRate.after) {
+        rows.push(row);
+      }
+    });
+
+    return {
+      rows,
+      average: { before: average(before.countries), after: average(after.countries) }
+    };
+  }
+
+  /**
+   * 保留一位小数
+   * @param {number} value 数值
+   * @returns {number}
+   */
+  static round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TariffScenario;
+}
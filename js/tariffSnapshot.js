@@ -0,0 +1,120 @@
+/**
+ * 关税数据时间快照
+ * 按指定日期生成数据集快照：只保留该日期前已生效的税率分层、美国关税历史和反制措施，
+ * 组件通过已有的 updateTariffData / updateData 方法渲染快照即可显示当日状态。
+ * 日期文字由 TariffDate 解析。
+ */
+class TariffSnapshot {
+  /**
+   * 获取数据集中最晚的日期（即数据更新日期）
+   * @param {Object} data 完整关税数据
+   * @returns {string|null} 'YYYY-MM-DD'
+   */
+  static getLatestDate(data) {
+    return TariffSnapshot.collectDates(data).reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+  }
+
+  /**
+   * 获取数据集中最早的日期
+   * @param {Object} data 完整关税数据
+   * @returns {string|null} 'YYYY-MM-DD'
+   */
+  static getEarliestDate(data) {
+    return TariffSnapshot.collectDates(data).reduce((earliest, date) => (!earliest || date < earliest ? date : earliest), null);
+  }
+
+  /**
+   * 收集数据集中所有可解析的日期
+   * 情景生成的条目（scenario: true）不计入，数据更新日期始终取自基准数据，
+   * 否则情景日期会推迟更新日期，使此前各日期的待确认条目被误删。
+   * @param {Object} data 完整关税数据
+   * @returns {Array<string>} 日期数组
+   */
+  static collectDates(data) {
+    const dates = [];
+    if (!data) return dates;
+    const isBaseline = entry => !entry.scenario;
+    (data.timeline || []).forEach(event => dates.push(TariffDate.toKey(event.date)));
+    (data.countries || []).forEach(country => {
+      (country.usTariffSchedule || []).filter(isBaseline).forEach(entry => dates.push(entry.effectiveDate));
+      (country.usTariffHistory || []).forEach(entry => dates.push(TariffSnapshot.getEntryDate(entry)));
+      (country.response || []).filter(isBaseline).forEach(entry => dates.push(TariffDate.toKey(entry.effectiveDate)));
+    });
+    return dates.filter(Boolean);
+  }
+
+  /**
+   * 获取美国关税历史条目的生效日期，生效日期待确认时使用宣布日期
+   * @param {Object} entry usTariffHistory 条目
+   * @returns {string|null} 'YYYY-MM-DD'
+   */
+  static getEntryDate(entry) {
+    return TariffDate.toKey(entry.effectiveDate) || TariffDate.toKey(entry.date);
+  }
+
+  /**
+   * 获取快照中的对美税率（tariffRate）
+   * 取当日已生效、带数值 rate 的最新反制措施；日期待确认的措施排在最后，只有没有已确定日期的措施时才采用。
+   * 基准数据中有带 rate 的反制措施、只是当日尚未生效的国家为 null；反制措施都不带 rate 的国家没有按日期的记录，
+   * 在所有日期沿用数据中的 tariffRate（数据更新日期的数值）。
+   * @param {Object} country 完整数据中的国家
+   * @param {Array} responses 当日已生效的反制措施
+   * @returns {number|null}
+   */
+  static getCounterRate(country, responses) {
+    const inEffect = responses
+      .filter(entry => typeof entry.rate === 'number')
+      .sort((a, b) => TariffDate.compare(TariffDate.parse(a.effectiveDate), TariffDate.parse(b.effectiveDate)));
+    const dated = inEffect.filter(entry => TariffDate.toKey(entry.effectiveDate));
+    const candidates = dated.length > 0 ? dated : inEffect;
+    if (candidates.length > 0) return candidates[candidates.length - 1].rate;
+
+    // 情景追加的措施不改变基准数据的回退规则
+    const hasBaselineRates = (country.response || []).some(entry => !entry.scenario && typeof entry.rate === 'number');
+    if (hasBaselineRates) return null;
+    return typeof country.tariffRate === 'number' ? country.tariffRate : null;
+  }
+
+  /**
+   * 生成指定日期的数据快照
+   * 日期未知（如"待确认"）的条目只在查询日期不早于数据更新日期时保留。
+   * tariffRate 按当日已生效的反制措施重新确定，规则见 getCounterRate。
+   * @param {Object} data 完整关税数据
+   * @param {Date|string} asOfDate 查询日期
+   * @returns {Object} 快照数据（结构与原数据相同，另含 asOfDate 字段）
+   */
+  static at(data, asOfDate) {
+    const asOf = TariffRateResolver.toDateKey(asOfDate);
+    const latest = TariffSnapshot.getLatestDate(data);
+    const includeUndated = !latest || asOf >= latest;
+    const isInEffect = date => (date ? date <= asOf : includeUndated);
+
+    const countries = (data.countries || []).map(country => {
+      const snapshot = { ...country };
+
+      if (Array.isArray(country.usTariffSchedule)) {
+        snapshot.usTariffSchedule = country.usTariffSchedule.filter(entry => entry.effectiveDate <= asOf);
+      }
+      if (Array.isArray(country.usTariffHistory)) {
+        snapshot.usTariffHistory = country.usTariffHistory.filter(entry => isInEffect(TariffSnapshot.getEntryDate(entry)));
+      }
+      if (Array.isArray(country.response)) {
+        snapshot.response = country.response.filter(entry => isInEffect(TariffDate.toKey(entry.effectiveDate)));
+      }
+      snapshot.tariffRate = TariffSnapshot.getCounterRate(country, snapshot.response || []);
+      return snapshot;
+    });
+
+    return {
+      ...data,
+      asOfDate: asOf,
+      timeline: (data.timeline || []).filter(event => isInEffect(TariffDate.toKey(event.date))),
+      countries
+    };
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TariffSnapshot;
+}
@@ -0,0 +1,122 @@
+/**
+ * 时间轴播放控制器
+ * 按月逐帧推进日期，每一帧调用 onFrame 回调（如按该日期重新渲染地图）
+ */
+class TimelinePlayer {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {string} config.startDate 起始日期 'YYYY-MM-DD'
+   * @param {string} config.endDate 结束日期 'YYYY-MM-DD'
+   * @param {number} config.interval 每帧间隔（毫秒）
+   * @param {Function} config.onFrame 帧回调，参数为帧日期 'YYYY-MM-DD'
+   * @param {Function} config.onStateChange 播放状态变化回调，参数为是否正在播放
+   */
+  constructor(config) {
+    this.interval = config.interval || 800;
+    this.onFrame = config.onFrame || null;
+    this.onStateChange = config.onStateChange || null;
+    this.frames = TimelinePlayer.buildMonthlyFrames(config.startDate, config.endDate);
+    this.currentIndex = this.frames.length - 1;
+    this.timer = null;
+  }
+
+  /**
+   * 生成逐月帧日期：每月取月末，最后一帧为结束日期
+   * @param {string} startDate 起始日期 'YYYY-MM-DD'
+   * @param {string} endDate 结束日期 'YYYY-MM-DD'
+   * @returns {Array<string>} 帧日期数组
+   */
+  static buildMonthlyFrames(startDate, endDate) {
+    const frames = [];
+    let year = parseInt(startDate.slice(0, 4), 10);
+    let month = parseInt(startDate.slice(5, 7), 10);
+
+    while (true) {
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const frame = `${year}-${String(month).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
+      if (frame >= endDate) {
+        frames.push(endDate);
+        break;
+      }
+      frames.push(frame);
+      month += 1;
+      if (month > 12) {
+        month = 1;
+        year += 1;
+      }
+    }
+    return frames;
+  }
+
+  /**
+   * 是否正在播放
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return this.timer !== null;
+  }
+
+  /**
+   * 开始播放；已在最后一帧时从头开始
+   */
+  play() {
+    if (this.isPlaying()) return;
+    if (this.currentIndex >= this.frames.length - 1) {
+      this.currentIndex = -1;
+    }
+    this.timer = setInterval(() => {
+      this.step(1);
+      if (this.currentIndex >= this.frames.length - 1) {
+        this.pause();
+      }
+    }, this.interval);
+    this.step(1);
+    if (this.onStateChange) this.onStateChange(true);
+  }
+
+  /**
+   * 暂停播放
+   */
+  pause() {
+    if (!this.isPlaying()) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.onStateChange) this.onStateChange(false);
+  }
+
+  /**
+   * 切换播放/暂停
+   */
+  toggle() {
+    if (this.isPlaying()) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * 前进或后退若干帧
+   * @param {number} delta 帧数，负数为后退
+   */
+  step(delta) {
+    const index = Math.min(Math.max(this.currentIndex + delta, 0), this.frames.length - 1);
+    this.currentIndex = index;
+    if (this.onFrame) this.onFrame(this.frames[index]);
+  }
+
+  /**
+   * 将当前帧定位到指定日期所在的月份（如用户拖动日期滑块后）
+   * @param {string} dateKey 日期 'YYYY-MM-DD'
+   */
+  seek(dateKey) {
+    const index = this.frames.findIndex(frame => frame >= dateKey);
+    this.currentIndex = index === -1 ? this.frames.length - 1 : index;
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimelinePlayer;
+}
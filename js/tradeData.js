@@ -0,0 +1,186 @@
+/**
+ * 双边贸易数据
+ * 读取 data/trade_data.json：按贸易伙伴（国家代码）和年份记录美国的货物出口额和进口额，
+ * 用于统计卡片的贸易加权平均税率、贸易额面板和贸易趋势分析。regions 为地区合计（如美洲、亚太），只用于展示，不计入加权。
+ * 新增年份只需在数据中为各伙伴添加对应年份的条目，趋势分析随之按最早和最近的年份重新计算。
+ *
+ * 数据格式:
+ *   {
+ *     unit, source, sourceUrl, note, en: {...},
+ *     regions: { americas: { label, note, en: { label, note }, years: { '2024': { exports, imports } } } },
+ *     partners: { CN: { '2024': { exports, imports } } }
+ *   }
+ */
+class TradeData {
+  /**
+   * 构造函数
+   * @param {Object} data trade_data.json 内容
+   */
+  constructor(data) {
+    this.data = data || {};
+    this.partners = this.data.partners || {};
+    this.regions = this.data.regions || {};
+  }
+
+  /**
+   * 加载贸易数据文件
+   * @param {string} [dataPath] 数据路径
+   * @returns {Promise<TradeData>}
+   */
+  static async load(dataPath = 'data/trade_data.json') {
+    const response = await fetch(dataPath);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return new TradeData(await response.json());
+  }
+
+  /**
+   * 获取某一伙伴或地区按年份记录的数据
+   * @param {string} code 国家代码或地区 ID
+   * @returns {Object} { '2024': { exports, imports } }，没有数据时为空对象
+   */
+  getSeries(code) {
+    if (this.partners[code]) return this.partners[code];
+    return (this.regions[code] && this.regions[code].years) || {};
+  }
+
+  /**
+   * 获取地区信息
+   * @param {string} id 地区 ID
+   * @returns {Object|null} { label, note, en, years }
+   */
+  getRegion(id) {
+    return this.regions[id] || null;
+  }
+
+  /**
+   * 获取全部地区 ID（按数据中的顺序）
+   * @returns {Array<string>}
+   */
+  getRegionIds() {
+    return Object.keys(this.regions);
+  }
+
+  /**
+   * 获取某一伙伴某一年的贸易额
+   * @param {string} code 国家代码或地区 ID
+   * @param {string|number} year 年份
+   * @returns {{exports: number, imports: number, total: number, balance: number}|null} 美国视角，balance 为出口减进口
+   */
+  get(code, year) {
+    const entry = this.getSeries(code)[String(year)];
+    if (!entry || typeof entry.exports !== 'number' || typeof entry.imports !== 'number') return null;
+    return {
+      exports: entry.exports,
+      imports: entry.imports,
+      total: entry.exports + entry.imports,
+      balance: entry.exports - entry.imports
+    };
+  }
+
+  /**
+   * 获取某一伙伴有数据的年份（升序）
+   * @param {string} code 国家代码或地区 ID
+   * @returns {Array<string>}
+   */
+  getYears(code) {
+    return Object.keys(this.getSeries(code))
+      .filter(year => this.get(code, year))
+      .sort();
+  }
+
+  /**
+   * 获取数据中出现的全部年份（升序）
+   * @returns {Array<string>}
+   */
+  getAllYears() {
+    const years = new Set();
+    Object.keys(this.partners).concat(this.getRegionIds()).forEach(code => {
+      this.getYears(code).forEach(year => years.add(year));
+    });
+    return Array.from(years).sort();
+  }
+
+  /**
+   * 汇总数据中最早和最近年份之间的变化，供贸易趋势分析使用
+   * 排名、增幅和进口占比只统计 partners（不含地区合计）；只有一个年份时不比较变化。
+   * @returns {{from: string, to: string, ranking: {from: Array<string>, to: Array<string>},
+   *   totals: Array<{code: string, start: number, end: number, change: number}>,
+   *   deficit: ({code: string, values: Array<{year: string, balance: number}>}|null),
+   *   regions: Array<{id: string, start: number, end: number, change: number}>,
+   *   shares: Array<{code: string, start: number, end: number}>}|null}
+   *   totals 为贸易总额及其变化（%），按变化降序；deficit 为最近一年逆差最大的伙伴及其各年差额；
+   *   regions 为两年均为逆差的地区合计及逆差变化（%）；shares 为各伙伴占所列伙伴进口总额的比例（%），按变化降序。
+   *   没有数据时为 null
+   */
+  getTrends() {
+    const years = this.getAllYears();
+    if (years.length === 0) return null;
+    const from = years[0];
+    const to = years[years.length - 1];
+    const codes = Object.keys(this.partners);
+    const percentChange = (start, end) => (end / start - 1) * 100;
+    const ranking = year => codes
+      .filter(code => this.get(code, year))
+      .sort((a, b) => this.get(b, year).total - this.get(a, year).total);
+
+    const compared = from === to ? [] : codes.filter(code => this.get(code, from) && this.get(code, to));
+    const totals = compared
+      .map(code => {
+        const start = this.get(code, from).total;
+        const end = this.get(code, to).total;
+        return { code, start, end, change: percentChange(start, end) };
+      })
+      .sort((a, b) => b.change - a.change);
+
+    const importTotal = year => compared.reduce((sum, code) => sum + this.get(code, year).imports, 0);
+    const importsFrom = importTotal(from);
+    const importsTo = importTotal(to);
+    const shares = compared
+      .map(code => ({
+        code,
+        start: this.get(code, from).imports / importsFrom * 100,
+        end: this.get(code, to).imports / importsTo * 100
+      }))
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start));
+
+    const deficitCode = codes
+      .filter(code => this.get(code, to) && this.get(code, to).balance < 0)
+      .sort((a, b) => this.get(a, to).balance - this.get(b, to).balance)[0];
+    const deficit = deficitCode
+      ? { code: deficitCode, values: this.getYears(deficitCode).map(year => ({ year, balance: this.get(deficitCode, year).balance })) }
+      : null;
+
+    const regions = (from === to ? [] : this.getRegionIds())
+      .filter(id => this.get(id, from) && this.get(id, to) && this.get(id, from).balance < 0 && this.get(id, to).balance < 0)
+      .map(id => {
+        const start = this.get(id, from).balance;
+        const end = this.get(id, to).balance;
+        return { id, start, end, change: percentChange(start, end) };
+      });
+
+    return { from, to, ranking: { from: ranking(from), to: ranking(to) }, totals, deficit, regions, shares };
+  }
+
+  /**
+   * 获取某一日期适用的美国自该伙伴进口额，作为贸易加权的权重
+   * 取不晚于该日期所在年份的最近一年；数据中最早的年份也晚于该日期时，取最早一年。
+   * @param {string} code 国家代码
+   * @param {Date|string} asOfDate 日期
+   * @returns {{year: string, value: number}|null} 没有该伙伴的数据时为 null
+   */
+  getImports(code, asOfDate) {
+    const years = this.getYears(code);
+    if (years.length === 0) return null;
+    const asOfYear = TariffRateResolver.toDateKey(asOfDate).slice(0, 4);
+    const earlier = years.filter(year => year <= asOfYear);
+    const year = earlier.length > 0 ? earlier[earlier.length - 1] : years[0];
+    return { year, value: this.get(code, year).imports };
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TradeData;
+}
@@ -0,0 +1,165 @@
+/**
+ * 地址栏状态
+ * 将页面状态（当前标签页、打开的国家、表格筛选条件、数据日期等）同步到地址的 hash 中，便于分享链接；
+ * 打开链接时从 hash 恢复，浏览器前进/后退时通知订阅者按记录的状态重新渲染。
+ *
+ * hash 格式与查询字符串相同，只记录与默认值不同的字段，如:
+ *   #tab=datatable&country=EU&region=europe&page=2
+ * 所有值均为字符串，由使用方自行转换。
+ */
+class UrlState {
+  /**
+   * 构造函数
+   * @param {Object} config 配置对象
+   * @param {Object} config.defaults 各字段的默认值，字段顺序即 hash 中的参数顺序；不在其中的参数会被忽略
+   */
+  constructor(config = {}) {
+    this.defaults = config.defaults || {};
+    this.keys = Object.keys(this.defaults);
+
+    // 状态
+    this.state = this.readLocation();
+    this.listeners = [];
+    this.restoring = false; // 通知订阅者期间为 true，此时订阅者恢复界面引起的 update 不再写入历史记录
+
+    const handleLocationChange = () => this.handleLocationChange();
+    window.addEventListener('popstate', handleLocationChange);
+    window.addEventListener('hashchange', handleLocationChange);
+  }
+
+  /**
+   * 获取当前状态，未记录的字段取默认值
+   * @returns {Object}
+   */
+  getState() {
+    return { ...this.defaults, ...this.state };
+  }
+
+  /**
+   * 判断地址中是否记录了状态（用于页面加载时决定是否需要恢复）
+   * @returns {boolean}
+   */
+  hasState() {
+    return Object.keys(this.state).length > 0;
+  }
+
+  /**
+   * 更新部分字段并写入地址；值为空或等于默认值时从地址中移除
+   * @param {Object} changes 要更新的字段
+   * @param {Object} [options] 选项
+   * @param {boolean} [options.replace] 替换当前历史记录而不是新增（如拖动滑块、播放时）
+   */
+  update(changes, options = {}) {
+    if (this.restoring) return;
+
+    const next = { ...this.state };
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!this.keys.includes(key)) return;
+      if (value === null || value === undefined || value === '' || String(value) === String(this.defaults[key])) {
+        delete next[key];
+      } else {
+        next[key] = String(value);
+      }
+    });
+
+    const hash = this.serialize(next);
+    if (hash === this.serialize(this.state)) return;
+    this.state = next;
+
+    // hash 为空时去掉地址末尾的 '#'
+    const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+    if (options.replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }
+
+  /**
+   * 地址变化（前进/后退或手动修改 hash）时读取新状态并通知订阅者
+   */
+  handleLocationChange() {
+    const next = this.readLocation();
+    if (this.serialize(next) === this.serialize(this.state)) return;
+    this.state = next;
+    this.notify();
+  }
+
+  /**
+   * 从当前地址读取状态
+   * @returns {Object}
+   */
+  readLocation() {
+    const parsed = UrlState.parse(window.location.hash);
+    const state = {};
+    this.keys.forEach(key => {
+      if (parsed[key] !== undefined && parsed[key] !== '' && parsed[key] !== String(this.defaults[key])) {
+        state[key] = parsed[key];
+      }
+    });
+    return state;
+  }
+
+  /**
+   * 按字段顺序生成 hash 字符串（不含 '#'）
+   * @param {Object} state 状态
+   * @returns {string}
+   */
+  serialize(state) {
+    const params = new URLSearchParams();
+    this.keys.forEach(key => {
+      if (state[key] !== undefined) params.set(key, state[key]);
+    });
+    return params.toString();
+  }
+
+  /**
+   * 订阅地址变化
+   * @param {Function} listener 回调，参数为当前状态
+   * @returns {Function} 取消订阅的函数
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * 通知所有订阅者
+   */
+  notify() {
+    const state = this.getState();
+    this.restoring = true;
+    try {
+      this.listeners.forEach(listener => {
+        try {
+          listener(state);
+        } catch (error) {
+          console.error('地址状态订阅者更新失败:', error);
+        }
+      });
+    } finally {
+      this.restoring = false;
+    }
+  }
+
+  /**
+   * 解析 hash 字符串
+   * @param {string} hash 如 '#tab=datatable&country=EU'
+   * @returns {Object} 字段名到字符串值的映射
+   */
+  static parse(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const result = {};
+    params.forEach((value, key) => {
+      result[key] = value;
+    });
+    return result;
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UrlState;
+}
@@ -0,0 +1,147 @@
+/**
+ * 行情数据源（供 scripts/refreshStockData.js 使用）
+ *
+ * 每个数据源实现同一接口：
+ *   name                       数据源名称
+ *   minInterval                两次请求之间的最短间隔（毫秒），由命令统一等待
+ *   async fetchDaily(instrument, options)
+ *                              获取登记表中一个指数的每日行情，返回 PriceLoader.normalize 格式的序列；
+ *                              options.full 为 true 时获取完整历史。
+ *                              触发频率限制时抛出 code 为 'RATE_LIMITED' 的错误，命令会等待后重试
+ *
+ * 新增数据源只需实现上述接口并加入 PROVIDERS。
+ */
+const fs = require('fs');
+const path = require('path');
+
+global.TariffDate = global.TariffDate || require('../js/tariffDate.js');
+const PriceLoader = require('../js/priceLoader.js');
+
+/**
+ * 创建频率限制错误
+ * @param {string} message 说明
+ * @returns {Error}
+ */
+function rateLimitError(message) {
+  const error = new Error(message);
+  error.code = 'RATE_LIMITED';
+  return error;
+}
+
+/**
+ * Alpha Vantage TIME_SERIES_DAILY 接口
+ * baseUrl 可指向本地替身服务器（scripts/stockFixtureServer.js），离线测试完整的请求、限频和合并流程
+ */
+class AlphaVantageProvider {
+  /**
+   * 构造函数
+   * @param {Object} options 选项
+   * @param {string} options.apiKey API Key
+   * @param {string} [options.baseUrl] 接口地址
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('缺少 Alpha Vantage API Key，请设置环境变量 ALPHA_VANTAGE_API_KEY');
+    }
+    this.name = 'alphavantage';
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl || 'https://www.alphavantage.co/query';
+    // 免费版每分钟最多5次请求
+    this.minInterval = 15000;
+  }
+
+  /**
+   * 获取每日行情
+   * @param {{symbol: string}} instrument 指数
+   * @param {{full?: boolean}} [options] 选项
+   * @returns {Promise<Array>}
+   */
+  async fetchDaily(instrument, options = {}) {
+    const url = new URL(this.baseUrl);
+    url.searchParams.set('function', 'TIME_SERIES_DAILY');
+    url.searchParams.set('symbol', instrument.symbol);
+    url.searchParams.set('outputsize', options.full ? 'full' : 'compact');
+    url.searchParams.set('datatype', 'json');
+    url.searchParams.set('apikey', this.apiKey);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+
+    // Alpha Vantage 出错时仍返回 200，说明放在 Error Message / Note / Information 中
+    if (data['Error Message']) {
+      throw new Error(data['Error Message']);
+    }
+    const notice = data.Note || data.Information;
+    if (notice && /frequency|rate limit|per minute|per day/i.test(notice)) {
+      throw rateLimitError(notice);
+    }
+    if (notice) {
+      throw new Error(notice);
+    }
+    if (!data['Time Series (Daily)']) {
+      throw new Error("返回的数据中没有 'Time Series (Daily)'");
+    }
+    return PriceLoader.parseAlphaVantage(data);
+  }
+}
+
+/**
+ * 本地 fixture 文件：从目录中读取 {symbol}.json（Alpha Vantage 接口响应格式），不发出网络请求
+ */
+class FixtureProvider {
+  /**
+   * 构造函数
+   * @param {Object} options 选项
+   * @param {string} options.fixturesDir fixture 目录
+   */
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixturesDir = options.fixturesDir || FixtureProvider.DEFAULT_DIR;
+    this.minInterval = 0;
+  }
+
+  /**
+   * 读取每日行情；compact 与接口一致只取最近100个交易日
+   * @param {{symbol: string}} instrument 指数
+   * @param {{full?: boolean}} [options] 选项
+   * @returns {Promise<Array>}
+   */
+  async fetchDaily(instrument, options = {}) {
+    const filePath = path.join(this.fixturesDir, `${instrument.symbol}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`没有 ${instrument.symbol} 的 fixture 文件: ${filePath}`);
+    }
+    const bars = PriceLoader.parseAlphaVantage(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    return options.full ? bars : bars.slice(-AlphaVantageProvider.COMPACT_SIZE);
+  }
+}
+
+// Alpha Vantage compact 输出的交易日数
+AlphaVantageProvider.COMPACT_SIZE = 100;
+
+FixtureProvider.DEFAULT_DIR = path.join(__dirname, 'fixtures', 'stock');
+
+// 可通过 --provider 选择的数据源
+const PROVIDERS = {
+  alphavantage: AlphaVantageProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * 按名称创建数据源
+ * @param {string} name 数据源名称
+ * @param {Object} options 传给数据源构造函数的选项
+ * @returns {Object}
+ */
+function createProvider(name, options) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`未知的数据源: ${name}（可用: ${Object.keys(PROVIDERS).join(', ')}）`);
+  }
+  return new Provider(options);
+}
+
+module.exports = { AlphaVantageProvider, FixtureProvider, PROVIDERS, createProvider };
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * 行情数据更新命令
+ * 用法: node scripts/refreshStockData.js [选项] [指数代码...]
+ *
+ *   --provider <名称>    数据源：alphavantage（默认）或 fixture（读取本地 fixture 文件）
+ *   --registry <路径>    指数登记表，默认 data/stock/instruments.json
+ *   --data-dir <目录>    读写数据文件的目录，默认为登记表所在目录；使用 fixture 数据源或 --base-url 时必须指定
+ *                        （试运行除外），fixture 和替身服务器中有虚构的示例数据，不能合并进真实数据
+ *   --fixtures <目录>    fixture 数据源的目录，默认 scripts/fixtures/stock
+ *   --base-url <地址>    Alpha Vantage 接口地址，可指向本地替身服务器（scripts/stockFixtureServer.js）
+ *   --interval <秒>      两次请求之间的最短间隔，默认按数据源（Alpha Vantage 为 15 秒）
+ *   --retry-wait <秒>    触发频率限制后等待多久重试，默认 60 秒，最多重试 2 次
+ *   --full               获取完整历史（默认只获取最近100个交易日）
+ *   --dry-run            只打印合并结果，不写文件
+ *
+ * 只列出指数代码时只更新这些指数。Alpha Vantage 的 API Key 从环境变量 ALPHA_VANTAGE_API_KEY 读取。
+ * 新数据按日期合并到已有文件（同一日期以新数据为准，已有的更早数据保留），文件格式沿用登记表中的 format。
+ * 有指数更新失败时退出码为 1，参数、登记表或数据源配置有误时为 2。
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 共享模块以全局变量的形式加载，与页面一致
+global.TariffDate = require('../js/tariffDate.js');
+const PriceLoader = require('../js/priceLoader.js');
+const { createProvider, FixtureProvider } = require('./marketDataProviders.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MAX_RETRIES = 2;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv 参数（不含 node 和脚本路径）
+ * @returns {Object} 选项，symbols 为指数代码
+ */
+function parseArgs(argv) {
+  const options = {
+    provider: 'alphavantage',
+    registry: path.join(ROOT_DIR, 'data', 'stock', 'instruments.json'),
+    dataDir: null,
+    fixtures: FixtureProvider.DEFAULT_DIR,
+    baseUrl: null,
+    interval: null,
+    retryWait: 60,
+    full: false,
+    dryRun: false,
+    symbols: []
+  };
+  const valueOptions = {
+    '--provider': 'provider',
+    '--registry': 'registry',
+    '--data-dir': 'dataDir',
+    '--fixtures': 'fixtures',
+    '--base-url': 'baseUrl',
+    '--interval': 'interval',
+    '--retry-wait': 'retryWait'
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--full') {
+      options.full = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (valueOptions[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} 缺少参数值`);
+      options[valueOptions[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`未知选项: ${arg}`);
+    } else {
+      options.symbols.push(arg);
+    }
+  }
+  ['interval', 'retryWait'].forEach(key => {
+    if (options[key] === null) return;
+    const seconds = Number(options[key]);
+    if (!Number.isFinite(seconds) || seconds < 0) throw new Error(`无效的秒数: ${options[key]}`);
+    options[key] = seconds;
+  });
+  return options;
+}
+
+/**
+ * 读取登记表中需要更新的指数
+ * @param {string} registryPath 登记表路径
+ * @param {string} dataDir 数据文件目录
+ * @param {Array<string>} symbols 只更新的指数代码，为空时全部更新
+ * @returns {Array<Object>} 指数，filePath 为数据文件的绝对路径
+ */
+function readInstruments(registryPath, dataDir, symbols) {
+  const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  const instruments = PriceLoader.resolveRegistry(registry, '')
+    .map(instrument => Object.assign(instrument, {
+      format: instrument.format || PriceLoader.detectFormat(instrument.file, ''),
+      filePath: path.join(dataDir, instrument.file)
+    }));
+  const unknown = symbols.filter(symbol => !instruments.some(instrument => instrument.symbol === symbol));
+  if (unknown.length > 0) {
+    throw new Error(`登记表中没有指数: ${unknown.join(', ')}`);
+  }
+  return symbols.length > 0 ? instruments.filter(instrument => symbols.includes(instrument.symbol)) : instruments;
+}
+
+/**
+ * 读取已有的数据文件，不存在时为空序列
+ * @param {Object} instrument 指数
+ * @returns {Array}
+ */
+function readExisting(instrument) {
+  if (!fs.existsSync(instrument.filePath)) return [];
+  return PriceLoader.parse(fs.readFileSync(instrument.filePath, 'utf8'), instrument.format);
+}
+
+/**
+ * 等待
+ * @param {number} ms 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 按最短间隔依次发出请求：距上一次请求不足 interval 时先等待
+ * @param {number} interval 最短间隔（毫秒）
+ * @returns {Function} 包装函数，参数为要执行的异步函数
+ */
+function createRateLimiter(interval) {
+  let last = 0;
+  return async task => {
+    const wait = last + interval - Date.now();
+    if (last > 0 && wait > 0) {
+      console.log(`  等待 ${Math.ceil(wait / 1000)} 秒...`);
+      await sleep(wait);
+    }
+    try {
+      return await task();
+    } finally {
+      last = Date.now();
+    }
+  };
+}
+
+async function main() {
+  let options;
+  let instruments;
+  let provider;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    // fixture 和本地替身服务器返回的都可能是虚构数据
+    if ((options.provider === 'fixture' || options.baseUrl) && !options.dataDir && !options.dryRun) {
+      throw new Error('fixture 数据源或自定义 --base-url 须用 --data-dir 指定数据目录（如临时目录），以免虚构数据写入真实数据文件');
+    }
+    const registryPath = path.resolve(options.registry);
+    const dataDir = path.resolve(options.dataDir || path.dirname(registryPath));
+    instruments = readInstruments(registryPath, dataDir, options.symbols);
+    provider = createProvider(options.provider, {
+      apiKey: process.env.ALPHA_VANTAGE_API_KEY,
+      baseUrl: options.baseUrl,
+      fixturesDir: path.resolve(options.fixtures)
+    });
+  } catch (error) {
+    console.error(`错误: ${error.message}`);
+    process.exit(2);
+  }
+
+  const interval = options.interval !== null ? options.interval * 1000 : provider.minInterval;
+  const limit = createRateLimiter(interval);
+  const failed = [];
+  console.log(`使用数据源 ${provider.name} 更新 ${instruments.length} 个指数${options.dryRun ? '（试运行，不写文件）' : ''}`);
+
+  for (const [index, instrument] of instruments.entries()) {
+    console.log(`\n[${index + 1}/${instruments.length}] ${instrument.symbol} (${instrument.name})`);
+    try {
+      let bars = null;
+      for (let attempt = 0; bars === null; attempt++) {
+        try {
+          bars = await limit(() => provider.fetchDaily(instrument, { full: options.full }));
+        } catch (error) {
+          if (error.code !== 'RATE_LIMITED' || attempt >= MAX_RETRIES) throw error;
+          console.log(`  触发频率限制，${options.retryWait} 秒后重试: ${error.message}`);
+          await sleep(options.retryWait * 1000);
+        }
+      }
+      if (bars.length === 0) throw new Error('数据源没有返回任何交易日');
+
+      const result = PriceLoader.merge(readExisting(instrument), bars);
+      const relativePath = path.relative(process.cwd(), instrument.filePath) || instrument.filePath;
+      const range = `${result.bars[0].key} 至 ${result.bars[result.bars.length - 1].key}`;
+      console.log(`  新增 ${result.added} 天，更新 ${result.updated} 天，共 ${result.bars.length} 天（${range}）`);
+      if (!options.dryRun && (result.added > 0 || result.updated > 0 || !fs.existsSync(instrument.filePath))) {
+        fs.mkdirSync(path.dirname(instrument.filePath), { recursive: true });
+        fs.writeFileSync(instrument.filePath, PriceLoader.serialize(result.bars, instrument.format), 'utf8');
+        console.log(`  已写入 ${relativePath}`);
+      }
+    } catch (error) {
+      console.error(`  失败: ${error.message}`);
+      failed.push(instrument.symbol);
+    }
+  }
+
+  console.log(`\n完成: ${instruments.length - failed.length}/${instruments.length} 个指数更新成功${failed.length > 0 ? `，失败: ${failed.join(', ')}` : ''}`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Alpha Vantage 本地替身服务器
+ * 用法: node scripts/stockFixtureServer.js [--port 8787] [--fixtures 目录] [--limit 每分钟请求数]
+ *
+ * 以 Alpha Vantage 的格式响应 GET /query?function=TIME_SERIES_DAILY&symbol=...&apikey=...，
+ * 数据取自 fixture 目录中的 {symbol}.json，用于离线测试 scripts/refreshStockData.js 的完整流程：
+ *   ALPHA_VANTAGE_API_KEY=test node scripts/refreshStockData.js --base-url http://localhost:8787/query --interval 0 --data-dir /tmp/stock
+ * 与真实接口一样，出错和超出频率限制时仍返回 200，说明放在 Error Message / Note 中。按 Ctrl+C 停止。
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+global.TariffDate = require('../js/tariffDate.js');
+const PriceLoader = require('../js/priceLoader.js');
+const { AlphaVantageProvider, FixtureProvider } = require('./marketDataProviders.js');
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv 参数
+ * @returns {{port: number, fixtures: string, limit: number}}
+ */
+function parseArgs(argv) {
+  const options = { port: 8787, fixtures: FixtureProvider.DEFAULT_DIR, limit: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+    else if (argv[i] === '--limit') options.limit = Number(argv[++i]);
+    else throw new Error(`未知选项: ${argv[i]}`);
+  }
+  return options;
+}
+
+/**
+ * 生成一次请求的响应内容
+ * @param {URLSearchParams} params 查询参数
+ * @param {string} fixturesDir fixture 目录
+ * @returns {Object}
+ */
+function respond(params, fixturesDir) {
+  const symbol = params.get('symbol') || '';
+  if (!params.get('apikey')) {
+    return { 'Error Message': 'the parameter apikey is invalid or missing.' };
+  }
+  const filePath = path.join(fixturesDir, `${path.basename(symbol)}.json`);
+  if (params.get('function') !== 'TIME_SERIES_DAILY' || !symbol || !fs.existsSync(filePath)) {
+    return { 'Error Message': 'Invalid API call. Please retry or visit the documentation for TIME_SERIES_DAILY.' };
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  let bars = PriceLoader.parseAlphaVantage(fixture);
+  if (params.get('outputsize') !== 'full') bars = bars.slice(-AlphaVantageProvider.COMPACT_SIZE);
+  return {
+    'Meta Data': Object.assign({}, fixture['Meta Data'], { '2. Symbol': symbol }),
+    'Time Series (Daily)': JSON.parse(PriceLoader.serialize(bars, 'alphavantage'))
+  };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`错误: ${error.message}`);
+    process.exit(2);
+  }
+
+  // 最近一分钟内的请求时间，用于模拟频率限制
+  let recent = [];
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    let body;
+    if (url.pathname !== '/query') {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+      return;
+    }
+    const now = Date.now();
+    recent = recent.filter(time => now - time < 60000);
+    if (options.limit > 0 && recent.length >= options.limit) {
+      body = { Note: `Thank you for using Alpha Vantage! Our standard API call frequency is ${options.limit} calls per minute.` };
+    } else {
+      recent.push(now);
+      body = respond(url.searchParams, options.fixtures);
+    }
+    console.log(`${request.method} ${url.pathname}?symbol=${url.searchParams.get('symbol')} -> ${Object.keys(body)[0]}`);
+    response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+  });
+  server.listen(options.port, () => {
+    console.log(`Alpha Vantage 替身服务器: http://localhost:${options.port}/query（fixture 目录 ${options.fixtures}）`);
+  });
+}
+
+main();
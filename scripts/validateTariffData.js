@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * tariff_data.json 校验命令
+ * 用法: node scripts/validateTariffData.js [数据文件路径]
+ *
+ * 按 data/tariff_data.schema.json 校验数据，并检查 code3 能否在 data/world.geojson 中找到。
+ * 打印可读报告；有错误时退出码为 1，文件无法读取或不是合法 JSON 时为 2。
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 校验器依赖页面中的共享模块，这里以全局变量的形式加载
+global.TariffDate = require('../js/tariffDate.js');
+const TariffDataValidator = require('../js/tariffDataValidator.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT_DIR, 'data', 'tariff_data.schema.json');
+const GEOJSON_PATH = path.join(ROOT_DIR, 'data', 'world.geojson');
+
+/**
+ * 读取并解析 JSON 文件
+ * @param {string} filePath 文件路径
+ * @returns {Object}
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function main() {
+  const dataPath = path.resolve(process.argv[2] || path.join(ROOT_DIR, 'data', 'tariff_data.json'));
+
+  let data;
+  let schema;
+  try {
+    data = readJson(dataPath);
+    schema = readJson(SCHEMA_PATH);
+  } catch (error) {
+    console.error(`无法读取数据: ${error.message}`);
+    process.exit(2);
+  }
+
+  let mapCode3s = null;
+  try {
+    mapCode3s = readJson(GEOJSON_PATH).features.map(feature => feature.id).filter(Boolean);
+  } catch (error) {
+    console.warn(`无法读取地图数据，跳过 code3 地图检查: ${error.message}`);
+  }
+
+  const validator = new TariffDataValidator(schema, { mapCode3s });
+  const result = validator.validate(data);
+
+  console.log(`检查 ${path.relative(process.cwd(), dataPath) || dataPath}`);
+  console.log(TariffDataValidator.formatReport(result));
+  process.exit(result.errors.length > 0 ? 1 : 0);
+}
+
+main();